@@ -0,0 +1,231 @@
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const MAX_BUCKETS = 750; // Hourly buckets cover about a month, longer ranges fall back to daily buckets
+const TOP_LIMIT = 10;
+
+const CSV_COLUMNS = [
+    ['id', entry => entry.id],
+    ['triggeredAt', entry => toIso(entry.triggeredAt)],
+    ['acknowledgedAt', entry => toIso(entry.acknowledgedAt)],
+    ['resolvedAt', entry => toIso(entry.resolvedAt)],
+    ['timeToAcknowledgeSeconds', entry => toSeconds(getTimeToAcknowledge(entry))],
+    ['timeToResolveSeconds', entry => toSeconds(getTimeToResolve(entry))],
+    ['severity', entry => entry.severity],
+    ['ruleId', entry => entry.ruleId],
+    ['ruleName', entry => entry.ruleName],
+    ['metric', entry => entry.metric],
+    ['guestName', entry => entry.guest?.name],
+    ['vmid', entry => entry.guest?.vmid],
+    ['type', entry => entry.guest?.type],
+    ['node', entry => entry.guest?.node],
+    ['endpointId', entry => entry.guest?.endpointId],
+    ['acknowledgedBy', entry => entry.acknowledgedBy],
+    ['flapping', entry => entry.flapping ? 'true' : 'false'],
+    ['suppressedBy', entry => entry.suppressedBy],
+    ['message', entry => entry.message]
+];
+
+function toIso(timestamp) {
+    return timestamp ? new Date(timestamp).toISOString() : '';
+}
+
+function toSeconds(ms) {
+    return ms === null ? '' : Math.round(ms / 1000);
+}
+
+/**
+ * Parses an epoch milliseconds or ISO date query value.
+ * @returns {number|null} - Timestamp, or null when missing or invalid.
+ */
+function parseTimestamp(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const timestamp = /^\d+$/.test(String(value)) ? parseInt(value, 10) : Date.parse(value);
+    return Number.isFinite(timestamp) ? timestamp : null;
+}
+
+function getTimeToAcknowledge(entry) {
+    if (!entry.acknowledgedAt || !entry.triggeredAt) return null;
+    return Math.max(0, entry.acknowledgedAt - entry.triggeredAt);
+}
+
+function getTimeToResolve(entry) {
+    if (!entry.resolvedAt || !entry.triggeredAt) return null;
+    return Math.max(0, entry.resolvedAt - entry.triggeredAt);
+}
+
+function getGuestKey(entry) {
+    const guest = entry.guest || {};
+    return `${guest.endpointId || 'unknown'}-${guest.node || 'unknown'}-${guest.vmid ?? guest.name ?? 'unknown'}`;
+}
+
+/**
+ * History entries triggered within [from, to] that match the optional filters.
+ * @param {Array} history - Persisted history entries.
+ * @param {Object} filters - { from, to, ruleId, node, guest, severity }; guest matches the
+ *   guest name or VMID.
+ */
+function filterHistory(history, filters = {}) {
+    const guestFilter = filters.guest ? String(filters.guest).toLowerCase() : null;
+    return history.filter(entry => {
+        if (filters.from && entry.triggeredAt < filters.from) return false;
+        if (filters.to && entry.triggeredAt > filters.to) return false;
+        if (filters.ruleId && entry.ruleId !== filters.ruleId) return false;
+        if (filters.node && entry.guest?.node !== filters.node) return false;
+        if (filters.severity && entry.severity !== filters.severity) return false;
+        if (guestFilter && String(entry.guest?.name || '').toLowerCase() !== guestFilter &&
+            String(entry.guest?.vmid ?? '') !== guestFilter) return false;
+        return true;
+    });
+}
+
+/**
+ * Mean and median of a list of durations (ms), null when empty.
+ */
+function summarizeDurations(durations) {
+    if (durations.length === 0) return { mean: null, median: null, count: 0 };
+    const sorted = [...durations].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+    return { mean: Math.round(mean), median: Math.round(median), count: sorted.length };
+}
+
+function createGroup(extra) {
+    return { ...extra, total: 0, critical: 0, warning: 0, flapping: 0, acknowledged: 0, resolved: 0, ttaValues: [], ttrValues: [] };
+}
+
+function addToGroup(group, entry) {
+    group.total++;
+    if (entry.severity === 'critical') group.critical++;
+    else group.warning++;
+    if (entry.flapping) group.flapping++;
+    if (entry.acknowledged) group.acknowledged++;
+    if (entry.resolved) group.resolved++;
+
+    const tta = getTimeToAcknowledge(entry);
+    const ttr = getTimeToResolve(entry);
+    if (tta !== null) group.ttaValues.push(tta);
+    if (ttr !== null) group.ttrValues.push(ttr);
+}
+
+function finishGroup(group) {
+    const { ttaValues, ttrValues, ...rest } = group;
+    return {
+        ...rest,
+        mttaMs: summarizeDurations(ttaValues).mean,
+        mttrMs: summarizeDurations(ttrValues).mean
+    };
+}
+
+/**
+ * Builds the reliability report for the history entries of a range: totals, MTTA/MTTR,
+ * alerts over time and breakdowns per rule, guest and node.
+ * @param {Array} entries - History entries, already filtered to the range.
+ * @param {Object} options - { from, to, bucket: 'hour' | 'day' }.
+ */
+function buildAnalytics(entries, options) {
+    const { from, to } = options;
+    let bucket = options.bucket === 'hour' ? 'hour' : 'day';
+    if (bucket === 'hour' && (to - from) / HOUR > MAX_BUCKETS) bucket = 'day';
+    const bucketSize = bucket === 'hour' ? HOUR : DAY;
+
+    const totals = createGroup({ suppressed: 0 });
+    const byRule = new Map();
+    const byGuest = new Map();
+    const byNode = new Map();
+    const timeline = new Map();
+
+    // Empty buckets are included so gaps show up in the chart
+    for (let start = Math.floor(from / bucketSize) * bucketSize; start <= to && timeline.size < MAX_BUCKETS; start += bucketSize) {
+        timeline.set(start, { start, total: 0, critical: 0, warning: 0 });
+    }
+
+    entries.forEach(entry => {
+        addToGroup(totals, entry);
+        if (entry.suppressedBy) totals.suppressed++;
+
+        const ruleKey = entry.ruleId || entry.ruleName || 'unknown';
+        if (!byRule.has(ruleKey)) byRule.set(ruleKey, createGroup({ ruleId: entry.ruleId || null, ruleName: entry.ruleName || 'Unknown' }));
+        addToGroup(byRule.get(ruleKey), entry);
+
+        const guestKey = getGuestKey(entry);
+        if (!byGuest.has(guestKey)) {
+            byGuest.set(guestKey, createGroup({
+                name: entry.guest?.name || 'Unknown',
+                vmid: entry.guest?.vmid ?? null,
+                node: entry.guest?.node || null,
+                endpointId: entry.guest?.endpointId || null
+            }));
+        }
+        addToGroup(byGuest.get(guestKey), entry);
+
+        const nodeKey = entry.guest?.node || 'unknown';
+        if (!byNode.has(nodeKey)) byNode.set(nodeKey, createGroup({ node: nodeKey }));
+        addToGroup(byNode.get(nodeKey), entry);
+
+        const point = timeline.get(Math.floor(entry.triggeredAt / bucketSize) * bucketSize);
+        if (point) {
+            point.total++;
+            if (entry.severity === 'critical') point.critical++;
+            else point.warning++;
+        }
+    });
+
+    const sortByTotal = (a, b) => b.total - a.total;
+    const rules = Array.from(byRule.values()).map(finishGroup).sort(sortByTotal);
+    const guests = Array.from(byGuest.values()).map(finishGroup).sort(sortByTotal);
+
+    return {
+        range: { from, to, bucket },
+        summary: {
+            total: totals.total,
+            critical: totals.critical,
+            warning: totals.warning,
+            acknowledged: totals.acknowledged,
+            resolved: totals.resolved,
+            unresolved: totals.total - totals.resolved,
+            flapping: totals.flapping,
+            suppressed: totals.suppressed,
+            mtta: summarizeDurations(totals.ttaValues),
+            mttr: summarizeDurations(totals.ttrValues)
+        },
+        timeline: Array.from(timeline.values()),
+        byRule: rules,
+        byGuest: guests,
+        byNode: Array.from(byNode.values()).map(finishGroup).sort(sortByTotal),
+        noisiestRules: rules.slice(0, TOP_LIMIT),
+        topFlappingGuests: guests
+            .filter(guest => guest.flapping > 0)
+            .sort((a, b) => b.flapping - a.flapping || b.total - a.total)
+            .slice(0, TOP_LIMIT)
+    };
+}
+
+/**
+ * Quotes a CSV value when needed. Text starting with a formula character (guest names,
+ * messages) is prefixed with ' so spreadsheets show it instead of evaluating it.
+ */
+function escapeCsvValue(value) {
+    if (value === undefined || value === null) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * History entries as CSV, one row per alert with ISO timestamps.
+ */
+function formatHistoryCsv(entries) {
+    const header = CSV_COLUMNS.map(([name]) => name).join(',');
+    const rows = entries.map(entry => CSV_COLUMNS.map(([, getValue]) => escapeCsvValue(getValue(entry))).join(','));
+    return [header, ...rows].join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    parseTimestamp,
+    filterHistory,
+    buildAnalytics,
+    formatHistoryCsv
+};
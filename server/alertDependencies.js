@@ -0,0 +1,96 @@
+const GUEST_TYPES = ['qemu', 'lxc'];
+const MAX_LISTED_ALERTS = 20;
+
+/**
+ * Alert dependencies: alerts whose cause is an outage of something they depend on.
+ *
+ * Guest alerts depend on the node_down alert of their node, and alerts of a PBS instance
+ * (datastore jobs and the like) depend on the pbs_unreachable alert of that instance. While
+ * the parent alert is active, child alerts are held back and listed in the parent's
+ * notification instead of being sent one by one.
+ */
+
+/**
+ * Whether an alert is a parent other alerts can depend on.
+ */
+function isParentAlert(alert) {
+    return alert.rule?.id === 'node_down' || alert.type === 'pbs_unreachable';
+}
+
+/**
+ * Active alert key of a node state alert. Node names repeat across endpoints (standalone
+ * hosts are often all called "pve"), so the key includes the endpoint.
+ */
+function getNodeStateAlertKey(endpointId, node, rule) {
+    return `node_state_${endpointId}_${node}_${rule}`;
+}
+
+/**
+ * Active alert key of the parent alert an alert depends on, or null when it has none.
+ * The keys are those used for node state alerts and PBS reachability alerts.
+ */
+function getParentKey(alert) {
+    const target = alert.guest;
+    if (!target || isParentAlert(alert)) return null;
+
+    if (GUEST_TYPES.includes(target.type) && target.node && target.endpointId) {
+        return getNodeStateAlertKey(target.endpointId, target.node, 'node_down');
+    }
+    if (target.type === 'pbs' && target.endpointId) {
+        return `pbs_unreachable_${target.endpointId}`;
+    }
+    return null;
+}
+
+/**
+ * Reason shown as suppressedBy on the children of a parent alert.
+ */
+function describeParent(parent) {
+    if (parent.type === 'pbs_unreachable') {
+        return `PBS ${parent.guest?.node || parent.guest?.name} unreachable`;
+    }
+    return `node ${parent.guest?.node || parent.guest?.name} offline`;
+}
+
+/**
+ * Serializable summary of a child alert, kept on the parent as suppressedChildren.
+ */
+function summarizeChild(alert, message) {
+    return {
+        id: String(alert.id),
+        ruleName: String(alert.rule?.name || alert.rule?.id || 'Unknown Rule'),
+        name: String(alert.guest?.name || 'Unknown'),
+        vmid: alert.guest?.vmid ?? null,
+        type: alert.guest?.type || null,
+        node: alert.guest?.node || null,
+        severity: alert.severity || 'warning',
+        message: message ? String(message) : '',
+        suppressedAt: Date.now()
+    };
+}
+
+/**
+ * Suppressed child alerts as text, one line per alert, for notification messages.
+ * @returns {string} - Empty when there are no suppressed alerts.
+ */
+function formatSuppressedAlerts(children) {
+    if (!Array.isArray(children) || children.length === 0) return '';
+
+    const lines = children.slice(0, MAX_LISTED_ALERTS).map(child => {
+        const target = GUEST_TYPES.includes(child.type) ? `${child.name} (${child.type.toUpperCase()} ${child.vmid})` : child.name;
+        return `• ${target}: ${child.message || child.ruleName}`;
+    });
+    if (children.length > MAX_LISTED_ALERTS) {
+        lines.push(`…and ${children.length - MAX_LISTED_ALERTS} more`);
+    }
+    return [`Suppressed alerts (${children.length}):`, ...lines].join('\n');
+}
+
+module.exports = {
+    isParentAlert,
+    getNodeStateAlertKey,
+    getParentKey,
+    describeParent,
+    summarizeChild,
+    formatSuppressedAlerts
+};
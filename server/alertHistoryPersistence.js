@@ -6,8 +6,8 @@ class AlertHistoryPersistence {
     constructor() {
         this.historyFile = path.join(__dirname, '../data/alert-history.json');
         this.fileLock = fileLock;
-        this.maxHistoryDays = 7; // Keep 7 days of history
-        this.maxHistorySize = 5000; // Maximum number of alerts to keep
+        this.maxHistoryDays = parseInt(process.env.ALERT_HISTORY_RETENTION_DAYS) || 35; // Enough for monthly reviews
+        this.maxHistorySize = parseInt(process.env.ALERT_HISTORY_MAX_ENTRIES) || 5000; // Maximum number of alerts to keep
     }
 
     /**
@@ -84,7 +84,7 @@ class AlertHistoryPersistence {
             // Check if alert already exists (update instead of duplicate)
             const existingIndex = history.findIndex(h => h.id === historyEntry.id);
             if (existingIndex >= 0) {
-                history[existingIndex] = historyEntry;
+                history[existingIndex] = this.mergeHistoryEntries(history[existingIndex], historyEntry);
             } else {
                 // Add to beginning
                 history.unshift(historyEntry);
@@ -100,6 +100,21 @@ class AlertHistoryPersistence {
         }
     }
 
+    /**
+     * Merge a newer entry for the same alert into an existing one. Fields the newer
+     * entry does not know about (e.g. acknowledgement info when the alert resolves)
+     * keep their recorded values.
+     */
+    mergeHistoryEntries(existing, entry) {
+        const merged = { ...existing };
+        for (const [key, value] of Object.entries(entry)) {
+            if (value !== null && value !== undefined && value !== false) {
+                merged[key] = value;
+            }
+        }
+        return merged;
+    }
+
     /**
      * Update an alert in history (e.g., when resolved)
      */
@@ -153,7 +168,9 @@ class AlertHistoryPersistence {
             acknowledgedAt: alert.acknowledgedAt || null,
             acknowledgedBy: alert.acknowledgedBy || null,
             duration: alert.duration || (alert.resolvedAt ? alert.resolvedAt - alert.triggeredAt : null),
-            severity: alert.severity || 'warning'
+            severity: alert.severity || 'warning',
+            flapping: alert.flapping || false,
+            suppressedBy: alert.suppressedBy || null
         };
     }
 
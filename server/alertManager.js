@@ -10,6 +10,13 @@ const DebounceHandler = require('./debounceHandler');
 const EmailService = require('./emailService');
 const alertHistory = require('./alertHistoryPersistence');
 const StateMonitor = require('./stateMonitor');
+const { getZfsPoolSeverity, isSmartFailed } = require('./diskHealthUtils');
+const { getHaStateSeverity, getReplicationSeverity } = require('./haUtils');
+const maintenanceWindows = require('./maintenanceWindows');
+const notificationRouting = require('./notificationRouting');
+const escalationPolicies = require('./escalationPolicies');
+const notificationTemplates = require('./notificationTemplates');
+const alertDependencies = require('./alertDependencies');
 
 class AlertManager extends EventEmitter {
     constructor(stateMonitor = null) {
@@ -38,8 +45,37 @@ class AlertManager extends EventEmitter {
             defaultCooldownMinutes: parseInt(process.env.ALERT_EMAIL_COOLDOWN_MINUTES) || 15, // Default 15 minutes
             debounceDelayMinutes: parseInt(process.env.ALERT_EMAIL_DEBOUNCE_MINUTES) || 2, // Wait 2 minutes before first email
             recoveryDelayMinutes: parseInt(process.env.ALERT_RECOVERY_DELAY_MINUTES) || 5, // Delay recovery emails
-            maxEmailsPerHour: parseInt(process.env.ALERT_MAX_EMAILS_PER_HOUR) || 4, // Max 4 emails per hour per alert
-            enableFlappingDetection: process.env.ALERT_FLAPPING_DETECTION !== 'false' // Default enabled
+            maxEmailsPerHour: parseInt(process.env.ALERT_MAX_EMAILS_PER_HOUR) || 4 // Max 4 emails per hour per alert
+        };
+        
+        // Flapping detection defaults, rules can override them with a `flapping` object
+        this.flappingConfig = {
+            enabled: process.env.ALERT_FLAPPING_DETECTION !== 'false', // Default enabled
+            threshold: parseInt(process.env.ALERT_FLAPPING_THRESHOLD) || 6, // Trigger/clear changes that count as flapping
+            windowMinutes: parseInt(process.env.ALERT_FLAPPING_WINDOW_MINUTES) || 30
+        };
+        this.stateChanges = new Map(); // Key: alert key, Value: timestamps of recent trigger/clear changes
+
+        // Time-to-full forecast alerts, the per-guest rule can override the days with `forecastDays`
+        this.forecastConfig = {
+            enabled: process.env.ALERT_FORECAST_ENABLED !== 'false', // Default enabled
+            days: parseFloat(process.env.ALERT_FORECAST_DAYS) || 7, // Warn when full within this many days
+            criticalDays: parseFloat(process.env.ALERT_FORECAST_CRITICAL_DAYS) || 2, // Critical when full within this many days
+            minConfidence: 0.5 // Minimum r² of the growth trend, erratic usage is not forecast
+        };
+
+        // ZFS, SMART and SSD wearout alerts, the per-guest rule can override them with a `storageHealth` object
+        const wearoutThreshold = parseInt(process.env.ALERT_DISK_WEAROUT_THRESHOLD, 10);
+        this.storageHealthConfig = {
+            zfsEnabled: process.env.ALERT_ZFS_ENABLED !== 'false', // Default enabled
+            smartEnabled: process.env.ALERT_SMART_ENABLED !== 'false', // Default enabled
+            wearoutThreshold: Number.isFinite(wearoutThreshold) ? wearoutThreshold : 10 // Remaining SSD life in percent, 0 turns wearout alerts off
+        };
+
+        // Guest alerts are held while their node is down, PBS alerts while the PBS host is unreachable
+        this.dependencyConfig = {
+            enabled: process.env.ALERT_DEPENDENCIES_ENABLED !== 'false', // Default enabled
+            releaseDelayMs: 2 * 60 * 1000 // Children still firing this long after the parent resolved are notified
         };
         
         // Webhook cooldown tracking
@@ -68,7 +104,7 @@ class AlertManager extends EventEmitter {
         
         // Handle webhook batching events
         this.webhookBatcher.on('send', async (alert, webhookUrl) => {
-            await this.sendDirectWebhookNotification(alert);
+            await this.sendDirectWebhookNotification(alert, webhookUrl);
         });
         
         this.webhookBatcher.on('sent', (alertId) => {
@@ -143,6 +179,26 @@ class AlertManager extends EventEmitter {
             });
         }, 300000); // Every 5 minutes
         
+        // Maintenance windows: load schedules and notify alerts that outlast their window
+        maintenanceWindows.init();
+        this.maintenanceInterval = setInterval(() => {
+            this.releaseMaintenanceSuppressedAlerts();
+        }, 60000); // Every minute
+        
+        // Named notification channels and the routes that pick them
+        notificationRouting.init();
+        
+        // User-editable notification title and message templates
+        notificationTemplates.init();
+        
+        // Escalation policies: re-notify unacknowledged alerts on further channels
+        escalationPolicies.init();
+        this.escalationInterval = setInterval(() => {
+            this.processEscalations().catch(error => {
+                console.error('[AlertManager] Error processing escalations:', error);
+            });
+        }, 60000); // Every minute
+        
         // Watch alert rules file for changes
         this.setupAlertRulesWatcher();
     }
@@ -240,6 +296,14 @@ class AlertManager extends EventEmitter {
             color: '#10b981',
             priority: 4
         });
+
+        this.alertGroups.set('infrastructure_alerts', {
+            id: 'infrastructure_alerts',
+            name: 'Infrastructure Alerts',
+            description: 'Cluster, storage backend and hardware health alerts',
+            color: '#ef4444',
+            priority: 1
+        });
     }
 
     // Initialize guest states for transition detection
@@ -372,6 +436,525 @@ class AlertManager extends EventEmitter {
         }
     }
 
+    /**
+     * Keeps condition-based alerts (cluster/infrastructure health rather than guest metrics)
+     * in sync with what the latest discovery found. New conditions trigger an alert, a
+     * severity increase re-triggers it, and conditions that cleared are resolved.
+     * @param {string} type - Alert type, e.g. 'ceph_health'.
+     * @param {Array} conditions - Currently failing conditions:
+     *   { key, severity, metric, currentValue, threshold, message, ruleName, description, target: { name, node, endpointId, vmid, type } }
+     * @param {Function} [isEvaluated] - Called with an existing alert of this type; only alerts it returns true for
+     *   are resolved when their condition is gone (so targets that could not be fetched keep their alerts).
+     */
+    async syncConditionAlerts(type, conditions, isEvaluated = () => true) {
+        const timestamp = Date.now();
+        const severityRank = { info: 0, warning: 1, critical: 2 };
+        const perGuestRule = this.alertRules.get('per-guest-alerts');
+        const notifications = perGuestRule?.notifications || { dashboard: true, email: true, webhook: true };
+        const activeKeys = new Set();
+        const newlyTriggeredAlerts = [];
+
+        for (const condition of conditions) {
+            activeKeys.add(condition.key);
+            const existingAlert = this.activeAlerts.get(condition.key);
+
+            if (existingAlert && existingAlert.state !== 'resolved') {
+                const escalated = (severityRank[condition.severity] || 0) > (severityRank[existingAlert.severity] || 0);
+                existingAlert.currentValue = condition.currentValue;
+                existingAlert.threshold = condition.threshold ?? null;
+                existingAlert.message = condition.message;
+                existingAlert.severity = condition.severity;
+                existingAlert.lastUpdate = timestamp;
+                if (escalated) {
+                    newlyTriggeredAlerts.push(existingAlert);
+                }
+                continue;
+            }
+
+            const alert = {
+                id: `${condition.key}_${timestamp}`,
+                type,
+                rule: {
+                    id: type,
+                    name: condition.ruleName,
+                    description: condition.description || '',
+                    type,
+                    group: 'infrastructure_alerts',
+                    autoResolve: true,
+                    notifications,
+                    emailCooldowns: perGuestRule?.emailCooldowns || {
+                        cooldownMinutes: 15,
+                        debounceMinutes: 2,
+                        maxEmailsPerHour: 4
+                    },
+                    webhookCooldowns: perGuestRule?.webhookCooldowns || {
+                        cooldownMinutes: 5,
+                        debounceMinutes: 1,
+                        maxCallsPerHour: 10
+                    }
+                },
+                guest: condition.target,
+                metric: condition.metric,
+                currentValue: condition.currentValue,
+                threshold: condition.threshold ?? null,
+                message: condition.message,
+                severity: condition.severity,
+                state: 'active',
+                startTime: timestamp,
+                triggeredAt: timestamp,
+                lastUpdate: timestamp,
+                acknowledged: false,
+                emailSent: false,
+                webhookSent: false,
+                notificationChannels: this.determineNotificationChannels(notifications)
+            };
+
+            this.activeAlerts.set(condition.key, alert);
+            newlyTriggeredAlerts.push(alert);
+        }
+
+        for (const [key, alert] of this.activeAlerts) {
+            if (alert.type !== type || alert.state === 'resolved' || activeKeys.has(key) || !isEvaluated(alert)) {
+                continue;
+            }
+            alert.state = 'resolved';
+            alert.resolvedAt = timestamp;
+            await this.resolveAlert(alert);
+        }
+
+        for (const alert of newlyTriggeredAlerts) {
+            await this.triggerAlert(alert);
+        }
+    }
+
+    /**
+     * Raises an alert while a Ceph cluster is not HEALTH_OK (warning for HEALTH_WARN,
+     * critical for HEALTH_ERR) and resolves it once the cluster is healthy again.
+     * @param {Array} cephClusters - Ceph entries from discovery (state.ceph).
+     */
+    async checkCephHealth(cephClusters) {
+        if (process.env.ALERT_CEPH_ENABLED === 'false' || !Array.isArray(cephClusters)) return;
+
+        const evaluatedEndpoints = new Set(cephClusters.map(cluster => cluster.endpointId));
+        const conditions = [];
+
+        cephClusters.forEach(cluster => {
+            const status = cluster.health?.status;
+            if (status !== 'HEALTH_WARN' && status !== 'HEALTH_ERR') return;
+
+            const checks = (cluster.health.checks || []).filter(check => !check.muted);
+            const summary = checks.slice(0, 3).map(check => check.message).join('; ');
+            conditions.push({
+                key: `ceph_${cluster.endpointId}_health`,
+                severity: status === 'HEALTH_ERR' ? 'critical' : 'warning',
+                metric: 'ceph_health',
+                currentValue: status,
+                ruleName: 'Ceph Health',
+                description: 'Ceph cluster health is not HEALTH_OK',
+                message: `Ceph ${cluster.clusterName}: ${status}${summary ? ` - ${summary}` : ''}${checks.length > 3 ? ` (+${checks.length - 3} more)` : ''}`,
+                target: {
+                    name: `Ceph ${cluster.clusterName}`,
+                    vmid: 'ceph',
+                    node: cluster.clusterName,
+                    type: 'ceph',
+                    endpointId: cluster.endpointId
+                }
+            });
+        });
+
+        await this.syncConditionAlerts('ceph_health', conditions, alert => evaluatedEndpoints.has(alert.guest?.endpointId));
+    }
+
+    /**
+     * Raises alerts for node storage hardware: ZFS pools that are not ONLINE, disks whose
+     * SMART status is FAILED and SSDs whose remaining life dropped below the wearout
+     * threshold, see getStorageHealthSettings(). Nodes whose disk data could not be read keep
+     * their existing alerts until it can be read again.
+     * @param {Array} nodes - Nodes from discovery, carrying zfsPools and disks.
+     */
+    async checkDiskHealth(nodes) {
+        if (!Array.isArray(nodes)) return;
+
+        const nodeKey = (endpointId, nodeName) => `${endpointId}-${nodeName}`;
+        const zfsEvaluated = new Set();
+        const disksEvaluated = new Set();
+        const zfsConditions = [];
+        const smartConditions = [];
+        const wearoutConditions = [];
+        const settings = this.getStorageHealthSettings();
+        const lifeThreshold = settings.wearoutThreshold;
+
+        nodes.forEach(node => {
+            const key = nodeKey(node.endpointId, node.node);
+            const nodeLabel = node.displayName || node.node;
+
+            if (Array.isArray(node.zfsPools)) {
+                zfsEvaluated.add(key);
+                node.zfsPools.forEach(pool => {
+                    const severity = getZfsPoolSeverity(pool.health);
+                    if (!severity) return;
+                    zfsConditions.push({
+                        key: `zfs_${key}_${pool.name}`,
+                        severity,
+                        metric: 'zfs_health',
+                        currentValue: pool.health,
+                        ruleName: 'ZFS Pool Health',
+                        description: 'ZFS pool is not ONLINE',
+                        message: `ZFS pool ${pool.name} on ${nodeLabel} is ${pool.health}`,
+                        target: { name: `ZFS ${pool.name}`, vmid: 'zfs', node: node.node, type: 'zfs', endpointId: node.endpointId }
+                    });
+                });
+            }
+
+            if (Array.isArray(node.disks)) {
+                disksEvaluated.add(key);
+                node.disks.forEach(disk => {
+                    const diskName = disk.model ? `${disk.devpath} (${disk.model})` : disk.devpath;
+                    const target = { name: diskName, vmid: 'disk', node: node.node, type: 'disk', endpointId: node.endpointId };
+
+                    if (isSmartFailed(disk)) {
+                        smartConditions.push({
+                            key: `smart_${key}_${disk.devpath}`,
+                            severity: 'critical',
+                            metric: 'smart_health',
+                            currentValue: disk.health,
+                            ruleName: 'Disk SMART Failure',
+                            description: 'Disk SMART self-assessment failed',
+                            message: `Disk ${diskName} on ${nodeLabel} failed its SMART health check${disk.serial ? ` (serial ${disk.serial})` : ''}`,
+                            target
+                        });
+                    }
+
+                    if (lifeThreshold > 0 && disk.lifeRemaining !== null && disk.lifeRemaining < lifeThreshold) {
+                        wearoutConditions.push({
+                            key: `wearout_${key}_${disk.devpath}`,
+                            severity: 'warning',
+                            metric: 'disk_wearout',
+                            currentValue: disk.lifeRemaining,
+                            threshold: lifeThreshold,
+                            ruleName: 'SSD Wearout',
+                            description: `SSD remaining life below ${lifeThreshold}%`,
+                            message: `SSD ${diskName} on ${nodeLabel} has ${disk.lifeRemaining}% life remaining`,
+                            target
+                        });
+                    }
+                });
+            }
+        });
+
+        const wasEvaluated = (evaluated) => (alert) => evaluated.has(nodeKey(alert.guest?.endpointId, alert.guest?.node));
+
+        // A check that was turned off resolves its alerts, as if no condition was found
+        await this.syncConditionAlerts('zfs_pool_health', settings.zfsEnabled ? zfsConditions : [], wasEvaluated(zfsEvaluated));
+        await this.syncConditionAlerts('smart_health', settings.smartEnabled ? smartConditions : [], wasEvaluated(disksEvaluated));
+        await this.syncConditionAlerts('disk_wearout', wearoutConditions, wasEvaluated(disksEvaluated));
+    }
+
+    /**
+     * Raises alerts for HA-managed guests stuck in the error, fence or recovery state and
+     * for replication jobs that keep failing. Guests whose HA or replication status could
+     * not be read keep their existing alerts; alerts of guests that no longer exist resolve.
+     * @param {Array} guests - VMs and containers from discovery, annotated with ha and replication.
+     */
+    async checkHaAndReplication(guests) {
+        if (!Array.isArray(guests)) return;
+
+        const guestKey = (endpointId, vmid) => `${endpointId}-${vmid}`;
+        const guestsByKey = new Map(guests.map(guest => [guestKey(guest.endpointId, guest.vmid), guest]));
+        const haConditions = [];
+        const replicationConditions = [];
+
+        guests.forEach(guest => {
+            const target = {
+                name: guest.name || `${guest.vmid}`,
+                vmid: guest.vmid,
+                node: guest.node,
+                type: guest.type,
+                endpointId: guest.endpointId
+            };
+
+            const haSeverity = getHaStateSeverity(guest.ha);
+            if (haSeverity) {
+                haConditions.push({
+                    key: `ha_${guestKey(guest.endpointId, guest.vmid)}`,
+                    severity: haSeverity,
+                    metric: 'ha_state',
+                    currentValue: guest.ha.state,
+                    ruleName: 'HA Resource State',
+                    description: 'HA-managed guest is in a failure state',
+                    message: `HA resource ${guest.ha.sid} (${target.name}) is in state ${guest.ha.state}${guest.ha.node ? ` on ${guest.ha.node}` : ''}`,
+                    target
+                });
+            }
+
+            (guest.replication || []).forEach(job => {
+                const severity = getReplicationSeverity(job);
+                if (!severity) return;
+                replicationConditions.push({
+                    key: `replication_${guest.endpointId}_${job.id}`,
+                    severity,
+                    metric: 'replication_failures',
+                    currentValue: job.failCount,
+                    ruleName: 'Replication Failure',
+                    description: 'Storage replication job is failing',
+                    message: `Replication job ${job.id} of ${target.name} to ${job.target} failed ${job.failCount} time${job.failCount === 1 ? '' : 's'}${job.error ? `: ${job.error}` : ''}`,
+                    target
+                });
+            });
+        });
+
+        // A missing guest only counts as evaluated when its endpoint still reported guests (i.e. it was deleted)
+        const reportedEndpoints = new Set(guests.map(guest => guest.endpointId));
+        const wasEvaluated = (field) => (alert) => {
+            const guest = guestsByKey.get(guestKey(alert.guest?.endpointId, alert.guest?.vmid));
+            if (!guest) return reportedEndpoints.has(alert.guest?.endpointId);
+            return guest[field] !== null && guest[field] !== undefined;
+        };
+
+        if (process.env.ALERT_HA_ENABLED !== 'false') {
+            await this.syncConditionAlerts('ha_state', haConditions, wasEvaluated('ha'));
+        }
+        if (process.env.ALERT_REPLICATION_ENABLED !== 'false') {
+            await this.syncConditionAlerts('replication_failed', replicationConditions, wasEvaluated('replication'));
+        }
+    }
+
+    /**
+     * Storage health alert settings, with the per-guest rule's storageHealth object
+     * { zfsEnabled, smartEnabled, wearoutThreshold } overriding the defaults.
+     */
+    getStorageHealthSettings() {
+        const perGuestRule = this.alertRules.get('per-guest-alerts');
+        const overrides = perGuestRule?.storageHealth || {};
+        const settings = { ...this.storageHealthConfig };
+        Object.keys(settings).forEach(key => {
+            if (overrides[key] !== undefined && overrides[key] !== null) {
+                settings[key] = overrides[key];
+            }
+        });
+        return settings;
+    }
+
+    /**
+     * Forecast alert thresholds, with the per-guest rule's forecastDays overriding the
+     * default warning horizon (0 turns forecast alerts off).
+     */
+    getForecastSettings() {
+        const perGuestRule = this.alertRules.get('per-guest-alerts');
+        const override = perGuestRule?.forecastDays;
+        const days = override !== undefined && override !== null ? override : this.forecastConfig.days;
+        return {
+            ...this.forecastConfig,
+            enabled: this.forecastConfig.enabled && days > 0,
+            days,
+            criticalDays: Math.min(this.forecastConfig.criticalDays, days)
+        };
+    }
+
+    /**
+     * Raises an alert for every storage and guest disk whose usage trend says it will be full
+     * within the forecast horizon (critical within the critical horizon). An active alert only
+     * resolves once the estimate moves 25% past the horizon, so a wobbling trend does not flap.
+     * Shared storage is reported once rather than by every node that mounts it.
+     * @param {Object} forecasts - Forecasts from storageForecast.refresh().
+     */
+    async checkStorageForecasts(forecasts) {
+        if (!forecasts || !forecasts.generatedAt) return;
+
+        const settings = this.getForecastSettings();
+        const storageConditions = [];
+        const guestConditions = [];
+
+        const isDue = (key, forecast) => {
+            if (forecast.daysUntilFull === null || forecast.confidence < settings.minConfidence) return false;
+            const existing = this.activeAlerts.get(key);
+            const horizon = existing && existing.state !== 'resolved' ? settings.days * 1.25 : settings.days;
+            return forecast.daysUntilFull <= horizon;
+        };
+        const describe = (forecast) => {
+            const growth = `${(forecast.growthPerDay / 1024 / 1024 / 1024).toFixed(1)} GB/day`;
+            return `will be full in ${forecast.daysUntilFull} day${forecast.daysUntilFull === 1 ? '' : 's'} at the current growth of ${growth}`;
+        };
+        const severityOf = (forecast) => forecast.daysUntilFull <= settings.criticalDays ? 'critical' : 'warning';
+
+        if (settings.enabled) {
+            const seenShared = new Set();
+            Object.entries(forecasts.storage || {}).forEach(([storageId, forecast]) => {
+                if (forecast.shared) {
+                    if (seenShared.has(forecast.storage)) return;
+                    seenShared.add(forecast.storage);
+                }
+                const key = forecast.shared ? `forecast_storage_shared_${forecast.storage}` : `forecast_storage_${storageId}`;
+                if (!isDue(key, forecast)) return;
+
+                const location = forecast.shared ? 'shared storage' : `storage on ${forecast.node}`;
+                storageConditions.push({
+                    key,
+                    severity: severityOf(forecast),
+                    metric: 'days_until_full',
+                    currentValue: forecast.daysUntilFull,
+                    threshold: settings.days,
+                    ruleName: 'Storage Full Forecast',
+                    description: `Storage is forecast to be full within ${settings.days} days`,
+                    message: `${forecast.storage} (${location}) ${describe(forecast)}`,
+                    target: {
+                        name: `Storage ${forecast.storage}`,
+                        vmid: 'storage',
+                        node: forecast.node,
+                        type: 'storage',
+                        endpointId: forecast.endpointId
+                    }
+                });
+            });
+
+            Object.entries(forecasts.guests || {}).forEach(([guestId, forecast]) => {
+                const key = `forecast_disk_${guestId}`;
+                if (!isDue(key, forecast)) return;
+
+                const name = forecast.name || `${forecast.vmid}`;
+                guestConditions.push({
+                    key,
+                    severity: severityOf(forecast),
+                    metric: 'days_until_full',
+                    currentValue: forecast.daysUntilFull,
+                    threshold: settings.days,
+                    ruleName: 'Guest Disk Full Forecast',
+                    description: `Guest disk is forecast to be full within ${settings.days} days`,
+                    message: `Disk of ${name} ${describe(forecast)}`,
+                    target: {
+                        name,
+                        vmid: forecast.vmid,
+                        node: forecast.node,
+                        type: forecast.type,
+                        endpointId: forecast.endpointId
+                    }
+                });
+            });
+        }
+
+        await this.syncConditionAlerts('storage_forecast', storageConditions);
+        await this.syncConditionAlerts('disk_forecast', guestConditions);
+    }
+
+    /**
+     * Raises a critical alert while a PBS instance cannot be reached, or a push mode instance
+     * has stopped pushing. Alerts of that instance's datastores and jobs depend on it and are
+     * held back until it is reachable again.
+     * @param {Array} pbsInstances - PBS instances from discovery (state.pbs).
+     */
+    async checkPbsReachability(pbsInstances) {
+        if (process.env.ALERT_PBS_UNREACHABLE_ENABLED === 'false' || !Array.isArray(pbsInstances)) return;
+
+        const conditions = pbsInstances
+            .filter(instance => instance.status === 'offline' || (instance.pushMode && instance.online === false))
+            .map(instance => {
+                const endpointId = instance.pbsEndpointId || instance.id;
+                const name = instance.pbsInstanceName || instance.name || endpointId;
+                return {
+                    key: `pbs_unreachable_${endpointId}`,
+                    severity: 'critical',
+                    metric: 'pbs_status',
+                    currentValue: 'unreachable',
+                    ruleName: 'PBS Unreachable',
+                    description: 'Proxmox Backup Server cannot be reached',
+                    message: `PBS ${name} is unreachable${instance.error ? ` (${instance.error})` : ''}`,
+                    target: {
+                        name,
+                        vmid: 'pbs',
+                        node: name,
+                        type: 'pbs',
+                        endpointId
+                    }
+                };
+            });
+
+        const evaluated = new Set(pbsInstances.map(instance => instance.pbsEndpointId || instance.id));
+        await this.syncConditionAlerts('pbs_unreachable', conditions, alert => evaluated.has(alert.guest?.endpointId));
+    }
+
+    /**
+     * Raises an alert for every PBS sync, prune or garbage collection job whose last run
+     * failed. Sync failures are critical since they usually mean off-site copies are going
+     * stale; prune and GC failures are warnings. Instances that could not be queried keep
+     * their existing alerts.
+     * @param {Array} pbsInstances - PBS instances from discovery (state.pbs).
+     */
+    async checkPbsJobs(pbsInstances) {
+        if (process.env.ALERT_PBS_JOBS_ENABLED === 'false' || !Array.isArray(pbsInstances)) return;
+
+        const jobLabels = { sync: 'Sync job', prune: 'Prune job', gc: 'Garbage collection' };
+        const evaluated = new Set();
+        const conditions = [];
+
+        pbsInstances.forEach(instance => {
+            const monitoring = instance.jobMonitoring;
+            if (instance.status !== 'ok' || !monitoring) return;
+
+            ['syncJobs', 'pruneJobs', 'gcJobs'].forEach(listName => {
+                const jobs = monitoring[listName];
+                if (!Array.isArray(jobs)) return;
+                const kind = listName.replace('Jobs', '');
+                evaluated.add(`${instance.pbsEndpointId}-${kind}`);
+
+                jobs.filter(job => job.status === 'failed').forEach(job => {
+                    const label = kind === 'gc' ? `${jobLabels.gc} on ${job.store}` : `${jobLabels[kind]} ${job.id}`;
+                    conditions.push({
+                        key: `pbsjob_${instance.pbsEndpointId}_${kind}_${job.id}`,
+                        severity: kind === 'sync' ? 'critical' : 'warning',
+                        metric: `pbs_${kind}_job`,
+                        currentValue: job.lastRunState,
+                        ruleName: `PBS ${jobLabels[kind]} Failure`,
+                        description: `PBS ${jobLabels[kind].toLowerCase()} failed`,
+                        message: `${label} on ${instance.pbsInstanceName} failed${job.failureCategory ? ` (${job.failureCategory})` : ''}: ${job.lastRunState}`,
+                        target: {
+                            name: label,
+                            vmid: kind,
+                            node: instance.pbsInstanceName,
+                            type: 'pbs',
+                            endpointId: instance.pbsEndpointId
+                        }
+                    });
+                });
+            });
+        });
+
+        await this.syncConditionAlerts('pbs_job_failed', conditions,
+            alert => evaluated.has(`${alert.guest?.endpointId}-${alert.guest?.vmid}`));
+    }
+
+    /**
+     * Raises a warning for every guest that violates one of its backup policies. Reports
+     * evaluated while a PBS instance is unreachable are incomplete and leave alerts as they are.
+     * @param {Object} report - Compliance report from backupPolicies.evaluateCompliance().
+     */
+    async checkBackupCompliance(report) {
+        if (process.env.ALERT_BACKUP_POLICY_ENABLED === 'false' || !report || !report.complete) return;
+
+        const conditions = report.guests.filter(guest => guest.status === 'violating').map(guest => {
+            const failing = guest.policies.filter(policy => !policy.compliant);
+            const violations = failing.flatMap(policy => policy.violations.map(violation => violation.message));
+            const name = guest.name || `${guest.vmid}`;
+            return {
+                key: `backup_policy_${guest.endpointId}_${guest.vmid}`,
+                severity: 'warning',
+                metric: 'backup_policy',
+                currentValue: violations.length,
+                ruleName: 'Backup Policy Violation',
+                description: 'Guest does not meet its backup policy',
+                message: `${name} violates backup polic${failing.length === 1 ? 'y' : 'ies'} ${failing.map(policy => `"${policy.name}"`).join(', ')}: ${violations.join('; ')}`,
+                target: {
+                    name,
+                    vmid: guest.vmid,
+                    node: guest.node,
+                    type: guest.type,
+                    endpointId: guest.endpointId
+                }
+            };
+        });
+
+        await this.syncConditionAlerts('backup_policy_violation', conditions, () => true);
+    }
+
     async checkMetrics(guests, metrics) {
         
         // Check if alerts are globally disabled
@@ -598,6 +1181,7 @@ class AlertManager extends EventEmitter {
                         // Trigger alert
                         existingAlert.state = 'active';
                         existingAlert.triggeredAt = timestamp;
+                        this.noteConditionTriggered(existingAlert, alertKey, rule, timestamp);
                         this.triggerAlert(existingAlert).catch(error => {
                             console.error(`[AlertManager] Error triggering alert ${existingAlert.id}:`, error);
                         });
@@ -605,20 +1189,43 @@ class AlertManager extends EventEmitter {
                     }
                     existingAlert.lastUpdate = timestamp;
                     existingAlert.currentValue = currentValue;
-                } else if (existingAlert.state === 'active' && !existingAlert.acknowledged) {
-                    existingAlert.lastUpdate = timestamp;
-                    existingAlert.currentValue = currentValue;
+                } else if (existingAlert.state === 'active') {
+                    this.noteConditionTriggered(existingAlert, alertKey, rule, timestamp);
+                    this.settleFlappingAlert(existingAlert, alertKey, rule, timestamp).catch(error => {
+                        console.error(`[AlertManager] Error notifying alert ${existingAlert.id}:`, error);
+                    });
+                    if (!existingAlert.acknowledged) {
+                        existingAlert.lastUpdate = timestamp;
+                        existingAlert.currentValue = currentValue;
+                    }
                 }
             } else {
                 if (existingAlert && (existingAlert.state === 'active' || existingAlert.state === 'pending')) {
-                    // Resolve alert regardless of acknowledgment status when condition clears
-                    existingAlert.state = 'resolved';
-                    existingAlert.resolvedAt = timestamp;
-                    existingAlert.resolveReason = 'Condition cleared';
-                    if (existingAlert.rule.autoResolve) {
-                        this.resolveAlert(existingAlert).catch(error => {
-                            console.error('[AlertManager] Error resolving alert:', error);
-                        });
+                    let shouldResolve = true;
+                    if (existingAlert.state === 'active') {
+                        // Hysteresis: with a clearThreshold the alert only clears once the value moves past it
+                        const isCleared = typeof rule.clearThreshold !== 'number' || typeof currentValue !== 'number' ||
+                            this.isConditionCleared(currentValue, rule.condition, rule.clearThreshold);
+                        if (isCleared) {
+                            shouldResolve = this.noteConditionCleared(existingAlert, alertKey, rule, timestamp);
+                        } else {
+                            delete existingAlert.clearingSince;
+                            shouldResolve = false;
+                        }
+                        existingAlert.lastUpdate = timestamp;
+                        existingAlert.currentValue = currentValue;
+                    }
+                    
+                    if (shouldResolve) {
+                        // Resolve alert regardless of acknowledgment status when condition clears
+                        existingAlert.state = 'resolved';
+                        existingAlert.resolvedAt = timestamp;
+                        existingAlert.resolveReason = 'Condition cleared';
+                        if (existingAlert.rule.autoResolve) {
+                            this.resolveAlert(existingAlert).catch(error => {
+                                console.error('[AlertManager] Error resolving alert:', error);
+                            });
+                        }
                     }
                 }
             }
@@ -727,27 +1334,384 @@ class AlertManager extends EventEmitter {
                 
                 this.saveActiveAlerts();
                 
+                this.sendIncidentEvents(alert, 'acknowledge').catch(error => {
+                    console.error('[AlertManager] Error acknowledging incidents:', error);
+                });
+                
                 return true;
             }
         }
-        return false;
+        return false;
+    }
+
+    suppressAlert(ruleId, guestFilter = {}, duration = 3600000, reason = '') {
+        const suppressKey = this.generateSuppressionKey(ruleId, guestFilter);
+        const expiresAt = Date.now() + duration;
+        
+        this.suppressedAlerts.set(suppressKey, {
+            ruleId,
+            guestFilter,
+            reason,
+            suppressedAt: Date.now(),
+            expiresAt,
+            suppressedBy: 'user'
+        });
+        
+        this.emit('alertSuppressed', { ruleId, guestFilter, duration, reason });
+        return true;
+    }
+
+    /**
+     * Marks an alert as suppressed when it falls into an open maintenance window.
+     * Suppressed alerts are kept and recorded in history but not announced or notified.
+     * @returns {boolean} - True when the alert is suppressed.
+     */
+    applyMaintenanceWindow(alert) {
+        let window = null;
+        try {
+            window = maintenanceWindows.findWindowForAlert(alert);
+        } catch (error) {
+            console.error('[AlertManager] Error checking maintenance windows:', error);
+        }
+        if (!window) return false;
+
+        alert.maintenanceWindow = window;
+        alert.suppressedBy = `maintenance window "${window.name}"`;
+        return true;
+    }
+
+    /**
+     * Sends the notifications held back for alerts whose maintenance window has closed
+     * while the alert is still firing.
+     */
+    async releaseMaintenanceSuppressedAlerts() {
+        for (const alert of this.activeAlerts.values()) {
+            if (!alert.maintenanceWindow || alert.state === 'resolved') continue;
+            if (this.applyMaintenanceWindow(alert)) continue;
+
+            console.log(`[AlertManager] Maintenance window "${alert.maintenanceWindow.name}" ended, notifying alert ${alert.id}`);
+            delete alert.maintenanceWindow;
+            delete alert.suppressedBy;
+            await this.sendHeldNotifications(alert);
+        }
+    }
+
+    /**
+     * Sends the notifications held back for an alert once nothing holds it back anymore.
+     * The alert was recorded in history when it triggered, so only the notifications are sent.
+     */
+    async sendHeldNotifications(alert) {
+        if (!alert.notificationsHeld || alert.state === 'resolved' || alert.flapping) return;
+
+        if (this.applyMaintenanceWindow(alert) || this.applyDependency(alert)) {
+            alertHistory.updateInHistory(alert.id, { suppressedBy: alert.suppressedBy }).catch(error => {
+                console.error('[AlertManager] Failed to record suppression in history:', error);
+            });
+            return;
+        }
+
+        delete alert.notificationsHeld;
+        this.rollUpDependentAlerts(alert);
+        this.queueNotifications(alert, this.formatAlertForAPI(alert));
+    }
+
+    /**
+     * Holds back an alert while the alert it depends on (its node being down, its PBS host
+     * being unreachable) is active. The alert is added to the parent's suppressedChildren,
+     * which are listed in the parent notification instead of being notified one by one.
+     * @returns {boolean} - True when the alert is suppressed by a parent alert.
+     */
+    applyDependency(alert) {
+        if (!this.dependencyConfig.enabled) return false;
+
+        const parentKey = alertDependencies.getParentKey(alert);
+        const parent = parentKey ? this.activeAlerts.get(parentKey) : null;
+        if (!parent || parent.state !== 'active') return false;
+
+        alert.parentAlertId = parent.id;
+        alert.suppressedBy = alertDependencies.describeParent(parent);
+
+        parent.suppressedChildren = parent.suppressedChildren || [];
+        if (!parent.suppressedChildren.some(child => child.id === String(alert.id))) {
+            parent.suppressedChildren.push(alertDependencies.summarizeChild(alert, alert.message || this.generateAlertMessage(alert)));
+        }
+        return true;
+    }
+
+    /**
+     * Rolls the active alerts that depend on a parent alert into it, so they are held back
+     * and listed in its notification.
+     */
+    rollUpDependentAlerts(parent) {
+        if (!this.dependencyConfig.enabled || !alertDependencies.isParentAlert(parent)) return;
+
+        for (const alert of this.activeAlerts.values()) {
+            if (alert === parent || alert.state !== 'active' || alert.maintenanceWindow || alert.parentAlertId === parent.id) continue;
+            if (!this.applyDependency(alert)) continue;
+
+            alertHistory.updateInHistory(alert.id, { suppressedBy: alert.suppressedBy }).catch(error => {
+                console.error('[AlertManager] Failed to record suppression in history:', error);
+            });
+        }
+    }
+
+    /**
+     * Releases the alerts held back by a resolved parent alert. Alerts that are still
+     * active are notified, unless another parent alert holds them back by then.
+     */
+    async releaseDependentAlerts(parentId) {
+        for (const alert of this.activeAlerts.values()) {
+            if (alert.parentAlertId !== parentId || alert.state !== 'active') continue;
+
+            console.log(`[AlertManager] Parent alert ${parentId} resolved, notifying dependent alert ${alert.id}`);
+            delete alert.parentAlertId;
+            delete alert.suppressedBy;
+            await this.sendHeldNotifications(alert);
+        }
+    }
+
+    /**
+     * Flapping detection settings of a rule, falling back to the ALERT_FLAPPING_* defaults.
+     * @param {Object} rule - Rule with an optional flapping object { enabled, threshold, windowMinutes }.
+     */
+    getFlappingSettings(rule) {
+        const settings = { ...this.flappingConfig, ...(rule?.flapping || {}) };
+        return {
+            enabled: settings.enabled !== false,
+            threshold: Math.max(2, parseInt(settings.threshold) || this.flappingConfig.threshold),
+            windowMs: (parseFloat(settings.windowMinutes) || this.flappingConfig.windowMinutes) * 60 * 1000
+        };
+    }
+
+    /**
+     * Whether the condition behind an alert key changed state at least the flapping threshold
+     * number of times within the flapping window, optionally recording a new change first.
+     */
+    checkFlapping(alertKey, rule, timestamp, recordChange = false) {
+        const flapping = this.getFlappingSettings(rule);
+        const changes = (this.stateChanges.get(alertKey) || []).filter(time => timestamp - time < flapping.windowMs);
+        if (recordChange) {
+            changes.push(timestamp);
+        }
+
+        if (changes.length > 0) {
+            this.stateChanges.set(alertKey, changes);
+        } else {
+            this.stateChanges.delete(alertKey);
+        }
+        return flapping.enabled && changes.length >= flapping.threshold;
+    }
+
+    /**
+     * Notes that the condition of an active alert is met, on activation or on a later evaluation.
+     * A return from the cleared state counts as a state change; once the condition changes
+     * state often enough the alert is flagged as flapping and its notifications are held back.
+     */
+    noteConditionTriggered(alert, alertKey, rule, timestamp) {
+        delete alert.clearingSince;
+        if (alert.conditionMet) return;
+
+        alert.conditionMet = true;
+        if (this.checkFlapping(alertKey, rule, timestamp, true) && !alert.flapping) {
+            alert.flapping = true;
+            alert.flappingSince = timestamp;
+            console.log(`[AlertManager] Alert ${alert.id} is flapping, holding back notifications`);
+            // Recorded for alert analytics, the flag itself is cleared once the alert settles
+            alertHistory.updateInHistory(alert.id, { flapping: true }).catch(error => {
+                console.error('[AlertManager] Failed to record flapping in history:', error);
+            });
+        }
+    }
+
+    /**
+     * Notes that the condition of an active alert is cleared, i.e. past its clear threshold.
+     * @returns {boolean} - True once the condition has stayed clear for the rule's clearDuration
+     *   and is no longer flapping, meaning the alert should be resolved.
+     */
+    noteConditionCleared(alert, alertKey, rule, timestamp) {
+        if (alert.conditionMet !== false) {
+            alert.conditionMet = false;
+            this.checkFlapping(alertKey, rule, timestamp, true);
+        }
+        if (!alert.clearingSince) {
+            alert.clearingSince = timestamp;
+        }
+
+        if (timestamp - alert.clearingSince < (rule?.clearDuration || 0)) return false;
+        return !this.checkFlapping(alertKey, rule, timestamp);
+    }
+
+    /**
+     * Clears the flapping flag of an alert whose condition has settled in the triggered
+     * state, sending the notifications held back while it was flapping. An alert that was
+     * already notified before it started flapping is not notified again.
+     */
+    async settleFlappingAlert(alert, alertKey, rule, timestamp) {
+        if (!alert.flapping || alert.clearingSince || this.checkFlapping(alertKey, rule, timestamp)) return;
+
+        console.log(`[AlertManager] Alert ${alert.id} stopped flapping${alert.notificationsHeld ? ', notifying' : ''}`);
+        delete alert.flapping;
+        delete alert.flappingSince;
+        await this.sendHeldNotifications(alert);
+    }
+
+    /**
+     * Whether a value has moved past a clear threshold, in the opposite direction of the
+     * trigger condition. Conditions without a direction clear as soon as they are no longer met.
+     */
+    isConditionCleared(value, condition, clearThreshold) {
+        switch (condition) {
+            case 'greater_than':
+            case 'greater_than_or_equal':
+                return value < clearThreshold;
+            case 'less_than':
+            case 'less_than_or_equal':
+                return value > clearThreshold;
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Runs due escalation steps for active, unacknowledged alerts.
+     */
+    async processEscalations(now = Date.now()) {
+        for (const alert of this.activeAlerts.values()) {
+            if (alert.state !== 'active' || alert.acknowledged || alert.maintenanceWindow || alert.flapping || alert.parentAlertId) continue;
+
+            let due = null;
+            try {
+                due = escalationPolicies.getDueStep(alert, now);
+            } catch (error) {
+                console.error(`[AlertManager] Error checking escalation for alert ${alert.id}:`, error);
+            }
+            if (due) {
+                await this.sendEscalation(alert, due, now);
+            }
+        }
+    }
+
+    /**
+     * Notifies the channels of an escalation step and records the escalation on the alert
+     * once at least one channel was notified.
+     * @param {Object} alert - Active alert.
+     * @param {Object} due - { policy, stepIndex, step, repeat } from escalationPolicies.getDueStep.
+     */
+    async sendEscalation(alert, { policy, stepIndex, step, repeat }, now = Date.now()) {
+        const level = stepIndex + 1;
+        const escalatedAlert = {
+            ...alert,
+            priority: 'critical',
+            escalationLevel: level,
+            escalationPolicy: policy.name
+        };
+
+        const channels = step.channels
+            .map(id => notificationRouting.getChannel(id))
+            .filter(channel => channel && channel.enabled);
+        let delivered = 0;
+        for (const channel of channels) {
+            try {
+                if (channel.type === 'email') {
+                    await this.sendDirectEmailNotification(escalatedAlert, channel.recipients);
+                } else {
+                    await this.sendDirectWebhookNotification(escalatedAlert, channel.url);
+                }
+                delivered++;
+            } catch (error) {
+                console.error(`[AlertManager] Failed to escalate alert ${alert.id} to channel "${channel.name}":`, error.message);
+                this.emit('notificationError', { type: channel.type, alert, error });
+            }
+        }
+
+        // Nothing got through: keep the escalation state so the step is retried on the next run.
+        // A step without any enabled channel has nothing to retry and is passed over.
+        if (delivered === 0 && channels.length > 0) {
+            console.warn(`[AlertManager] Escalation of alert ${alert.id} to level ${level} of "${policy.name}" failed on all ${channels.length} channels, retrying`);
+            return;
+        }
+
+        alert.escalated = true;
+        alert.escalation = {
+            policyId: policy.id,
+            policyName: policy.name,
+            level,
+            lastNotifiedAt: now,
+            notifications: (alert.escalation?.notifications || 0) + 1
+        };
+        console.log(`[AlertManager] Escalated alert ${alert.id} to level ${level} of "${policy.name}"${repeat ? ' (repeat)' : ''} - ${delivered}/${channels.length} channels notified`);
+
+        await this.saveActiveAlerts();
+    }
+
+    /**
+     * Propagates an acknowledgement or resolution to the incident services (PagerDuty,
+     * Opsgenie) the alert was sent to, including escalation channels.
+     * @param {Object} alert - Alert whose id keys the incidents.
+     * @param {string} action - 'acknowledge' or 'resolve'.
+     */
+    async sendIncidentEvents(alert, action) {
+        if (!alert.webhookSent && !alert.escalated) return;
+
+        const NotificationService = require('./notificationServices');
+        const notificationService = new NotificationService();
+
+        const urls = this.getWebhookTargets(alert);
+        const policy = alert.escalation ? escalationPolicies.getPolicy(alert.escalation.policyId) : null;
+        if (policy) {
+            policy.steps.slice(0, alert.escalation.level)
+                .flatMap(step => step.channels)
+                .map(id => notificationRouting.getChannel(id))
+                .filter(channel => channel && channel.type === 'webhook')
+                .forEach(channel => urls.push(channel.url));
+        }
+
+        for (const url of new Set(urls)) {
+            if (!notificationService.supportsIncidents(url)) continue;
+            try {
+                await notificationService.sendIncidentEvent(url, alert, action);
+                console.log(`[AlertManager] Sent ${action} for alert ${alert.id} to ${notificationService.detectService(url)}`);
+            } catch (error) {
+                console.error(`[AlertManager] Failed to send ${action} for alert ${alert.id}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Routing decision for an alert, or null when the default channels apply.
+     */
+    getNotificationRoute(alert) {
+        try {
+            return notificationRouting.resolveChannels(alert);
+        } catch (error) {
+            console.error('[AlertManager] Error resolving notification routes:', error);
+            return null;
+        }
     }
 
-    suppressAlert(ruleId, guestFilter = {}, duration = 3600000, reason = '') {
-        const suppressKey = this.generateSuppressionKey(ruleId, guestFilter);
-        const expiresAt = Date.now() + duration;
-        
-        this.suppressedAlerts.set(suppressKey, {
-            ruleId,
-            guestFilter,
-            reason,
-            suppressedAt: Date.now(),
-            expiresAt,
-            suppressedBy: 'user'
-        });
-        
-        this.emit('alertSuppressed', { ruleId, guestFilter, duration, reason });
-        return true;
+    /**
+     * Webhook URLs an alert should be sent to: the routed channels, otherwise WEBHOOK_URL.
+     * @returns {Array<string>}
+     */
+    getWebhookTargets(alert) {
+        const route = this.getNotificationRoute(alert);
+        if (route) {
+            return [...new Set(route.webhooks.map(channel => channel.url))];
+        }
+        return process.env.WEBHOOK_URL ? [process.env.WEBHOOK_URL] : [];
+    }
+
+    /**
+     * Email recipients for an alert: the routed channels, otherwise the configured recipients.
+     * @returns {Array<string>}
+     */
+    getEmailRecipients(alert) {
+        const route = this.getNotificationRoute(alert);
+        if (route) {
+            return [...new Set(route.emails.flatMap(channel => channel.recipients))];
+        }
+        const toEmail = this.emailConfig?.to || process.env.ALERT_TO_EMAIL;
+        return toEmail ? toEmail.split(',').map(email => email.trim()).filter(Boolean) : [];
     }
 
     generateSuppressionKey(ruleId, guestFilter) {
@@ -823,6 +1787,11 @@ class AlertManager extends EventEmitter {
             return;
         }
         
+        if (alert.maintenanceWindow || alert.parentAlertId) {
+            console.log(`[AlertManager] Notifications for alert ${alert.id} held back by ${alert.suppressedBy}`);
+            return;
+        }
+        
         let sendEmail, sendWebhook;
         
         // For emails - check if email transporter exists and if rule has email enabled
@@ -834,7 +1803,8 @@ class AlertManager extends EventEmitter {
                 ruleEmailEnabled = alert.rule.sendEmail;
             }
         }
-        sendEmail = ruleEmailEnabled && !!this.emailTransporter;
+        const emailRecipients = this.getEmailRecipients(alert);
+        sendEmail = ruleEmailEnabled && !!this.emailTransporter && emailRecipients.length > 0;
         
         // For webhooks - check if webhook URL exists and if rule has webhooks enabled
         let ruleWebhookEnabled = false; // Default to false for webhooks
@@ -845,8 +1815,9 @@ class AlertManager extends EventEmitter {
                 ruleWebhookEnabled = alert.rule.sendWebhook;
             }
         }
-        sendWebhook = ruleWebhookEnabled && !!process.env.WEBHOOK_URL;
-        console.log(`[AlertManager] Webhook check - ruleEnabled: ${ruleWebhookEnabled}, hasURL: ${!!process.env.WEBHOOK_URL}, sendWebhook: ${sendWebhook}`);
+        const webhookTargets = this.getWebhookTargets(alert);
+        sendWebhook = ruleWebhookEnabled && webhookTargets.length > 0;
+        console.log(`[AlertManager] Webhook check - ruleEnabled: ${ruleWebhookEnabled}, targets: ${webhookTargets.length}, sendWebhook: ${sendWebhook}`);
         
         // Initialize notification status tracking for this alert
         const alertId = alert.id;
@@ -1028,8 +1999,9 @@ class AlertManager extends EventEmitter {
                     console.log(`[AlertManager] Queueing webhook notification for alert ${alert.id}`);
                     try {
                         // Use webhook batcher for intelligent batching
-                        const webhookUrl = process.env.WEBHOOK_URL;
-                        await this.webhookBatcher.queueAlert(alert, webhookUrl);
+                        for (const webhookUrl of webhookTargets) {
+                            await this.webhookBatcher.queueAlert(alert, webhookUrl);
+                        }
                         
                         // Note: The actual sending and status update is handled by the batcher
                         
@@ -1199,7 +2171,26 @@ class AlertManager extends EventEmitter {
                 state: String(alert.state || 'active'),
                 startTime: Number(alert.startTime || alert.triggeredAt || Date.now()),
                 pendingDuration: alert.rule?.duration || 0,
-                ioSustainedPeriod: alert.rule?.ioSustainedPeriod || 30000
+                ioSustainedPeriod: alert.rule?.ioSustainedPeriod || 30000,
+                maintenanceWindow: alert.maintenanceWindow ? {
+                    id: String(alert.maintenanceWindow.id),
+                    name: String(alert.maintenanceWindow.name),
+                    endsAt: Number(alert.maintenanceWindow.endsAt)
+                } : null,
+                suppressedBy: alert.suppressedBy ? String(alert.suppressedBy) : null,
+                parentAlertId: alert.parentAlertId ? String(alert.parentAlertId) : null,
+                suppressedChildren: Array.isArray(alert.suppressedChildren) ? alert.suppressedChildren.map(child => ({ ...child })) : [],
+                flapping: Boolean(alert.flapping),
+                flappingSince: alert.flappingSince ? Number(alert.flappingSince) : null,
+                clearingSince: alert.clearingSince ? Number(alert.clearingSince) : null,
+                escalated: Boolean(alert.escalated),
+                escalation: alert.escalation ? {
+                    policyId: String(alert.escalation.policyId),
+                    policyName: String(alert.escalation.policyName),
+                    level: Number(alert.escalation.level),
+                    lastNotifiedAt: Number(alert.escalation.lastNotifiedAt),
+                    notifications: Number(alert.escalation.notifications)
+                } : null
             };
             
             // Handle node alerts differently - they don't have guest property
@@ -1304,13 +2295,13 @@ class AlertManager extends EventEmitter {
         
         // Check rule notifications settings
         if (alert.rule?.notifications) {
-            // Check email - enabled if email is true AND email transporter is configured
-            if (alert.rule.notifications.email && this.emailTransporter) {
+            // Check email - enabled if email is true AND email transporter and recipients are configured
+            if (alert.rule.notifications.email && this.emailTransporter && this.getEmailRecipients(alert).length > 0) {
                 channels.push('email');
             }
             
-            // Check webhook - enabled if webhook is true AND webhook URL is configured
-            if (alert.rule.notifications.webhook && process.env.WEBHOOK_URL) {
+            // Check webhook - enabled if webhook is true AND a webhook URL is configured or routed
+            if (alert.rule.notifications.webhook && this.getWebhookTargets(alert).length > 0) {
                 channels.push('webhook');
             }
         }
@@ -1656,43 +2647,28 @@ class AlertManager extends EventEmitter {
 
     async triggerAlert(alert) {
         try {
+            const suppressed = this.applyMaintenanceWindow(alert) || this.applyDependency(alert);
+            this.rollUpDependentAlerts(alert);
             const alertInfo = this.formatAlertForAPI(alert);
             
             // Add to history
             this.addToHistory(alertInfo);
             
-            // For node alerts, ensure guest property is set
-            if (alert.type === 'node_threshold' && !alert.guest) {
-                alert.guest = {
-                    name: alert.nodeName || alert.nodeId || 'Unknown Node',
-                    vmid: 'node',
-                    node: alert.nodeId || 'unknown',
-                    type: 'node',
-                    endpointId: alert.nodeId || 'unknown'
-                };
+            if (suppressed) {
+                alert.notificationsHeld = true;
+                this.saveActiveAlerts();
+                console.log(`[ALERT SUPPRESSED] ${alertInfo.message} (suppressed by ${alert.suppressedBy})`);
+                return;
             }
-            
-            // Add to batch instead of sending immediately
-            this.pendingAlertBatch.push(alert);
-            
-            // Clear any existing timeout
-            if (this.batchTimeout) {
-                clearTimeout(this.batchTimeout);
+
+            if (alert.flapping) {
+                alert.notificationsHeld = true;
+                this.saveActiveAlerts();
+                console.log(`[ALERT SUPPRESSED] ${alertInfo.message} (flapping)`);
+                return;
             }
-            
-            // Set a very short timeout (10ms) to batch alerts from the same evaluation cycle
-            this.batchTimeout = setTimeout(() => {
-                this.processPendingAlertBatch();
-            }, 10);
-            
-            // Save active alerts and notification history to disk
-            this.saveActiveAlerts();
-            this.saveNotificationHistory();
-            
-            // Emit event for external handling
-            this.emit('alert', alertInfo);
 
-            console.warn(`[ALERT] ${alertInfo.message}`);
+            this.queueNotifications(alert, alertInfo);
         } catch (error) {
             console.error(`[AlertManager] Error in triggerAlert for ${alert.id}:`, error.message);
             // Remove the corrupted alert to prevent future issues
@@ -1706,6 +2682,44 @@ class AlertManager extends EventEmitter {
         }
     }
 
+    /**
+     * Announces an alert and queues its notifications for the current batch.
+     */
+    queueNotifications(alert, alertInfo) {
+        // For node alerts, ensure guest property is set
+        if (alert.type === 'node_threshold' && !alert.guest) {
+            alert.guest = {
+                name: alert.nodeName || alert.nodeId || 'Unknown Node',
+                vmid: 'node',
+                node: alert.nodeId || 'unknown',
+                type: 'node',
+                endpointId: alert.nodeId || 'unknown'
+            };
+        }
+        
+        // Add to batch instead of sending immediately
+        this.pendingAlertBatch.push(alert);
+        
+        // Clear any existing timeout
+        if (this.batchTimeout) {
+            clearTimeout(this.batchTimeout);
+        }
+        
+        // Set a very short timeout (10ms) to batch alerts from the same evaluation cycle
+        this.batchTimeout = setTimeout(() => {
+            this.processPendingAlertBatch();
+        }, 10);
+        
+        // Save active alerts and notification history to disk
+        this.saveActiveAlerts();
+        this.saveNotificationHistory();
+        
+        // Emit event for external handling
+        this.emit('alert', alertInfo);
+
+        console.warn(`[ALERT] ${alertInfo.message}`);
+    }
+
     /**
      * Process pending alert batch - send individual or grouped notifications
      */
@@ -1726,39 +2740,62 @@ class AlertManager extends EventEmitter {
             return;
         }
         
-        // Group alerts by notification type
-        const emailAlerts = alerts.filter(a => a.notificationChannels?.includes('email'));
-        const webhookAlerts = alerts.filter(a => a.notificationChannels?.includes('webhook'));
+        // Group alerts by destination, routing rules may send them to different recipients
+        const emailGroups = new Map(); // recipients -> { recipients, alerts }
+        const webhookGroups = new Map(); // url -> alerts
+        for (const alert of alerts) {
+            if (alert.notificationChannels?.includes('email')) {
+                const recipients = this.getEmailRecipients(alert);
+                const key = recipients.join(',');
+                if (recipients.length > 0) {
+                    if (!emailGroups.has(key)) emailGroups.set(key, { recipients, alerts: [] });
+                    emailGroups.get(key).alerts.push(alert);
+                }
+            }
+            if (alert.notificationChannels?.includes('webhook')) {
+                for (const webhookUrl of this.getWebhookTargets(alert)) {
+                    if (!webhookGroups.has(webhookUrl)) webhookGroups.set(webhookUrl, []);
+                    webhookGroups.get(webhookUrl).push(alert);
+                }
+            }
+        }
         
         // Track successful sends
-        let emailSentSuccessfully = false;
-        let webhookSentSuccessfully = false;
+        const emailedAlertIds = new Set();
+        const webhookedAlertIds = new Set();
         
         // Send grouped email if multiple email alerts
-        if (emailAlerts.length > 0) {
+        for (const { recipients, alerts: emailAlerts } of emailGroups.values()) {
             try {
                 if (emailAlerts.length > 1) {
                     console.log(`[AlertManager] Sending grouped email for ${emailAlerts.length} alerts`);
-                    await this.sendGroupedEmailNotification(emailAlerts);
+                    await this.sendGroupedEmailNotification(emailAlerts, recipients);
                 } else {
                     await this.sendDirectEmailNotification(emailAlerts[0]);
                 }
-                emailSentSuccessfully = true;
+                emailAlerts.forEach(alert => emailedAlertIds.add(alert.id));
             } catch (error) {
                 console.error('[AlertManager] Failed to send email notification:', error.message);
             }
         }
         
-        // Send grouped webhook if multiple webhook alerts
-        if (webhookAlerts.length > 0) {
+        // Send grouped webhook if multiple webhook alerts. Incident services (PagerDuty,
+        // Opsgenie) need one event per alert so incidents can be resolved later.
+        const NotificationService = require('./notificationServices');
+        const notificationService = new NotificationService();
+        for (const [webhookUrl, webhookAlerts] of webhookGroups) {
             try {
-                if (webhookAlerts.length > 1) {
+                if (webhookAlerts.length > 1 && !notificationService.supportsIncidents(webhookUrl)) {
                     console.log(`[AlertManager] Sending grouped webhook for ${webhookAlerts.length} alerts`);
-                    await this.sendGroupedWebhookNotification(webhookAlerts);
-                } else {
-                    await this.sendDirectWebhookNotification(webhookAlerts[0]);
+                    await this.sendGroupedWebhookNotification(webhookAlerts, webhookUrl);
+                    webhookAlerts.forEach(alert => webhookedAlertIds.add(alert.id));
+                    continue;
+                }
+                
+                for (const alert of webhookAlerts) {
+                    await this.sendDirectWebhookNotification(alert, webhookUrl);
+                    webhookedAlertIds.add(alert.id);
                 }
-                webhookSentSuccessfully = true;
             } catch (error) {
                 console.error('[AlertManager] Failed to send webhook notification:', error.message);
             }
@@ -1768,11 +2805,11 @@ class AlertManager extends EventEmitter {
         for (const alert of alerts) {
             const status = this.notificationStatus.get(alert.id) || {};
             
-            if (alert.notificationChannels?.includes('email') && emailSentSuccessfully) {
+            if (emailedAlertIds.has(alert.id)) {
                 alert.emailSent = true;
                 status.emailSent = true;
             }
-            if (alert.notificationChannels?.includes('webhook') && webhookSentSuccessfully) {
+            if (webhookedAlertIds.has(alert.id)) {
                 alert.webhookSent = true;
                 status.webhookSent = true;
             }
@@ -1802,8 +2839,10 @@ class AlertManager extends EventEmitter {
     
     /**
      * Send a grouped email notification for multiple alerts
+     * @param {Array} alerts - Alerts to include.
+     * @param {Array<string>} [recipients] - Recipients, defaults to the configured ones.
      */
-    async sendGroupedEmailNotification(alerts) {
+    async sendGroupedEmailNotification(alerts, recipients = null) {
         if (!this.emailTransporter) {
             throw new Error('Email transporter not configured');
         }
@@ -1824,7 +2863,7 @@ class AlertManager extends EventEmitter {
             // Prepare email configuration
             const config = await this.loadEmailConfig();
             const fromEmail = config.from || process.env.ALERT_FROM_EMAIL || 'alerts@pulse-monitoring.local';
-            const toEmail = config.to || process.env.ALERT_TO_EMAIL;
+            const toEmail = recipients ? recipients.join(', ') : (config.to || process.env.ALERT_TO_EMAIL);
             const smtpHost = config.host || process.env.SMTP_HOST || 'localhost';
             const smtpPort = config.port || process.env.SMTP_PORT || '587';
             
@@ -1917,9 +2956,10 @@ class AlertManager extends EventEmitter {
     
     /**
      * Send a grouped webhook notification for multiple alerts
+     * @param {Array} alerts - Alerts to include.
+     * @param {string} [webhookUrl] - Target URL, defaults to WEBHOOK_URL.
      */
-    async sendGroupedWebhookNotification(alerts) {
-        const webhookUrl = process.env.WEBHOOK_URL;
+    async sendGroupedWebhookNotification(alerts, webhookUrl = process.env.WEBHOOK_URL) {
         if (!webhookUrl) {
             console.log('[AlertManager] Webhook not configured, skipping grouped webhook notification');
             return;
@@ -2079,6 +3119,10 @@ class AlertManager extends EventEmitter {
                 endpointId: alert.guest.endpointId
             },
             metric: alert.metric || alert.rule.metric,
+            severity: alert.severity,
+            acknowledged: alert.acknowledged || false,
+            acknowledgedAt: alert.acknowledgedAt || null,
+            acknowledgedBy: alert.acknowledgedBy || null,
             resolvedAt: alert.resolvedAt,
             resolved: true,
             duration: alert.resolvedAt - alert.triggeredAt,
@@ -2107,6 +3151,11 @@ class AlertManager extends EventEmitter {
         } catch (error) {
             console.error('[AlertManager] Failed to update resolved alert in history:', error);
         }
+        
+        // Close incidents opened in PagerDuty/Opsgenie for this alert
+        this.sendIncidentEvents(alert, 'resolve').catch(error => {
+            console.error('[AlertManager] Error resolving incidents:', error);
+        });
 
         // Apply suppression if configured
         if (alert.rule.suppressionTime > 0) {
@@ -2137,6 +3186,16 @@ class AlertManager extends EventEmitter {
         if (alertKey) {
             this.activeAlerts.delete(alertKey);
         }
+
+        // Held back alerts are notified if they are still firing once the parent has been
+        // resolved for a while, most clear up on their own when the node comes back
+        if (alertDependencies.isParentAlert(alert) && alert.suppressedChildren?.length > 0) {
+            setTimeout(() => {
+                this.releaseDependentAlerts(alert.id).catch(error => {
+                    console.error('[AlertManager] Error releasing dependent alerts:', error);
+                });
+            }, this.dependencyConfig.releaseDelayMs);
+        }
         
         // Save updated state to disk
         this.saveActiveAlerts();
@@ -2341,6 +3400,7 @@ class AlertManager extends EventEmitter {
     updateRule(ruleId, updates) {
         const rule = this.alertRules.get(ruleId);
         if (rule) {
+            this.validateClearSettings({ ...rule, ...updates });
             const wasEnabled = rule.enabled;
             Object.assign(rule, updates);
             
@@ -2370,6 +3430,62 @@ class AlertManager extends EventEmitter {
         return false;
     }
 
+    /**
+     * Validate hysteresis and flapping settings, shared by all rule types
+     */
+    validateClearSettings(rule) {
+        const validMetrics = ['cpu', 'memory', 'disk', 'diskread', 'diskwrite', 'netin', 'netout'];
+        const isNonNegative = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+        
+        if (rule.clearThreshold !== undefined && rule.clearThreshold !== null && !isNonNegative(rule.clearThreshold)) {
+            throw new Error('clearThreshold must be a non-negative number');
+        }
+        if (rule.clearDuration !== undefined && !isNonNegative(rule.clearDuration)) {
+            throw new Error('clearDuration must be a non-negative number (milliseconds)');
+        }
+        if (rule.clearMargin !== undefined && rule.clearMargin !== null && (!isNonNegative(rule.clearMargin) || rule.clearMargin > 100)) {
+            throw new Error('clearMargin must be a percentage between 0 and 100');
+        }
+        
+        if (rule.clearThresholds !== undefined) {
+            if (!rule.clearThresholds || typeof rule.clearThresholds !== 'object' || Array.isArray(rule.clearThresholds)) {
+                throw new Error('clearThresholds must be an object of metric clear thresholds');
+            }
+            for (const [metric, value] of Object.entries(rule.clearThresholds)) {
+                if (!validMetrics.includes(metric)) {
+                    throw new Error(`Invalid metric '${metric}' in clearThresholds. Valid metrics: ${validMetrics.join(', ')}`);
+                }
+                if (value !== '' && value !== null && !isNonNegative(Number(value))) {
+                    throw new Error(`Invalid clear threshold '${value}' for metric '${metric}'. Expected a non-negative number.`);
+                }
+            }
+        }
+        
+        if (Array.isArray(rule.thresholds)) {
+            for (const threshold of rule.thresholds) {
+                if (threshold && threshold.clearThreshold !== undefined && threshold.clearThreshold !== null && !isNonNegative(threshold.clearThreshold)) {
+                    throw new Error(`Invalid clearThreshold '${threshold.clearThreshold}' for metric '${threshold.metric}'. Expected a non-negative number.`);
+                }
+            }
+        }
+        
+        if (rule.flapping !== undefined) {
+            const flapping = rule.flapping;
+            if (!flapping || typeof flapping !== 'object' || Array.isArray(flapping)) {
+                throw new Error('flapping must be an object with enabled, threshold and windowMinutes');
+            }
+            if (flapping.enabled !== undefined && typeof flapping.enabled !== 'boolean') {
+                throw new Error('flapping.enabled must be a boolean');
+            }
+            if (flapping.threshold !== undefined && (!Number.isInteger(flapping.threshold) || flapping.threshold < 2)) {
+                throw new Error('flapping.threshold must be a whole number of state changes (at least 2)');
+            }
+            if (flapping.windowMinutes !== undefined && (!isNonNegative(flapping.windowMinutes) || flapping.windowMinutes === 0)) {
+                throw new Error('flapping.windowMinutes must be a positive number of minutes');
+            }
+        }
+    }
+
     addRule(rule) {
         // Support single-metric rules, compound threshold rules, and per-guest threshold rules
         const isCompoundRule = rule.thresholds && Array.isArray(rule.thresholds) && rule.thresholds.length > 0;
@@ -2445,6 +3561,8 @@ class AlertManager extends EventEmitter {
             
         }
         
+        this.validateClearSettings(rule);
+        
         const ruleId = rule.id || (isCompoundRule ? 
             `compound_${Date.now()}_${Math.random().toString(36).substr(2, 9)}` : 
             isPerGuestRule ?
@@ -2613,6 +3731,7 @@ class AlertManager extends EventEmitter {
                             };
                             
                             this.activeAlerts.set(alertKey, newAlert);
+                            this.noteConditionTriggered(newAlert, alertKey, rule, timestamp);
                             this.triggerAlert(newAlert).catch(error => {
                                 console.error(`[AlertManager] Error triggering alert ${newAlert.id}:`, error);
                             });
@@ -2700,6 +3819,7 @@ class AlertManager extends EventEmitter {
             };
             
             this.activeAlerts.set(alertKey, newAlert);
+            this.noteConditionTriggered(newAlert, alertKey, rule, timestamp);
             this.triggerAlert(newAlert).catch(error => {
                 console.error(`[AlertManager] Error triggering alert ${newAlert.id}:`, error);
             });
@@ -2748,22 +3868,35 @@ class AlertManager extends EventEmitter {
                     // Trigger alert
                     existingAlert.state = 'active';
                     existingAlert.triggeredAt = timestamp;
+                    this.noteConditionTriggered(existingAlert, alertKey, rule, timestamp);
                     this.triggerAlert(existingAlert).catch(error => {
                         console.error(`[AlertManager] Error triggering alert ${existingAlert.id}:`, error);
                     });
                 }
                 existingAlert.lastUpdate = timestamp;
                 existingAlert.currentValue = this.getCurrentThresholdValues(rule.thresholds, guestMetrics.current, guest);
-            } else if (existingAlert.state === 'active' && !existingAlert.acknowledged) {
-                existingAlert.lastUpdate = timestamp;
-                existingAlert.currentValue = this.getCurrentThresholdValues(rule.thresholds, guestMetrics.current, guest);
+            } else if (existingAlert.state === 'active') {
+                this.noteConditionTriggered(existingAlert, alertKey, rule, timestamp);
+                this.settleFlappingAlert(existingAlert, alertKey, rule, timestamp).catch(error => {
+                    console.error(`[AlertManager] Error notifying alert ${existingAlert.id}:`, error);
+                });
+                if (!existingAlert.acknowledged) {
+                    existingAlert.lastUpdate = timestamp;
+                    existingAlert.currentValue = this.getCurrentThresholdValues(rule.thresholds, guestMetrics.current, guest);
+                }
             }
         } else {
             if (existingAlert && existingAlert.state === 'active' && !existingAlert.acknowledged) {
-                existingAlert.state = 'resolved';
-                existingAlert.resolvedAt = timestamp;
-                if (existingAlert.rule.autoResolve) {
-                    this.resolveAlert(existingAlert);
+                // Hysteresis: the alert clears once any threshold moves past its clearThreshold
+                const isCleared = rule.thresholds.some(threshold => this.isThresholdCleared(threshold, guestMetrics.current, guest));
+                if (!isCleared) {
+                    delete existingAlert.clearingSince;
+                } else if (this.noteConditionCleared(existingAlert, alertKey, rule, timestamp)) {
+                    existingAlert.state = 'resolved';
+                    existingAlert.resolvedAt = timestamp;
+                    if (existingAlert.rule.autoResolve) {
+                        this.resolveAlert(existingAlert);
+                    }
                 }
             } else if (existingAlert && existingAlert.state === 'pending') {
                 // Remove pending alert that didn't trigger
@@ -2773,9 +3906,51 @@ class AlertManager extends EventEmitter {
     }
 
     evaluateThresholdCondition(threshold, currentMetrics, guest) {
+        const metricValue = this.getThresholdMetricValue(threshold.metric, currentMetrics, guest);
+        if (metricValue === undefined || metricValue === null || isNaN(metricValue)) {
+            return false;
+        }
+
+        // Apply the specified condition
+        switch (threshold.condition) {
+            case 'greater_than':
+                return metricValue > threshold.threshold;
+            case 'greater_than_or_equal':
+                return metricValue >= threshold.threshold;
+            case 'less_than':
+                return metricValue < threshold.threshold;
+            case 'less_than_or_equal':
+                return metricValue <= threshold.threshold;
+            case 'equals':
+                return metricValue == threshold.threshold;
+            case 'not_equals':
+                return metricValue != threshold.threshold;
+            default:
+                // Default to >= for backward compatibility
+                return metricValue >= threshold.threshold;
+        }
+    }
+
+    /**
+     * Whether a compound rule threshold is cleared: past its clearThreshold when it has one,
+     * otherwise as soon as its condition is no longer met.
+     */
+    isThresholdCleared(threshold, currentMetrics, guest) {
+        if (typeof threshold.clearThreshold !== 'number') {
+            return !this.evaluateThresholdCondition(threshold, currentMetrics, guest);
+        }
+
+        const metricValue = this.getThresholdMetricValue(threshold.metric, currentMetrics, guest);
+        if (metricValue === undefined || metricValue === null || isNaN(metricValue)) {
+            return true;
+        }
+        return this.isConditionCleared(metricValue, threshold.condition, threshold.clearThreshold);
+    }
+
+    getThresholdMetricValue(metric, currentMetrics, guest) {
         let metricValue;
 
-        switch (threshold.metric) {
+        switch (metric) {
             case 'cpu':
                 metricValue = currentMetrics.cpu;
                 // Convert to percentage if needed
@@ -2807,31 +3982,10 @@ class AlertManager extends EventEmitter {
                 metricValue = this.calculateIORate(currentMetrics, 'netout', guest);
                 break;
             default:
-                return false;
-        }
-
-        if (metricValue === undefined || metricValue === null || isNaN(metricValue)) {
-            return false;
+                return null;
         }
 
-        // Apply the specified condition
-        switch (threshold.condition) {
-            case 'greater_than':
-                return metricValue > threshold.threshold;
-            case 'greater_than_or_equal':
-                return metricValue >= threshold.threshold;
-            case 'less_than':
-                return metricValue < threshold.threshold;
-            case 'less_than_or_equal':
-                return metricValue <= threshold.threshold;
-            case 'equals':
-                return metricValue == threshold.threshold;
-            case 'not_equals':
-                return metricValue != threshold.threshold;
-            default:
-                // Default to >= for backward compatibility
-                return metricValue >= threshold.threshold;
-        }
+        return metricValue;
     }
 
     formatCompoundThresholdMessage(rule, currentMetrics, guest) {
@@ -3540,20 +4694,24 @@ class AlertManager extends EventEmitter {
         // Add to active alerts
         this.activeAlerts.set(alertKey, alert);
         
-        // Emit event for UI update
-        this.emit('alert', {
-            type: 'trigger',
-            alert: alert
-        });
-        
-        // Trigger notifications
-        this.sendNotifications(alert);
+        if (!this.applyMaintenanceWindow(alert) && !this.applyDependency(alert)) {
+            // Emit event for UI update
+            this.emit('alert', {
+                type: 'trigger',
+                alert: alert
+            });
+            
+            // Trigger notifications
+            this.sendNotifications(alert);
+        } else {
+            alert.notificationsHeld = true;
+        }
         
         // Save alerts
         this.saveActiveAlerts();
         
         // Add to history
-        alertHistory.addAlert(alert);
+        this.addToHistory(this.formatAlertForAPI(alert));
     }
 
     /**
@@ -3767,7 +4925,7 @@ class AlertManager extends EventEmitter {
     /**
      * Generate unified email HTML template
      * @param {Object} options - Email template options
-     * @param {string} options.type - Type of email: 'alert', 'test', or 'test-alert'
+     * @param {string} options.type - Type of email: 'alert', 'test', 'test-alert', 'summary' or 'custom'
      * @param {Object} options.data - Data for the email template
      * @returns {string} HTML email content
      */
@@ -4018,6 +5176,16 @@ class AlertManager extends EventEmitter {
                     </p>
                 </div>
             `;
+        } else if (type === 'custom') {
+            // Message rendered from a user notification template, shown as plain text
+            const message = String(data.message)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;');
+            content = `
+                <div style="white-space: pre-wrap; color: #374151; font-size: 14px; line-height: 1.5;">${message}</div>
+            `;
         } else if (type === 'summary') {
             // Summary alert content for multiple alerts
             const { alertsByType, alertsByNode, totalCount } = data;
@@ -4097,7 +5265,7 @@ class AlertManager extends EventEmitter {
         `;
     }
 
-    async sendDirectEmailNotification(alert) {
+    async sendDirectEmailNotification(alert, recipientsOverride = null) {
         console.log(`[AlertManager] sendDirectEmailNotification called for alert:`, {
             id: alert.id,
             type: alert.type,
@@ -4110,9 +5278,8 @@ class AlertManager extends EventEmitter {
             throw new Error('Email transporter not configured');
         }
 
-        // Use stored email config or fall back to env vars
-        const toEmail = this.emailConfig?.to || process.env.ALERT_TO_EMAIL;
-        const recipients = toEmail ? toEmail.split(',') : [];
+        // Explicit or routed recipients, or the stored email config / env vars
+        const recipients = recipientsOverride || this.getEmailRecipients(alert);
         if (!recipients || recipients.length === 0) {
             throw new Error('No email recipients configured (ALERT_TO_EMAIL)');
         }
@@ -4226,7 +5393,11 @@ class AlertManager extends EventEmitter {
             }
         }
         
-        const subject = `🚨 Pulse Alert: ${alertTitle}`;
+        if (alert.escalationLevel) {
+            alertTitle = `Escalation level ${alert.escalationLevel}: ${alertTitle}`;
+        }
+        
+        let subject = `🚨 Pulse Alert: ${alertTitle}`;
         
         
         // Handle node vs guest alert data
@@ -4262,9 +5433,19 @@ class AlertManager extends EventEmitter {
                 timestamp: this.getValidTimestamp(alert)
             };
         }
+
+        // Alerts held back because they depend on this one, e.g. the guests of a node that is down
+        const suppressedSummary = alertDependencies.formatSuppressedAlerts(alert.suppressedChildren);
+        if (suppressedSummary) {
+            alertData.additionalInfo = suppressedSummary
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/\n/g, '<br>');
+        }
         
         // Use the unified template
-        const html = this.generateEmailTemplate({
+        let html = this.generateEmailTemplate({
             type: 'alert',
             data: {
                 title: alertTitle,
@@ -4309,12 +5490,33 @@ Status:        ${alert.guest.status}
 Time:          ${new Date(this.getValidTimestamp(alert)).toLocaleString()}
 
 ${alert.rule.description || 'Alert triggered for the specified conditions'}
-
+${suppressedSummary ? `\n${suppressedSummary}\n` : ''}
 ---
 This alert was generated by Pulse monitoring system.
         `;
         }
 
+        // A notification template replaces the built-in subject and body
+        const rendered = notificationTemplates.renderEmailTemplate(alert, recipients);
+        if (rendered?.title) {
+            subject = alert.escalationLevel ? `Escalation level ${alert.escalationLevel}: ${rendered.title}` : rendered.title;
+        }
+        if (rendered?.message) {
+            text = rendered.message;
+            html = this.generateEmailTemplate({
+                type: 'custom',
+                data: {
+                    title: subject,
+                    subtitle: 'Status monitoring alert',
+                    fromEmail: fromEmail,
+                    toEmail: toEmailAddresses,
+                    smtpHost: smtpHost,
+                    smtpPort: smtpPort,
+                    message: rendered.message
+                }
+            });
+        }
+
         const mailOptions = {
             from: this.emailConfig?.from || process.env.ALERT_FROM_EMAIL || 'alerts@pulse-monitoring.local',
             to: recipients.join(', '),
@@ -4345,6 +5547,14 @@ This alert was generated by Pulse monitoring system.
             clearInterval(this.cleanupInterval);
         }
         
+        if (this.maintenanceInterval) {
+            clearInterval(this.maintenanceInterval);
+        }
+        
+        if (this.escalationInterval) {
+            clearInterval(this.escalationInterval);
+        }
+        
         // Stop debounce handler
         if (this.debounceHandler) {
             this.debounceHandler.stop();
@@ -4391,12 +5601,23 @@ This alert was generated by Pulse monitoring system.
         
         
         try {
-            if (this.emailQueue.length === 1) {
-                // Single alert - send normally
-                await this.sendDirectEmailNotification(this.emailQueue[0]);
-            } else {
-                // Multiple alerts - send summary email
-                await this.sendSummaryEmail(this.emailQueue);
+            // One email per set of recipients, routing rules may split the queue
+            const groups = new Map();
+            for (const alert of this.emailQueue) {
+                const recipients = this.getEmailRecipients(alert);
+                const key = recipients.join(',');
+                if (!groups.has(key)) groups.set(key, { recipients, alerts: [] });
+                groups.get(key).alerts.push(alert);
+            }
+            
+            for (const { recipients, alerts } of groups.values()) {
+                if (alerts.length === 1) {
+                    // Single alert - send normally
+                    await this.sendDirectEmailNotification(alerts[0]);
+                } else {
+                    // Multiple alerts - send summary email
+                    await this.sendSummaryEmail(alerts, recipients);
+                }
             }
             
             // Clear queue
@@ -4413,13 +5634,15 @@ This alert was generated by Pulse monitoring system.
     /**
      * Send summary email for multiple alerts
      */
-    async sendSummaryEmail(alerts) {
+    async sendSummaryEmail(alerts, recipients = null) {
         if (!this.emailTransporter) {
             throw new Error('Email transporter not configured');
         }
         
-        const toEmail = this.emailConfig?.to || process.env.ALERT_TO_EMAIL;
-        const recipients = toEmail ? toEmail.split(',') : [];
+        if (!recipients) {
+            const toEmail = this.emailConfig?.to || process.env.ALERT_TO_EMAIL;
+            recipients = toEmail ? toEmail.split(',') : [];
+        }
         if (!recipients || recipients.length === 0) {
             throw new Error('No email recipients configured');
         }
@@ -4872,9 +6095,8 @@ Pulse Monitoring System`,
         }
     }
 
-    async sendDirectWebhookNotification(alert) {
+    async sendDirectWebhookNotification(alert, webhookUrl = process.env.WEBHOOK_URL) {
         try {
-            const webhookUrl = process.env.WEBHOOK_URL;
             if (!webhookUrl) {
                 throw new Error('No webhook URL configured');
             }
@@ -4885,7 +6107,7 @@ Pulse Monitoring System`,
             const NotificationService = require('./notificationServices');
             const notificationService = new NotificationService();
             
-            const response = await notificationService.send(webhookUrl, alert);
+            const response = await notificationService.send(webhookUrl, notificationTemplates.applyWebhookTemplate(alert, webhookUrl));
             
             console.log(`[AlertManager] Webhook sent successfully for alert ${alert.id} (${response.status})`);
             return { success: true };
@@ -4896,6 +6118,54 @@ Pulse Monitoring System`,
         }
     }
 
+    /**
+     * Send a test notification to a registered notification channel
+     * @param {Object} channel - Channel from the notification routing registry.
+     */
+    async sendChannelTestNotification(channel) {
+        if (channel.type === 'email') {
+            const config = await this.loadEmailConfig();
+            return await this.sendTestEmailWithConfig({
+                ALERT_FROM_EMAIL: config.from,
+                ALERT_TO_EMAIL: channel.recipients.join(', '),
+                SMTP_HOST: config.host,
+                SMTP_PORT: config.port,
+                SMTP_USER: config.user,
+                SMTP_SECURE: config.secure
+            });
+        }
+
+        try {
+            const NotificationService = require('./notificationServices');
+            const notificationService = new NotificationService();
+            const response = await notificationService.send(channel.url, notificationTemplates.applyWebhookTemplate({
+                id: 'test-' + Date.now(),
+                type: 'test',
+                priority: 'normal',
+                rule: {
+                    name: 'Notification Channel Test',
+                    description: `This is a test alert for the notification channel "${channel.name}"`
+                },
+                guest: {
+                    name: 'Test VM',
+                    vmid: '999',
+                    node: 'test-node',
+                    type: 'test',
+                    status: 'running'
+                },
+                metric: 'test',
+                currentValue: 'Test successful',
+                threshold: 'N/A',
+                message: `Notification channel "${channel.name}" test successful!`,
+                test: true
+            }, channel.url));
+            return { success: true, status: response.status };
+        } catch (error) {
+            console.error(`[AlertManager] Failed to send test notification to channel ${channel.id}:`, error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
     async loadEmailConfig() {
         try {
             // Load email configuration from config API
@@ -5152,31 +6422,46 @@ Pulse Monitoring System`,
             const metricResult = this.evaluateMetricForGuest(guest, metricType, guestSpecificThresholds, globalThresholds, guestMetrics);
             if (metricResult) {
                 console.log(`[AlertManager] ${guest.name} - ${metricType}: value=${metricResult.currentValue}, threshold=${metricResult.threshold}, exceeded=${metricResult.isExceeded}`);
+                const alertKey = `${guest.endpointId || 'unknown'}_${guest.node}_${guest.vmid}_${metricType}`;
+                const existingAlert = this.activeAlerts.get(alertKey);
+                const isActive = existingAlert && existingAlert.state === 'active';
+                
                 if (metricResult.isExceeded) {
                     // Use configurable sustained period for I/O metrics, otherwise use configured duration
                     const isIOMetric = ['diskread', 'diskwrite', 'netin', 'netout'].includes(metricType);
                     const ioSustainedPeriod = thresholdConfig?.ioSustainedPeriod || 30000; // Default to 30s if not configured
                     const effectiveDuration = isIOMetric ? ioSustainedPeriod : alertDuration;
                     
+                    if (isActive) {
+                        this.noteConditionTriggered(existingAlert, alertKey, thresholdConfig, timestamp);
+                    }
+                    
                     // Create an individual alert for this metric
                     await this.createIndividualMetricAlert(guest, metricType, metricResult, thresholdConfig, timestamp, effectiveDuration);
-                } else {
-                    // Metric is below threshold, but check hysteresis for I/O metrics
-                    const isIOMetric = ['diskread', 'diskwrite', 'netin', 'netout'].includes(metricType);
-                    const alertKey = `${guest.endpointId || 'unknown'}_${guest.node}_${guest.vmid}_${metricType}`;
-                    const existingAlert = this.activeAlerts.get(alertKey);
                     
-                    if (existingAlert && existingAlert.state === 'active' && isIOMetric) {
-                        // Apply 20% hysteresis for I/O metrics
-                        const hysteresisThreshold = metricResult.threshold * 0.8; // 20% below the trigger threshold
-                        if (metricResult.currentValue > hysteresisThreshold) {
-                            // Within hysteresis band, don't resolve yet
-                            console.log(`[AlertManager] ${guest.name} ${metricType} within hysteresis band: ${this.formatMetricValue(metricResult.currentValue, metricType)} > ${this.formatMetricValue(hysteresisThreshold, metricType)} (80% of ${this.formatMetricValue(metricResult.threshold, metricType)})`);
-                            continue; // Skip resolution
-                        }
+                    if (isActive) {
+                        await this.settleFlappingAlert(existingAlert, alertKey, thresholdConfig, timestamp);
+                    }
+                } else if (isActive) {
+                    // Hysteresis: an active alert only clears once the value drops below its clear threshold
+                    const clearThreshold = this.getClearThreshold(thresholdConfig, metricType, metricResult.threshold);
+                    existingAlert.currentValue = metricResult.currentValue;
+                    existingAlert.lastUpdate = timestamp;
+                    
+                    if (metricResult.currentValue >= clearThreshold) {
+                        delete existingAlert.clearingSince;
+                        console.log(`[AlertManager] ${guest.name} ${metricType} within hysteresis band: ${this.formatMetricValue(metricResult.currentValue, metricType)} >= ${this.formatMetricValue(clearThreshold, metricType)} (clear threshold)`);
+                        continue; // Skip resolution
+                    }
+                    
+                    if (!this.noteConditionCleared(existingAlert, alertKey, thresholdConfig, timestamp)) {
+                        console.log(`[AlertManager] ${guest.name} ${metricType} cleared, holding resolution (${existingAlert.flapping ? 'flapping' : 'clear duration'})`);
+                        continue;
                     }
                     
-                    // Outside hysteresis band or not an I/O metric, resolve the alert
+                    await this.resolveIndividualMetricAlert(guest, metricType, timestamp);
+                } else {
+                    // Pending alerts are dropped as soon as the threshold is no longer exceeded
                     await this.resolveIndividualMetricAlert(guest, metricType, timestamp);
                 }
             } else {
@@ -5243,6 +6528,7 @@ Pulse Monitoring System`,
                 
                 if (alertDuration === 0) {
                     console.log(`[AlertManager] Created active individual ${metricType} alert for ${guest.name} (immediate trigger)`);
+                    this.noteConditionTriggered(newAlert, alertKey, thresholdConfig, timestamp);
                     this.triggerAlert(newAlert).catch(error => {
                         console.error(`[AlertManager] Error triggering alert ${newAlert.id}:`, error);
                     });
@@ -5266,6 +6552,7 @@ Pulse Monitoring System`,
                     
                 console.log(`[AlertManager] Triggered ${metricType} alert for ${guest.name} after ${elapsedTime}ms`);
                     
+                    this.noteConditionTriggered(existingAlert, alertKey, thresholdConfig, timestamp);
                     await this.triggerAlert(existingAlert);
                 } else {
                     // Update pending alert with current data
@@ -5323,6 +6610,22 @@ Pulse Monitoring System`,
         }
     }
 
+    /**
+     * Value an active per-guest metric alert has to drop below before it clears: the rule's
+     * clearThresholds entry for the metric, otherwise clearMargin percent below the trigger
+     * threshold. Without a configured margin I/O metrics keep a 20% band, others clear at the threshold.
+     */
+    getClearThreshold(thresholdConfig, metricType, threshold) {
+        const clearThreshold = parseFloat(thresholdConfig?.clearThresholds?.[metricType]);
+        if (!isNaN(clearThreshold) && clearThreshold >= 0 && clearThreshold <= threshold) {
+            return clearThreshold;
+        }
+        
+        const isIOMetric = ['diskread', 'diskwrite', 'netin', 'netout'].includes(metricType);
+        const margin = parseFloat(thresholdConfig?.clearMargin ?? (isIOMetric ? 20 : 0)) || 0;
+        return threshold * (1 - Math.min(Math.max(margin, 0), 100) / 100);
+    }
+
     /**
      * Evaluate a single metric for a guest and return result
      */
@@ -5637,8 +6940,8 @@ Pulse Monitoring System`,
             channels.push('email');
         }
         
-        // Check if webhook is enabled and configured  
-        if (notifications.webhook && process.env.WEBHOOK_URL) {
+        // Check if webhook is enabled and configured (routed channels may add webhooks)
+        if (notifications.webhook && (process.env.WEBHOOK_URL || notificationRouting.hasRoutes())) {
             channels.push('webhook');
         }
         
@@ -301,6 +301,7 @@ module.exports = {
             triggeredAt: alert.triggeredAt,
             resolvedAt: alert.resolvedAt,
             currentValue: alert.currentValue,
+            threshold: alert.threshold,
             effectiveThreshold: alert.effectiveThreshold,
             state: alert.state,
             severity: alert.severity,
@@ -316,14 +317,25 @@ module.exports = {
             // Add bundled alert specific fields
             metric: alert.metric,
             exceededMetrics: alert.exceededMetrics,
-            metricsCount: alert.metricsCount
+            metricsCount: alert.metricsCount,
+            maintenanceWindow: alert.maintenanceWindow,
+            suppressedBy: alert.suppressedBy,
+            parentAlertId: alert.parentAlertId,
+            suppressedChildren: alert.suppressedChildren,
+            flapping: alert.flapping,
+            flappingSince: alert.flappingSince,
+            conditionMet: alert.conditionMet,
+            clearingSince: alert.clearingSince,
+            escalated: alert.escalated,
+            escalation: alert.escalation,
+            // Held notifications are sent once the alert leaves maintenance, its dependency or flapping
+            notificationsHeld: alert.notificationsHeld
         };
         
         if (alert.type === 'node_threshold') {
             copy.nodeId = alert.nodeId;
             copy.nodeName = alert.nodeName;
             copy.metric = alert.metric;
-            copy.threshold = alert.threshold;
         } else {
             copy.guest = this.createSafeGuestCopy(alert.guest);
         }
@@ -334,7 +346,7 @@ module.exports = {
     // 6. Setup webhook batcher listeners properly
     setupWebhookBatcherListeners() {
         this.webhookBatcher.on('send', async (alert, webhookUrl) => {
-            await this.sendDirectWebhookNotification(alert);
+            await this.sendDirectWebhookNotification(alert, webhookUrl);
         });
         
         this.webhookBatcher.on('sent', (alertId) => {
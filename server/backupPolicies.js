@@ -0,0 +1,355 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { collectUnifiedBackups } = require('./unifiedBackups');
+const { parseGuestTags } = require('./guestUtils');
+
+const VALID_SOURCES = ['any', 'pbs', 'pve'];
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+
+/**
+ * Local-time key of the Monday starting the week a backup was taken in.
+ */
+function getWeekKey(ctime) {
+    const date = new Date(ctime * 1000);
+    date.setHours(0, 0, 0, 0);
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+    return date.toDateString();
+}
+
+/**
+ * Checks whether a unified backup entry belongs to a guest. Backups are keyed by VMID
+ * like the coverage view; PBS backup types and PVE endpoints are used to rule out
+ * guests that merely share the VMID.
+ */
+function backupBelongsToGuest(backup, guest) {
+    if (String(backup.vmid) !== String(guest.vmid)) return false;
+
+    if (backup.source === 'pbs') {
+        if (backup.type === 'vm') return guest.type === 'qemu';
+        if (backup.type === 'ct') return guest.type === 'lxc';
+        return true;
+    }
+
+    if (backup.endpointId && guest.endpointId && backup.endpointId !== guest.endpointId) return false;
+    if (backup.volid?.includes('vzdump-qemu-')) return guest.type === 'qemu';
+    if (backup.volid?.includes('vzdump-lxc-')) return guest.type === 'lxc';
+    return true;
+}
+
+/**
+ * Backup Policy Manager
+ * Handles declarative backup compliance policies (max backup age, retained daily/weekly
+ * backups, verification age) that apply to guests by tag, pool or VMID.
+ */
+class BackupPolicyManager {
+    constructor() {
+        this.configPath = path.join(__dirname, '../data/backup-policies.json');
+        this.policies = new Map(); // id -> policy
+        this.initialized = false;
+    }
+
+    /**
+     * Initialize the policy manager
+     */
+    async init() {
+        try {
+            await this.loadPolicies();
+            this.initialized = true;
+            console.log('[BackupPolicies] Initialized successfully');
+        } catch (error) {
+            console.error('[BackupPolicies] Initialization failed:', error);
+        }
+    }
+
+    /**
+     * Load policies from storage
+     */
+    async loadPolicies() {
+        try {
+            await fs.mkdir(path.dirname(this.configPath), { recursive: true });
+
+            const data = await fs.readFile(this.configPath, 'utf8');
+            const policies = JSON.parse(data);
+
+            this.policies.clear();
+            Object.entries(policies).forEach(([id, policy]) => {
+                this.policies.set(id, policy);
+            });
+
+            console.log(`[BackupPolicies] Loaded ${this.policies.size} backup policies`);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                await this.savePolicies();
+                console.log('[BackupPolicies] Created new backup policy file');
+            } else {
+                console.error('[BackupPolicies] Error loading policies:', error);
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Save policies to storage
+     */
+    async savePolicies() {
+        try {
+            const data = Object.fromEntries(this.policies);
+            await fs.writeFile(this.configPath, JSON.stringify(data, null, 2), 'utf8');
+        } catch (error) {
+            console.error('[BackupPolicies] Error saving policies:', error);
+            throw error;
+        }
+    }
+
+    getAllPolicies() {
+        return Array.from(this.policies.values());
+    }
+
+    getPolicy(id) {
+        return this.policies.get(id) || null;
+    }
+
+    /**
+     * Create a policy. Throws on invalid input.
+     */
+    async createPolicy(input) {
+        const validated = this.validatePolicy(input);
+        let id = `policy-${Date.now()}`;
+        for (let suffix = 1; this.policies.has(id); suffix++) {
+            id = `policy-${Date.now()}-${suffix}`;
+        }
+
+        const now = new Date().toISOString();
+        const policy = { id, ...validated, createdAt: now, updatedAt: now };
+        this.policies.set(id, policy);
+        await this.savePolicies();
+        return policy;
+    }
+
+    /**
+     * Replace an existing policy. Returns null when it does not exist.
+     */
+    async updatePolicy(id, input) {
+        const existing = this.policies.get(id);
+        if (!existing) return null;
+
+        const validated = this.validatePolicy({ ...existing, ...input });
+        const policy = { id, ...validated, createdAt: existing.createdAt, updatedAt: new Date().toISOString() };
+        this.policies.set(id, policy);
+        await this.savePolicies();
+        return policy;
+    }
+
+    async deletePolicy(id) {
+        if (!this.policies.delete(id)) return false;
+        await this.savePolicies();
+        return true;
+    }
+
+    /**
+     * Validate policy configuration
+     */
+    validatePolicy(input) {
+        if (!input || typeof input !== 'object') {
+            throw new Error('Policy configuration is required');
+        }
+        if (!input.name || typeof input.name !== 'string' || !input.name.trim()) {
+            throw new Error('Policy name is required');
+        }
+
+        const match = input.match || {};
+        const toList = (value, fieldName) => {
+            if (value === undefined || value === null) return [];
+            if (!Array.isArray(value)) throw new Error(`match.${fieldName} must be an array`);
+            return value.map(item => String(item).trim()).filter(Boolean);
+        };
+        const validatedMatch = {
+            all: match.all === true,
+            tags: toList(match.tags, 'tags').map(tag => tag.toLowerCase()),
+            pools: toList(match.pools, 'pools'),
+            vmids: toList(match.vmids, 'vmids')
+        };
+        if (!validatedMatch.all && !validatedMatch.tags.length && !validatedMatch.pools.length && !validatedMatch.vmids.length) {
+            throw new Error('Policy must match all guests or at least one tag, pool or VMID');
+        }
+
+        const requirements = input.requirements || {};
+        const source = requirements.source || 'any';
+        if (!VALID_SOURCES.includes(source)) {
+            throw new Error(`requirements.source must be one of: ${VALID_SOURCES.join(', ')}`);
+        }
+        const validatedRequirements = {
+            source,
+            maxAgeHours: this.validateRequirementValue(requirements.maxAgeHours, 'requirements.maxAgeHours', 1),
+            minDaily: this.validateRequirementValue(requirements.minDaily, 'requirements.minDaily', 1, true),
+            minWeekly: this.validateRequirementValue(requirements.minWeekly, 'requirements.minWeekly', 1, true),
+            verifiedWithinDays: this.validateRequirementValue(requirements.verifiedWithinDays, 'requirements.verifiedWithinDays', 1)
+        };
+        if (validatedRequirements.verifiedWithinDays !== null && source === 'pve') {
+            throw new Error('requirements.verifiedWithinDays needs PBS backups and cannot be combined with source "pve"');
+        }
+        if (['maxAgeHours', 'minDaily', 'minWeekly', 'verifiedWithinDays'].every(key => validatedRequirements[key] === null)) {
+            throw new Error('Policy must define at least one requirement');
+        }
+
+        return {
+            name: input.name.trim(),
+            description: typeof input.description === 'string' ? input.description.trim() : '',
+            enabled: input.enabled !== false,
+            match: validatedMatch,
+            requirements: validatedRequirements
+        };
+    }
+
+    /**
+     * Validate an optional numeric requirement; null/undefined means "not required"
+     */
+    validateRequirementValue(value, fieldName, min, integer = false) {
+        if (value === undefined || value === null || value === '') return null;
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            throw new Error(`${fieldName} must be a number`);
+        }
+        if (integer && !Number.isInteger(value)) {
+            throw new Error(`${fieldName} must be a whole number`);
+        }
+        if (value < min) {
+            throw new Error(`${fieldName} must be at least ${min}`);
+        }
+        return value;
+    }
+
+    /**
+     * Check whether a policy applies to a guest
+     */
+    policyMatchesGuest(policy, guest) {
+        const { match } = policy;
+        if (match.all) return true;
+        if (match.vmids.some(entry => entry === String(guest.vmid) || entry === `${guest.endpointId}:${guest.vmid}`)) return true;
+        if (guest.pool && match.pools.includes(guest.pool)) return true;
+        const guestTags = parseGuestTags(guest.tags);
+        return match.tags.some(tag => guestTags.includes(tag));
+    }
+
+    /**
+     * Evaluate one policy's requirements against a guest's backups (newest first)
+     * @returns {Array} - Violations as [{ rule, message }]
+     */
+    checkRequirements(requirements, backups, now) {
+        const violations = [];
+        const sourceLabel = requirements.source === 'any' ? '' : `${requirements.source.toUpperCase()} `;
+        const relevant = requirements.source === 'any'
+            ? backups
+            : backups.filter(backup => backup.source === requirements.source);
+
+        if (requirements.maxAgeHours !== null) {
+            const latest = relevant[0];
+            if (!latest) {
+                violations.push({ rule: 'maxAgeHours', message: `No ${sourceLabel}backup found` });
+            } else if (now - latest.ctime > requirements.maxAgeHours * HOUR) {
+                const ageHours = Math.floor((now - latest.ctime) / HOUR);
+                violations.push({ rule: 'maxAgeHours', message: `Latest ${sourceLabel}backup is ${ageHours}h old (max ${requirements.maxAgeHours}h)` });
+            }
+        }
+
+        if (requirements.minDaily !== null) {
+            const days = new Set(relevant.map(backup => new Date(backup.ctime * 1000).toDateString())).size;
+            if (days < requirements.minDaily) {
+                violations.push({ rule: 'minDaily', message: `${days} daily ${sourceLabel}backup${days === 1 ? '' : 's'} retained (min ${requirements.minDaily})` });
+            }
+        }
+
+        if (requirements.minWeekly !== null) {
+            const weeks = new Set(relevant.map(backup => getWeekKey(backup.ctime))).size;
+            if (weeks < requirements.minWeekly) {
+                violations.push({ rule: 'minWeekly', message: `${weeks} weekly ${sourceLabel}backup${weeks === 1 ? '' : 's'} retained (min ${requirements.minWeekly})` });
+            }
+        }
+
+        if (requirements.verifiedWithinDays !== null) {
+            const latestVerified = relevant.find(backup => backup.source === 'pbs' && backup.verified);
+            if (!latestVerified) {
+                violations.push({ rule: 'verifiedWithinDays', message: 'No verified PBS snapshot found' });
+            } else if (now - latestVerified.ctime > requirements.verifiedWithinDays * DAY) {
+                const ageDays = Math.floor((now - latestVerified.ctime) / DAY);
+                violations.push({ rule: 'verifiedWithinDays', message: `Latest verified snapshot is ${ageDays}d old (max ${requirements.verifiedWithinDays}d)` });
+            }
+        }
+
+        return violations;
+    }
+
+    /**
+     * Evaluate all enabled policies against the unified backup data.
+     * `complete` is false while PBS instances are unreachable or PVE backups have not been
+     * collected yet, since missing backups would then show up as violations.
+     * @param {Object} currentState - State from stateManager.getState().
+     * @returns {Promise<Object>} - { timestamp, complete, summary, policies, guests }
+     */
+    async evaluateCompliance(currentState) {
+        if (!this.initialized) {
+            await this.init();
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        const policies = this.getAllPolicies().filter(policy => policy.enabled);
+        const { backups } = collectUnifiedBackups(currentState, 'all');
+        const allGuests = [...(currentState.vms || []), ...(currentState.containers || [])]
+            .filter(guest => guest.template !== 1);
+
+        const policyStats = new Map(policies.map(policy => [policy.id, { id: policy.id, name: policy.name, guests: 0, compliant: 0, violating: 0 }]));
+        const guests = [];
+        let unmanaged = 0;
+
+        allGuests.forEach(guest => {
+            const matched = policies.filter(policy => this.policyMatchesGuest(policy, guest));
+            if (matched.length === 0) {
+                unmanaged++;
+                return;
+            }
+
+            const guestBackups = backups.filter(backup => backupBelongsToGuest(backup, guest));
+            const results = matched.map(policy => {
+                const violations = this.checkRequirements(policy.requirements, guestBackups, now);
+                const stats = policyStats.get(policy.id);
+                stats.guests++;
+                stats[violations.length === 0 ? 'compliant' : 'violating']++;
+                return { id: policy.id, name: policy.name, compliant: violations.length === 0, violations };
+            });
+
+            const latestVerified = guestBackups.find(backup => backup.source === 'pbs' && backup.verified);
+            guests.push({
+                vmid: guest.vmid,
+                name: guest.name,
+                type: guest.type,
+                node: guest.node,
+                endpointId: guest.endpointId,
+                status: results.every(result => result.compliant) ? 'compliant' : 'violating',
+                lastBackup: guestBackups[0]?.ctime || null,
+                lastVerified: latestVerified?.ctime || null,
+                policies: results
+            });
+        });
+
+        const pbsInstances = currentState.pbs || [];
+        const complete = pbsInstances.every(instance => instance.status === 'ok') &&
+            Array.isArray(currentState.pveBackups?.storageBackups) &&
+            (currentState.vms || []).length + (currentState.containers || []).length > 0;
+
+        return {
+            timestamp: Date.now(),
+            complete,
+            summary: {
+                policies: policies.length,
+                guestsInScope: guests.length,
+                compliant: guests.filter(guest => guest.status === 'compliant').length,
+                violating: guests.filter(guest => guest.status === 'violating').length,
+                unmanaged
+            },
+            policies: Array.from(policyStats.values()),
+            guests
+        };
+    }
+}
+
+module.exports = new BackupPolicyManager();
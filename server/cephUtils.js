@@ -0,0 +1,136 @@
+/**
+ * Helpers for turning PVE Ceph API responses into the shape Pulse keeps in state.
+ */
+
+// Ceph health states ordered by severity
+const CEPH_HEALTH_LEVELS = {
+    HEALTH_OK: 0,
+    HEALTH_WARN: 1,
+    HEALTH_ERR: 2
+};
+
+/**
+ * Normalizes the output of `/cluster/ceph/status` (the `ceph status` JSON).
+ * Handles both the nested osdmap layout (Nautilus/Octopus) and the flat one (Pacific+).
+ * @param {Object} status - Raw ceph status object.
+ * @returns {Object} - { fsid, health, osds, pgs, usage, io, monitors }
+ */
+function parseCephStatus(status) {
+    const health = status?.health || {};
+    const checks = Object.entries(health.checks || {}).map(([name, check]) => ({
+        name,
+        severity: check.severity || 'HEALTH_WARN',
+        message: check.summary?.message || name,
+        count: check.summary?.count ?? null,
+        muted: Boolean(check.muted)
+    })).sort((a, b) => (CEPH_HEALTH_LEVELS[b.severity] || 0) - (CEPH_HEALTH_LEVELS[a.severity] || 0));
+
+    const osdmap = status?.osdmap?.osdmap || status?.osdmap || {};
+    const pgmap = status?.pgmap || {};
+    const pgStates = (pgmap.pgs_by_state || [])
+        .map(entry => ({ state: entry.state_name, count: entry.count || 0 }))
+        .sort((a, b) => b.count - a.count);
+    const activeClean = pgStates
+        .filter(entry => entry.state === 'active+clean')
+        .reduce((sum, entry) => sum + entry.count, 0);
+
+    const quorum = Array.isArray(status?.quorum_names) ? status.quorum_names : [];
+    const monNames = Array.isArray(status?.monmap?.mons) ? status.monmap.mons.map(mon => mon.name) : [];
+    const monTotal = status?.monmap?.num_mons || monNames.length || quorum.length;
+
+    return {
+        fsid: status?.fsid || null,
+        health: {
+            status: health.status || health.overall_status || 'HEALTH_UNKNOWN',
+            checks
+        },
+        osds: {
+            total: osdmap.num_osds || 0,
+            up: osdmap.num_up_osds || 0,
+            in: osdmap.num_in_osds || 0
+        },
+        pgs: {
+            total: pgmap.num_pgs || pgStates.reduce((sum, entry) => sum + entry.count, 0),
+            activeClean,
+            states: pgStates
+        },
+        usage: {
+            total: pgmap.bytes_total || 0,
+            used: pgmap.bytes_used || 0,
+            avail: pgmap.bytes_avail || 0
+        },
+        io: {
+            readBytesPerSec: pgmap.read_bytes_sec || 0,
+            writeBytesPerSec: pgmap.write_bytes_sec || 0,
+            readOpsPerSec: pgmap.read_op_per_sec || 0,
+            writeOpsPerSec: pgmap.write_op_per_sec || 0
+        },
+        monitors: {
+            total: monTotal,
+            inQuorum: quorum.length,
+            quorum,
+            outOfQuorum: monNames.filter(name => !quorum.includes(name))
+        }
+    };
+}
+
+/**
+ * Normalizes `/nodes/{node}/ceph/pool` entries.
+ * @param {Array} pools - Raw pool list.
+ * @returns {Array} - [{ name, id, size, minSize, pgNum, used, total, percentUsed, crushRule }]
+ */
+function normalizeCephPools(pools) {
+    if (!Array.isArray(pools)) return [];
+
+    return pools.map(pool => {
+        const used = pool.bytes_used || 0;
+        // percent_used is a 0-1 fraction of the pool's usable capacity
+        const fraction = typeof pool.percent_used === 'number' ? pool.percent_used : null;
+        const total = fraction && fraction > 0 ? Math.round(used / fraction) : null;
+
+        return {
+            name: pool.pool_name || String(pool.pool),
+            id: pool.pool,
+            size: pool.size ?? null,
+            minSize: pool.min_size ?? null,
+            pgNum: pool.pg_num ?? null,
+            used,
+            total,
+            percentUsed: fraction !== null ? fraction * 100 : null,
+            crushRule: pool.crush_rule_name || null
+        };
+    }).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Applies `/nodes/{node}/ceph/mon` details (host, quorum flag) to the parsed monitor summary.
+ * @param {Object} monitors - Monitor summary from parseCephStatus.
+ * @param {Array} monList - Raw monitor list.
+ * @returns {Object} - Monitor summary with a per-monitor list.
+ */
+function mergeCephMonitors(monitors, monList) {
+    if (!Array.isArray(monList) || monList.length === 0) {
+        return { ...monitors, list: [] };
+    }
+
+    const list = monList.map(mon => ({
+        name: mon.name,
+        host: mon.host || null,
+        address: mon.addr || null,
+        inQuorum: monitors.quorum.includes(mon.name) || mon.quorum === 1 || mon.quorum === true
+    }));
+
+    return {
+        ...monitors,
+        total: Math.max(monitors.total, list.length),
+        outOfQuorum: list.filter(mon => !mon.inQuorum).map(mon => mon.name),
+        list
+    };
+}
+
+module.exports = {
+    CEPH_HEALTH_LEVELS,
+    parseCephStatus,
+    normalizeCephPools,
+    mergeCephMonitors
+};
@@ -32,6 +32,7 @@ const UPDATE_INTERVALS = {
     },
     WEBHOOK_BATCH: 1000,         // Webhook batching interval
     DNS_REFRESH: 5 * 60 * 1000,  // DNS cache refresh (5 minutes)
+    DISK_HEALTH: 5 * 60 * 1000,  // ZFS pool / SMART refresh (5 minutes, SMART reads are slow)
 };
 
 // Retry Configuration
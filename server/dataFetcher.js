@@ -11,6 +11,10 @@ const {
     getVerificationRecommendations 
 } = require('./pbsVerificationUtils');
 const { runVerificationDiagnostics } = require('./pbsVerificationDiagnostics');
+const { getPbsJobMonitoring } = require('./pbsJobUtils');
+const { parseCephStatus, normalizeCephPools, mergeCephMonitors } = require('./cephUtils');
+const { normalizeZfsPools, normalizeDisks } = require('./diskHealthUtils');
+const { buildHaServiceMap, buildReplicationMap } = require('./haUtils');
 
 let pLimit;
 let requestLimiter;
@@ -29,6 +33,13 @@ const failedGuestAgents = new Map(); // Key: endpointId-nodeId-vmid, Value: { fa
 const AGENT_RETRY_DELAY = UPDATE_INTERVALS.DNS_REFRESH; // 5 minutes before retrying failed agents
 const MAX_AGENT_FAIL_COUNT = RETRY_CONFIG.MAX_RETRIES; // After 3 failures, skip for longer period
 
+// Endpoints without Ceph are only re-probed every few minutes
+const cephUnavailableUntil = new Map(); // Key: endpointId, Value: timestamp
+const CEPH_RECHECK_INTERVAL = UPDATE_INTERVALS.DNS_REFRESH; // 5 minutes
+
+// ZFS pool and SMART data changes slowly and is expensive for PVE to produce, so it is refreshed less often
+const diskHealthCache = new Map(); // Key: endpointId-nodeName, Value: { zfsPools, disks, fetchedAt }
+
 // Cleanup old connections and agent failure tracking periodically
 setInterval(() => {
     const now = Date.now();
@@ -48,6 +59,13 @@ setInterval(() => {
             failedGuestAgents.delete(key);
         }
     }
+
+    // Drop disk health for nodes that are no longer being polled
+    for (const [key, entry] of diskHealthCache.entries()) {
+        if (now - entry.fetchedAt > UPDATE_INTERVALS.DISK_HEALTH * 2) {
+            diskHealthCache.delete(key);
+        }
+    }
 }, 60000); // Run cleanup every minute
 
 /**
@@ -236,9 +254,50 @@ async function fetchNodeResource(apiClient, endpointId, nodeName, resourcePath,
   }
 }
 
+/**
+ * Fetches ZFS pool health and physical disks (SMART status, SSD wearout) for a node.
+ * Results are cached for UPDATE_INTERVALS.DISK_HEALTH. A list that could not be read
+ * is returned as null so callers can tell "unknown" apart from "no pools/disks".
+ * @param {Object} apiClient - API client for the endpoint.
+ * @param {string} endpointId - The endpoint ID.
+ * @param {string} nodeName - The node name.
+ * @returns {Promise<Object>} - { zfsPools, disks }
+ */
+async function fetchNodeDiskHealth(apiClient, endpointId, nodeName) {
+  const cacheKey = `${endpointId}-${nodeName}`;
+  const cached = diskHealthCache.get(cacheKey);
+  if (cached && Date.now() - cached.fetchedAt < UPDATE_INTERVALS.DISK_HEALTH) {
+    return cached;
+  }
+
+  const fetchList = async (resourcePath, resourceName) => {
+    try {
+      const response = await apiClient.get(`/nodes/${nodeName}/${resourcePath}`, { timeout: 15000 });
+      return Array.isArray(response.data?.data) ? response.data.data : null;
+    } catch (error) {
+      // Missing Sys.Audit permission or no ZFS support on the node
+      console.warn(`[DataFetcher - ${endpointId}-${nodeName}] Could not fetch ${resourceName}: ${error.message}`);
+      return null;
+    }
+  };
+
+  const [zfsPools, disks] = await Promise.all([
+    fetchList('disks/zfs', 'ZFS pools'),
+    fetchList('disks/list', 'disk list')
+  ]);
+
+  const result = {
+    zfsPools: zfsPools ? normalizeZfsPools(zfsPools) : null,
+    disks: disks ? normalizeDisks(disks) : null,
+    fetchedAt: Date.now()
+  };
+  diskHealthCache.set(cacheKey, result);
+  return result;
+}
+
 async function fetchDataForNode(apiClient, endpointId, nodeName) {
   // Make all node resource fetches parallel to prevent blocking when one node is down
-  const [nodeStatus, storage, vms, containers] = await Promise.allSettled([
+  const [nodeStatus, storage, vms, containers, diskHealth] = await Promise.allSettled([
     fetchNodeResource(apiClient, endpointId, nodeName, 'status', 'Node status'),
     fetchNodeResource(apiClient, endpointId, nodeName, 'storage', 'Node storage', true),
     fetchNodeResource(
@@ -248,7 +307,8 @@ async function fetchDataForNode(apiClient, endpointId, nodeName) {
     fetchNodeResource(
       apiClient, endpointId, nodeName, 'lxc', 'Containers (lxc)', true,
       (data) => data.map(ct => ({ ...ct, node: nodeName, endpointId: endpointId, type: 'lxc' }))
-    )
+    ),
+    fetchNodeDiskHealth(apiClient, endpointId, nodeName)
   ]);
 
 
@@ -263,18 +323,160 @@ async function fetchDataForNode(apiClient, endpointId, nodeName) {
     containers: finalContainers,
     nodeStatus: (nodeStatus.status === 'fulfilled' ? nodeStatus.value : {}) || {},
     storage: (storage.status === 'fulfilled' ? storage.value : []) || [],
+    zfsPools: diskHealth.status === 'fulfilled' ? diskHealth.value.zfsPools : null,
+    disks: diskHealth.status === 'fulfilled' ? diskHealth.value.disks : null,
   };
   
   
   return result;
 }
 
+/**
+ * Fetches Ceph health, OSD/PG/monitor state and pool usage for a PVE cluster.
+ * Cluster-wide status comes from /cluster/ceph/status; pools and monitors are
+ * read through one online node since PVE only exposes them per node.
+ * @param {Object} apiClient - API client for the endpoint.
+ * @param {string} endpointId - The endpoint ID.
+ * @param {string} clusterName - Cluster (or standalone node) name used for labeling.
+ * @param {Array} nodes - Processed nodes for this endpoint.
+ * @returns {Promise<Object|null>} - Ceph cluster summary, or null if Ceph is not set up.
+ */
+async function fetchCephData(apiClient, endpointId, clusterName, nodes) {
+    const recheckAt = cephUnavailableUntil.get(endpointId);
+    if (recheckAt && Date.now() < recheckAt) {
+        return null;
+    }
+
+    const onlineNode = nodes.find(node => node.status === 'online');
+    if (!onlineNode) {
+        return null;
+    }
+
+    let rawStatus;
+    try {
+        const response = await apiClient.get('/cluster/ceph/status', { timeout: 8000 });
+        rawStatus = response.data?.data;
+    } catch (error) {
+        // PVE 6 has no cluster-level endpoint, fall back to the node one
+        try {
+            const response = await apiClient.get(`/nodes/${onlineNode.node}/ceph/status`, { timeout: 8000 });
+            rawStatus = response.data?.data;
+        } catch (nodeError) {
+            // Not installed / not initialized returns 500 or 501 - remember that and stop asking for a while
+            cephUnavailableUntil.set(endpointId, Date.now() + CEPH_RECHECK_INTERVAL);
+            return null;
+        }
+    }
+
+    if (!rawStatus || !rawStatus.health) {
+        cephUnavailableUntil.set(endpointId, Date.now() + CEPH_RECHECK_INTERVAL);
+        return null;
+    }
+    cephUnavailableUntil.delete(endpointId);
+
+    const parsed = parseCephStatus(rawStatus);
+    const [pools, monitors] = await Promise.all([
+        fetchNodeResource(apiClient, endpointId, onlineNode.node, 'ceph/pool', 'Ceph pools', true),
+        fetchNodeResource(apiClient, endpointId, onlineNode.node, 'ceph/mon', 'Ceph monitors', true)
+    ]);
+
+    return {
+        id: `${endpointId}-ceph`,
+        endpointId,
+        clusterName,
+        ...parsed,
+        monitors: mergeCephMonitors(parsed.monitors, monitors),
+        pools: normalizeCephPools(pools),
+        lastUpdated: Date.now()
+    };
+}
+
+/**
+ * Fetches HA manager state and storage replication jobs for an endpoint and
+ * annotates its guests in place:
+ *   guest.ha          - { managed: false } or { managed: true, state, requestedState, crmState, node, group }
+ *   guest.replication - [{ id, target, lastSync, nextSync, failCount, error, ... }]
+ * Either field is left null when the corresponding API could not be read, so alerting
+ * can tell "unknown" apart from "not configured".
+ * @param {Object} apiClient - API client for the endpoint.
+ * @param {string} endpointId - The endpoint ID.
+ * @param {Array} nodes - Processed nodes for this endpoint.
+ * @param {Array} guests - VMs and containers of this endpoint.
+ */
+async function annotateHaAndReplication(apiClient, endpointId, nodes, guests) {
+    const getList = async (path) => {
+        const response = await apiClient.get(path, { timeout: 8000 });
+        return Array.isArray(response.data?.data) ? response.data.data : [];
+    };
+
+    const [haStatus, haResources, replicationJobs] = await Promise.allSettled([
+        getList('/cluster/ha/status/current'),
+        getList('/cluster/ha/resources'),
+        getList('/cluster/replication')
+    ]);
+
+    let haServices = null;
+    if (haStatus.status === 'fulfilled' && haResources.status === 'fulfilled') {
+        haServices = buildHaServiceMap(haStatus.value, haResources.value);
+    } else {
+        const reason = haStatus.reason || haResources.reason;
+        console.warn(`[DataFetcher - ${endpointId}] Could not fetch HA status: ${reason?.message || reason}`);
+    }
+
+    let replicationByGuest = null;
+    if (replicationJobs.status === 'fulfilled') {
+        let nodeStatuses = [];
+        if (replicationJobs.value.length > 0) {
+            // Runtime state (last sync, failures) is only available from each source node
+            const onlineNodes = nodes.filter(node => node.status === 'online');
+            const results = await Promise.all(onlineNodes.map(node =>
+                fetchNodeResource(apiClient, endpointId, node.node, 'replication', 'Replication status', true)
+            ));
+            nodeStatuses = results.flat();
+        }
+        replicationByGuest = buildReplicationMap(replicationJobs.value, nodeStatuses);
+    } else {
+        console.warn(`[DataFetcher - ${endpointId}] Could not fetch replication jobs: ${replicationJobs.reason?.message}`);
+    }
+
+    guests.forEach(guest => {
+        if (haServices) {
+            const service = haServices.get(`${guest.type === 'qemu' ? 'vm' : 'ct'}:${guest.vmid}`);
+            guest.ha = service ? { managed: true, ...service } : { managed: false };
+        } else {
+            guest.ha = null;
+        }
+        guest.replication = replicationByGuest ? (replicationByGuest.get(Number(guest.vmid)) || []) : null;
+    });
+}
+
+/**
+ * Annotates guests in place with their resource pool (guest.pool), used to match
+ * backup policies. Guests keep pool null when /cluster/resources cannot be read.
+ * @param {Object} apiClient - API client for the endpoint.
+ * @param {string} endpointId - The endpoint ID.
+ * @param {Array} guests - VMs and containers of this endpoint.
+ */
+async function annotateGuestPools(apiClient, endpointId, guests) {
+    let poolByVmid = null;
+    try {
+        const response = await apiClient.get('/cluster/resources', { params: { type: 'vm' }, timeout: 8000 });
+        poolByVmid = new Map((response.data?.data || []).map(resource => [Number(resource.vmid), resource.pool || null]));
+    } catch (error) {
+        console.warn(`[DataFetcher - ${endpointId}] Could not fetch guest pools: ${error.message}`);
+    }
+
+    guests.forEach(guest => {
+        guest.pool = poolByVmid ? (poolByVmid.get(Number(guest.vmid)) || null) : null;
+    });
+}
+
 /**
  * Fetches and processes discovery data for a single PVE endpoint.
  * @param {string} endpointId - The unique ID of the PVE endpoint.
  * @param {Object} apiClient - The initialized Axios client instance for this endpoint.
  * @param {Object} config - The configuration object for this endpoint.
- * @returns {Promise<Object>} - { nodes: Array, vms: Array, containers: Array } for this endpoint.
+ * @returns {Promise<Object>} - { nodes: Array, vms: Array, containers: Array, ceph: Object|null } for this endpoint.
  */
 async function fetchDataForPveEndpoint(endpointId, apiClientInstance, config) {
     await initializePLimit(); // Ensure pLimit is initialized before use
@@ -417,6 +619,7 @@ async function fetchDataForPveEndpoint(endpointId, apiClientInstance, config) {
             
             const finalNode = {
                 cpu: null, mem: null, disk: null, maxdisk: null, uptime: 0, loadavg: null, storage: [],
+                zfsPools: null, disks: null, // null = not fetched (offline node or missing permission)
                 node: correspondingNodeInfo.node,
                 displayName: nodeDisplayName,
                 maxcpu: correspondingNodeInfo.maxcpu,
@@ -466,6 +669,8 @@ async function fetchDataForPveEndpoint(endpointId, apiClientInstance, config) {
                     finalNode.storage = [];
                 }
                 // Otherwise keep existing finalNode.storage unchanged
+                finalNode.zfsPools = nodeData.zfsPools;
+                finalNode.disks = nodeData.disks;
                 
                 
                 processedNodes.push(finalNode);
@@ -480,7 +685,13 @@ async function fetchDataForPveEndpoint(endpointId, apiClientInstance, config) {
             }
         });
 
-        return { nodes: processedNodes, vms: endpointVms, containers: endpointContainers };
+        const [ceph] = await Promise.all([
+            fetchCephData(apiClientInstance, endpointId, actualClusterName, processedNodes),
+            annotateHaAndReplication(apiClientInstance, endpointId, processedNodes, [...endpointVms, ...endpointContainers]),
+            annotateGuestPools(apiClientInstance, endpointId, [...endpointVms, ...endpointContainers])
+        ]);
+
+        return { nodes: processedNodes, vms: endpointVms, containers: endpointContainers, ceph };
 
     } catch (error) {
         const status = error.response?.status ? ` (Status: ${error.response.status})` : '';
@@ -859,14 +1070,14 @@ async function fetchFromEndpointGroup(endpointGroup, currentApiClients) {
 /**
  * Fetches structural PVE data: node list, statuses, VM/CT lists.
  * @param {Object} currentApiClients - Initialized PVE API clients.
- * @returns {Promise<Object>} - { nodes, vms, containers }
+ * @returns {Promise<Object>} - { nodes, vms, containers, ceph }
  */
 async function fetchPveDiscoveryData(currentApiClients) {
     const pveEndpointIds = Object.keys(currentApiClients);
-    let allNodes = [], allVms = [], allContainers = [];
+    let allNodes = [], allVms = [], allContainers = [], allCeph = [];
 
     if (pveEndpointIds.length === 0) {
-        return { nodes: [], vms: [], containers: [] };
+        return { nodes: [], vms: [], containers: [], ceph: [] };
     }
 
 
@@ -885,6 +1096,9 @@ async function fetchPveDiscoveryData(currentApiClients) {
             allNodes.push(...(data.nodes || []));
             allVms.push(...(data.vms || []));
             allContainers.push(...(data.containers || []));
+            if (data.ceph) {
+                allCeph.push(data.ceph);
+            }
             
         } else if (result.status === 'rejected') {
             const group = endpointGroups[index];
@@ -896,7 +1110,8 @@ async function fetchPveDiscoveryData(currentApiClients) {
     return { 
         nodes: deduplicateClusterNodes(allNodes), 
         vms: deduplicateVmsByNode(allVms), 
-        containers: deduplicateContainersByNode(allContainers) 
+        containers: deduplicateContainersByNode(allContainers),
+        ceph: allCeph
     };
 }
 
@@ -1811,6 +2026,9 @@ async function fetchPbsData(currentPbsApiClients) {
                         datastores: {}
                     };
                 }
+
+                // Sync, prune and garbage collection job status
+                instanceData.jobMonitoring = await getPbsJobMonitoring(pbsClient, instanceData.datastores);
                 
                 instanceData.status = 'ok';
                 instanceData.nodeName = nodeName; // Ensure nodeName is set
@@ -2034,6 +2252,7 @@ async function fetchDiscoveryData(currentApiClients, currentPbsApiClients, _fetc
       nodes: pveResult.nodes || [],
       vms: pveResult.vms || [],
       containers: pveResult.containers || [],
+      ceph: pveResult.ceph || [], // Ceph clusters (only endpoints with Ceph configured)
       pbs: pbsResult || [], // pbsResult is already the array we need
       pveBackups: pveBackups, // Add PVE backup data
       allPbsTasks: allPbsTasks, // Global PBS task array for frontend
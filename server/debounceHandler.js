@@ -52,7 +52,7 @@ class DebounceHandler {
                 if (now >= debounceEnd) {
                     // Debounce period completed - find the alert
                     const alert = this.findAlertByCooldownKey(cooldownKey, 'email');
-                    if (alert && alert.state === 'active' && !alert.emailSent) {
+                    if (alert && alert.state === 'active' && !alert.emailSent && !alert.maintenanceWindow && !alert.parentAlertId) {
                         console.log(`[DebounceHandler] Email debounce completed for alert ${alert.id}`);
                         emailsToSend.push(alert);
                         // Mark as processed to prevent duplicate sending
@@ -68,7 +68,7 @@ class DebounceHandler {
                 if (now >= cooldownInfo.debounceUntil) {
                     // Debounce period completed - find the alert
                     const alert = this.findAlertByCooldownKey(cooldownKey, 'webhook');
-                    if (alert && alert.state === 'active' && !alert.webhookSent) {
+                    if (alert && alert.state === 'active' && !alert.webhookSent && !alert.maintenanceWindow && !alert.parentAlertId) {
                         console.log(`[DebounceHandler] Webhook debounce completed for alert ${alert.id}`);
                         webhooksToSend.push(alert);
                     }
@@ -116,24 +116,26 @@ class DebounceHandler {
         if (webhooksToSend.length > 0) {
             console.log(`[DebounceHandler] Sending ${webhooksToSend.length} debounced webhooks`);
             
-            const webhookUrl = process.env.WEBHOOK_URL;
-            if (webhookUrl) {
-                // Use batcher for intelligent batching
-                for (const alert of webhooksToSend) {
-                    try {
+            // Use batcher for intelligent batching, once per routed (or default) webhook
+            for (const alert of webhooksToSend) {
+                const webhookUrls = this.alertManager.getWebhookTargets(alert);
+                if (webhookUrls.length === 0) continue;
+                
+                try {
+                    for (const webhookUrl of webhookUrls) {
                         await this.alertManager.webhookBatcher.queueAlert(alert, webhookUrl);
-                        
-                        // Update cooldown to prevent resending
-                        const cooldownKey = this.alertManager.getWebhookCooldownKey(alert);
-                        const cooldownInfo = this.alertManager.webhookCooldowns.get(cooldownKey);
-                        if (cooldownInfo) {
-                            cooldownInfo.lastSent = now;
-                            cooldownInfo.cooldownUntil = now + (this.alertManager.webhookCooldownConfig.defaultCooldownMinutes * 60000);
-                            delete cooldownInfo.debounceUntil; // Clear debounce flag
-                        }
-                    } catch (error) {
-                        console.error(`[DebounceHandler] Failed to send debounced webhook for alert ${alert.id}:`, error);
                     }
+                    
+                    // Update cooldown to prevent resending
+                    const cooldownKey = this.alertManager.getWebhookCooldownKey(alert);
+                    const cooldownInfo = this.alertManager.webhookCooldowns.get(cooldownKey);
+                    if (cooldownInfo) {
+                        cooldownInfo.lastSent = now;
+                        cooldownInfo.cooldownUntil = now + (this.alertManager.webhookCooldownConfig.defaultCooldownMinutes * 60000);
+                        delete cooldownInfo.debounceUntil; // Clear debounce flag
+                    }
+                } catch (error) {
+                    console.error(`[DebounceHandler] Failed to send debounced webhook for alert ${alert.id}:`, error);
                 }
             }
         }
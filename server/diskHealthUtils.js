@@ -0,0 +1,77 @@
+/**
+ * Helpers for turning PVE ZFS pool and physical disk responses into the shape Pulse keeps in state.
+ */
+
+// ZFS pool states that mean redundancy is reduced but data is still available
+const ZFS_DEGRADED_STATES = ['DEGRADED', 'OFFLINE'];
+
+/**
+ * Normalizes `/nodes/{node}/disks/zfs` entries.
+ * @param {Array} pools - Raw zpool list.
+ * @returns {Array} - [{ name, health, size, alloc, free, frag, dedup, percentUsed }]
+ */
+function normalizeZfsPools(pools) {
+    if (!Array.isArray(pools)) return [];
+
+    return pools.map(pool => ({
+        name: pool.name,
+        health: (pool.health || 'UNKNOWN').toUpperCase(),
+        size: pool.size || 0,
+        alloc: pool.alloc || 0,
+        free: pool.free || 0,
+        frag: pool.frag ?? null,
+        dedup: pool.dedup ?? null,
+        percentUsed: pool.size > 0 ? ((pool.alloc || 0) / pool.size) * 100 : null
+    })).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Normalizes `/nodes/{node}/disks/list` entries.
+ * PVE reports SMART as PASSED (ATA) or OK (SCSI/NVMe) when healthy. `wearout` is the
+ * remaining SSD life in percent (100 = new) and 'N/A' for disks that don't report it.
+ * @param {Array} disks - Raw disk list.
+ * @returns {Array} - [{ devpath, model, serial, vendor, type, size, used, health, lifeRemaining }]
+ */
+function normalizeDisks(disks) {
+    if (!Array.isArray(disks)) return [];
+
+    return disks.map(disk => {
+        const wearout = Number(disk.wearout);
+        return {
+            devpath: disk.devpath,
+            model: disk.model || null,
+            serial: disk.serial || null,
+            vendor: disk.vendor ? String(disk.vendor).trim() : null,
+            type: disk.type || 'unknown',
+            size: disk.size || 0,
+            used: disk.used || null,
+            health: (disk.health || 'UNKNOWN').toUpperCase(),
+            lifeRemaining: disk.wearout !== undefined && disk.wearout !== 'N/A' && Number.isFinite(wearout) ? wearout : null
+        };
+    }).sort((a, b) => (a.devpath || '').localeCompare(b.devpath || ''));
+}
+
+/**
+ * Maps a ZFS pool health state to an alert severity.
+ * @param {string} health - zpool health (ONLINE, DEGRADED, FAULTED, ...).
+ * @returns {string|null} - 'warning', 'critical' or null when the pool is healthy.
+ */
+function getZfsPoolSeverity(health) {
+    if (health === 'ONLINE' || health === 'UNKNOWN') return null;
+    return ZFS_DEGRADED_STATES.includes(health) ? 'warning' : 'critical';
+}
+
+/**
+ * @param {Object} disk - Normalized disk.
+ * @returns {boolean} - True when SMART reports the disk as failing.
+ */
+function isSmartFailed(disk) {
+    return disk.health === 'FAILED';
+}
+
+module.exports = {
+    normalizeZfsPools,
+    normalizeDisks,
+    getZfsPoolSeverity,
+    isSmartFailed
+};
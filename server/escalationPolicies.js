@@ -0,0 +1,228 @@
+const fs = require('fs').promises;
+const path = require('path');
+const notificationRouting = require('./notificationRouting');
+
+const MINUTE = 60 * 1000;
+const MAX_STEPS = 10;
+
+/**
+ * Escalation Policy Manager
+ * Handles escalation policies: when a matching alert stays unacknowledged, each step
+ * re-notifies a set of notification channels after a delay, optionally repeating until
+ * the next step is due. Escalation stops once the alert is acknowledged or resolved.
+ */
+class EscalationPolicyManager {
+    constructor() {
+        this.configPath = path.join(__dirname, '../data/escalation-policies.json');
+        this.policies = new Map(); // id -> policy
+        this.initialized = false;
+    }
+
+    /**
+     * Initialize the escalation policy manager
+     */
+    async init() {
+        try {
+            await this.loadPolicies();
+            this.initialized = true;
+            console.log('[EscalationPolicies] Initialized successfully');
+        } catch (error) {
+            console.error('[EscalationPolicies] Initialization failed:', error);
+        }
+    }
+
+    /**
+     * Load policies from storage
+     */
+    async loadPolicies() {
+        try {
+            await fs.mkdir(path.dirname(this.configPath), { recursive: true });
+
+            const data = await fs.readFile(this.configPath, 'utf8');
+            const policies = JSON.parse(data);
+
+            this.policies.clear();
+            Object.entries(policies).forEach(([id, policy]) => {
+                this.policies.set(id, policy);
+            });
+
+            console.log(`[EscalationPolicies] Loaded ${this.policies.size} escalation policies`);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                await this.savePolicies();
+                console.log('[EscalationPolicies] Created new escalation policy file');
+            } else {
+                console.error('[EscalationPolicies] Error loading escalation policies:', error);
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Save policies to storage
+     */
+    async savePolicies() {
+        try {
+            const data = Object.fromEntries(this.policies);
+            await fs.writeFile(this.configPath, JSON.stringify(data, null, 2), 'utf8');
+        } catch (error) {
+            console.error('[EscalationPolicies] Error saving escalation policies:', error);
+            throw error;
+        }
+    }
+
+    getAllPolicies() {
+        return Array.from(this.policies.values());
+    }
+
+    getPolicy(id) {
+        return this.policies.get(id) || null;
+    }
+
+    /**
+     * First policy with a step notifying the given channel, if any.
+     */
+    getPolicyUsingChannel(channelId) {
+        return this.getAllPolicies().find(policy =>
+            policy.steps.some(step => step.channels.includes(channelId))) || null;
+    }
+
+    /**
+     * Create a policy. Throws on invalid input.
+     */
+    async createPolicy(input) {
+        const validated = this.validatePolicy(input);
+        let id = `escalation-${Date.now()}`;
+        for (let suffix = 1; this.policies.has(id); suffix++) {
+            id = `escalation-${Date.now()}-${suffix}`;
+        }
+
+        const now = new Date().toISOString();
+        const policy = { id, ...validated, createdAt: now, updatedAt: now };
+        this.policies.set(id, policy);
+        await this.savePolicies();
+        return policy;
+    }
+
+    /**
+     * Replace an existing policy. Returns null when it does not exist.
+     */
+    async updatePolicy(id, input) {
+        const existing = this.policies.get(id);
+        if (!existing) return null;
+
+        const validated = this.validatePolicy({ ...existing, ...input });
+        const policy = { id, ...validated, createdAt: existing.createdAt, updatedAt: new Date().toISOString() };
+        this.policies.set(id, policy);
+        await this.savePolicies();
+        return policy;
+    }
+
+    async deletePolicy(id) {
+        if (!this.policies.delete(id)) return false;
+        await this.savePolicies();
+        return true;
+    }
+
+    /**
+     * Validate policy configuration
+     */
+    validatePolicy(input) {
+        if (!input || typeof input !== 'object') {
+            throw new Error('Escalation policy configuration is required');
+        }
+        if (!input.name || typeof input.name !== 'string' || !input.name.trim()) {
+            throw new Error('Escalation policy name is required');
+        }
+        if (!Array.isArray(input.steps) || input.steps.length === 0 || input.steps.length > MAX_STEPS) {
+            throw new Error(`steps must list between 1 and ${MAX_STEPS} escalation steps`);
+        }
+
+        let previousDelay = -1;
+        const steps = input.steps.map((step, index) => {
+            const label = `steps[${index}]`;
+            if (!step || typeof step !== 'object') {
+                throw new Error(`${label} must be an object`);
+            }
+            if (!Number.isInteger(step.afterMinutes) || step.afterMinutes < 1) {
+                throw new Error(`${label}.afterMinutes must be a whole number of minutes (at least 1)`);
+            }
+            if (step.afterMinutes <= previousDelay) {
+                throw new Error(`${label}.afterMinutes must be later than the previous step`);
+            }
+            previousDelay = step.afterMinutes;
+
+            if (!Array.isArray(step.channels) || step.channels.length === 0) {
+                throw new Error(`${label}.channels must list at least one channel id`);
+            }
+            const unknown = step.channels.find(id => !notificationRouting.getChannel(id));
+            if (unknown) {
+                throw new Error(`Unknown channel "${unknown}" in ${label}`);
+            }
+
+            const repeatMinutes = step.repeatMinutes === undefined || step.repeatMinutes === null ? 0 : step.repeatMinutes;
+            if (!Number.isInteger(repeatMinutes) || repeatMinutes < 0) {
+                throw new Error(`${label}.repeatMinutes must be a whole number of minutes (0 disables repeats)`);
+            }
+
+            return { afterMinutes: step.afterMinutes, channels: [...new Set(step.channels)], repeatMinutes };
+        });
+
+        return {
+            name: input.name.trim(),
+            description: typeof input.description === 'string' ? input.description.trim() : '',
+            enabled: input.enabled !== false,
+            // Escalation is meant for critical alerts unless a policy says otherwise
+            match: notificationRouting.validateMatch(input.match, { severities: ['critical'] }),
+            steps
+        };
+    }
+
+    /**
+     * Policy responsible for an alert. An alert stays with the policy that first
+     * escalated it; otherwise the first enabled policy matching the alert is used.
+     */
+    findPolicyForAlert(alert) {
+        if (alert.escalation?.policyId) {
+            const policy = this.policies.get(alert.escalation.policyId);
+            return policy && policy.enabled ? policy : null;
+        }
+
+        const policies = this.getAllPolicies().filter(policy => policy.enabled);
+        if (policies.length === 0) return null;
+
+        const target = notificationRouting.getAlertTarget(alert, policies.some(policy => policy.match.tags.length > 0));
+        return policies.find(policy => notificationRouting.matchesTarget(policy.match, target)) || null;
+    }
+
+    /**
+     * Escalation step due for an unacknowledged alert, if any. Steps are due
+     * afterMinutes after the alert triggered; the most recent step repeats every
+     * repeatMinutes until the next step is due.
+     * @param {Object} alert - Active alert, with escalation state from earlier steps.
+     * @returns {Object|null} - { policy, stepIndex, step, repeat }
+     */
+    getDueStep(alert, now = Date.now()) {
+        const policy = this.findPolicyForAlert(alert);
+        if (!policy) return null;
+
+        const triggeredAt = alert.triggeredAt || alert.startTime;
+        if (!triggeredAt) return null;
+
+        const level = alert.escalation?.level || 0;
+        const nextStep = policy.steps[level];
+        if (nextStep && now - triggeredAt >= nextStep.afterMinutes * MINUTE) {
+            return { policy, stepIndex: level, step: nextStep, repeat: false };
+        }
+
+        const currentStep = level > 0 ? policy.steps[level - 1] : null;
+        if (currentStep && currentStep.repeatMinutes > 0 &&
+            now - alert.escalation.lastNotifiedAt >= currentStep.repeatMinutes * MINUTE) {
+            return { policy, stepIndex: level - 1, step: currentStep, repeat: true };
+        }
+
+        return null;
+    }
+}
+
+module.exports = new EscalationPolicyManager();
@@ -0,0 +1,37 @@
+/**
+ * Helpers for guest (VM/LXC) attributes shared by backup policies, maintenance windows
+ * and notification routing.
+ */
+
+/**
+ * Splits a PVE tag string ("prod;web") into lower-case tags.
+ * @param {string|Array} tags - Tags as reported by PVE, or an already split list.
+ * @returns {Array<string>}
+ */
+function parseGuestTags(tags) {
+    if (Array.isArray(tags)) return tags.map(tag => String(tag).toLowerCase());
+    if (!tags || typeof tags !== 'string') return [];
+    return tags.split(/[;,\s]+/).filter(Boolean).map(tag => tag.toLowerCase());
+}
+
+/**
+ * Tags of a guest as currently reported by PVE. Alerts only carry a trimmed guest copy,
+ * so the tags are looked up in the current state.
+ * @param {Object} guest - Guest with endpointId and vmid.
+ * @returns {Array<string>}
+ */
+function lookupGuestTags(guest) {
+    if (!guest || guest.vmid === undefined || guest.vmid === null) return [];
+
+    // Required lazily, state requires the alert manager which requires this module
+    const stateManager = require('./state');
+    const currentState = stateManager.getState();
+    const stateGuest = [...(currentState.vms || []), ...(currentState.containers || [])]
+        .find(g => g.endpointId === guest.endpointId && String(g.vmid) === String(guest.vmid));
+    return parseGuestTags(stateGuest?.tags);
+}
+
+module.exports = {
+    parseGuestTags,
+    lookupGuestTags
+};
@@ -0,0 +1,115 @@
+/**
+ * Helpers for turning PVE HA manager and storage replication responses into
+ * per-guest annotations.
+ */
+
+// HA service states that need attention, mapped to alert severity
+const HA_PROBLEM_STATES = {
+    error: 'critical',
+    fence: 'critical',
+    recovery: 'warning'
+};
+
+// Replication jobs are escalated to critical after this many consecutive failures
+const REPLICATION_CRITICAL_FAIL_COUNT = 3;
+
+/**
+ * Builds per-service HA info from `/cluster/ha/status/current` and `/cluster/ha/resources`.
+ * @param {Array} statusEntries - Raw HA status entries (quorum, master, lrm and service entries).
+ * @param {Array} resources - Raw HA resource configuration.
+ * @returns {Map} - sid ('vm:100' / 'ct:101') -> { sid, state, requestedState, crmState, node, group, maxRestart, maxRelocate }
+ */
+function buildHaServiceMap(statusEntries, resources) {
+    const services = new Map();
+
+    (Array.isArray(resources) ? resources : []).forEach(resource => {
+        if (!resource.sid) return;
+        services.set(resource.sid, {
+            sid: resource.sid,
+            state: null,
+            requestedState: resource.state || 'started',
+            crmState: null,
+            node: null,
+            group: resource.group || null,
+            maxRestart: resource.max_restart ?? null,
+            maxRelocate: resource.max_relocate ?? null
+        });
+    });
+
+    (Array.isArray(statusEntries) ? statusEntries : []).forEach(entry => {
+        if (entry.type !== 'service' || !entry.sid) return;
+        const existing = services.get(entry.sid) || { sid: entry.sid, requestedState: entry.request_state || null, group: null, maxRestart: null, maxRelocate: null };
+        services.set(entry.sid, {
+            ...existing,
+            state: entry.state || null,
+            requestedState: entry.request_state || existing.requestedState,
+            crmState: entry.crm_state || null,
+            node: entry.node || null
+        });
+    });
+
+    return services;
+}
+
+/**
+ * Merges the cluster replication job list with per-node runtime status.
+ * @param {Array} jobs - Raw `/cluster/replication` job configuration.
+ * @param {Array} nodeStatuses - Raw `/nodes/{node}/replication` entries from every source node.
+ * @returns {Map} - vmid -> [{ id, target, source, schedule, disabled, lastSync, lastTry, nextSync, failCount, error, duration }]
+ */
+function buildReplicationMap(jobs, nodeStatuses) {
+    const statusById = new Map();
+    (Array.isArray(nodeStatuses) ? nodeStatuses : []).forEach(status => {
+        if (status.id) statusById.set(status.id, status);
+    });
+
+    const byGuest = new Map();
+    (Array.isArray(jobs) ? jobs : []).forEach(job => {
+        if (!job.id) return;
+        const status = statusById.get(job.id) || {};
+        const vmid = Number(job.guest ?? status.guest);
+        const entry = {
+            id: job.id,
+            target: job.target || status.target || null,
+            source: job.source || status.source || null,
+            schedule: job.schedule || '*/15',
+            disabled: Boolean(job.disable),
+            lastSync: status.last_sync ? status.last_sync * 1000 : null,
+            lastTry: status.last_try ? status.last_try * 1000 : null,
+            nextSync: status.next_sync ? status.next_sync * 1000 : null,
+            failCount: status.fail_count || 0,
+            error: status.error || null,
+            duration: status.duration ?? null
+        };
+
+        if (!byGuest.has(vmid)) byGuest.set(vmid, []);
+        byGuest.get(vmid).push(entry);
+    });
+
+    return byGuest;
+}
+
+/**
+ * @param {Object} ha - Guest HA annotation.
+ * @returns {string|null} - Alert severity for the guest's HA state, or null when it is fine.
+ */
+function getHaStateSeverity(ha) {
+    if (!ha || !ha.managed) return null;
+    return HA_PROBLEM_STATES[ha.state] || null;
+}
+
+/**
+ * @param {Object} job - Replication job from buildReplicationMap.
+ * @returns {string|null} - Alert severity for the job, or null when it is healthy or disabled.
+ */
+function getReplicationSeverity(job) {
+    if (!job || job.disabled || !job.failCount) return null;
+    return job.failCount >= REPLICATION_CRITICAL_FAIL_COUNT ? 'critical' : 'warning';
+}
+
+module.exports = {
+    buildHaServiceMap,
+    buildReplicationMap,
+    getHaStateSeverity,
+    getReplicationSeverity
+};
@@ -21,14 +21,27 @@ const stateManager = require('./state');
 
 // Import security module
 const { initializeSecurity, shutdownAudit } = require('./security');
+const { shutdownAuth } = require('./security/auth');
 
 // Import metrics history system
 const metricsHistory = require('./metricsHistory');
+const storageForecast = require('./storageForecast');
 
 // Import metrics persistence
 const MetricsPersistence = require('./metricsPersistence');
 const metricsPersistence = new MetricsPersistence();
 
+// Import long-term metrics store (tiered rollups on disk)
+const MetricsStore = require('./metricsStore');
+const metricsStore = new MetricsStore();
+metricsHistory.setLongTermStore(metricsStore);
+
+// Import optional metrics push output (InfluxDB / Graphite)
+const MetricsSink = require('./metricsSink');
+const metricsSink = new MetricsSink();
+const MqttPublisher = require('./mqttPublisher');
+const mqttPublisher = new MqttPublisher();
+
 // Import diagnostic tool
 const DiagnosticTool = require('./diagnostics');
 
@@ -206,7 +219,10 @@ app.get('/api/storage', async (req, res) => {
         const { nodes: currentNodes } = stateManager.getState();
         const storageInfoByNode = {};
         (currentNodes || []).forEach(node => {
-            storageInfoByNode[node.node] = node.storage || []; 
+            storageInfoByNode[node.node] = (node.storage || []).map(store => ({
+                ...store,
+                forecast: storageForecast.getStorageForecast(node.node, store.storage)
+            }));
         });
         res.json(storageInfoByNode); 
     } catch (error) {
@@ -215,10 +231,46 @@ app.get('/api/storage', async (req, res) => {
     }
 });
 
+// Estimated time until full per storage (keyed node-storage) and per guest disk (keyed endpoint-node-vmid)
+app.get('/api/storage/forecast', async (req, res) => {
+    try {
+        const forecasts = await storageForecast.refresh(stateManager.getState(), req.query.refresh === 'true');
+        res.json(forecasts);
+    } catch (error) {
+        console.error("Error in /api/storage/forecast:", error);
+        res.status(500).json({ error: error.message || "Failed to compute storage forecasts." });
+    }
+});
+
+// Parses optional from/to query params (epoch ms or ISO date) for long-term chart queries
+function parseChartRange(query) {
+    if (query.from === undefined && query.to === undefined) {
+        return null;
+    }
+    
+    const parseTime = (value, fallback) => {
+        if (value === undefined || value === '') return fallback;
+        const numeric = Number(value);
+        return Number.isFinite(numeric) ? numeric : Date.parse(value);
+    };
+    
+    const to = parseTime(query.to, Date.now());
+    const from = parseTime(query.from, to - 24 * 60 * 60 * 1000);
+    
+    if (isNaN(from) || isNaN(to) || from >= to) {
+        const error = new Error('Invalid range: from and to must be timestamps or ISO dates with from < to');
+        error.statusCode = 400;
+        throw error;
+    }
+    
+    return { from, to };
+}
+
 // Chart data API endpoint
 app.get('/api/charts', async (req, res) => {
     try {
         const timeRangeMinutes = parseInt(req.query.range) || 60;
+        const customRange = parseChartRange(req.query);
         
         // Get current guest info for context
         const currentState = stateManager.getState();
@@ -234,6 +286,18 @@ app.get('/api/charts', async (req, res) => {
             };
         });
         
+        if (customRange) {
+            const guestRange = await metricsHistory.getGuestChartDataRange(guestInfoMap, customRange.from, customRange.to);
+            const nodeRange = await metricsHistory.getNodeChartDataRange(customRange.from, customRange.to);
+            
+            return res.json({
+                data: guestRange.data,
+                nodeData: nodeRange.data,
+                range: { ...customRange, resolution: guestRange.tier },
+                timestamp: Date.now()
+            });
+        }
+        
         const guestChartData = metricsHistory.getAllGuestChartData(guestInfoMap, timeRangeMinutes);
         const nodeChartData = metricsHistory.getAllNodeChartData(timeRangeMinutes);
         const stats = metricsHistory.getStats();
@@ -246,13 +310,24 @@ app.get('/api/charts', async (req, res) => {
         });
     } catch (error) {
         console.error("Error in /api/charts:", error);
-        res.status(500).json({ error: error.message || "Failed to fetch chart data." });
+        res.status(error.statusCode || 500).json({ error: error.message || "Failed to fetch chart data." });
     }
 });
 
 app.get('/api/storage-charts', async (req, res) => {
     try {
         const timeRangeMinutes = parseInt(req.query.range) || 60;
+        const customRange = parseChartRange(req.query);
+        
+        if (customRange) {
+            const storageRange = await metricsHistory.getStorageChartDataRange(customRange.from, customRange.to);
+            
+            return res.json({
+                data: storageRange.data,
+                range: { ...customRange, resolution: storageRange.tier },
+                timestamp: Date.now()
+            });
+        }
         
         const storageChartData = metricsHistory.getAllStorageChartData(timeRangeMinutes);
         const stats = metricsHistory.getStats();
@@ -264,7 +339,7 @@ app.get('/api/storage-charts', async (req, res) => {
         });
     } catch (error) {
         console.error("Error in /api/storage-charts:", error);
-        res.status(500).json({ error: error.message || "Failed to fetch storage chart data." });
+        res.status(error.statusCode || 500).json({ error: error.message || "Failed to fetch storage chart data." });
     }
 });
 
@@ -553,6 +628,13 @@ async function runDiscoveryCycle() {
 
     // ... (logging summary) ...
     const updatedState = stateManager.getState(); // Get the fully updated state
+
+    // Refit storage growth trends (throttled) and raise time-to-full alerts
+    storageForecast.refresh(updatedState)
+        .then(forecasts => stateManager.alertManager.checkStorageForecasts(forecasts))
+        .catch(error => {
+            console.error('[Discovery Cycle] Error checking storage forecast alerts:', error);
+        });
     console.log(`[Discovery Cycle] Updated state. Nodes: ${updatedState.nodes.length}, VMs: ${updatedState.vms.length}, CTs: ${updatedState.containers.length}, PBS: ${updatedState.pbs.length}`);
 
     if (io.engine.clientsCount > 0) {
@@ -567,6 +649,12 @@ async function runDiscoveryCycle() {
             // Don't emit anything if serialization fails
         }
     }
+
+    // Queue node and storage samples for the external metrics sink
+    metricsSink.recordNodes(discoveryData.nodes);
+
+    // Publish node and guest state to MQTT, including guests that appeared or disappeared
+    mqttPublisher.publishState(updatedState, true);
   } catch (error) {
       console.error(`[Discovery Cycle] Error during execution: ${error.message}`, error.stack);
       errors.push({ type: 'discovery', message: error.message, endpointId: 'general' });
@@ -679,6 +767,9 @@ async function runMetricCycle() {
            
            // Emit only metrics updates if needed, or rely on full rawData updates?
            // Consider emitting a smaller 'metricsUpdate' event if performance is key
+
+           // Queue guest samples for the external metrics sink
+           metricsSink.recordGuestMetrics(allMetrics);
         }
 
         try {
@@ -686,6 +777,7 @@ async function runMetricCycle() {
             // Test serialization first to catch circular reference errors
             JSON.stringify(currentState);
             io.emit('rawData', currentState);
+            mqttPublisher.publishState(currentState);
         } catch (serializationError) {
             console.error('[Metrics Broadcast] Error serializing state data:', serializationError.message);
             // Don't emit anything if serialization fails
@@ -945,6 +1037,19 @@ async function startServer() {
         console.error('[MetricsPersistence] Failed to load persisted metrics:', error.message);
     }
 
+    // Open the long-term metrics store
+    try {
+        await metricsStore.initialize();
+    } catch (error) {
+        console.error('[MetricsStore] Failed to initialize long-term metrics store:', error.message);
+    }
+
+    // Start pushing metrics to an external TSDB if configured
+    metricsSink.initialize();
+
+    // Publish state and alert events to an MQTT broker if configured
+    mqttPublisher.initialize(stateManager.alertManager);
+
     // Set up intelligent snapshot saving
     // More frequent saves initially, then back off
     const snapshotSchedule = [
@@ -1043,6 +1148,21 @@ async function startServer() {
         } catch (error) {
             console.error('[MetricsPersistence] Failed to save final snapshot:', error.message);
         }
+        try {
+            await metricsStore.shutdown();
+        } catch (error) {
+            console.error('[MetricsStore] Failed to flush long-term metrics:', error.message);
+        }
+        try {
+            await metricsSink.shutdown();
+        } catch (error) {
+            console.error('[MetricsSink] Failed to flush queued metrics:', error.message);
+        }
+        try {
+            await mqttPublisher.shutdown();
+        } catch (error) {
+            console.error('[MQTT] Failed to disconnect:', error.message);
+        }
         process.exit(0);
     };
 
@@ -1167,12 +1287,14 @@ startServer();
 process.on('SIGTERM', async () => {
     console.log('[Server] SIGTERM received, shutting down gracefully...');
     await shutdownAudit();
+    await shutdownAuth();
     process.exit(0);
 });
 
 process.on('SIGINT', async () => {
     console.log('[Server] SIGINT received, shutting down gracefully...');
     await shutdownAudit();
+    await shutdownAuth();
     process.exit(0);
 });
 
@@ -0,0 +1,454 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { parseGuestTags, lookupGuestTags } = require('./guestUtils');
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MAX_DURATION_MINUTES = 7 * 24 * 60;
+const MINUTE = 60 * 1000;
+
+/**
+ * Parses one field of a 5-field cron expression ("*", "1,2", "1-5", "*\/15", "mon-fri").
+ * @returns {Set<number>}
+ */
+function parseCronField(field, min, max, names = null) {
+    const values = new Set();
+    const toNumber = (token) => {
+        const index = names ? names.indexOf(token.toLowerCase()) : -1;
+        const value = index >= 0 ? index : Number(token);
+        if (!Number.isInteger(value)) throw new Error(`Invalid cron value "${token}"`);
+        return value;
+    };
+
+    field.split(',').forEach(part => {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid cron step "${part}"`);
+
+        let start = min;
+        let end = max;
+        if (range !== '*') {
+            const [from, to] = range.split('-');
+            start = toNumber(from);
+            end = to === undefined ? (stepText === undefined ? start : max) : toNumber(to);
+        }
+        if (start < min || end > max || start > end) throw new Error(`Cron value out of range "${part}"`);
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    });
+
+    return values;
+}
+
+/**
+ * Parses "minute hour day-of-month month day-of-week".
+ */
+function parseCron(expression) {
+    const fields = String(expression || '').trim().split(/\s+/);
+    if (fields.length !== 5) {
+        throw new Error('Cron expression must have 5 fields (minute hour day month weekday)');
+    }
+
+    const dow = parseCronField(fields[4], 0, 7, DAY_NAMES);
+    if (dow.has(7)) dow.add(0); // 7 is Sunday too
+
+    return {
+        minute: parseCronField(fields[0], 0, 59),
+        hour: parseCronField(fields[1], 0, 23),
+        dom: parseCronField(fields[2], 1, 31),
+        month: parseCronField(fields[3], 1, 12),
+        dow,
+        domRestricted: fields[2] !== '*',
+        dowRestricted: fields[4] !== '*'
+    };
+}
+
+function cronMatches(cron, parts) {
+    if (!cron.minute.has(parts.minute) || !cron.hour.has(parts.hour) || !cron.month.has(parts.month)) return false;
+
+    // Like cron: when both day fields are restricted either one may match
+    const domMatch = cron.dom.has(parts.day);
+    const dowMatch = cron.dow.has(parts.weekday);
+    if (cron.domRestricted && cron.dowRestricted) return domMatch || dowMatch;
+    if (cron.domRestricted) return domMatch;
+    if (cron.dowRestricted) return dowMatch;
+    return true;
+}
+
+const formatters = new Map();
+
+/**
+ * Wall-clock minute, hour, day, month and weekday of a timestamp in a time zone.
+ */
+function getZonedParts(timestamp, timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            weekday: 'short'
+        }));
+    }
+
+    const parts = {};
+    formatters.get(timeZone).formatToParts(new Date(timestamp)).forEach(part => {
+        parts[part.type] = part.value;
+    });
+    return {
+        minute: Number(parts.minute),
+        hour: Number(parts.hour),
+        day: Number(parts.day),
+        month: Number(parts.month),
+        weekday: DAY_NAMES.indexOf(parts.weekday.toLowerCase())
+    };
+}
+
+/**
+ * Most recent minute in (notBefore, from] at which a cron schedule fired in a time zone.
+ * Hours whose day or hour does not match are skipped whole and matching hours jump straight
+ * to the previous matching minute, so even a week-long window needs only a few hundred
+ * time zone conversions.
+ * @returns {number|null} - The fire time (ms), or null when it did not fire in that range.
+ */
+function findPreviousFire(cron, timeZone, from, notBefore) {
+    const minutes = Array.from(cron.minute).sort((a, b) => b - a);
+    let timestamp = Math.floor(from / MINUTE) * MINUTE;
+
+    while (timestamp > notBefore) {
+        const parts = getZonedParts(timestamp, timeZone);
+        const minute = minutes.find(value => value <= parts.minute);
+
+        if (minute === undefined || !cronMatches(cron, { ...parts, minute })) {
+            timestamp -= (parts.minute + 1) * MINUTE; // Last minute of the previous hour
+        } else if (minute === parts.minute) {
+            return timestamp;
+        } else {
+            timestamp -= (parts.minute - minute) * MINUTE;
+        }
+    }
+    return null;
+}
+
+/**
+ * Maintenance Window Manager
+ * Handles named, recurring maintenance windows during which matching alerts are
+ * recorded but neither announced nor notified.
+ */
+class MaintenanceWindowManager {
+    constructor() {
+        this.configPath = path.join(__dirname, '../data/maintenance-windows.json');
+        this.windows = new Map(); // id -> window
+        this.cronCache = new Map(); // id -> parsed cron
+        this.activeCache = { minute: null, windows: [] };
+        this.initialized = false;
+    }
+
+    /**
+     * Initialize the maintenance window manager
+     */
+    async init() {
+        try {
+            await this.loadWindows();
+            this.initialized = true;
+            console.log('[MaintenanceWindows] Initialized successfully');
+        } catch (error) {
+            console.error('[MaintenanceWindows] Initialization failed:', error);
+        }
+    }
+
+    /**
+     * Load windows from storage
+     */
+    async loadWindows() {
+        try {
+            await fs.mkdir(path.dirname(this.configPath), { recursive: true });
+
+            const data = await fs.readFile(this.configPath, 'utf8');
+            const windows = JSON.parse(data);
+
+            this.windows.clear();
+            this.invalidateCache();
+            Object.entries(windows).forEach(([id, window]) => {
+                this.windows.set(id, window);
+            });
+
+            console.log(`[MaintenanceWindows] Loaded ${this.windows.size} maintenance windows`);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                await this.saveWindows();
+                console.log('[MaintenanceWindows] Created new maintenance window file');
+            } else {
+                console.error('[MaintenanceWindows] Error loading maintenance windows:', error);
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Save windows to storage
+     */
+    async saveWindows() {
+        try {
+            const data = Object.fromEntries(this.windows);
+            await fs.writeFile(this.configPath, JSON.stringify(data, null, 2), 'utf8');
+        } catch (error) {
+            console.error('[MaintenanceWindows] Error saving maintenance windows:', error);
+            throw error;
+        }
+    }
+
+    invalidateCache() {
+        this.cronCache.clear();
+        this.activeCache = { minute: null, windows: [] };
+    }
+
+    getAllWindows() {
+        return Array.from(this.windows.values());
+    }
+
+    getWindow(id) {
+        return this.windows.get(id) || null;
+    }
+
+    /**
+     * Create a window. Throws on invalid input.
+     */
+    async createWindow(input) {
+        const validated = this.validateWindow(input);
+        let id = `window-${Date.now()}`;
+        for (let suffix = 1; this.windows.has(id); suffix++) {
+            id = `window-${Date.now()}-${suffix}`;
+        }
+
+        const now = new Date().toISOString();
+        const window = { id, ...validated, createdAt: now, updatedAt: now };
+        this.windows.set(id, window);
+        this.invalidateCache();
+        await this.saveWindows();
+        return window;
+    }
+
+    /**
+     * Replace an existing window. Returns null when it does not exist.
+     */
+    async updateWindow(id, input) {
+        const existing = this.windows.get(id);
+        if (!existing) return null;
+
+        const validated = this.validateWindow({ ...existing, ...input });
+        const window = { id, ...validated, createdAt: existing.createdAt, updatedAt: new Date().toISOString() };
+        this.windows.set(id, window);
+        this.invalidateCache();
+        await this.saveWindows();
+        return window;
+    }
+
+    async deleteWindow(id) {
+        if (!this.windows.delete(id)) return false;
+        this.invalidateCache();
+        await this.saveWindows();
+        return true;
+    }
+
+    /**
+     * Validate window configuration
+     */
+    validateWindow(input) {
+        if (!input || typeof input !== 'object') {
+            throw new Error('Maintenance window configuration is required');
+        }
+        if (!input.name || typeof input.name !== 'string' || !input.name.trim()) {
+            throw new Error('Maintenance window name is required');
+        }
+
+        const timezone = input.timezone || 'UTC';
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        } catch (error) {
+            throw new Error(`Unknown timezone "${timezone}"`);
+        }
+
+        const schedule = this.validateSchedule(input.schedule);
+
+        const scope = input.scope || {};
+        const toList = (value, fieldName) => {
+            if (value === undefined || value === null) return [];
+            if (!Array.isArray(value)) throw new Error(`scope.${fieldName} must be an array`);
+            return value.map(item => String(item).trim()).filter(Boolean);
+        };
+
+        return {
+            name: input.name.trim(),
+            description: typeof input.description === 'string' ? input.description.trim() : '',
+            enabled: input.enabled !== false,
+            timezone,
+            schedule,
+            scope: {
+                endpoints: toList(scope.endpoints, 'endpoints'),
+                nodes: toList(scope.nodes, 'nodes'),
+                guests: toList(scope.guests, 'guests'),
+                tags: toList(scope.tags, 'tags').map(tag => tag.toLowerCase())
+            }
+        };
+    }
+
+    /**
+     * Validate a schedule: weekly (days + start time), cron expression or a one-off range
+     */
+    validateSchedule(schedule) {
+        if (!schedule || typeof schedule !== 'object') {
+            throw new Error('schedule is required');
+        }
+
+        if (schedule.type === 'once') {
+            const start = Date.parse(schedule.start);
+            const end = Date.parse(schedule.end);
+            if (!Number.isFinite(start) || !Number.isFinite(end)) {
+                throw new Error('schedule.start and schedule.end must be ISO timestamps');
+            }
+            if (end <= start) {
+                throw new Error('schedule.end must be after schedule.start');
+            }
+            return { type: 'once', start: new Date(start).toISOString(), end: new Date(end).toISOString() };
+        }
+
+        const durationMinutes = schedule.durationMinutes;
+        if (!Number.isInteger(durationMinutes) || durationMinutes < 1 || durationMinutes > MAX_DURATION_MINUTES) {
+            throw new Error(`schedule.durationMinutes must be a whole number between 1 and ${MAX_DURATION_MINUTES}`);
+        }
+
+        if (schedule.type === 'weekly') {
+            if (!Array.isArray(schedule.days) || schedule.days.length === 0) {
+                throw new Error('schedule.days must list at least one weekday');
+            }
+            const days = schedule.days.map(day => String(day).slice(0, 3).toLowerCase());
+            const invalid = days.find(day => !DAY_NAMES.includes(day));
+            if (invalid) {
+                throw new Error(`Invalid weekday "${invalid}"`);
+            }
+            if (!/^([01]?\d|2[0-3]):[0-5]\d$/.test(schedule.start || '')) {
+                throw new Error('schedule.start must be a time in HH:MM format');
+            }
+            return { type: 'weekly', days: [...new Set(days)], start: schedule.start, durationMinutes };
+        }
+
+        if (schedule.type === 'cron') {
+            parseCron(schedule.expression);
+            return { type: 'cron', expression: String(schedule.expression).trim(), durationMinutes };
+        }
+
+        throw new Error('schedule.type must be one of: weekly, cron, once');
+    }
+
+    getCron(window) {
+        if (!this.cronCache.has(window.id)) {
+            const { schedule } = window;
+            const expression = schedule.type === 'weekly'
+                ? `${Number(schedule.start.split(':')[1])} ${Number(schedule.start.split(':')[0])} * * ${schedule.days.join(',')}`
+                : schedule.expression;
+            this.cronCache.set(window.id, parseCron(expression));
+        }
+        return this.cronCache.get(window.id);
+    }
+
+    /**
+     * Checks whether a window is open at a point in time. Recurring windows are open when
+     * their schedule fired within the last durationMinutes (in the window's timezone).
+     * @returns {number|null} - When the current occurrence ends (ms), or null when closed.
+     */
+    getOccurrenceEnd(window, now = Date.now()) {
+        if (!window.enabled) return null;
+
+        if (window.schedule.type === 'once') {
+            const start = Date.parse(window.schedule.start);
+            const end = Date.parse(window.schedule.end);
+            return now >= start && now < end ? end : null;
+        }
+
+        const duration = window.schedule.durationMinutes * MINUTE;
+        const currentMinute = Math.floor(now / MINUTE) * MINUTE;
+        const startedAt = findPreviousFire(this.getCron(window), window.timezone, currentMinute, currentMinute - duration);
+        return startedAt === null ? null : startedAt + duration;
+    }
+
+    /**
+     * Windows open right now, recomputed at most once per minute.
+     * @returns {Array} - [{ window, endsAt }]
+     */
+    getActiveWindows(now = Date.now()) {
+        const minute = Math.floor(now / MINUTE);
+        if (this.activeCache.minute !== minute) {
+            const active = [];
+            this.windows.forEach(window => {
+                try {
+                    const endsAt = this.getOccurrenceEnd(window, now);
+                    if (endsAt) active.push({ window, endsAt });
+                } catch (error) {
+                    console.error(`[MaintenanceWindows] Error evaluating window ${window.id}:`, error.message);
+                }
+            });
+            this.activeCache = { minute, windows: active };
+        }
+        return this.activeCache.windows;
+    }
+
+    /**
+     * Check whether a window's scope covers an alert target. A window without any scope
+     * covers everything; otherwise any matching endpoint, node, guest or tag is enough.
+     * @param {Object} window - Maintenance window.
+     * @param {Object} target - { endpointId, node, vmid, tags }
+     */
+    windowCoversTarget(window, target) {
+        const { endpoints, nodes, guests, tags } = window.scope;
+        if (!endpoints.length && !nodes.length && !guests.length && !tags.length) return true;
+
+        if (target.endpointId && endpoints.includes(String(target.endpointId))) return true;
+        if (target.node && nodes.includes(String(target.node))) return true;
+        if (target.vmid !== undefined && target.vmid !== null &&
+            guests.some(entry => entry === String(target.vmid) || entry === `${target.endpointId}:${target.vmid}`)) return true;
+        return tags.length > 0 && parseGuestTags(target.tags).some(tag => tags.includes(tag));
+    }
+
+    /**
+     * Find the open maintenance window covering an alert, if any.
+     * @param {Object} alert - Alert with guest (or nodeId/nodeName for node alerts).
+     * @returns {Object|null} - { id, name, endsAt }
+     */
+    findWindowForAlert(alert) {
+        const active = this.getActiveWindows();
+        if (active.length === 0) return null;
+
+        const guest = alert.guest || {};
+        const target = {
+            endpointId: guest.endpointId,
+            node: guest.node || alert.nodeId,
+            vmid: guest.vmid,
+            tags: null
+        };
+
+        if (active.some(({ window }) => window.scope.tags.length > 0)) {
+            target.tags = lookupGuestTags(guest);
+        }
+
+        const match = active.find(({ window }) => this.windowCoversTarget(window, target));
+        return match ? { id: match.window.id, name: match.window.name, endsAt: match.endsAt } : null;
+    }
+
+    /**
+     * Current status of all windows for the API.
+     */
+    getWindowStatus(now = Date.now()) {
+        const active = new Map(this.getActiveWindows(now).map(({ window, endsAt }) => [window.id, endsAt]));
+        return this.getAllWindows().map(window => ({
+            ...window,
+            active: active.has(window.id),
+            activeUntil: active.get(window.id) || null
+        }));
+    }
+}
+
+module.exports = new MaintenanceWindowManager();
@@ -9,9 +9,14 @@ class MetricsHistory {
         this.storageMetrics = new Map(); // storageId -> { dataPoints: CircularBuffer, lastCleanup: timestamp }
         this.chartDataCache = new Map(); // cacheKey -> { data, timestamp }
         this.CACHE_TTL = 30000; // 30 second cache for chart data
+        this.longTermStore = null; // Optional MetricsStore for rollups beyond the in-memory window
         this.startCleanupTimer();
     }
 
+    setLongTermStore(store) {
+        this.longTermStore = store;
+    }
+
     // Circular buffer implementation for efficient memory usage
     createCircularBuffer(maxSize) {
         return {
@@ -136,6 +141,7 @@ class MetricsHistory {
 
         // Always store the data point - let persistence layer handle downsampling
         guestHistory.dataPoints.push(dataPoint);
+        this.longTermStore?.addDataPoint('guest', guestId, dataPoint);
         
         // Update last values for next rate calculation
         guestHistory.lastValues = {
@@ -247,6 +253,7 @@ class MetricsHistory {
         
         // Always store the data point
         nodeHistory.dataPoints.push(dataPoint);
+        this.longTermStore?.addDataPoint('node', nodeId, dataPoint);
     }
 
     addStorageMetricData(storageId, storageData) {
@@ -276,6 +283,7 @@ class MetricsHistory {
         
         // Always store the data point
         storageHistory.dataPoints.push(dataPoint);
+        this.longTermStore?.addDataPoint('storage', storageId, dataPoint);
     }
 
     getNodeChartData(nodeId, metric) {
@@ -564,6 +572,69 @@ class MetricsHistory {
         return result;
     }
 
+    // Chart data for an arbitrary from/to range, read from the long-term store rollups
+    async getGuestChartDataRange(guestInfoMap, from, to) {
+        const { tier, series } = await this.longTermStore.query('guest', from, to);
+        const result = {};
+
+        for (const [guestId, points] of Object.entries(series)) {
+            const guestInfo = guestInfoMap ? guestInfoMap[guestId] : null;
+            result[guestId] = {};
+            for (const metric of ['cpu', 'memory', 'disk', 'diskread', 'diskwrite', 'netin', 'netout']) {
+                result[guestId][metric] = this.buildRollupSeries(points,
+                    values => this.getMetricValueWithContext(values, metric, guestInfo));
+            }
+        }
+
+        return { tier, data: result };
+    }
+
+    async getNodeChartDataRange(from, to) {
+        const { tier, series } = await this.longTermStore.query('node', from, to);
+        const result = {};
+
+        for (const [nodeId, points] of Object.entries(series)) {
+            result[nodeId] = {};
+            for (const metric of ['cpu', 'memory', 'disk']) {
+                result[nodeId][metric] = this.buildRollupSeries(points,
+                    values => this.getNodeMetricValue(values, metric));
+            }
+        }
+
+        return { tier, data: result };
+    }
+
+    async getStorageChartDataRange(from, to) {
+        const { tier, series } = await this.longTermStore.query('storage', from, to);
+        const result = {};
+
+        for (const [storageId, points] of Object.entries(series)) {
+            result[storageId] = {};
+            for (const metric of ['usage', 'used', 'total', 'avail']) {
+                result[storageId][metric] = this.buildRollupSeries(points, values => {
+                    if (metric === 'usage') {
+                        return values.total > 0 ? (values.used / values.total * 100) : 0;
+                    }
+                    return values[metric] || 0;
+                });
+            }
+        }
+
+        return { tier, data: result };
+    }
+
+    // Converts rollup points into { timestamp, value, min, max } using the given value extractor
+    buildRollupSeries(points, getValue) {
+        return points
+            .map(point => ({
+                timestamp: point.timestamp,
+                value: getValue(point.avg),
+                min: getValue(point.min),
+                max: getValue(point.max)
+            }))
+            .filter(point => point.value !== null && point.value !== undefined && !isNaN(point.value));
+    }
+
     extractStorageMetricSeries(dataPoints, metric, downsampleTarget = null) {
         let series = dataPoints
             .map(point => {
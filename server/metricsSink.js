@@ -0,0 +1,274 @@
+const axios = require('axios');
+const net = require('net');
+const { RETRY_CONFIG } = require('./config/constants');
+
+const DEFAULT_BATCH_SIZE = 5000;            // Lines per write request
+const DEFAULT_FLUSH_INTERVAL_MS = 10 * 1000;
+const DEFAULT_MAX_BACKLOG = 100000;         // Oldest lines are dropped beyond this
+const WRITE_TIMEOUT_MS = 10 * 1000;
+const RETRY_BASE_DELAY_MS = 1000;
+
+// Numeric fields pushed per series kind. Cumulative counters are sent as-is; the TSDB derives rates.
+const SINK_FIELDS = {
+    guest: ['cpu', 'cpus', 'mem', 'maxmem', 'disk', 'maxdisk', 'diskread', 'diskwrite', 'netin', 'netout', 'uptime',
+        'guest_mem_actual_used_bytes', 'guest_mem_total_bytes'],
+    node: ['cpu', 'maxcpu', 'mem', 'maxmem', 'disk', 'maxdisk', 'uptime'],
+    storage: ['used', 'total', 'avail']
+};
+
+/**
+ * Optional push output for collected metrics.
+ *
+ * Writes guest, node and storage samples to an external TSDB as either InfluxDB line
+ * protocol over HTTP or Graphite plaintext over TCP. Lines are queued and written in
+ * batches; failed batches stay queued and are retried with exponential backoff. The
+ * queue is bounded, so an unreachable target costs memory up to the backlog limit only.
+ */
+class MetricsSink {
+    constructor(options = {}) {
+        this.type = (options.type || process.env.METRICS_SINK_TYPE || '').toLowerCase();
+        this.url = options.url || process.env.METRICS_SINK_URL || '';
+        this.token = options.token || process.env.METRICS_SINK_TOKEN || '';
+        this.host = options.host || process.env.METRICS_SINK_HOST || '';
+        this.port = options.port || this.getIntEnv('METRICS_SINK_PORT', 2003);
+        this.prefix = options.prefix || process.env.METRICS_SINK_PREFIX || 'pulse';
+        this.batchSize = options.batchSize || this.getIntEnv('METRICS_SINK_BATCH_SIZE', DEFAULT_BATCH_SIZE);
+        this.flushIntervalMs = options.flushIntervalMs || this.getIntEnv('METRICS_SINK_FLUSH_INTERVAL_MS', DEFAULT_FLUSH_INTERVAL_MS);
+        this.maxBacklog = options.maxBacklog || this.getIntEnv('METRICS_SINK_MAX_BACKLOG', DEFAULT_MAX_BACKLOG);
+
+        this.queue = [];
+        this.flushing = false;
+        this.flushTimer = null;
+        this.retryCount = 0;
+        this.nextAttemptAt = 0;
+        this.stats = { linesWritten: 0, linesDropped: 0, writeErrors: 0, lastError: null, lastWriteAt: null };
+        this.enabled = false;
+    }
+
+    getIntEnv(envName, defaultValue) {
+        const value = parseInt(process.env[envName], 10);
+        return Number.isFinite(value) && value > 0 ? value : defaultValue;
+    }
+
+    initialize() {
+        if (!this.type) return;
+
+        if (this.type === 'influxdb' && !this.url) {
+            console.warn('[MetricsSink] METRICS_SINK_TYPE is influxdb but METRICS_SINK_URL is not set, sink disabled');
+            return;
+        }
+        if (this.type === 'graphite' && !this.host) {
+            console.warn('[MetricsSink] METRICS_SINK_TYPE is graphite but METRICS_SINK_HOST is not set, sink disabled');
+            return;
+        }
+        if (this.type !== 'influxdb' && this.type !== 'graphite') {
+            console.warn(`[MetricsSink] Unknown METRICS_SINK_TYPE "${this.type}", expected influxdb or graphite. Sink disabled`);
+            return;
+        }
+
+        this.flushTimer = setInterval(() => this.flush(), this.flushIntervalMs);
+        this.flushTimer.unref?.();
+        this.enabled = true;
+
+        const target = this.type === 'influxdb' ? this.url.split('?')[0] : `${this.host}:${this.port}`;
+        console.log(`[MetricsSink] Pushing metrics to ${this.type} at ${target}`);
+    }
+
+    /**
+     * Queues guest samples from a metrics cycle.
+     * @param {Array} metrics - Metric entries from fetchMetricsData ({ id, node, type, endpointId, guestName, current }).
+     * @param {number} [timestamp] - Sample time in epoch milliseconds.
+     */
+    recordGuestMetrics(metrics, timestamp = Date.now()) {
+        if (!this.enabled || !Array.isArray(metrics)) return;
+
+        for (const metric of metrics) {
+            if (!metric || !metric.current) continue;
+            this.enqueue('guest', {
+                endpoint: metric.endpointId,
+                node: metric.node,
+                vmid: metric.id,
+                type: metric.type,
+                name: metric.guestName
+            }, metric.current, timestamp);
+        }
+        this.flushIfBatchReady();
+    }
+
+    /**
+     * Queues node and storage samples from a discovery cycle.
+     * @param {Array} nodes - Nodes from fetchDiscoveryData, including their storage list.
+     * @param {number} [timestamp] - Sample time in epoch milliseconds.
+     */
+    recordNodes(nodes, timestamp = Date.now()) {
+        if (!this.enabled || !Array.isArray(nodes)) return;
+
+        for (const node of nodes) {
+            if (!node || !node.node) continue;
+            this.enqueue('node', { endpoint: node.endpointId, node: node.node }, node, timestamp);
+
+            for (const storage of node.storage || []) {
+                if (!storage || !storage.storage) continue;
+                this.enqueue('storage', {
+                    endpoint: node.endpointId,
+                    node: node.node,
+                    storage: storage.storage,
+                    type: storage.type
+                }, storage, timestamp);
+            }
+        }
+        this.flushIfBatchReady();
+    }
+
+    enqueue(kind, tags, source, timestamp) {
+        const fields = {};
+        for (const field of SINK_FIELDS[kind]) {
+            const value = Number(source[field]);
+            if (source[field] !== null && source[field] !== undefined && Number.isFinite(value)) {
+                fields[field] = value;
+            }
+        }
+        if (Object.keys(fields).length === 0) return;
+
+        const lines = this.type === 'influxdb'
+            ? [this.formatInfluxLine(kind, tags, fields, timestamp)]
+            : this.formatGraphiteLines(kind, tags, fields, timestamp);
+        this.queue.push(...lines);
+        this.trimBacklog();
+    }
+
+    trimBacklog() {
+        const overflow = this.queue.length - this.maxBacklog;
+        if (overflow <= 0) return;
+
+        this.queue.splice(0, overflow);
+        if (this.stats.linesDropped === 0) {
+            console.warn(`[MetricsSink] Backlog limit of ${this.maxBacklog} lines reached, dropping oldest samples`);
+        }
+        this.stats.linesDropped += overflow;
+    }
+
+    formatInfluxLine(kind, tags, fields, timestamp) {
+        const escapeKey = (value) => String(value).replace(/([,= ])/g, '\\$1');
+        const tagSet = Object.entries(tags)
+            .filter(([, value]) => value !== undefined && value !== null && value !== '')
+            .map(([key, value]) => `,${key}=${escapeKey(value)}`)
+            .join('');
+        const fieldSet = Object.entries(fields).map(([key, value]) => `${key}=${value}`).join(',');
+
+        // Nanosecond precision is the InfluxDB default, so the write URL needs no precision parameter
+        return `${escapeKey(`${this.prefix}_${kind}`)}${tagSet} ${fieldSet} ${Math.floor(timestamp)}000000`;
+    }
+
+    formatGraphiteLines(kind, tags, fields, timestamp) {
+        const sanitize = (value) => String(value ?? 'unknown').replace(/[^a-zA-Z0-9_-]/g, '_');
+        // Graphite has no tags, so identifying tags become path components (name/type are left out to keep paths stable)
+        const pathParts = kind === 'guest'
+            ? [tags.endpoint, tags.node, tags.vmid]
+            : kind === 'storage'
+                ? [tags.endpoint, tags.node, tags.storage]
+                : [tags.endpoint, tags.node];
+        const basePath = [this.prefix, kind, ...pathParts.map(sanitize)].join('.');
+        const seconds = Math.floor(timestamp / 1000);
+
+        return Object.entries(fields).map(([key, value]) => `${basePath}.${sanitize(key)} ${value} ${seconds}`);
+    }
+
+    flushIfBatchReady() {
+        if (this.queue.length >= this.batchSize) {
+            this.flush();
+        }
+    }
+
+    async flush() {
+        if (!this.enabled || this.flushing || this.queue.length === 0) return;
+        if (Date.now() < this.nextAttemptAt) return;
+
+        this.flushing = true;
+        let batch = [];
+        try {
+            while (this.queue.length > 0) {
+                batch = this.queue.splice(0, this.batchSize);
+                await this.write(batch);
+
+                this.stats.linesWritten += batch.length;
+                batch = [];
+                this.stats.lastWriteAt = Date.now();
+                this.retryCount = 0;
+                this.nextAttemptAt = 0;
+            }
+        } catch (error) {
+            // Put the failed batch back in front and re-apply the backlog limit
+            this.queue.unshift(...batch);
+            this.trimBacklog();
+
+            this.retryCount++;
+            const delay = Math.min(RETRY_BASE_DELAY_MS * Math.pow(RETRY_CONFIG.EXPONENTIAL_BASE, this.retryCount), RETRY_CONFIG.MAX_BACKOFF);
+            this.nextAttemptAt = Date.now() + delay;
+            this.stats.writeErrors++;
+            this.stats.lastError = error.message;
+            console.error(`[MetricsSink] Write to ${this.type} failed (attempt ${this.retryCount}), retrying in ${Math.round(delay / 1000)}s: ${error.message}`);
+        } finally {
+            this.flushing = false;
+        }
+    }
+
+    write(lines) {
+        return this.type === 'influxdb' ? this.writeInflux(lines) : this.writeGraphite(lines);
+    }
+
+    async writeInflux(lines) {
+        const headers = { 'Content-Type': 'text/plain; charset=utf-8' };
+        if (this.token) {
+            headers.Authorization = `Token ${this.token}`;
+        }
+
+        await axios.post(this.url, lines.join('\n'), {
+            headers,
+            timeout: WRITE_TIMEOUT_MS,
+            // Line protocol must go out verbatim
+            transformRequest: [(data) => data]
+        });
+    }
+
+    writeGraphite(lines) {
+        return new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host: this.host, port: this.port });
+            socket.setTimeout(WRITE_TIMEOUT_MS);
+
+            socket.once('connect', () => {
+                socket.end(lines.join('\n') + '\n');
+            });
+            socket.once('timeout', () => {
+                socket.destroy(new Error(`Connection to ${this.host}:${this.port} timed out`));
+            });
+            socket.once('error', reject);
+            socket.once('close', (hadError) => {
+                if (!hadError) resolve();
+            });
+        });
+    }
+
+    getStats() {
+        return {
+            enabled: this.enabled,
+            type: this.type || null,
+            queuedLines: this.queue.length,
+            retryCount: this.retryCount,
+            ...this.stats
+        };
+    }
+
+    async shutdown() {
+        if (this.flushTimer) {
+            clearInterval(this.flushTimer);
+            this.flushTimer = null;
+        }
+        // One last attempt, ignoring any backoff in progress
+        this.nextAttemptAt = 0;
+        await this.flush();
+        this.enabled = false;
+    }
+}
+
+module.exports = MetricsSink;
@@ -0,0 +1,367 @@
+const fs = require('fs').promises;
+const path = require('path');
+const readline = require('readline');
+const { createReadStream } = require('fs');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const FLUSH_INTERVAL_MS = 15 * 1000;        // Write closed buckets to disk every 15 seconds
+const RETENTION_CHECK_INTERVAL_MS = HOUR;   // Drop expired segment files hourly
+const MAX_POINTS_PER_SERIES = 1000;         // Pick the finest tier that stays under this per query
+
+// Numeric fields kept per series kind. Cumulative counters are left out, rates are stored instead.
+const SERIES_FIELDS = {
+    guest: ['cpu', 'mem', 'disk', 'diskReadRate', 'diskWriteRate', 'netInRate', 'netOutRate',
+        'guest_mem_actual_used_bytes', 'guest_mem_total_bytes'],
+    node: ['cpu', 'mem', 'disk', 'maxmem', 'maxdisk'],
+    storage: ['used', 'total', 'avail']
+};
+
+/**
+ * Long-term metrics store with tiered rollups.
+ *
+ * Every sample is aggregated (avg/min/max) into 1-minute, 5-minute and 1-hour buckets.
+ * Closed buckets are appended as JSON lines to per-tier segment files:
+ *   <dataDir>/1m/2025-06-01.jsonl, <dataDir>/5m/2025-06-01.jsonl, <dataDir>/1h/2025-06.jsonl
+ * Expired segments are deleted as a whole, so there is no compaction step.
+ */
+class MetricsStore {
+    constructor(dataDir = process.env.METRICS_STORE_PATH || path.join(__dirname, '../data/metrics')) {
+        this.dataDir = dataDir;
+        this.tiers = [
+            { name: '1m', resolution: MINUTE, retention: this.getRetentionDays('METRICS_RETENTION_1M_DAYS', 7) * DAY, segment: 'day' },
+            { name: '5m', resolution: 5 * MINUTE, retention: this.getRetentionDays('METRICS_RETENTION_5M_DAYS', 30) * DAY, segment: 'day' },
+            { name: '1h', resolution: HOUR, retention: this.getRetentionDays('METRICS_RETENTION_1H_DAYS', 400) * DAY, segment: 'month' }
+        ];
+        this.openBuckets = new Map(); // `${tier}|${kind}|${id}` -> bucket accumulator
+        this.pendingLines = new Map(); // segment file path -> [json lines]
+        this.flushTimer = null;
+        this.retentionTimer = null;
+        this.initialized = false;
+    }
+
+    getRetentionDays(envName, defaultDays) {
+        const value = parseInt(process.env[envName], 10);
+        return Number.isFinite(value) && value > 0 ? value : defaultDays;
+    }
+
+    async initialize() {
+        for (const tier of this.tiers) {
+            await fs.mkdir(path.join(this.dataDir, tier.name), { recursive: true });
+        }
+
+        this.flushTimer = setInterval(() => {
+            this.flush().catch(error => console.error('[MetricsStore] Flush failed:', error.message));
+        }, FLUSH_INTERVAL_MS);
+        this.retentionTimer = setInterval(() => {
+            this.applyRetention().catch(error => console.error('[MetricsStore] Retention cleanup failed:', error.message));
+        }, RETENTION_CHECK_INTERVAL_MS);
+
+        // Don't keep the process alive just for these timers
+        this.flushTimer.unref?.();
+        this.retentionTimer.unref?.();
+
+        this.initialized = true;
+        await this.applyRetention();
+        console.log(`[MetricsStore] Long-term metrics store ready at ${this.dataDir}`);
+    }
+
+    /**
+     * Records a raw data point from MetricsHistory.
+     * @param {string} kind - 'guest', 'node' or 'storage'.
+     * @param {string} id - Series ID (same IDs MetricsHistory uses).
+     * @param {Object} dataPoint - Data point with a timestamp and numeric fields.
+     */
+    addDataPoint(kind, id, dataPoint) {
+        const fields = SERIES_FIELDS[kind];
+        if (!this.initialized || !fields || !dataPoint) return;
+
+        const timestamp = dataPoint.timestamp || Date.now();
+
+        for (const tier of this.tiers) {
+            const bucketStart = Math.floor(timestamp / tier.resolution) * tier.resolution;
+            const key = `${tier.name}|${kind}|${id}`;
+            let bucket = this.openBuckets.get(key);
+
+            // A sample for a newer bucket closes the previous one
+            if (bucket && bucket.t !== bucketStart) {
+                this.closeBucket(tier, kind, id, bucket);
+                bucket = null;
+            }
+
+            if (!bucket) {
+                bucket = { t: bucketStart, n: 0, f: {} };
+                this.openBuckets.set(key, bucket);
+            }
+
+            bucket.n++;
+            for (const field of fields) {
+                const value = dataPoint[field];
+                if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+
+                const agg = bucket.f[field];
+                if (agg) {
+                    agg.sum += value;
+                    agg.count++;
+                    agg.min = Math.min(agg.min, value);
+                    agg.max = Math.max(agg.max, value);
+                } else {
+                    bucket.f[field] = { sum: value, count: 1, min: value, max: value };
+                }
+            }
+        }
+    }
+
+    closeBucket(tier, kind, id, bucket) {
+        const fields = {};
+        for (const [field, agg] of Object.entries(bucket.f)) {
+            fields[field] = [this.round(agg.sum / agg.count), this.round(agg.min), this.round(agg.max)];
+        }
+        if (Object.keys(fields).length === 0) return;
+
+        const line = JSON.stringify({ t: bucket.t, k: kind, id, n: bucket.n, f: fields });
+        const segmentPath = this.getSegmentPath(tier, bucket.t);
+
+        if (!this.pendingLines.has(segmentPath)) {
+            this.pendingLines.set(segmentPath, []);
+        }
+        this.pendingLines.get(segmentPath).push(line);
+    }
+
+    round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+
+    getSegmentName(tier, timestamp) {
+        const iso = new Date(timestamp).toISOString();
+        return tier.segment === 'month' ? iso.slice(0, 7) : iso.slice(0, 10);
+    }
+
+    getSegmentPath(tier, timestamp) {
+        return path.join(this.dataDir, tier.name, `${this.getSegmentName(tier, timestamp)}.jsonl`);
+    }
+
+    /**
+     * Closes buckets whose time window has passed and appends pending lines to disk.
+     * @param {boolean} [closeAll=false] - Also close buckets that are still open (used on shutdown).
+     */
+    async flush(closeAll = false) {
+        const now = Date.now();
+
+        for (const [key, bucket] of this.openBuckets.entries()) {
+            const [tierName, kind, ...idParts] = key.split('|');
+            const tier = this.tiers.find(t => t.name === tierName);
+            // Allow one extra resolution step for late samples before closing
+            if (closeAll || bucket.t + tier.resolution * 2 <= now) {
+                this.closeBucket(tier, kind, idParts.join('|'), bucket);
+                this.openBuckets.delete(key);
+            }
+        }
+
+        const pending = this.pendingLines;
+        this.pendingLines = new Map();
+
+        for (const [segmentPath, lines] of pending.entries()) {
+            try {
+                await fs.appendFile(segmentPath, lines.join('\n') + '\n');
+            } catch (error) {
+                console.error(`[MetricsStore] Failed to write ${segmentPath}:`, error.message);
+                // Keep the lines for the next flush
+                const retry = this.pendingLines.get(segmentPath) || [];
+                this.pendingLines.set(segmentPath, [...lines, ...retry]);
+            }
+        }
+    }
+
+    async applyRetention() {
+        const now = Date.now();
+
+        for (const tier of this.tiers) {
+            const tierDir = path.join(this.dataDir, tier.name);
+            let files;
+            try {
+                files = await fs.readdir(tierDir);
+            } catch (error) {
+                continue;
+            }
+
+            for (const file of files) {
+                const segmentEnd = this.getSegmentEnd(tier, file.replace('.jsonl', ''));
+                if (segmentEnd !== null && segmentEnd < now - tier.retention) {
+                    await fs.unlink(path.join(tierDir, file)).catch(() => {});
+                    console.log(`[MetricsStore] Removed expired segment ${tier.name}/${file}`);
+                }
+            }
+        }
+    }
+
+    getSegmentEnd(tier, segmentName) {
+        const start = Date.parse(tier.segment === 'month' ? `${segmentName}-01T00:00:00Z` : `${segmentName}T00:00:00Z`);
+        if (isNaN(start)) return null;
+
+        if (tier.segment === 'month') {
+            const end = new Date(start);
+            end.setUTCMonth(end.getUTCMonth() + 1);
+            return end.getTime();
+        }
+        return start + DAY;
+    }
+
+    /**
+     * Picks the finest tier that covers `from` and stays under MAX_POINTS_PER_SERIES.
+     */
+    selectTier(from, to) {
+        const now = Date.now();
+        for (const tier of this.tiers) {
+            const coversRange = from >= now - tier.retention;
+            const pointCount = (to - from) / tier.resolution;
+            if (coversRange && pointCount <= MAX_POINTS_PER_SERIES) {
+                return tier;
+            }
+        }
+        return this.tiers[this.tiers.length - 1];
+    }
+
+    listSegments(tier, from, to) {
+        const segments = [];
+        let cursor = from;
+        while (cursor <= to) {
+            const name = this.getSegmentName(tier, cursor);
+            if (!segments.includes(name)) {
+                segments.push(name);
+            }
+            cursor = this.getSegmentEnd(tier, name);
+        }
+        const last = this.getSegmentName(tier, to);
+        if (!segments.includes(last)) {
+            segments.push(last);
+        }
+        return segments.map(name => path.join(this.dataDir, tier.name, `${name}.jsonl`));
+    }
+
+    /**
+     * Reads rollup points for a range.
+     * @param {string} kind - 'guest', 'node' or 'storage'.
+     * @param {number} from - Start timestamp (ms).
+     * @param {number} to - End timestamp (ms).
+     * @param {Object} [options]
+     * @param {string[]} [options.ids] - Only return these series IDs.
+     * @returns {Promise<{tier: string, resolution: number, series: Object}>}
+     *   series maps id -> [{ timestamp, avg: {field: value}, min: {...}, max: {...} }]
+     */
+    async query(kind, from, to, options = {}) {
+        const tier = this.selectTier(from, to);
+        const idFilter = options.ids ? new Set(options.ids) : null;
+        const series = {};
+
+        const addPoint = (record) => {
+            if (record.k !== kind || record.t < from || record.t > to) return;
+            if (idFilter && !idFilter.has(record.id)) return;
+
+            const points = series[record.id] = series[record.id] || new Map();
+            const existing = points.get(record.t);
+            if (!existing) {
+                points.set(record.t, { n: record.n, f: { ...record.f } });
+                return;
+            }
+
+            // A bucket closed early on shutdown can be written twice, merge both halves
+            for (const [field, [avg, min, max]] of Object.entries(record.f)) {
+                const current = existing.f[field];
+                existing.f[field] = current
+                    ? [this.round((current[0] * existing.n + avg * record.n) / (existing.n + record.n)), Math.min(current[1], min), Math.max(current[2], max)]
+                    : [avg, min, max];
+            }
+            existing.n += record.n;
+        };
+
+        for (const segmentPath of this.listSegments(tier, from, to)) {
+            await this.readSegment(segmentPath, addPoint);
+        }
+
+        // Include buckets that are closed but not yet written
+        for (const [segmentPath, lines] of this.pendingLines.entries()) {
+            if (!segmentPath.startsWith(path.join(this.dataDir, tier.name) + path.sep)) continue;
+            lines.forEach(line => addPoint(JSON.parse(line)));
+        }
+
+        for (const [id, points] of Object.entries(series)) {
+            series[id] = Array.from(points.entries())
+                .sort((a, b) => a[0] - b[0])
+                .map(([timestamp, record]) => {
+                    const point = { timestamp, avg: {}, min: {}, max: {} };
+                    for (const [field, [avg, min, max]] of Object.entries(record.f)) {
+                        point.avg[field] = avg;
+                        point.min[field] = min;
+                        point.max[field] = max;
+                    }
+                    return point;
+                });
+        }
+
+        return { tier: tier.name, resolution: tier.resolution, series };
+    }
+
+    async readSegment(segmentPath, onRecord) {
+        try {
+            await fs.access(segmentPath);
+        } catch (error) {
+            return;
+        }
+
+        const rl = readline.createInterface({
+            input: createReadStream(segmentPath, { encoding: 'utf8' }),
+            crlfDelay: Infinity
+        });
+
+        for await (const line of rl) {
+            if (!line) continue;
+            try {
+                onRecord(JSON.parse(line));
+            } catch (error) {
+                // Skip partial lines from an interrupted write
+            }
+        }
+    }
+
+    async getStats() {
+        const stats = { dataDir: this.dataDir, tiers: {} };
+        for (const tier of this.tiers) {
+            let files = [];
+            let totalBytes = 0;
+            try {
+                files = (await fs.readdir(path.join(this.dataDir, tier.name))).filter(f => f.endsWith('.jsonl')).sort();
+                for (const file of files) {
+                    totalBytes += (await fs.stat(path.join(this.dataDir, tier.name, file))).size;
+                }
+            } catch (error) {
+                // Directory missing, report empty tier
+            }
+            stats.tiers[tier.name] = {
+                retentionDays: tier.retention / DAY,
+                segments: files.length,
+                oldestSegment: files[0] || null,
+                sizeBytes: totalBytes
+            };
+        }
+        return stats;
+    }
+
+    async shutdown() {
+        if (this.flushTimer) {
+            clearInterval(this.flushTimer);
+            this.flushTimer = null;
+        }
+        if (this.retentionTimer) {
+            clearInterval(this.retentionTimer);
+            this.retentionTimer = null;
+        }
+        if (this.initialized) {
+            await this.flush(true);
+        }
+    }
+}
+
+module.exports = MetricsStore;
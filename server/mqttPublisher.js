@@ -0,0 +1,321 @@
+const mqtt = require('mqtt');
+
+const DEFAULT_PUBLISH_INTERVAL_MS = 10 * 1000;
+const RECONNECT_PERIOD_MS = 10 * 1000;
+const RETIRE_AFTER_MISSED_CYCLES = 3; // Discovery cycles a node/guest must be missing before it is cleared
+
+// Sensors announced through Home Assistant discovery, read from the retained state payload
+const HA_SENSORS = [
+    { key: 'status', name: 'Status', icon: 'mdi:server' },
+    { key: 'cpu', name: 'CPU', unit: '%', stateClass: 'measurement', icon: 'mdi:cpu-64-bit' },
+    { key: 'memory', name: 'Memory', unit: '%', stateClass: 'measurement', icon: 'mdi:memory' },
+    { key: 'disk', name: 'Disk', unit: '%', stateClass: 'measurement', icon: 'mdi:harddisk' },
+    { key: 'uptime', name: 'Uptime', unit: 's', deviceClass: 'duration', stateClass: 'measurement' }
+];
+
+/**
+ * Optional MQTT output for state and alerts.
+ *
+ * Publishes per-node and per-guest state to retained topics, alert trigger / acknowledge /
+ * resolve events to an events topic and, optionally, Home Assistant MQTT discovery configs
+ * so every node and guest shows up as a device with sensors. Retained payloads are only
+ * republished when they change; state publishing is throttled to the publish interval.
+ *
+ * Topics (prefix defaults to "pulse"):
+ *   <prefix>/status                       online / offline (retained, last will)
+ *   <prefix>/node/<endpoint>_node_<node>  node state (retained)
+ *   <prefix>/guest/<endpoint>_<vmid>      guest state (retained)
+ *   <prefix>/alerts                       active alert count (retained)
+ *   <prefix>/events                       alert events
+ */
+class MqttPublisher {
+    constructor(options = {}) {
+        this.url = options.url || process.env.MQTT_URL || '';
+        this.username = options.username || process.env.MQTT_USERNAME || undefined;
+        this.password = options.password || process.env.MQTT_PASSWORD || undefined;
+        this.clientId = options.clientId || process.env.MQTT_CLIENT_ID || `pulse-${Math.random().toString(16).slice(2, 10)}`;
+        this.prefix = (options.prefix || process.env.MQTT_TOPIC_PREFIX || 'pulse').replace(/\/+$/, '');
+        this.discovery = options.discovery ?? process.env.MQTT_HA_DISCOVERY === 'true';
+        this.discoveryPrefix = (options.discoveryPrefix || process.env.MQTT_HA_DISCOVERY_PREFIX || 'homeassistant').replace(/\/+$/, '');
+        this.publishIntervalMs = options.publishIntervalMs || this.getIntEnv('MQTT_PUBLISH_INTERVAL_MS', DEFAULT_PUBLISH_INTERVAL_MS);
+
+        this.client = null;
+        this.alertManager = null;
+        this.retained = new Map(); // topic -> last published payload
+        this.objects = new Map(); // objectId -> { topics, missedCycles } of a published node/guest
+        this.lastStatePublishAt = 0;
+        this.enabled = false;
+    }
+
+    getIntEnv(envName, defaultValue) {
+        const value = parseInt(process.env[envName], 10);
+        return Number.isFinite(value) && value > 0 ? value : defaultValue;
+    }
+
+    /**
+     * Connects to the broker and subscribes to alert events.
+     * @param {Object} alertManager - AlertManager instance emitting alert events.
+     */
+    initialize(alertManager) {
+        if (!this.url) return;
+
+        this.alertManager = alertManager;
+        this.client = mqtt.connect(this.url, {
+            clientId: this.clientId,
+            username: this.username,
+            password: this.password,
+            reconnectPeriod: RECONNECT_PERIOD_MS,
+            will: { topic: this.topic('status'), payload: 'offline', qos: 1, retain: true }
+        });
+
+        this.client.on('connect', () => {
+            console.log(`[MQTT] Connected to ${this.getBrokerLabel()}`);
+            // Retained messages may be gone after a broker restart, publish everything again
+            this.retained.clear();
+            this.lastStatePublishAt = 0;
+            this.client.publish(this.topic('status'), 'online', { qos: 1, retain: true });
+            this.publishAlertCount();
+        });
+        this.client.on('error', (error) => {
+            console.error('[MQTT] Connection error:', error.message);
+        });
+
+        if (alertManager) {
+            alertManager.on('alert', (alert) => this.publishAlertEvent('triggered', alert));
+            alertManager.on('alertAcknowledged', (alert) => this.publishAlertEvent('acknowledged', alert));
+            alertManager.on('alertResolved', (alert) => this.publishAlertEvent('resolved', alert));
+        }
+
+        this.enabled = true;
+        console.log(`[MQTT] Publishing to ${this.getBrokerLabel()} under "${this.prefix}/"${this.discovery ? ' with Home Assistant discovery' : ''}`);
+    }
+
+    getBrokerLabel() {
+        try {
+            const url = new URL(this.url);
+            return `${url.protocol}//${url.host}`;
+        } catch (error) {
+            return 'MQTT broker';
+        }
+    }
+
+    topic(...parts) {
+        return [this.prefix, ...parts].join('/');
+    }
+
+    isConnected() {
+        return this.enabled && this.client && this.client.connected;
+    }
+
+    /**
+     * Publishes a retained payload unless it is unchanged since the last publish.
+     * An empty payload clears the retained message.
+     */
+    publishRetained(topic, payload) {
+        const message = typeof payload === 'string' ? payload : JSON.stringify(payload);
+        if (this.retained.get(topic) === message) return;
+
+        this.client.publish(topic, message, { qos: 0, retain: true });
+        if (message === '') {
+            this.retained.delete(topic);
+        } else {
+            this.retained.set(topic, message);
+        }
+    }
+
+    /**
+     * Publishes node and guest state from the current state. Called after every discovery and
+     * metrics cycle; publishes at most once per publish interval unless forced.
+     * @param {Object} state - State from stateManager.getState().
+     * @param {boolean} [force] - Skip the throttle, e.g. after a discovery cycle.
+     */
+    publishState(state, force = false) {
+        if (!this.isConnected() || !state) return;
+
+        const now = Date.now();
+        if (!force && now - this.lastStatePublishAt < this.publishIntervalMs) return;
+        this.lastStatePublishAt = now;
+
+        try {
+            const seen = new Set();
+
+            (state.nodes || []).forEach(node => {
+                if (!node || !node.node) return;
+                const objectId = this.getObjectId(node.endpointId, 'node', node.node);
+                seen.add(objectId);
+                this.publishObject(objectId, this.topic('node', objectId), this.formatNodeState(node), {
+                    name: node.displayName || node.node,
+                    model: 'Proxmox VE node'
+                });
+            });
+
+            const metricsByGuest = new Map((state.metrics || [])
+                .filter(metric => metric && metric.current)
+                .map(metric => [`${metric.endpointId}-${metric.id}`, metric.current]));
+
+            [...(state.vms || []), ...(state.containers || [])].forEach(guest => {
+                if (!guest || guest.vmid === undefined) return;
+                const objectId = this.getObjectId(guest.endpointId, guest.vmid);
+                seen.add(objectId);
+                const current = metricsByGuest.get(`${guest.endpointId}-${guest.vmid}`);
+                this.publishObject(objectId, this.topic('guest', objectId), this.formatGuestState(guest, current), {
+                    name: guest.name || `${guest.type} ${guest.vmid}`,
+                    model: guest.type === 'lxc' ? 'LXC container' : 'Virtual machine'
+                });
+            });
+
+            // Clear retained state and discovery of guests and nodes that are gone. Only discovery
+            // cycles count, and only several in a row, so an endpoint that fails to answer once
+            // does not remove its devices from Home Assistant.
+            if (force) {
+                for (const [objectId, object] of this.objects) {
+                    if (seen.has(objectId) || ++object.missedCycles < RETIRE_AFTER_MISSED_CYCLES) continue;
+                    object.topics.forEach(topic => this.publishRetained(topic, ''));
+                    this.objects.delete(objectId);
+                }
+            }
+        } catch (error) {
+            console.error('[MQTT] Error publishing state:', error.message);
+        }
+    }
+
+    getObjectId(...parts) {
+        return parts.map(part => String(part ?? 'unknown').replace(/[^a-zA-Z0-9_-]/g, '_')).join('_');
+    }
+
+    publishObject(objectId, stateTopic, payload, device) {
+        const topics = [stateTopic];
+        this.publishRetained(stateTopic, payload);
+
+        if (this.discovery) {
+            HA_SENSORS.forEach(sensor => {
+                const configTopic = `${this.discoveryPrefix}/sensor/pulse_${objectId}/${sensor.key}/config`;
+                topics.push(configTopic);
+                this.publishRetained(configTopic, this.buildDiscoveryConfig(objectId, stateTopic, sensor, device));
+            });
+        }
+
+        this.objects.set(objectId, { topics, missedCycles: 0 });
+    }
+
+    buildDiscoveryConfig(objectId, stateTopic, sensor, device) {
+        const config = {
+            name: sensor.name,
+            unique_id: `pulse_${objectId}_${sensor.key}`,
+            object_id: `pulse_${objectId}_${sensor.key}`,
+            state_topic: stateTopic,
+            value_template: `{{ value_json.${sensor.key} }}`,
+            availability_topic: this.topic('status'),
+            device: {
+                identifiers: [`pulse_${objectId}`],
+                name: device.name,
+                model: device.model,
+                manufacturer: 'Proxmox',
+                via_device: 'pulse'
+            }
+        };
+        if (sensor.unit) config.unit_of_measurement = sensor.unit;
+        if (sensor.deviceClass) config.device_class = sensor.deviceClass;
+        if (sensor.stateClass) config.state_class = sensor.stateClass;
+        if (sensor.icon) config.icon = sensor.icon;
+        return config;
+    }
+
+    percent(used, total) {
+        const usedValue = Number(used);
+        const totalValue = Number(total);
+        if (!Number.isFinite(usedValue) || !Number.isFinite(totalValue) || totalValue <= 0) return null;
+        return Math.round(usedValue / totalValue * 1000) / 10;
+    }
+
+    formatNodeState(node) {
+        return {
+            name: node.displayName || node.node,
+            node: node.node,
+            endpointId: node.endpointId,
+            status: node.status || 'unknown',
+            cpu: Number.isFinite(Number(node.cpu)) ? Math.round(node.cpu * 1000) / 10 : null,
+            memory: this.percent(node.mem, node.maxmem),
+            disk: this.percent(node.disk, node.maxdisk),
+            uptime: node.uptime || 0
+        };
+    }
+
+    formatGuestState(guest, current) {
+        // Metrics cycle values are fresher than the discovery snapshot for running guests
+        const source = current ? { ...guest, ...current } : guest;
+        const running = guest.status === 'running';
+        return {
+            name: guest.name,
+            vmid: guest.vmid,
+            type: guest.type,
+            node: guest.node,
+            endpointId: guest.endpointId,
+            status: guest.status || 'unknown',
+            cpu: running && Number.isFinite(Number(source.cpu)) ? Math.round(source.cpu * 1000) / 10 : 0,
+            memory: running ? this.percent(source.mem, source.maxmem) : 0,
+            disk: this.percent(source.disk, source.maxdisk),
+            uptime: source.uptime || 0,
+            tags: guest.tags || ''
+        };
+    }
+
+    /**
+     * Publishes an alert event and refreshes the retained active alert count.
+     * @param {string} event - triggered, acknowledged or resolved.
+     * @param {Object} alert - Alert as emitted by the AlertManager.
+     */
+    publishAlertEvent(event, alert) {
+        if (!this.isConnected() || !alert) return;
+
+        try {
+            // Some trigger paths emit { type, alert } rather than the alert itself
+            const source = alert.type === 'trigger' && alert.alert ? alert.alert : alert;
+            const payload = {
+                event,
+                timestamp: new Date().toISOString(),
+                alert: this.alertManager.formatAlertForAPI(source)
+            };
+            this.client.publish(this.topic('events'), JSON.stringify(payload), { qos: 1, retain: false });
+            this.publishAlertCount();
+        } catch (error) {
+            console.error(`[MQTT] Error publishing ${event} event:`, error.message);
+        }
+    }
+
+    publishAlertCount() {
+        if (!this.isConnected() || !this.alertManager) return;
+
+        const active = this.alertManager.getActiveAlerts().length;
+        this.publishRetained(this.topic('alerts'), { active });
+
+        if (this.discovery) {
+            this.publishRetained(`${this.discoveryPrefix}/sensor/pulse/active_alerts/config`, {
+                name: 'Active alerts',
+                unique_id: 'pulse_active_alerts',
+                object_id: 'pulse_active_alerts',
+                state_topic: this.topic('alerts'),
+                value_template: '{{ value_json.active }}',
+                state_class: 'measurement',
+                icon: 'mdi:alert',
+                availability_topic: this.topic('status'),
+                device: { identifiers: ['pulse'], name: 'Pulse', manufacturer: 'Pulse', model: 'Proxmox monitoring' }
+            });
+        }
+    }
+
+    /**
+     * Marks Pulse offline and disconnects.
+     */
+    async shutdown() {
+        if (!this.client) return;
+
+        if (this.client.connected) {
+            await this.client.publishAsync(this.topic('status'), 'offline', { qos: 1, retain: true });
+        }
+        await this.client.endAsync();
+        this.enabled = false;
+    }
+}
+
+module.exports = MqttPublisher;
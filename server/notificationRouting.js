@@ -0,0 +1,376 @@
+const fs = require('fs').promises;
+const path = require('path');
+const NotificationService = require('./notificationServices');
+const { parseGuestTags, lookupGuestTags } = require('./guestUtils');
+
+const CHANNEL_TYPES = ['webhook', 'email'];
+const SEVERITIES = ['info', 'warning', 'critical'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Notification Routing Manager
+ * Keeps a registry of named notification channels (webhooks and email recipient lists)
+ * and an ordered list of routes that decide which channels receive an alert.
+ * Alerts that match no route keep going to WEBHOOK_URL / ALERT_TO_EMAIL.
+ */
+class NotificationRoutingManager {
+    constructor() {
+        this.configPath = path.join(__dirname, '../data/notification-channels.json');
+        this.channels = new Map(); // id -> channel
+        this.routes = []; // evaluated in order
+        this.initialized = false;
+    }
+
+    /**
+     * Initialize the notification routing manager
+     */
+    async init() {
+        try {
+            await this.loadConfig();
+            this.initialized = true;
+            console.log('[NotificationRouting] Initialized successfully');
+        } catch (error) {
+            console.error('[NotificationRouting] Initialization failed:', error);
+        }
+    }
+
+    /**
+     * Load channels and routes from storage
+     */
+    async loadConfig() {
+        try {
+            await fs.mkdir(path.dirname(this.configPath), { recursive: true });
+
+            const data = await fs.readFile(this.configPath, 'utf8');
+            const config = JSON.parse(data);
+
+            this.channels.clear();
+            Object.entries(config.channels || {}).forEach(([id, channel]) => {
+                this.channels.set(id, channel);
+            });
+            this.routes = Array.isArray(config.routes) ? config.routes : [];
+
+            console.log(`[NotificationRouting] Loaded ${this.channels.size} channels and ${this.routes.length} routes`);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                await this.saveConfig();
+                console.log('[NotificationRouting] Created new notification channel file');
+            } else {
+                console.error('[NotificationRouting] Error loading notification channels:', error);
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Save channels and routes to storage
+     */
+    async saveConfig() {
+        try {
+            const data = {
+                channels: Object.fromEntries(this.channels),
+                routes: this.routes
+            };
+            await fs.writeFile(this.configPath, JSON.stringify(data, null, 2), 'utf8');
+        } catch (error) {
+            console.error('[NotificationRouting] Error saving notification channels:', error);
+            throw error;
+        }
+    }
+
+    generateId(prefix, exists) {
+        let id = `${prefix}-${Date.now()}`;
+        for (let suffix = 1; exists(id); suffix++) {
+            id = `${prefix}-${Date.now()}-${suffix}`;
+        }
+        return id;
+    }
+
+    getAllChannels() {
+        return Array.from(this.channels.values());
+    }
+
+    getChannel(id) {
+        return this.channels.get(id) || null;
+    }
+
+    getAllRoutes() {
+        return [...this.routes];
+    }
+
+    getRoute(id) {
+        return this.routes.find(route => route.id === id) || null;
+    }
+
+    /**
+     * Whether any enabled route exists, i.e. whether alerts may go anywhere but the defaults.
+     */
+    hasRoutes() {
+        return this.routes.some(route => route.enabled);
+    }
+
+    /**
+     * Create a channel. Throws on invalid input.
+     */
+    async createChannel(input) {
+        const validated = this.validateChannel(input);
+        const id = this.generateId('channel', candidate => this.channels.has(candidate));
+
+        const now = new Date().toISOString();
+        const channel = { id, ...validated, createdAt: now, updatedAt: now };
+        this.channels.set(id, channel);
+        await this.saveConfig();
+        return channel;
+    }
+
+    /**
+     * Replace an existing channel. Returns null when it does not exist.
+     */
+    async updateChannel(id, input) {
+        const existing = this.channels.get(id);
+        if (!existing) return null;
+
+        const validated = this.validateChannel({ ...existing, ...input });
+        const channel = { id, ...validated, createdAt: existing.createdAt, updatedAt: new Date().toISOString() };
+        this.channels.set(id, channel);
+        await this.saveConfig();
+        return channel;
+    }
+
+    /**
+     * Delete a channel. Channels still used by a route cannot be deleted.
+     */
+    async deleteChannel(id) {
+        if (!this.channels.has(id)) return false;
+
+        const usedBy = this.routes.find(route => route.channels.includes(id));
+        if (usedBy) {
+            throw new Error(`Channel is used by route "${usedBy.name}"`);
+        }
+
+        this.channels.delete(id);
+        await this.saveConfig();
+        return true;
+    }
+
+    /**
+     * Validate channel configuration
+     */
+    validateChannel(input) {
+        if (!input || typeof input !== 'object') {
+            throw new Error('Channel configuration is required');
+        }
+        if (!input.name || typeof input.name !== 'string' || !input.name.trim()) {
+            throw new Error('Channel name is required');
+        }
+        if (!CHANNEL_TYPES.includes(input.type)) {
+            throw new Error(`type must be one of: ${CHANNEL_TYPES.join(', ')}`);
+        }
+
+        const channel = {
+            name: input.name.trim(),
+            type: input.type,
+            enabled: input.enabled !== false
+        };
+
+        if (input.type === 'webhook') {
+            let url;
+            try {
+                url = new URL(String(input.url || '').trim());
+            } catch (error) {
+                throw new Error('url must be a valid URL');
+            }
+            if (!['http:', 'https:'].includes(url.protocol)) {
+                throw new Error('url must use http or https');
+            }
+            channel.url = url.toString();
+            channel.service = new NotificationService().detectService(channel.url);
+        } else {
+            const recipients = Array.isArray(input.recipients)
+                ? input.recipients
+                : String(input.recipients || '').split(',');
+            channel.recipients = [...new Set(recipients.map(email => String(email).trim()).filter(Boolean))];
+            if (channel.recipients.length === 0) {
+                throw new Error('recipients must list at least one email address');
+            }
+            const invalid = channel.recipients.find(email => !EMAIL_PATTERN.test(email));
+            if (invalid) {
+                throw new Error(`Invalid email address "${invalid}"`);
+            }
+        }
+
+        return channel;
+    }
+
+    /**
+     * Create a route, appended after the existing ones. Throws on invalid input.
+     */
+    async createRoute(input) {
+        const validated = this.validateRoute(input);
+        const id = this.generateId('route', candidate => this.routes.some(route => route.id === candidate));
+
+        const now = new Date().toISOString();
+        const route = { id, ...validated, createdAt: now, updatedAt: now };
+        this.routes.push(route);
+        await this.saveConfig();
+        return route;
+    }
+
+    /**
+     * Replace an existing route in place. Returns null when it does not exist.
+     */
+    async updateRoute(id, input) {
+        const index = this.routes.findIndex(route => route.id === id);
+        if (index === -1) return null;
+
+        const existing = this.routes[index];
+        const validated = this.validateRoute({ ...existing, ...input });
+        const route = { id, ...validated, createdAt: existing.createdAt, updatedAt: new Date().toISOString() };
+        this.routes[index] = route;
+        await this.saveConfig();
+        return route;
+    }
+
+    async deleteRoute(id) {
+        const index = this.routes.findIndex(route => route.id === id);
+        if (index === -1) return false;
+
+        this.routes.splice(index, 1);
+        await this.saveConfig();
+        return true;
+    }
+
+    /**
+     * Reorder routes. The order must list every route id exactly once.
+     */
+    async reorderRoutes(order) {
+        if (!Array.isArray(order) || order.length !== this.routes.length ||
+            new Set(order).size !== order.length || order.some(id => !this.getRoute(id))) {
+            throw new Error('order must list every route id exactly once');
+        }
+
+        this.routes = order.map(id => this.getRoute(id));
+        await this.saveConfig();
+        return this.getAllRoutes();
+    }
+
+    /**
+     * Validate route configuration
+     */
+    validateRoute(input) {
+        if (!input || typeof input !== 'object') {
+            throw new Error('Route configuration is required');
+        }
+        if (!input.name || typeof input.name !== 'string' || !input.name.trim()) {
+            throw new Error('Route name is required');
+        }
+        if (!Array.isArray(input.channels) || input.channels.length === 0) {
+            throw new Error('channels must list at least one channel id');
+        }
+        const unknown = input.channels.find(id => !this.channels.has(id));
+        if (unknown) {
+            throw new Error(`Unknown channel "${unknown}"`);
+        }
+
+        return {
+            name: input.name.trim(),
+            enabled: input.enabled !== false,
+            channels: [...new Set(input.channels)],
+            match: this.validateMatch(input.match),
+            stop: input.stop === true
+        };
+    }
+
+    /**
+     * Validate match criteria shared by routes and escalation policies
+     */
+    validateMatch(input, defaults = {}) {
+        const match = { ...defaults, ...(input || {}) };
+        const toList = (value, fieldName) => {
+            if (value === undefined || value === null) return [];
+            if (!Array.isArray(value)) throw new Error(`match.${fieldName} must be an array`);
+            return value.map(item => String(item).trim()).filter(Boolean);
+        };
+
+        const severities = toList(match.severities, 'severities').map(severity => severity.toLowerCase());
+        const invalidSeverity = severities.find(severity => !SEVERITIES.includes(severity));
+        if (invalidSeverity) {
+            throw new Error(`Invalid severity "${invalidSeverity}", expected one of: ${SEVERITIES.join(', ')}`);
+        }
+
+        return {
+            severities,
+            endpoints: toList(match.endpoints, 'endpoints'),
+            nodes: toList(match.nodes, 'nodes'),
+            tags: toList(match.tags, 'tags').map(tag => tag.toLowerCase()),
+            groups: toList(match.groups, 'groups')
+        };
+    }
+
+    /**
+     * Routing attributes of an alert.
+     * @param {Object} alert - Alert with rule and guest (or nodeId/nodeName for node alerts).
+     * @param {boolean} withTags - Look up guest tags, only needed when a criterion uses them.
+     * @returns {Object} - { severity, endpointId, node, group, tags }
+     */
+    getAlertTarget(alert, withTags = true) {
+        const guest = alert.guest || {};
+        return {
+            severity: String(alert.severity || alert.rule?.severity || 'warning').toLowerCase(),
+            endpointId: guest.endpointId || alert.endpointId,
+            node: guest.node || alert.nodeId || alert.nodeName,
+            group: alert.rule?.group,
+            tags: withTags ? [...new Set([...parseGuestTags(alert.rule?.tags), ...lookupGuestTags(guest)])] : []
+        };
+    }
+
+    /**
+     * Check whether match criteria (of a route or escalation policy) cover an alert target.
+     * Every criterion that is set must match (any of its values); no criteria match everything.
+     * @param {Object} match - { severities, endpoints, nodes, tags, groups }
+     * @param {Object} target - From getAlertTarget.
+     */
+    matchesTarget(match, target) {
+        const { severities, endpoints, nodes, tags, groups } = match;
+
+        if (severities.length && !severities.includes(target.severity)) return false;
+        if (endpoints.length && !endpoints.includes(String(target.endpointId))) return false;
+        if (nodes.length && !nodes.includes(String(target.node))) return false;
+        if (groups.length && !groups.includes(String(target.group))) return false;
+        if (tags.length && !target.tags.some(tag => tags.includes(tag))) return false;
+        return true;
+    }
+
+    /**
+     * Resolve the channels an alert should be sent to.
+     * @param {Object} alert - Alert with rule and guest (or nodeId/nodeName for node alerts).
+     * @returns {Object|null} - { routes, webhooks, emails }, or null when no route matches
+     *   and the default notification settings apply.
+     */
+    resolveChannels(alert) {
+        const routes = this.routes.filter(route => route.enabled);
+        if (routes.length === 0) return null;
+
+        const target = this.getAlertTarget(alert, routes.some(route => route.match.tags.length > 0));
+
+        const matched = [];
+        for (const route of routes) {
+            if (!this.matchesTarget(route.match, target)) continue;
+            matched.push(route);
+            if (route.stop) break;
+        }
+        if (matched.length === 0) return null;
+
+        const channels = [...new Set(matched.flatMap(route => route.channels))]
+            .map(id => this.channels.get(id))
+            .filter(channel => channel && channel.enabled);
+
+        return {
+            routes: matched.map(route => route.name),
+            webhooks: channels.filter(channel => channel.type === 'webhook'),
+            emails: channels.filter(channel => channel.type === 'email')
+        };
+    }
+}
+
+module.exports = new NotificationRoutingManager();
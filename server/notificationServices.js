@@ -1,4 +1,5 @@
 const axios = require('axios');
+const { formatSuppressedAlerts } = require('./alertDependencies');
 
 /**
  * Notification Service Module
@@ -13,7 +14,15 @@ const axios = require('axios');
  * - Telegram: Markdown messages via Bot API (requires chat_id in URL, optional message_thread_id for topics)
  * - ntfy.sh: Topic-based notifications with priority and tags
  * - Microsoft Teams: Adaptive Cards with facts and sections
+ * - PagerDuty: Events API v2, incidents keyed by alert id (routing_key in URL)
+ * - Opsgenie: Alert API, alerts aliased by alert id (apiKey in URL)
  * - Generic webhooks: Standard JSON payload
+ *
+ * Incident services (PagerDuty, Opsgenie) also receive acknowledge and resolve events
+ * through sendIncidentEvent().
+ *
+ * Alerts may carry notificationTitle / notificationMessage rendered from a user template
+ * (see notificationTemplates.js); they replace the built-in title and message.
  * 
  * @since v3.44.0
  */
@@ -26,6 +35,8 @@ class NotificationService {
             telegram: new TelegramService(),
             ntfy: new NtfyService(),
             teams: new TeamsService(),
+            pagerduty: new PagerDutyService(),
+            opsgenie: new OpsgenieService(),
             generic: new GenericWebhookService()
         };
     }
@@ -69,10 +80,46 @@ class NotificationService {
             return 'teams';
         }
         
+        // PagerDuty Events API v2
+        if (webhookUrl.includes('events.pagerduty.com') || 
+            webhookUrl.includes('events.eu.pagerduty.com') || 
+            webhookUrl.split('?')[0].endsWith('/v2/enqueue')) {
+            return 'pagerduty';
+        }
+        
+        // Opsgenie Alert API
+        if (webhookUrl.includes('opsgenie.com') || 
+            webhookUrl.split('?')[0].endsWith('/v2/alerts')) {
+            return 'opsgenie';
+        }
+        
         // Default to generic webhook
         return 'generic';
     }
 
+    /**
+     * Whether the service behind a URL tracks incidents that can be acknowledged and resolved.
+     * Such services get one notification per alert and are never sent summaries.
+     */
+    supportsIncidents(webhookUrl) {
+        const service = this.services[this.detectService(webhookUrl)];
+        return !!service && typeof service.sendEvent === 'function';
+    }
+
+    /**
+     * Acknowledge or resolve the incident created for an alert.
+     * @param {string} webhookUrl - Incident service URL.
+     * @param {Object} alert - Alert whose id keys the incident.
+     * @param {string} action - 'acknowledge' or 'resolve'.
+     */
+    async sendIncidentEvent(webhookUrl, alert, action) {
+        const serviceType = this.detectService(webhookUrl);
+        if (!this.supportsIncidents(webhookUrl)) {
+            throw new Error(`Notification service ${serviceType} does not support incident events`);
+        }
+        return await this.services[serviceType].sendEvent(webhookUrl, alert, action);
+    }
+
     async send(webhookUrl, alert) {
         const serviceType = this.detectService(webhookUrl);
         const service = this.services[serviceType];
@@ -81,7 +128,7 @@ class NotificationService {
             throw new Error(`Unknown notification service type: ${serviceType}`);
         }
         
-        console.log(`[NotificationService] Detected service type: ${serviceType} for URL: ${webhookUrl}`);
+        console.log(`[NotificationService] Detected service type: ${serviceType} for URL: ${redactUrl(webhookUrl)}`);
         return await service.send(webhookUrl, alert);
     }
 
@@ -93,19 +140,29 @@ class NotificationService {
         return 2;
     }
 
-    // Get a human-readable alert title
+    // Alert severity (critical, warning or info), falling back to the batching priority
+    getSeverity(alert) {
+        if (['critical', 'warning', 'info'].includes(alert.severity)) return alert.severity;
+        return alert.priority === 'critical' || alert.guest?.status === 'stopped' ? 'critical' : 'warning';
+    }
+
+    // Get a human-readable alert title, from the notification template if one applies
     getAlertTitle(alert) {
         if (alert.type === 'summary') {
             return `Multiple Alerts: ${alert.summary.total} triggered`;
         }
-        return alert.rule?.name || 'Pulse Alert';
+        const title = alert.notificationTitle || alert.rule?.name || 'Pulse Alert';
+        return alert.escalationLevel ? `Escalation level ${alert.escalationLevel}: ${title}` : title;
     }
 
-    // Get alert message/description
+    // Get alert message/description, from the notification template if one applies
     getAlertMessage(alert) {
         if (alert.type === 'summary') {
             return this.formatSummaryMessage(alert);
         }
+        if (alert.notificationMessage) {
+            return alert.notificationMessage;
+        }
         
         const parts = [];
         
@@ -139,6 +196,12 @@ class NotificationService {
         if (alert.rule?.description) {
             parts.push(`\n${alert.rule.description}`);
         }
+
+        // Alerts held back because they depend on this one
+        const suppressed = formatSuppressedAlerts(alert.suppressedChildren);
+        if (suppressed) {
+            parts.push(`\n${suppressed}`);
+        }
         
         return parts.join('\n');
     }
@@ -170,6 +233,11 @@ class NotificationService {
     }
 }
 
+// URL without its query string, which may carry credentials such as routing_key or apiKey
+function redactUrl(webhookUrl) {
+    return String(webhookUrl).split('?')[0];
+}
+
 // Base service class
 class BaseNotificationService {
     async send(webhookUrl, alert) {
@@ -470,6 +538,101 @@ class TeamsService extends BaseNotificationService {
     }
 }
 
+/**
+ * Splits a credential query parameter off an incident service URL.
+ * @returns {Object} - { endpoint, key }
+ */
+function splitServiceUrl(webhookUrl, keyParam) {
+    const url = new URL(webhookUrl);
+    const key = url.searchParams.get(keyParam);
+    if (!key) {
+        throw new Error(`URL must include the ${keyParam} parameter`);
+    }
+    url.searchParams.delete(keyParam);
+    return { endpoint: url.toString(), key };
+}
+
+// PagerDuty Events API v2 implementation
+class PagerDutyService extends BaseNotificationService {
+    async send(webhookUrl, alert) {
+        const notificationService = new NotificationService();
+        const { endpoint, key } = splitServiceUrl(webhookUrl, 'routing_key');
+        
+        const payload = {
+            routing_key: key,
+            event_action: 'trigger',
+            dedup_key: String(alert.id),
+            client: 'Pulse',
+            payload: {
+                summary: `${notificationService.getAlertTitle(alert)}: ${alert.message || alert.guest?.name || 'Pulse alert'}`.slice(0, 1024),
+                source: alert.guest?.name || alert.nodeName || alert.guest?.node || 'pulse',
+                severity: notificationService.getSeverity(alert),
+                timestamp: new Date(alert.triggeredAt || Date.now()).toISOString(),
+                component: alert.guest?.vmid ? `${alert.guest.type || 'guest'} ${alert.guest.vmid}` : undefined,
+                group: alert.guest?.node || alert.nodeId,
+                class: alert.metric || alert.rule?.metric,
+                custom_details: {
+                    message: notificationService.getAlertMessage(alert),
+                    currentValue: alert.currentValue,
+                    threshold: alert.threshold ?? alert.effectiveThreshold,
+                    endpointId: alert.guest?.endpointId
+                }
+            }
+        };
+        
+        return await this.post(endpoint, payload);
+    }
+    
+    async sendEvent(webhookUrl, alert, action) {
+        const { endpoint, key } = splitServiceUrl(webhookUrl, 'routing_key');
+        
+        return await this.post(endpoint, {
+            routing_key: key,
+            event_action: action,
+            dedup_key: String(alert.id)
+        });
+    }
+}
+
+// Opsgenie Alert API implementation
+class OpsgenieService extends BaseNotificationService {
+    async send(webhookUrl, alert) {
+        const notificationService = new NotificationService();
+        const { endpoint, key } = splitServiceUrl(webhookUrl, 'apiKey');
+        const priorities = { critical: 'P1', warning: 'P3', info: 'P5' };
+        
+        const payload = {
+            message: notificationService.getAlertTitle(alert).slice(0, 130),
+            alias: String(alert.id),
+            description: notificationService.getAlertMessage(alert).slice(0, 15000),
+            priority: priorities[notificationService.getSeverity(alert)],
+            source: 'Pulse',
+            entity: alert.guest?.name || alert.nodeName || undefined,
+            tags: ['pulse', alert.metric || alert.rule?.metric].filter(Boolean),
+            details: {
+                node: String(alert.guest?.node || alert.nodeId || ''),
+                vmid: String(alert.guest?.vmid || ''),
+                currentValue: String(alert.currentValue ?? ''),
+                threshold: String(alert.threshold ?? alert.effectiveThreshold ?? '')
+            }
+        };
+        
+        return await this.post(endpoint, payload, { Authorization: `GenieKey ${key}` });
+    }
+    
+    async sendEvent(webhookUrl, alert, action) {
+        const { endpoint, key } = splitServiceUrl(webhookUrl, 'apiKey');
+        const url = new URL(endpoint);
+        url.pathname = `${url.pathname.replace(/\/$/, '')}/${encodeURIComponent(String(alert.id))}/${action === 'resolve' ? 'close' : 'acknowledge'}`;
+        url.searchParams.set('identifierType', 'alias');
+        
+        return await this.post(url.toString(), {
+            source: 'Pulse',
+            note: action === 'resolve' ? 'Resolved in Pulse' : `Acknowledged in Pulse${alert.acknowledgedBy ? ` by ${alert.acknowledgedBy}` : ''}`
+        }, { Authorization: `GenieKey ${key}` });
+    }
+}
+
 // Generic webhook implementation (fallback)
 class GenericWebhookService extends BaseNotificationService {
     async send(webhookUrl, alert) {
@@ -0,0 +1,453 @@
+const fs = require('fs').promises;
+const path = require('path');
+const notificationRouting = require('./notificationRouting');
+const { formatSuppressedAlerts } = require('./alertDependencies');
+
+// Templates for WEBHOOK_URL / ALERT_TO_EMAIL, also used by channels without their own template
+const DEFAULT_KEYS = ['webhook', 'email'];
+const MAX_TITLE_LENGTH = 250;
+const MAX_MESSAGE_LENGTH = 4000;
+
+const PERCENT_METRICS = ['cpu', 'memory', 'disk'];
+const RATE_METRICS = ['diskread', 'diskwrite', 'netin', 'netout'];
+const METRIC_NAMES = {
+    cpu: 'CPU',
+    memory: 'Memory',
+    disk: 'Disk',
+    diskread: 'Disk Read',
+    diskwrite: 'Disk Write',
+    netin: 'Network In',
+    netout: 'Network Out',
+    status: 'Status'
+};
+
+const VARIABLES = {
+    'alert.id': 'Alert id',
+    'rule.name': 'Alert rule name',
+    'rule.description': 'Alert rule description',
+    'severity': 'critical, warning or info',
+    'message': 'Default one-line alert message',
+    'guest.name': 'Guest name (node name for node alerts)',
+    'guest.vmid': 'Guest VMID',
+    'guest.type': 'QEMU, LXC or NODE',
+    'guest.status': 'Guest status, e.g. running',
+    'node': 'Proxmox node',
+    'endpoint': 'Endpoint id',
+    'metric': 'Metric name, e.g. CPU',
+    'currentValue': 'Current value with unit',
+    'threshold': 'Threshold with unit',
+    'duration': 'Time since the alert triggered',
+    'triggeredAt': 'When the alert triggered',
+    'time': 'When the notification was sent',
+    'escalationLevel': 'Escalation level, empty unless escalated',
+    'suppressedCount': 'Number of alerts held back because they depend on this one, e.g. guests of a node that is down',
+    'suppressedAlerts': 'Those held back alerts, one per line'
+};
+
+const FILTERS = {
+    upper: value => value.toUpperCase(),
+    lower: value => value.toLowerCase(),
+    capitalize: value => value.charAt(0).toUpperCase() + value.slice(1),
+    default: (value, arg) => value === '' ? arg : value,
+    truncate: (value, arg) => {
+        const length = parseInt(arg, 10);
+        return Number.isFinite(length) && value.length > length ? `${value.slice(0, Math.max(length - 1, 0))}…` : value;
+    }
+};
+
+// Matches literal braces ({{ and }}) and placeholders such as {guest.name|upper}
+const TOKEN_PATTERN = /\{\{|\}\}|\{([^{}]*)\}/g;
+
+// Used by the settings preview when no alert is given
+const SAMPLE_ALERT = {
+    id: 'alert_sample',
+    rule: {
+        name: 'High CPU Usage',
+        description: 'CPU usage above threshold for 5 minutes',
+        metric: 'cpu',
+        severity: 'warning'
+    },
+    guest: { name: 'web-01', vmid: 101, type: 'qemu', node: 'pve1', status: 'running', endpointId: 'primary' },
+    metric: 'cpu',
+    currentValue: 92.4,
+    threshold: 85,
+    severity: 'warning',
+    message: 'High CPU Usage - web-01 (QEMU 101) on pve1 - CPU: 92% (threshold: 85%)'
+};
+
+/**
+ * Notification Template Manager
+ * Stores user-editable title and message templates for notifications. Templates are kept
+ * per notification channel, plus defaults for the default webhook and email settings.
+ * Placeholders such as {guest.name} or {currentValue|upper} are replaced with alert data;
+ * there is no code execution. Summary and grouped notifications keep the built-in format.
+ */
+class NotificationTemplateManager {
+    constructor() {
+        this.configPath = path.join(__dirname, '../data/notification-templates.json');
+        this.templates = new Map(); // 'webhook', 'email' or channel id -> template
+        this.initialized = false;
+    }
+
+    /**
+     * Initialize the notification template manager
+     */
+    async init() {
+        try {
+            await this.loadTemplates();
+            this.initialized = true;
+            console.log('[NotificationTemplates] Initialized successfully');
+        } catch (error) {
+            console.error('[NotificationTemplates] Initialization failed:', error);
+        }
+    }
+
+    /**
+     * Load templates from storage
+     */
+    async loadTemplates() {
+        try {
+            await fs.mkdir(path.dirname(this.configPath), { recursive: true });
+
+            const data = await fs.readFile(this.configPath, 'utf8');
+            const templates = JSON.parse(data);
+
+            this.templates.clear();
+            Object.entries(templates).forEach(([key, template]) => {
+                this.templates.set(key, template);
+            });
+
+            console.log(`[NotificationTemplates] Loaded ${this.templates.size} notification templates`);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                await this.saveTemplates();
+                console.log('[NotificationTemplates] Created new notification template file');
+            } else {
+                console.error('[NotificationTemplates] Error loading notification templates:', error);
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Save templates to storage
+     */
+    async saveTemplates() {
+        try {
+            const data = Object.fromEntries(this.templates);
+            await fs.writeFile(this.configPath, JSON.stringify(data, null, 2), 'utf8');
+        } catch (error) {
+            console.error('[NotificationTemplates] Error saving notification templates:', error);
+            throw error;
+        }
+    }
+
+    getVariables() {
+        return Object.entries(VARIABLES).map(([name, description]) => ({ name, description }));
+    }
+
+    getFilters() {
+        return Object.keys(FILTERS);
+    }
+
+    getAllTemplates() {
+        return Object.fromEntries(this.templates);
+    }
+
+    getTemplate(key) {
+        return this.templates.get(key) || null;
+    }
+
+    /**
+     * Set the template for 'webhook', 'email' or a channel id. Throws on invalid input.
+     */
+    async setTemplate(key, input) {
+        if (!DEFAULT_KEYS.includes(key) && !notificationRouting.getChannel(key)) {
+            throw new Error(`Unknown template target "${key}", expected webhook, email or a channel id`);
+        }
+
+        const template = { ...this.validateTemplate(input), updatedAt: new Date().toISOString() };
+        this.templates.set(key, template);
+        await this.saveTemplates();
+        return template;
+    }
+
+    /**
+     * Remove a template, going back to the default template or built-in messages.
+     */
+    async deleteTemplate(key) {
+        if (!this.templates.delete(key)) return false;
+        await this.saveTemplates();
+        return true;
+    }
+
+    /**
+     * Validate template configuration
+     */
+    validateTemplate(input) {
+        if (!input || typeof input !== 'object') {
+            throw new Error('Template configuration is required');
+        }
+
+        const title = typeof input.title === 'string' ? input.title.trim() : '';
+        const message = typeof input.message === 'string' ? input.message.replace(/\r\n/g, '\n').trim() : '';
+        if (!title && !message) {
+            throw new Error('A template needs a title or a message');
+        }
+        if (title.length > MAX_TITLE_LENGTH) {
+            throw new Error(`title must be at most ${MAX_TITLE_LENGTH} characters`);
+        }
+        if (message.length > MAX_MESSAGE_LENGTH) {
+            throw new Error(`message must be at most ${MAX_MESSAGE_LENGTH} characters`);
+        }
+
+        this.parse(title, 'title');
+        this.parse(message, 'message');
+        return { title, message };
+    }
+
+    /**
+     * Split a template into literal text and placeholders. Throws on unknown variables or
+     * filters and on unmatched braces.
+     * @returns {Array} - Strings and { name, filters: [{ name, arg }] } placeholders.
+     */
+    parse(text, fieldName = 'template') {
+        const parts = [];
+        let lastIndex = 0;
+
+        for (const match of text.matchAll(TOKEN_PATTERN)) {
+            const literal = text.slice(lastIndex, match.index);
+            if (/[{}]/.test(literal)) {
+                throw new Error(`Unmatched brace in ${fieldName}, use {{ and }} for literal braces`);
+            }
+            parts.push(literal);
+            lastIndex = match.index + match[0].length;
+
+            if (match[0] === '{{' || match[0] === '}}') {
+                parts.push(match[0][0]);
+                continue;
+            }
+
+            const [name, ...filters] = match[1].split('|').map(part => part.trim());
+            if (!Object.hasOwn(VARIABLES, name)) {
+                throw new Error(`Unknown variable {${name}} in ${fieldName}`);
+            }
+            parts.push({
+                name,
+                filters: filters.map(filter => {
+                    const separator = filter.indexOf(':');
+                    const filterName = separator === -1 ? filter : filter.slice(0, separator).trim();
+                    if (!Object.hasOwn(FILTERS, filterName)) {
+                        throw new Error(`Unknown filter "${filterName}" in ${fieldName}`);
+                    }
+                    return { name: filterName, arg: separator === -1 ? '' : filter.slice(separator + 1) };
+                })
+            });
+        }
+
+        const rest = text.slice(lastIndex);
+        if (/[{}]/.test(rest)) {
+            throw new Error(`Unmatched brace in ${fieldName}, use {{ and }} for literal braces`);
+        }
+        parts.push(rest);
+        return parts;
+    }
+
+    renderText(text, context) {
+        if (!text) return null;
+
+        return this.parse(text).map(part => {
+            if (typeof part === 'string') return part;
+            return part.filters.reduce(
+                (value, filter) => FILTERS[filter.name](value, filter.arg),
+                context[part.name] ?? ''
+            );
+        }).join('');
+    }
+
+    /**
+     * Render a template for an alert. Parts left empty in the template are null.
+     * @returns {Object} - { title, message }
+     */
+    render(template, alert) {
+        const context = this.buildContext(alert);
+        return {
+            title: this.renderText(template.title, context),
+            message: this.renderText(template.message, context)
+        };
+    }
+
+    /**
+     * Validate and render a template against an alert, or a sample alert that triggered
+     * twelve minutes ago.
+     */
+    preview(input, alert = null) {
+        const target = alert || { ...SAMPLE_ALERT, triggeredAt: Date.now() - 12 * 60 * 1000 };
+        return this.render(this.validateTemplate(input), target);
+    }
+
+    /**
+     * Template for a webhook URL: the template of the channel with that URL, else the
+     * default webhook template.
+     */
+    getWebhookTemplate(webhookUrl) {
+        const channel = notificationRouting.getAllChannels()
+            .find(candidate => candidate.type === 'webhook' && candidate.url === webhookUrl);
+        return (channel && this.templates.get(channel.id)) || this.templates.get('webhook') || null;
+    }
+
+    /**
+     * Template for a recipient list: the template of the email channel with exactly these
+     * recipients, else the default email template.
+     */
+    getEmailTemplate(recipients = []) {
+        const wanted = [...recipients].sort().join(',');
+        const channel = notificationRouting.getAllChannels()
+            .find(candidate => candidate.type === 'email' && [...candidate.recipients].sort().join(',') === wanted);
+        return (channel && this.templates.get(channel.id)) || this.templates.get('email') || null;
+    }
+
+    /**
+     * Alert to send to a webhook, with the rendered template as notificationTitle and
+     * notificationMessage. Returns the alert unchanged when no template applies.
+     */
+    applyWebhookTemplate(alert, webhookUrl) {
+        if (alert.type === 'summary') return alert;
+
+        const template = this.getWebhookTemplate(webhookUrl);
+        if (!template) return alert;
+
+        try {
+            const { title, message } = this.render(template, alert);
+            return {
+                ...alert,
+                notificationTitle: title || undefined,
+                notificationMessage: message || undefined
+            };
+        } catch (error) {
+            console.error('[NotificationTemplates] Failed to render webhook template:', error.message);
+            return alert;
+        }
+    }
+
+    /**
+     * Rendered email template for an alert and its recipients, or null when none applies.
+     */
+    renderEmailTemplate(alert, recipients) {
+        const template = this.getEmailTemplate(recipients);
+        if (!template) return null;
+
+        try {
+            return this.render(template, alert);
+        } catch (error) {
+            console.error('[NotificationTemplates] Failed to render email template:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Template variables of an alert, all formatted as strings.
+     */
+    buildContext(alert) {
+        const guest = alert.guest || {};
+        const rule = alert.rule || {};
+        const isNode = alert.type === 'node_threshold' || (!alert.guest && (alert.nodeId || alert.nodeName));
+        const triggeredAt = alert.triggeredAt || alert.startTime;
+        const { metric, currentValue, threshold } = this.formatMetric(alert);
+
+        const context = {
+            'alert.id': alert.id,
+            'rule.name': rule.name,
+            'rule.description': rule.description,
+            'severity': alert.severity || rule.severity || 'warning',
+            'message': alert.message,
+            'guest.name': guest.name || alert.nodeName || alert.nodeId,
+            'guest.vmid': guest.vmid,
+            'guest.type': isNode ? 'NODE' : (guest.type ? String(guest.type).toUpperCase() : ''),
+            'guest.status': guest.status,
+            'node': guest.node || alert.nodeId || alert.nodeName,
+            'endpoint': guest.endpointId || alert.endpointId,
+            'metric': metric,
+            'currentValue': currentValue,
+            'threshold': threshold,
+            'duration': triggeredAt ? this.formatDuration((alert.resolvedAt || Date.now()) - triggeredAt) : '',
+            'triggeredAt': triggeredAt ? new Date(triggeredAt).toLocaleString() : '',
+            'time': new Date().toLocaleString(),
+            'escalationLevel': alert.escalationLevel,
+            'suppressedCount': (alert.suppressedChildren || []).length,
+            'suppressedAlerts': formatSuppressedAlerts(alert.suppressedChildren)
+        };
+
+        Object.keys(context).forEach(key => {
+            context[key] = context[key] === undefined || context[key] === null ? '' : String(context[key]);
+        });
+        return context;
+    }
+
+    getMetricName(metric) {
+        return METRIC_NAMES[metric] || (metric ? String(metric).toUpperCase() : '');
+    }
+
+    /**
+     * Metric name, current value and threshold for display, including bundled and
+     * compound alerts with several metrics.
+     */
+    formatMetric(alert) {
+        if (Array.isArray(alert.exceededMetrics) && alert.exceededMetrics.length > 0) {
+            return {
+                metric: alert.exceededMetrics.map(m => this.getMetricName(m.metricType)).join(', '),
+                currentValue: alert.exceededMetrics.map(m => this.formatValue(m.currentValue, m.metricType)).join(', '),
+                threshold: alert.exceededMetrics.map(m => this.formatValue(m.threshold, m.metricType)).join(', ')
+            };
+        }
+
+        const metric = alert.metric || alert.rule?.metric;
+        const threshold = alert.effectiveThreshold ?? alert.threshold ?? alert.rule?.threshold;
+        return {
+            metric: alert.rule?.type === 'compound_threshold' ? 'Multiple Thresholds' : this.getMetricName(metric),
+            currentValue: this.formatValue(alert.currentValue, metric),
+            threshold: Array.isArray(threshold)
+                ? threshold.map(t => `${this.getMetricName(t.metric)}: ${this.formatValue(t.threshold, t.metric)}`).join(', ')
+                : this.formatValue(threshold, metric)
+        };
+    }
+
+    formatValue(value, metric) {
+        if (value === undefined || value === null || value === '') return '';
+        if (typeof value === 'object') {
+            return Object.entries(value)
+                .map(([name, entry]) => `${this.getMetricName(name)}: ${this.formatValue(entry, name)}`)
+                .join(', ');
+        }
+        if (typeof value !== 'number') return String(value);
+
+        if (PERCENT_METRICS.includes(metric)) {
+            return `${Math.round(value * 10) / 10}%`;
+        }
+        if (RATE_METRICS.includes(metric)) {
+            const units = ['B/s', 'KB/s', 'MB/s', 'GB/s'];
+            let scaled = value;
+            let unit = 0;
+            while (scaled >= 1024 && unit < units.length - 1) {
+                scaled /= 1024;
+                unit++;
+            }
+            return `${Math.round(scaled * 100) / 100} ${units[unit]}`;
+        }
+        return String(Math.round(value * 100) / 100);
+    }
+
+    formatDuration(ms) {
+        const seconds = Math.max(0, Math.round(ms / 1000));
+        if (seconds < 60) return `${seconds}s`;
+
+        const days = Math.floor(seconds / 86400);
+        const hours = Math.floor((seconds % 86400) / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        if (days > 0) return `${days}d ${hours}h`;
+        if (hours > 0) return `${hours}h ${minutes}m`;
+        return `${minutes}m ${seconds % 60}s`;
+    }
+}
+
+module.exports = new NotificationTemplateManager();
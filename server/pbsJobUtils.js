@@ -0,0 +1,220 @@
+/**
+ * PBS Job Utilities
+ *
+ * Collects the status of PBS sync jobs, prune jobs and datastore garbage collection
+ * so failures of the jobs that move and clean up backup data can be shown and alerted on.
+ */
+
+/**
+ * Extracts the start time from a PBS UPID.
+ * PBS format: UPID:node:pid:pstart:task_id:starttime:worker_type:worker_id:user:
+ * @param {string} upid - Task UPID.
+ * @returns {number|null} - Start time in epoch seconds.
+ */
+function getUpidStartTime(upid) {
+    if (!upid || typeof upid !== 'string') return null;
+    const parts = upid.split(':');
+    if (parts.length < 7) return null;
+    const startTime = parseInt(parts[5], 16);
+    return Number.isFinite(startTime) ? startTime : null;
+}
+
+/**
+ * Categorizes a failed job's last-run-state for diagnostics.
+ * @param {string} state - last-run-state from PBS (task exit status).
+ * @returns {string|null} - Category, or null when the job did not fail.
+ */
+function categorizeJobFailure(state) {
+    if (!state || state === 'OK' || state.startsWith('WARNINGS')) return null;
+    const lower = state.toLowerCase();
+
+    if (lower.includes('connection') || lower.includes('connect') || lower.includes('unreachable') || lower.includes('dns') || lower.includes('tls')) {
+        return 'Remote unreachable';
+    } else if (lower.includes('timeout') || lower.includes('timed out')) {
+        return 'Network timeout';
+    } else if (lower.includes('permission') || lower.includes('authentication') || lower.includes('401') || lower.includes('403') || lower.includes('no such user')) {
+        return 'Authentication/permission denied';
+    } else if (lower.includes('no space') || lower.includes('quota') || lower.includes('disk full')) {
+        return 'Storage space issues';
+    } else if (lower.includes('chunk') || lower.includes('corrupt') || lower.includes('checksum')) {
+        return 'Missing or corrupt chunks';
+    } else if (lower.includes('lock') || lower.includes('busy') || lower.includes('already running')) {
+        return 'Datastore locked/busy';
+    } else if (lower.includes('not found') || lower.includes('does not exist')) {
+        return 'Missing datastore or namespace';
+    } else if (lower.includes('abort')) {
+        return 'Aborted';
+    }
+    return 'Unknown job error';
+}
+
+/**
+ * Derives a display status from a job's last run.
+ * @returns {string} - 'ok', 'warning', 'failed', 'running', 'never-run' or 'disabled'
+ */
+function getJobRunStatus(job) {
+    if (job.enabled === false) return 'disabled';
+    if (job.lastRunState) {
+        if (job.lastRunState === 'OK') return 'ok';
+        if (job.lastRunState.startsWith('WARNINGS')) return 'warning';
+        return 'failed';
+    }
+    if (job.lastRunUpid) return 'running';
+    return 'never-run';
+}
+
+/**
+ * Normalizes the status fields PBS attaches to sync, prune and GC job listings.
+ * @param {Object} raw - Raw job entry.
+ * @returns {Object} - Common status fields.
+ */
+function normalizeJobStatus(raw) {
+    const lastRunEndtime = raw['last-run-endtime'] || null;
+    const lastRunStarttime = getUpidStartTime(raw['last-run-upid']);
+    const job = {
+        schedule: raw.schedule || null,
+        nextRun: raw['next-run'] || null,
+        lastRunUpid: raw['last-run-upid'] || null,
+        lastRunState: raw['last-run-state'] || null,
+        lastRunStarttime,
+        lastRunEndtime,
+        duration: raw.duration ?? (lastRunEndtime && lastRunStarttime ? lastRunEndtime - lastRunStarttime : null),
+        enabled: !raw.disable
+    };
+    job.status = getJobRunStatus(job);
+    job.failureCategory = categorizeJobFailure(job.lastRunState);
+    return job;
+}
+
+/**
+ * Fetches sync or prune jobs with their run status. `/admin/{kind}` includes the
+ * last/next run fields; `/config/{kind}` is used as a fallback (configuration only).
+ * @param {Object} pbsClient - PBS API client instance ({ client, config }).
+ * @param {string} kind - 'sync' or 'prune'.
+ * @returns {Promise<Array>} - Normalized jobs.
+ */
+async function getPbsJobs(pbsClient, kind) {
+    const { client } = pbsClient;
+    let rawJobs;
+    try {
+        const response = await client.get(`/admin/${kind}`);
+        rawJobs = response.data?.data || [];
+    } catch (adminError) {
+        // Prune jobs only exist on PBS 2.2+, a 404 simply means none
+        if (adminError.response?.status === 404) return [];
+        const response = await client.get(`/config/${kind}`);
+        rawJobs = response.data?.data || [];
+    }
+
+    return rawJobs.map(raw => ({
+        id: raw.id,
+        kind,
+        store: raw.store,
+        namespace: raw.ns || null,
+        remote: raw.remote || null,
+        remoteStore: raw['remote-store'] || null,
+        comment: raw.comment || null,
+        ...normalizeJobStatus(raw)
+    }));
+}
+
+/**
+ * Fetches garbage collection status per datastore. PBS 3.x lists GC jobs with run status
+ * under `/admin/gc`; older versions only offer the per-datastore `/admin/datastore/{store}/gc`
+ * result, whose last task state is then read from the task log.
+ * @param {Object} pbsClient - PBS API client instance ({ client, config }).
+ * @param {Array} datastores - Datastores from fetchPbsDatastoreData.
+ * @returns {Promise<Array>} - [{ id, kind: 'gc', store, removedBytes, pendingBytes, ...status }]
+ */
+async function getGarbageCollectionJobs(pbsClient, datastores = []) {
+    const { client } = pbsClient;
+    const toGcJob = (store, raw) => ({
+        id: `gc-${store}`,
+        kind: 'gc',
+        store,
+        removedBytes: raw['removed-bytes'] ?? null,
+        pendingBytes: raw['pending-bytes'] ?? null,
+        removedChunks: raw['removed-chunks'] ?? null,
+        pendingChunks: raw['pending-chunks'] ?? null,
+        diskBytes: raw['disk-bytes'] ?? null,
+        ...normalizeJobStatus(raw)
+    });
+
+    try {
+        const response = await client.get('/admin/gc');
+        return (response.data?.data || []).map(raw => toGcJob(raw.store, raw));
+    } catch (listError) {
+        if (listError.response?.status !== 404 && listError.response?.status !== 501) {
+            console.warn(`WARN: [PBS Jobs] Failed to list GC jobs, falling back to per-datastore status: ${listError.message}`);
+        }
+    }
+
+    const results = await Promise.allSettled(datastores.map(async (datastore) => {
+        const response = await client.get(`/admin/datastore/${datastore.name}/gc`);
+        const raw = { ...(response.data?.data || {}) };
+        raw['last-run-upid'] = raw.upid || null;
+
+        if (raw.upid) {
+            try {
+                const taskResponse = await client.get(`/nodes/localhost/tasks/${encodeURIComponent(raw.upid)}/status`);
+                const task = taskResponse.data?.data || {};
+                if (task.status === 'stopped') {
+                    raw['last-run-state'] = task.exitstatus || 'unknown';
+                }
+            } catch (taskError) {
+                // Task log rotated away; leave the state unknown
+            }
+        }
+        return toGcJob(datastore.name, raw);
+    }));
+
+    return results.filter(result => result.status === 'fulfilled').map(result => result.value);
+}
+
+/**
+ * Collects sync, prune and GC job status for a PBS instance.
+ * @param {Object} pbsClient - PBS API client instance ({ client, config }).
+ * @param {Array} datastores - Datastores from fetchPbsDatastoreData.
+ * @returns {Promise<Object>} - { syncJobs, pruneJobs, gcJobs, summary, errors }
+ */
+async function getPbsJobMonitoring(pbsClient, datastores = []) {
+    const [syncJobs, pruneJobs, gcJobs] = await Promise.allSettled([
+        getPbsJobs(pbsClient, 'sync'),
+        getPbsJobs(pbsClient, 'prune'),
+        getGarbageCollectionJobs(pbsClient, datastores)
+    ]);
+
+    const errors = {};
+    const unwrap = (result, name) => {
+        if (result.status === 'fulfilled') return result.value;
+        errors[name] = result.reason?.message || String(result.reason);
+        console.warn(`WARN: [PBS Jobs] Failed to fetch ${name} jobs for ${pbsClient.config?.name}: ${errors[name]}`);
+        return null;
+    };
+
+    const monitoring = {
+        timestamp: Date.now(),
+        syncJobs: unwrap(syncJobs, 'sync'),
+        pruneJobs: unwrap(pruneJobs, 'prune'),
+        gcJobs: unwrap(gcJobs, 'gc'),
+        errors
+    };
+
+    const allJobs = [...(monitoring.syncJobs || []), ...(monitoring.pruneJobs || []), ...(monitoring.gcJobs || [])];
+    monitoring.summary = {
+        total: allJobs.length,
+        ok: allJobs.filter(job => job.status === 'ok').length,
+        warning: allJobs.filter(job => job.status === 'warning').length,
+        failed: allJobs.filter(job => job.status === 'failed').length
+    };
+
+    return monitoring;
+}
+
+module.exports = {
+    getUpidStartTime,
+    categorizeJobFailure,
+    getPbsJobs,
+    getGarbageCollectionJobs,
+    getPbsJobMonitoring
+};
@@ -0,0 +1,234 @@
+/**
+ * Prometheus exporter
+ *
+ * Renders the data Pulse already collects (nodes, guests, storage, PBS datastores,
+ * active alerts) in the Prometheus text exposition format (version 0.0.4).
+ * Nothing is fetched from the clusters here, so scraping adds no API load.
+ */
+
+const METRIC_PREFIX = 'pulse';
+
+/**
+ * Collects samples for one metric family and renders HELP/TYPE headers once.
+ */
+class MetricFamily {
+    constructor(name, type, help) {
+        this.name = `${METRIC_PREFIX}_${name}`;
+        this.type = type;
+        this.help = help;
+        this.samples = [];
+    }
+
+    add(labels, value) {
+        if (value === null || value === undefined || value === '') return;
+        const numeric = typeof value === 'boolean' ? (value ? 1 : 0) : Number(value);
+        if (!Number.isFinite(numeric)) return;
+        this.samples.push({ labels, value: numeric });
+    }
+
+    render() {
+        if (this.samples.length === 0) return '';
+
+        const lines = [
+            `# HELP ${this.name} ${this.help}`,
+            `# TYPE ${this.name} ${this.type}`
+        ];
+        for (const sample of this.samples) {
+            lines.push(`${this.name}${formatLabels(sample.labels)} ${sample.value}`);
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+function escapeLabelValue(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/\n/g, '\\n')
+        .replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels || {});
+    if (entries.length === 0) return '';
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value ?? '')}"`).join(',')}}`;
+}
+
+function createFamilies(definitions) {
+    const families = {};
+    for (const [key, [type, help]] of Object.entries(definitions)) {
+        families[key] = new MetricFamily(key, type, help);
+    }
+    return families;
+}
+
+function collectNodeMetrics(families, nodes) {
+    for (const node of nodes || []) {
+        if (!node || !node.node) continue;
+
+        const labels = { endpoint: node.endpointId || '', node: node.node };
+        families.node_up.add(labels, node.status === 'online');
+        families.node_cpu_usage_ratio.add(labels, node.cpu);
+        families.node_cpu_count.add(labels, node.maxcpu);
+        families.node_memory_used_bytes.add(labels, node.mem);
+        families.node_memory_total_bytes.add(labels, node.maxmem);
+        families.node_disk_used_bytes.add(labels, node.disk);
+        families.node_disk_total_bytes.add(labels, node.maxdisk);
+        families.node_uptime_seconds.add(labels, node.uptime);
+        if (Array.isArray(node.loadavg)) {
+            families.node_load1.add(labels, node.loadavg[0]);
+        }
+
+        for (const storage of node.storage || []) {
+            if (!storage || !storage.storage) continue;
+
+            const storageLabels = {
+                endpoint: node.endpointId || '',
+                node: node.node,
+                storage: storage.storage,
+                type: storage.type || '',
+                shared: storage.shared ? '1' : '0'
+            };
+            families.storage_active.add(storageLabels, Boolean(storage.active));
+            families.storage_used_bytes.add(storageLabels, storage.used);
+            families.storage_total_bytes.add(storageLabels, storage.total);
+            families.storage_available_bytes.add(storageLabels, storage.avail);
+        }
+    }
+}
+
+function collectGuestMetrics(families, guests, metrics) {
+    // Latest metrics cycle values, keyed the same way index.js keys metrics history
+    const currentByGuest = new Map();
+    for (const metric of metrics || []) {
+        if (metric && metric.current) {
+            currentByGuest.set(`${metric.endpointId}-${metric.node}-${metric.id}`, metric.current);
+        }
+    }
+
+    for (const guest of guests || []) {
+        if (!guest || guest.vmid === undefined) continue;
+
+        const current = currentByGuest.get(`${guest.endpointId}-${guest.node}-${guest.vmid}`) || {};
+        const value = (field) => current[field] !== undefined ? current[field] : guest[field];
+        const labels = {
+            endpoint: guest.endpointId || '',
+            node: guest.node || '',
+            vmid: guest.vmid,
+            type: guest.type || '',
+            name: guest.name || ''
+        };
+
+        families.guest_up.add(labels, guest.status === 'running');
+        families.guest_cpu_usage_ratio.add(labels, value('cpu'));
+        families.guest_cpu_count.add(labels, guest.cpus || guest.maxcpu);
+        families.guest_memory_used_bytes.add(labels, value('mem'));
+        families.guest_memory_total_bytes.add(labels, guest.maxmem);
+        families.guest_disk_used_bytes.add(labels, value('disk'));
+        families.guest_disk_total_bytes.add(labels, guest.maxdisk);
+        families.guest_uptime_seconds.add(labels, value('uptime'));
+        families.guest_disk_read_bytes_total.add(labels, value('diskread'));
+        families.guest_disk_written_bytes_total.add(labels, value('diskwrite'));
+        families.guest_network_receive_bytes_total.add(labels, value('netin'));
+        families.guest_network_transmit_bytes_total.add(labels, value('netout'));
+    }
+}
+
+function collectPbsMetrics(families, pbsInstances) {
+    for (const instance of pbsInstances || []) {
+        if (!instance) continue;
+
+        const instanceName = instance.pbsInstanceName || instance.pbsEndpointId || '';
+        families.pbs_up.add({ instance: instanceName }, instance.status === 'ok');
+
+        for (const datastore of instance.datastores || []) {
+            if (!datastore || !datastore.name) continue;
+
+            const labels = { instance: instanceName, datastore: datastore.name };
+            families.pbs_datastore_used_bytes.add(labels, datastore.used);
+            families.pbs_datastore_total_bytes.add(labels, datastore.total);
+            families.pbs_datastore_available_bytes.add(labels, datastore.available);
+            families.pbs_datastore_deduplication_factor.add(labels, datastore.deduplicationFactor);
+            families.pbs_datastore_snapshots.add(labels, Array.isArray(datastore.snapshots) ? datastore.snapshots.length : null);
+        }
+    }
+}
+
+function collectAlertMetrics(families, activeAlerts) {
+    // Aggregate per rule and target so label sets stay stable across scrapes
+    const counts = new Map();
+    for (const alert of activeAlerts || []) {
+        const labels = {
+            rule: alert.ruleId || 'unknown',
+            metric: alert.metric || 'unknown',
+            endpoint: alert.guest?.endpointId || '',
+            node: alert.guest?.node || '',
+            vmid: alert.guest?.vmid || '',
+            type: alert.guest?.type || '',
+            name: alert.guest?.name || '',
+            state: alert.state || 'active',
+            acknowledged: alert.acknowledged ? '1' : '0'
+        };
+        const key = JSON.stringify(labels);
+        const entry = counts.get(key) || { labels, count: 0 };
+        entry.count++;
+        counts.set(key, entry);
+    }
+
+    for (const { labels, count } of counts.values()) {
+        families.alerts_active.add(labels, count);
+    }
+}
+
+/**
+ * Builds the /metrics response body.
+ * @param {Object} state - Result of stateManager.getState().
+ * @param {Array} activeAlerts - Result of alertManager.getActiveAlerts().
+ * @returns {string} Prometheus text exposition.
+ */
+function buildPrometheusMetrics(state, activeAlerts) {
+    const families = createFamilies({
+        node_up: ['gauge', 'Whether the node is online (1) or not (0).'],
+        node_cpu_usage_ratio: ['gauge', 'Node CPU usage (0-1).'],
+        node_cpu_count: ['gauge', 'Number of CPUs on the node.'],
+        node_memory_used_bytes: ['gauge', 'Node memory used in bytes.'],
+        node_memory_total_bytes: ['gauge', 'Node memory total in bytes.'],
+        node_disk_used_bytes: ['gauge', 'Node root filesystem used in bytes.'],
+        node_disk_total_bytes: ['gauge', 'Node root filesystem size in bytes.'],
+        node_uptime_seconds: ['gauge', 'Node uptime in seconds.'],
+        node_load1: ['gauge', 'Node 1-minute load average.'],
+        storage_active: ['gauge', 'Whether the storage is active (1) or not (0).'],
+        storage_used_bytes: ['gauge', 'Storage used in bytes.'],
+        storage_total_bytes: ['gauge', 'Storage size in bytes.'],
+        storage_available_bytes: ['gauge', 'Storage available in bytes.'],
+        guest_up: ['gauge', 'Whether the guest is running (1) or not (0).'],
+        guest_cpu_usage_ratio: ['gauge', 'Guest CPU usage (0-1).'],
+        guest_cpu_count: ['gauge', 'Number of CPUs assigned to the guest.'],
+        guest_memory_used_bytes: ['gauge', 'Guest memory used in bytes.'],
+        guest_memory_total_bytes: ['gauge', 'Guest memory assigned in bytes.'],
+        guest_disk_used_bytes: ['gauge', 'Guest disk used in bytes.'],
+        guest_disk_total_bytes: ['gauge', 'Guest disk size in bytes.'],
+        guest_uptime_seconds: ['gauge', 'Guest uptime in seconds.'],
+        guest_disk_read_bytes_total: ['counter', 'Total bytes read from guest disks.'],
+        guest_disk_written_bytes_total: ['counter', 'Total bytes written to guest disks.'],
+        guest_network_receive_bytes_total: ['counter', 'Total bytes received by the guest.'],
+        guest_network_transmit_bytes_total: ['counter', 'Total bytes transmitted by the guest.'],
+        pbs_up: ['gauge', 'Whether the PBS instance is reachable (1) or not (0).'],
+        pbs_datastore_used_bytes: ['gauge', 'PBS datastore used in bytes.'],
+        pbs_datastore_total_bytes: ['gauge', 'PBS datastore size in bytes.'],
+        pbs_datastore_available_bytes: ['gauge', 'PBS datastore available in bytes.'],
+        pbs_datastore_deduplication_factor: ['gauge', 'PBS datastore deduplication factor.'],
+        pbs_datastore_snapshots: ['gauge', 'Number of backup snapshots in the PBS datastore.'],
+        alerts_active: ['gauge', 'Number of active Pulse alerts.']
+    });
+
+    collectNodeMetrics(families, state.nodes);
+    collectGuestMetrics(families, [...(state.vms || []), ...(state.containers || [])], state.metrics);
+    collectPbsMetrics(families, state.pbs);
+    collectAlertMetrics(families, activeAlerts);
+
+    return Object.values(families).map(family => family.render()).join('');
+}
+
+module.exports = {
+    buildPrometheusMetrics
+};
@@ -0,0 +1,208 @@
+const EventEmitter = require('events');
+const stateManager = require('./state');
+
+const TASK_POLL_INTERVAL = 2000;           // Poll PVE task status every 2 seconds
+const TASK_TIMEOUT = 15 * 60 * 1000;       // Give up tracking after 15 minutes
+const TASK_RETENTION = 60 * 60 * 1000;     // Keep finished tasks for 1 hour
+
+/**
+ * Resolves the guest and the API client of the endpoint that owns it.
+ * Guests are looked up in the current state so requests only need node + vmid.
+ * @param {string} node - Node the guest lives on.
+ * @param {string|number} vmid - Guest ID.
+ * @param {string} [endpointId] - Optional endpoint to disambiguate duplicate VMIDs.
+ * @returns {{guest: Object, client: Object, endpointId: string}}
+ */
+function resolveGuest(node, vmid, endpointId = null) {
+    const currentState = stateManager.getState();
+    const guests = [...(currentState.vms || []), ...(currentState.containers || [])];
+    const numericVmid = parseInt(vmid, 10);
+
+    const matches = guests.filter(guest =>
+        guest.node === node &&
+        parseInt(guest.vmid, 10) === numericVmid &&
+        (!endpointId || guest.endpointId === endpointId)
+    );
+
+    if (matches.length === 0) {
+        const error = new Error(`Guest ${vmid} not found on node ${node}`);
+        error.statusCode = 404;
+        throw error;
+    }
+
+    if (matches.length > 1) {
+        const error = new Error(`Guest ${vmid} on node ${node} exists on multiple endpoints, specify endpointId`);
+        error.statusCode = 409;
+        throw error;
+    }
+
+    const guest = matches[0];
+    const apiClients = global.pulseApiClients?.apiClients || {};
+    const clientEntry = apiClients[guest.endpointId];
+
+    if (!clientEntry || !clientEntry.client) {
+        const error = new Error(`No API client available for endpoint ${guest.endpointId}`);
+        error.statusCode = 503;
+        throw error;
+    }
+
+    return { guest, client: clientEntry.client, endpointId: guest.endpointId };
+}
+
+/**
+ * Reads the task UPID from the response of a PVE write call.
+ * @param {Object} response - Axios response of the call.
+ * @returns {string} The UPID.
+ * @throws {Error} With statusCode 502 when PVE did not return one.
+ */
+function getTaskUpid(response) {
+    const upid = response?.data?.data;
+    if (typeof upid !== 'string' || !upid.startsWith('UPID:')) {
+        const error = new Error('Proxmox did not return a task ID for the request');
+        error.statusCode = 502;
+        throw error;
+    }
+    return upid;
+}
+
+/**
+ * Tracks PVE tasks (UPIDs) until they finish and emits progress events.
+ *
+ * Events:
+ * - 'taskUpdate' (task) on every status change
+ * - 'taskComplete' (task) once the task stopped, failed or timed out
+ */
+class PveTaskTracker extends EventEmitter {
+    constructor() {
+        super();
+        this.tasks = new Map();
+    }
+
+    /**
+     * Starts tracking a task returned by a PVE write call.
+     * @param {Object} options
+     * @param {Object} options.client - Axios client for the owning endpoint.
+     * @param {string} options.endpointId - Endpoint ID.
+     * @param {string} options.node - Node the task runs on.
+     * @param {string} options.upid - Task UPID returned by PVE.
+     * @param {string} options.action - Short action name (e.g. 'snapshot-create').
+     * @param {Object} [options.guest] - Guest the task targets.
+     * @param {string} [options.user] - Username that initiated the task.
+     * @returns {Object} The task record.
+     */
+    track({ client, endpointId, node, upid, action, guest = null, user = null }) {
+        if (typeof upid !== 'string' || !upid) {
+            throw new Error(`Cannot track ${action} task without a UPID`);
+        }
+
+        const task = {
+            upid,
+            endpointId,
+            node,
+            action,
+            guest: guest ? { vmid: guest.vmid, name: guest.name, type: guest.type, node: guest.node } : null,
+            user,
+            status: 'running',
+            exitstatus: null,
+            startedAt: Date.now(),
+            finishedAt: null
+        };
+
+        this.tasks.set(upid, task);
+        this.emit('taskUpdate', { ...task });
+        this._poll(client, task);
+        this._cleanup();
+
+        return { ...task };
+    }
+
+    getTask(upid) {
+        const task = this.tasks.get(upid);
+        return task ? { ...task } : null;
+    }
+
+    getTasks() {
+        return Array.from(this.tasks.values())
+            .map(task => ({ ...task }))
+            .sort((a, b) => b.startedAt - a.startedAt);
+    }
+
+    /**
+     * Waits for a tracked task to finish.
+     * @param {string} upid
+     * @returns {Promise<Object>} The finished task record.
+     */
+    waitForTask(upid) {
+        const task = this.tasks.get(upid);
+        if (!task) {
+            return Promise.reject(new Error(`Unknown task ${upid}`));
+        }
+        if (task.finishedAt) {
+            return Promise.resolve({ ...task });
+        }
+
+        return new Promise(resolve => {
+            const onComplete = (completed) => {
+                if (completed.upid === upid) {
+                    this.removeListener('taskComplete', onComplete);
+                    resolve(completed);
+                }
+            };
+            this.on('taskComplete', onComplete);
+        });
+    }
+
+    async _poll(client, task) {
+        const statusPath = `/nodes/${encodeURIComponent(task.node)}/tasks/${encodeURIComponent(task.upid)}/status`;
+
+        while (!task.finishedAt) {
+            await new Promise(resolve => setTimeout(resolve, TASK_POLL_INTERVAL));
+
+            if (Date.now() - task.startedAt > TASK_TIMEOUT) {
+                this._finish(task, 'timeout', 'Task tracking timed out');
+                return;
+            }
+
+            try {
+                const response = await client.get(statusPath);
+                const data = response.data?.data || {};
+
+                if (data.status === 'stopped') {
+                    const success = data.exitstatus === 'OK' || (data.exitstatus || '').startsWith('WARNINGS');
+                    this._finish(task, success ? 'ok' : 'error', data.exitstatus || 'unknown');
+                    return;
+                }
+            } catch (error) {
+                // Transient errors are expected while a node is busy, keep polling until timeout
+                console.warn(`[PveTasks] Failed to poll task ${task.upid}: ${error.message}`);
+            }
+        }
+    }
+
+    _finish(task, status, exitstatus) {
+        task.status = status;
+        task.exitstatus = exitstatus;
+        task.finishedAt = Date.now();
+
+        console.log(`[PveTasks] Task ${task.action} on ${task.node} finished: ${exitstatus}`);
+        this.emit('taskUpdate', { ...task });
+        this.emit('taskComplete', { ...task });
+    }
+
+    _cleanup() {
+        const cutoff = Date.now() - TASK_RETENTION;
+        for (const [upid, task] of this.tasks.entries()) {
+            if (task.finishedAt && task.finishedAt < cutoff) {
+                this.tasks.delete(upid);
+            }
+        }
+    }
+}
+
+const taskTracker = new PveTaskTracker();
+
+module.exports = {
+    resolveGuest,
+    getTaskUpid,
+    taskTracker
+};
@@ -3,6 +3,12 @@ const express = require('express');
 const axios = require('axios');
 const stateManager = require('../state');
 const ValidationMiddleware = require('../middleware/validation');
+const maintenanceWindows = require('../maintenanceWindows');
+const notificationRouting = require('../notificationRouting');
+const escalationPolicies = require('../escalationPolicies');
+const notificationTemplates = require('../notificationTemplates');
+const alertHistory = require('../alertHistoryPersistence');
+const alertAnalytics = require('../alertAnalytics');
 
 const router = express.Router();
 
@@ -242,6 +248,399 @@ router.post('/suppress',
     }
 });
 
+// Maintenance windows with their current open/closed status
+router.get('/maintenance-windows', async (req, res) => {
+    try {
+        if (!maintenanceWindows.initialized) {
+            await maintenanceWindows.init();
+        }
+        res.json({ windows: maintenanceWindows.getWindowStatus() });
+    } catch (error) {
+        console.error("Error fetching maintenance windows:", error);
+        res.status(500).json({ error: "Failed to fetch maintenance windows" });
+    }
+});
+
+// Create maintenance window
+router.post('/maintenance-windows', async (req, res) => {
+    try {
+        if (!maintenanceWindows.initialized) {
+            await maintenanceWindows.init();
+        }
+        const window = await maintenanceWindows.createWindow(req.body);
+        res.json({ success: true, message: "Maintenance window created successfully", window });
+    } catch (error) {
+        console.error("Error creating maintenance window:", error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Update maintenance window
+router.put('/maintenance-windows/:id', async (req, res) => {
+    try {
+        if (!maintenanceWindows.initialized) {
+            await maintenanceWindows.init();
+        }
+        const window = await maintenanceWindows.updateWindow(req.params.id, req.body);
+        
+        if (window) {
+            res.json({ success: true, message: "Maintenance window updated successfully", window });
+        } else {
+            res.status(404).json({ error: "Maintenance window not found" });
+        }
+    } catch (error) {
+        console.error("Error updating maintenance window:", error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Delete maintenance window
+router.delete('/maintenance-windows/:id', async (req, res) => {
+    try {
+        if (!maintenanceWindows.initialized) {
+            await maintenanceWindows.init();
+        }
+        const success = await maintenanceWindows.deleteWindow(req.params.id);
+        
+        if (success) {
+            res.json({ success: true, message: "Maintenance window removed successfully" });
+        } else {
+            res.status(404).json({ error: "Maintenance window not found" });
+        }
+    } catch (error) {
+        console.error("Error removing maintenance window:", error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Get notification channels
+router.get('/channels', async (req, res) => {
+    try {
+        if (!notificationRouting.initialized) {
+            await notificationRouting.init();
+        }
+        res.json({ channels: notificationRouting.getAllChannels() });
+    } catch (error) {
+        console.error("Error fetching notification channels:", error);
+        res.status(500).json({ error: "Failed to fetch notification channels" });
+    }
+});
+
+// Create notification channel
+router.post('/channels', async (req, res) => {
+    try {
+        if (!notificationRouting.initialized) {
+            await notificationRouting.init();
+        }
+        const channel = await notificationRouting.createChannel(req.body);
+        res.json({ success: true, message: "Notification channel created successfully", channel });
+    } catch (error) {
+        console.error("Error creating notification channel:", error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Update notification channel
+router.put('/channels/:id', async (req, res) => {
+    try {
+        if (!notificationRouting.initialized) {
+            await notificationRouting.init();
+        }
+        const channel = await notificationRouting.updateChannel(req.params.id, req.body);
+        
+        if (channel) {
+            res.json({ success: true, message: "Notification channel updated successfully", channel });
+        } else {
+            res.status(404).json({ error: "Notification channel not found" });
+        }
+    } catch (error) {
+        console.error("Error updating notification channel:", error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Delete notification channel
+router.delete('/channels/:id', async (req, res) => {
+    try {
+        if (!notificationRouting.initialized) {
+            await notificationRouting.init();
+        }
+        if (!escalationPolicies.initialized) {
+            await escalationPolicies.init();
+        }
+        const policy = escalationPolicies.getPolicyUsingChannel(req.params.id);
+        if (policy) {
+            return res.status(400).json({ error: `Channel is used by escalation policy "${policy.name}"` });
+        }
+        const success = await notificationRouting.deleteChannel(req.params.id);
+        
+        if (success) {
+            if (!notificationTemplates.initialized) {
+                await notificationTemplates.init();
+            }
+            await notificationTemplates.deleteTemplate(req.params.id);
+            res.json({ success: true, message: "Notification channel removed successfully" });
+        } else {
+            res.status(404).json({ error: "Notification channel not found" });
+        }
+    } catch (error) {
+        console.error("Error removing notification channel:", error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Send a test notification to a channel
+router.post('/channels/:id/test', async (req, res) => {
+    try {
+        if (!notificationRouting.initialized) {
+            await notificationRouting.init();
+        }
+        const channel = notificationRouting.getChannel(req.params.id);
+        if (!channel) {
+            return res.status(404).json({ error: "Notification channel not found" });
+        }
+        
+        const result = await stateManager.alertManager.sendChannelTestNotification(channel);
+        if (result.success) {
+            res.json({ success: true, message: `Test notification sent to "${channel.name}"` });
+        } else {
+            res.status(400).json({ success: false, error: result.error || 'Failed to send test notification' });
+        }
+    } catch (error) {
+        console.error("Error testing notification channel:", error);
+        res.status(500).json({ success: false, error: 'Internal server error while sending test notification' });
+    }
+});
+
+// Get notification routes in evaluation order
+router.get('/routes', async (req, res) => {
+    try {
+        if (!notificationRouting.initialized) {
+            await notificationRouting.init();
+        }
+        res.json({ routes: notificationRouting.getAllRoutes() });
+    } catch (error) {
+        console.error("Error fetching notification routes:", error);
+        res.status(500).json({ error: "Failed to fetch notification routes" });
+    }
+});
+
+// Create notification route (evaluated after the existing ones)
+router.post('/routes', async (req, res) => {
+    try {
+        if (!notificationRouting.initialized) {
+            await notificationRouting.init();
+        }
+        const route = await notificationRouting.createRoute(req.body);
+        res.json({ success: true, message: "Notification route created successfully", route });
+    } catch (error) {
+        console.error("Error creating notification route:", error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Reorder notification routes
+router.put('/routes/order', async (req, res) => {
+    try {
+        if (!notificationRouting.initialized) {
+            await notificationRouting.init();
+        }
+        const routes = await notificationRouting.reorderRoutes(req.body?.order);
+        res.json({ success: true, message: "Notification routes reordered successfully", routes });
+    } catch (error) {
+        console.error("Error reordering notification routes:", error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Update notification route
+router.put('/routes/:id', async (req, res) => {
+    try {
+        if (!notificationRouting.initialized) {
+            await notificationRouting.init();
+        }
+        const route = await notificationRouting.updateRoute(req.params.id, req.body);
+        
+        if (route) {
+            res.json({ success: true, message: "Notification route updated successfully", route });
+        } else {
+            res.status(404).json({ error: "Notification route not found" });
+        }
+    } catch (error) {
+        console.error("Error updating notification route:", error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Delete notification route
+router.delete('/routes/:id', async (req, res) => {
+    try {
+        if (!notificationRouting.initialized) {
+            await notificationRouting.init();
+        }
+        const success = await notificationRouting.deleteRoute(req.params.id);
+        
+        if (success) {
+            res.json({ success: true, message: "Notification route removed successfully" });
+        } else {
+            res.status(404).json({ error: "Notification route not found" });
+        }
+    } catch (error) {
+        console.error("Error removing notification route:", error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Get escalation policies
+router.get('/escalation-policies', async (req, res) => {
+    try {
+        if (!escalationPolicies.initialized) {
+            await escalationPolicies.init();
+        }
+        res.json({ policies: escalationPolicies.getAllPolicies() });
+    } catch (error) {
+        console.error("Error fetching escalation policies:", error);
+        res.status(500).json({ error: "Failed to fetch escalation policies" });
+    }
+});
+
+// Create escalation policy
+router.post('/escalation-policies', async (req, res) => {
+    try {
+        if (!notificationRouting.initialized) {
+            await notificationRouting.init();
+        }
+        if (!escalationPolicies.initialized) {
+            await escalationPolicies.init();
+        }
+        const policy = await escalationPolicies.createPolicy(req.body);
+        res.json({ success: true, message: "Escalation policy created successfully", policy });
+    } catch (error) {
+        console.error("Error creating escalation policy:", error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Update escalation policy
+router.put('/escalation-policies/:id', async (req, res) => {
+    try {
+        if (!notificationRouting.initialized) {
+            await notificationRouting.init();
+        }
+        if (!escalationPolicies.initialized) {
+            await escalationPolicies.init();
+        }
+        const policy = await escalationPolicies.updatePolicy(req.params.id, req.body);
+        
+        if (policy) {
+            res.json({ success: true, message: "Escalation policy updated successfully", policy });
+        } else {
+            res.status(404).json({ error: "Escalation policy not found" });
+        }
+    } catch (error) {
+        console.error("Error updating escalation policy:", error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Delete escalation policy
+router.delete('/escalation-policies/:id', async (req, res) => {
+    try {
+        if (!escalationPolicies.initialized) {
+            await escalationPolicies.init();
+        }
+        const success = await escalationPolicies.deletePolicy(req.params.id);
+        
+        if (success) {
+            res.json({ success: true, message: "Escalation policy removed successfully" });
+        } else {
+            res.status(404).json({ error: "Escalation policy not found" });
+        }
+    } catch (error) {
+        console.error("Error removing escalation policy:", error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Get notification templates, the channels they can be set for and the template variables
+router.get('/templates', async (req, res) => {
+    try {
+        if (!notificationRouting.initialized) {
+            await notificationRouting.init();
+        }
+        if (!notificationTemplates.initialized) {
+            await notificationTemplates.init();
+        }
+        const targets = [
+            { key: 'webhook', name: 'Default webhook', type: 'webhook' },
+            { key: 'email', name: 'Default email', type: 'email' },
+            ...notificationRouting.getAllChannels().map(channel => ({ key: channel.id, name: channel.name, type: channel.type }))
+        ];
+        res.json({
+            templates: notificationTemplates.getAllTemplates(),
+            targets,
+            variables: notificationTemplates.getVariables(),
+            filters: notificationTemplates.getFilters()
+        });
+    } catch (error) {
+        console.error("Error fetching notification templates:", error);
+        res.status(500).json({ error: "Failed to fetch notification templates" });
+    }
+});
+
+// Render a template without saving it, against an active alert or a sample alert
+router.post('/templates/preview', async (req, res) => {
+    try {
+        let alert;
+        if (req.body?.alertId) {
+            alert = Array.from(stateManager.alertManager.activeAlerts.values()).find(active => active.id === req.body.alertId);
+            if (!alert) {
+                return res.status(404).json({ error: "Alert not found" });
+            }
+        }
+        const preview = notificationTemplates.preview(req.body, alert);
+        res.json({ success: true, preview });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Set the template for the default webhook, default email or a channel
+router.put('/templates/:key', async (req, res) => {
+    try {
+        if (!notificationRouting.initialized) {
+            await notificationRouting.init();
+        }
+        if (!notificationTemplates.initialized) {
+            await notificationTemplates.init();
+        }
+        const template = await notificationTemplates.setTemplate(req.params.key, req.body);
+        res.json({ success: true, message: "Notification template saved successfully", template });
+    } catch (error) {
+        console.error("Error saving notification template:", error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Remove a template, going back to the default template or built-in messages
+router.delete('/templates/:key', async (req, res) => {
+    try {
+        if (!notificationTemplates.initialized) {
+            await notificationTemplates.init();
+        }
+        const success = await notificationTemplates.deleteTemplate(req.params.key);
+        
+        if (success) {
+            res.json({ success: true, message: "Notification template removed successfully" });
+        } else {
+            res.status(404).json({ error: "Notification template not found" });
+        }
+    } catch (error) {
+        console.error("Error removing notification template:", error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
 // Alert groups endpoint
 router.get('/groups', (req, res) => {
     try {
@@ -601,6 +1000,85 @@ router.post('/rules/reload', async (req, res) => {
     }
 });
 
+const DEFAULT_ANALYTICS_RANGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Reads the from/to range and entry filters shared by the history and analytics endpoints
+function parseHistoryQuery(query) {
+    const to = query.to !== undefined ? alertAnalytics.parseTimestamp(query.to) : Date.now();
+    const from = query.from !== undefined ? alertAnalytics.parseTimestamp(query.from) : to - DEFAULT_ANALYTICS_RANGE_MS;
+    if (from === null || to === null) {
+        throw new Error('from and to must be epoch milliseconds or ISO dates');
+    }
+    if (from >= to) {
+        throw new Error('from must be before to');
+    }
+    return {
+        from,
+        to,
+        ruleId: query.ruleId || null,
+        node: query.node || null,
+        guest: query.guest || null,
+        severity: query.severity || null
+    };
+}
+
+// Alert history for a date range, as JSON or as a CSV/JSON export
+router.get('/history', async (req, res) => {
+    let filters;
+    try {
+        filters = parseHistoryQuery(req.query);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    const format = req.query.format;
+    if (format !== undefined && format !== 'json' && format !== 'csv') {
+        return res.status(400).json({ error: 'format must be json or csv' });
+    }
+
+    try {
+        const entries = alertAnalytics.filterHistory(await alertHistory.loadHistory(), filters)
+            .sort((a, b) => b.triggeredAt - a.triggeredAt);
+
+        if (!format) {
+            return res.json({ success: true, from: filters.from, to: filters.to, count: entries.length, history: entries });
+        }
+
+        const day = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+        const filename = `pulse-alert-history-${day(filters.from)}-to-${day(filters.to)}.${format}`;
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        if (format === 'csv') {
+            res.type('text/csv').send(alertAnalytics.formatHistoryCsv(entries));
+        } else {
+            res.type('application/json').send(JSON.stringify(entries, null, 2));
+        }
+    } catch (error) {
+        console.error("Error exporting alert history:", error);
+        res.status(500).json({ error: "Failed to load alert history" });
+    }
+});
+
+// Alert analytics for a date range: MTTA/MTTR, alerts over time, per rule/guest/node breakdowns
+router.get('/analytics', async (req, res) => {
+    let filters;
+    try {
+        filters = parseHistoryQuery(req.query);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const entries = alertAnalytics.filterHistory(await alertHistory.loadHistory(), filters);
+        res.json({
+            success: true,
+            retentionDays: alertHistory.maxHistoryDays,
+            ...alertAnalytics.buildAnalytics(entries, { from: filters.from, to: filters.to, bucket: req.query.bucket })
+        });
+    } catch (error) {
+        console.error("Error building alert analytics:", error);
+        res.status(500).json({ error: "Failed to build alert analytics" });
+    }
+});
+
 // Clear alert history - optionally permanent
 router.post('/history/clear', async (req, res) => {
     try {
@@ -909,6 +1387,12 @@ router.post('/config', async (req, res) => {
             alertLogic: alertConfig.alertLogic || 'and',
             duration: alertConfig.duration || 0,
             autoResolve: alertConfig.autoResolve !== false,
+            clearThresholds: alertConfig.clearThresholds || {},
+            clearMargin: alertConfig.clearMargin ?? null,
+            clearDuration: alertConfig.clearDuration || 0,
+            flapping: alertConfig.flapping || {},
+            forecastDays: alertConfig.forecastDays ?? null,
+            storageHealth: alertConfig.storageHealth || {},
             enabled: alertConfig.enabled !== false,
             notifications: alertConfig.notifications || {
                 dashboard: true,
@@ -920,6 +1404,31 @@ router.post('/config', async (req, res) => {
             createdAt: alertConfig.lastUpdated || new Date().toISOString()
         };
         
+        try {
+            stateManager.alertManager.validateClearSettings(rule);
+            if (rule.forecastDays !== null && (typeof rule.forecastDays !== 'number' || !Number.isFinite(rule.forecastDays) || rule.forecastDays < 0 || rule.forecastDays > 365)) {
+                throw new Error('forecastDays must be a number of days between 0 and 365 (0 disables forecast alerts)');
+            }
+            const storageHealth = rule.storageHealth;
+            if (typeof storageHealth !== 'object' || Array.isArray(storageHealth)) {
+                throw new Error('storageHealth must be an object with zfsEnabled, smartEnabled and wearoutThreshold');
+            }
+            ['zfsEnabled', 'smartEnabled'].forEach(key => {
+                if (storageHealth[key] !== undefined && storageHealth[key] !== null && typeof storageHealth[key] !== 'boolean') {
+                    throw new Error(`storageHealth.${key} must be a boolean`);
+                }
+            });
+            const wearoutThreshold = storageHealth.wearoutThreshold;
+            if (wearoutThreshold !== undefined && wearoutThreshold !== null && (!Number.isInteger(wearoutThreshold) || wearoutThreshold < 0 || wearoutThreshold > 100)) {
+                throw new Error('storageHealth.wearoutThreshold must be a percentage between 0 and 100 (0 disables wearout alerts)');
+            }
+        } catch (error) {
+            return res.status(400).json({ 
+                success: false, 
+                error: error.message 
+            });
+        }
+        
         // Save state rules if provided
         if (alertConfig.states && stateManager.alertManager.stateMonitor) {
             await stateManager.alertManager.stateMonitor.saveStateRules(alertConfig.states);
@@ -953,6 +1462,12 @@ router.post('/config', async (req, res) => {
                 alertLogic: rule.alertLogic,
                 duration: rule.duration,
                 autoResolve: rule.autoResolve,
+                clearThresholds: rule.clearThresholds,
+                clearMargin: rule.clearMargin,
+                clearDuration: rule.clearDuration,
+                flapping: rule.flapping,
+                forecastDays: rule.forecastDays,
+                storageHealth: rule.storageHealth,
                 notifications: rule.notifications,
                 emailCooldowns: rule.emailCooldowns,
                 webhookCooldowns: rule.webhookCooldowns,
@@ -1118,6 +1633,15 @@ router.get('/config', (req, res) => {
                     nodeThresholds: existingRule.nodeThresholds || {},
                     alertLogic: existingRule.alertLogic || 'and',
                     duration: existingRule.duration || 0,
+                    clearThresholds: existingRule.clearThresholds || {},
+                    clearMargin: existingRule.clearMargin ?? null,
+                    clearDuration: existingRule.clearDuration || 0,
+                    flapping: existingRule.flapping || {},
+                    flappingDefaults: stateManager.alertManager.flappingConfig,
+                    forecastDays: existingRule.forecastDays ?? null,
+                    forecastDefaults: stateManager.alertManager.forecastConfig,
+                    storageHealth: existingRule.storageHealth || {},
+                    storageHealthDefaults: stateManager.alertManager.storageHealthConfig,
                     notifications: existingRule.notifications || {
                         dashboard: true,
                         email: false,
@@ -1148,6 +1672,15 @@ router.get('/config', (req, res) => {
                     nodeThresholds: {},
                     alertLogic: 'and',
                     duration: 0,
+                    clearThresholds: {},
+                    clearMargin: null,
+                    clearDuration: 0,
+                    flapping: {},
+                    flappingDefaults: stateManager.alertManager.flappingConfig,
+                    forecastDays: null,
+                    forecastDefaults: stateManager.alertManager.forecastConfig,
+                    storageHealth: {},
+                    storageHealthDefaults: stateManager.alertManager.storageHealthConfig,
                     notifications: {
                         dashboard: true,
                         email: false,
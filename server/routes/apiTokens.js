@@ -0,0 +1,75 @@
+const express = require('express');
+const { audit } = require('../security');
+const { ROLE_PERMISSIONS, USER_ROLES } = require('../security/config');
+const apiTokens = require('../security/apiTokens');
+
+const router = express.Router();
+
+// Token management needs a logged-in user; tokens cannot be used to mint or revoke tokens
+router.use(async (req, res, next) => {
+    if (!req.auth?.user) {
+        return res.status(401).json({ error: 'Login required', message: 'API tokens need the private security mode and a logged-in user' });
+    }
+    if (req.auth.type === 'apikey') {
+        return res.status(403).json({ error: 'API tokens cannot manage API tokens' });
+    }
+    try {
+        if (!apiTokens.initialized) {
+            await apiTokens.init();
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// List the user's tokens; admins see all tokens
+router.get('/', (req, res) => {
+    const user = req.auth.user;
+    const isAdmin = user.role === USER_ROLES.ADMIN;
+    res.json({ tokens: apiTokens.listTokens(isAdmin ? null : user) });
+});
+
+// Create a token for the logged-in user
+router.post('/', async (req, res) => {
+    const user = req.auth.user;
+    const scope = req.body?.scope;
+    if (scope && !(ROLE_PERMISSIONS[user.role] || []).includes(scope)) {
+        return res.status(403).json({ error: 'Invalid API token', message: `Your role (${user.role}) cannot create ${scope} tokens` });
+    }
+
+    try {
+        let result;
+        try {
+            result = await apiTokens.createToken(req.body, user);
+        } catch (validationError) {
+            return res.status(400).json({ error: 'Invalid API token', message: validationError.message });
+        }
+
+        audit.apiTokenCreated(result.apiToken, user, req);
+        res.status(201).json({ success: true, token: result.token, apiToken: result.apiToken });
+    } catch (error) {
+        console.error('[ApiTokens] Error creating token:', error);
+        res.status(500).json({ error: 'Failed to create API token', message: error.message });
+    }
+});
+
+// Revoke a token; users can revoke their own tokens, admins any token
+router.delete('/:id', async (req, res) => {
+    const user = req.auth.user;
+    const record = apiTokens.getToken(req.params.id);
+    if (!record || (!apiTokens.isOwnedBy(record, user) && user.role !== USER_ROLES.ADMIN)) {
+        return res.status(404).json({ error: 'API token not found' });
+    }
+
+    try {
+        await apiTokens.deleteToken(record.id);
+        audit.apiTokenRevoked(record, user, req);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('[ApiTokens] Error revoking token:', error);
+        res.status(500).json({ error: 'Failed to revoke API token', message: error.message });
+    }
+});
+
+module.exports = router;
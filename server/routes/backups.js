@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const stateManager = require('../state');
+const { collectUnifiedBackups } = require('../unifiedBackups');
+const backupPolicies = require('../backupPolicies');
 
 // Get PVE backups
 router.get('/backups/pve', (req, res) => {
@@ -172,163 +174,12 @@ router.get('/backups/pbs-storage', (req, res) => {
 router.get('/backups/unified', (req, res) => {
     try {
         const currentState = stateManager.getState();
-        const allBackups = [];
-        const vmidCollisions = new Map();
         
         // Get source filter from query params
         const sourceFilter = req.query.source;
-        
-        // Get all guests (VMs and containers) for coverage calculation
-        let allGuests = [...(currentState.vms || []), ...(currentState.containers || [])];
-        
-        // Filter guests by source if specified
-        if (sourceFilter && sourceFilter !== 'all') {
-            if (sourceFilter.startsWith('pve_')) {
-                const endpointId = sourceFilter.substring(4); // Remove 'pve_' prefix
-                allGuests = allGuests.filter(guest => guest.endpointId === endpointId);
-            }
-            // For PBS sources, we'll filter the backups but guests remain for coverage calculation
-        }
-        
-        const guestMap = new Map(); // Map of vmid -> guest info
-        
-        
-        // Build guest map for quick lookup
-        allGuests.forEach(guest => {
-            // Store by VMID, tracking all nodes where this VMID exists
-            if (!guestMap.has(guest.vmid)) {
-                guestMap.set(guest.vmid, []);
-            }
-            guestMap.get(guest.vmid).push({
-                vmid: guest.vmid,
-                name: guest.name,
-                type: guest.type === 'qemu' ? 'VM' : 'CT',
-                node: guest.node,
-                status: guest.status,
-                endpointId: guest.endpointId
-            });
-        });
-        
-        // Get PVE backups
-        if (currentState.pveBackups && currentState.pveBackups.storageBackups) {
-            // storageBackups is an array
-            if (Array.isArray(currentState.pveBackups.storageBackups)) {
-                currentState.pveBackups.storageBackups.forEach(backup => {
-                    // Filter by source if specified
-                    if (sourceFilter && sourceFilter !== 'all') {
-                        if (sourceFilter === 'pbs' || sourceFilter.startsWith('pbs_')) {
-                            // Skip PVE backups when PBS source is selected
-                            return;
-                        }
-                        if (sourceFilter.startsWith('pve_')) {
-                            const endpointId = sourceFilter.substring(4);
-                            // Skip if backup doesn't match the selected endpoint
-                            // Note: We need to match backup.node to endpoint somehow
-                            // For now, we'll need to enhance backup data with endpointId
-                            if (backup.endpointId && backup.endpointId !== endpointId) {
-                                return;
-                            }
-                        }
-                        // If sourceFilter is just 'pve', include all PVE backups
-                    }
-                    
-                    const backupData = {
-                        node: backup.node || 'unknown',
-                        storage: backup.storage || 'unknown',
-                        volid: backup.volid,
-                        vmid: backup.vmid,
-                        ctime: backup.ctime,
-                        format: backup.format,
-                        size: backup.size || 0,
-                        content: backup.content,
-                        notes: backup.notes || '',
-                        type: 'pve',
-                        source: 'pve',
-                        endpointId: backup.endpointId
-                    };
-                    
-                    allBackups.push(backupData);
-                    
-                    // Track VMIDs for collision detection
-                    if (!vmidCollisions.has(backup.vmid)) {
-                        vmidCollisions.set(backup.vmid, new Set());
-                    }
-                    vmidCollisions.get(backup.vmid).add(backup.node || 'unknown');
-                });
-            }
-        }
-
-        // Get PBS backups if configured
+        const { guestMap, backups: allBackups, collisions } = collectUnifiedBackups(currentState, sourceFilter);
         const pbsDataArray = currentState.pbs || [];
         const pbsEnabled = pbsDataArray.length > 0;
-        
-        // Only process PBS backups if not filtering for PVE only
-        if (pbsEnabled && sourceFilter !== 'pve' && !(sourceFilter && sourceFilter.startsWith('pve_'))) {
-            pbsDataArray.forEach(pbsInstance => {
-                // Filter by source if specified
-                if (sourceFilter && sourceFilter !== 'all') {
-                    if (sourceFilter === 'pve' || sourceFilter.startsWith('pve_')) {
-                        // Skip PBS backups when PVE source is selected
-                        return;
-                    }
-                    if (sourceFilter.startsWith('pbs_')) {
-                        const pbsId = sourceFilter.substring(4);
-                        // Skip if this PBS instance doesn't match the selected one
-                        // Check both pbsId and pbsEndpointId for compatibility
-                        const instanceId = pbsInstance.pbsId || pbsInstance.pbsEndpointId;
-                        if (!instanceId || instanceId !== pbsId) {
-                            return;
-                        }
-                    }
-                    // If sourceFilter is just 'pbs', include all PBS backups
-                }
-                
-                if (pbsInstance.datastores && Array.isArray(pbsInstance.datastores)) {
-                    pbsInstance.datastores.forEach(datastore => {
-                        if (datastore.snapshots && Array.isArray(datastore.snapshots)) {
-                            datastore.snapshots.forEach(backup => {
-                                let totalSize = 0;
-                                if (backup.files && Array.isArray(backup.files)) {
-                                    totalSize = backup.files.reduce((sum, file) => sum + (file.size || 0), 0);
-                                }
-                                
-                                const backupData = {
-                                    server: pbsInstance.nodeName || pbsInstance.pbsInstanceName || 'PBS',
-                                    datastore: datastore.name,
-                                    namespace: backup.namespace || 'root',
-                                    vmid: backup['backup-id'],
-                                    ctime: backup['backup-time'],
-                                    size: totalSize,
-                                    type: backup['backup-type'],
-                                    verified: backup.verification && backup.verification.state === 'ok',
-                                    protected: backup.protected || false,
-                                    notes: backup.comment || '',
-                                    source: 'pbs',
-                                    deduplicationFactor: datastore.deduplicationFactor || null,
-                                    pbsId: pbsInstance.pbsId || pbsInstance.pbsEndpointId
-                                };
-                                
-                                allBackups.push(backupData);
-                            });
-                        }
-                    });
-                }
-            });
-        }
-
-        // Sort all backups by timestamp (newest first)
-        allBackups.sort((a, b) => (b.ctime || 0) - (a.ctime || 0));
-
-        // Identify VMIDs with collisions
-        const collisions = [];
-        vmidCollisions.forEach((nodes, vmid) => {
-            if (nodes.size > 1) {
-                collisions.push({
-                    vmid: vmid,
-                    nodes: Array.from(nodes)
-                });
-            }
-        });
 
         // Get PBS deduplication info if PBS is enabled
         let pbsStorageInfo = null;
@@ -490,6 +341,91 @@ router.get('/backups/unified', (req, res) => {
     }
 });
 
+// Get backup compliance report for all configured policies
+router.get('/backups/compliance', async (req, res) => {
+    try {
+        const report = await backupPolicies.evaluateCompliance(stateManager.getState());
+        res.json(report);
+    } catch (error) {
+        console.error('Error evaluating backup compliance:', error);
+        res.status(500).json({
+            error: 'Failed to evaluate backup compliance',
+            message: error.message
+        });
+    }
+});
+
+// List backup policies
+router.get('/backups/policies', async (req, res) => {
+    try {
+        if (!backupPolicies.initialized) {
+            await backupPolicies.init();
+        }
+        res.json({ policies: backupPolicies.getAllPolicies() });
+    } catch (error) {
+        console.error('Error fetching backup policies:', error);
+        res.status(500).json({ error: 'Failed to fetch backup policies', message: error.message });
+    }
+});
+
+// Create a backup policy
+router.post('/backups/policies', async (req, res) => {
+    try {
+        if (!backupPolicies.initialized) {
+            await backupPolicies.init();
+        }
+        let policy;
+        try {
+            policy = await backupPolicies.createPolicy(req.body);
+        } catch (validationError) {
+            return res.status(400).json({ error: 'Invalid backup policy', message: validationError.message });
+        }
+        res.status(201).json({ policy });
+    } catch (error) {
+        console.error('Error creating backup policy:', error);
+        res.status(500).json({ error: 'Failed to create backup policy', message: error.message });
+    }
+});
+
+// Update a backup policy
+router.put('/backups/policies/:id', async (req, res) => {
+    try {
+        if (!backupPolicies.initialized) {
+            await backupPolicies.init();
+        }
+        if (!backupPolicies.getPolicy(req.params.id)) {
+            return res.status(404).json({ error: 'Backup policy not found' });
+        }
+        let policy;
+        try {
+            policy = await backupPolicies.updatePolicy(req.params.id, req.body);
+        } catch (validationError) {
+            return res.status(400).json({ error: 'Invalid backup policy', message: validationError.message });
+        }
+        res.json({ policy });
+    } catch (error) {
+        console.error('Error updating backup policy:', error);
+        res.status(500).json({ error: 'Failed to update backup policy', message: error.message });
+    }
+});
+
+// Delete a backup policy
+router.delete('/backups/policies/:id', async (req, res) => {
+    try {
+        if (!backupPolicies.initialized) {
+            await backupPolicies.init();
+        }
+        const deleted = await backupPolicies.deletePolicy(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Backup policy not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting backup policy:', error);
+        res.status(500).json({ error: 'Failed to delete backup policy', message: error.message });
+    }
+});
+
 function extractNamespaces(pbsDataArray) {
     const namespaces = new Set();
     pbsDataArray.forEach(pbsInstance => {
@@ -0,0 +1,68 @@
+const express = require('express');
+const { resolveGuest, getTaskUpid, taskTracker } = require('../pveTasks');
+const { audit } = require('../security');
+
+const router = express.Router();
+
+// Supported power actions and the guest status each one requires
+const POWER_ACTIONS = {
+    start: { requiresRunning: false },
+    shutdown: { requiresRunning: true },
+    reboot: { requiresRunning: true },
+    stop: { requiresRunning: true }
+};
+
+// Issue a power action (start/shutdown/reboot/stop) for a VM or container
+router.post('/:node/:vmid/:action', async (req, res) => {
+    const { node, vmid, action } = req.params;
+
+    if (!POWER_ACTIONS[action]) {
+        return res.status(400).json({
+            error: 'Invalid power action',
+            message: `Action must be one of: ${Object.keys(POWER_ACTIONS).join(', ')}`
+        });
+    }
+
+    try {
+        const { guest, client, endpointId } = resolveGuest(node, vmid, req.body?.endpointId);
+
+        const isRunning = guest.status === 'running';
+        if (POWER_ACTIONS[action].requiresRunning !== isRunning) {
+            return res.status(409).json({
+                error: `Cannot ${action} guest`,
+                message: `Guest ${guest.vmid} is ${guest.status}`
+            });
+        }
+
+        const type = guest.type === 'qemu' ? 'qemu' : 'lxc';
+        const response = await client.post(`/nodes/${encodeURIComponent(guest.node)}/${type}/${guest.vmid}/status/${action}`);
+        const upid = getTaskUpid(response);
+
+        audit.guestPowerAction(guest, action, req.auth?.user, req);
+
+        const task = taskTracker.track({
+            client,
+            endpointId,
+            node: guest.node,
+            upid,
+            action,
+            guest,
+            user: req.auth?.user?.username || null
+        });
+
+        res.status(202).json({
+            success: true,
+            upid,
+            task
+        });
+    } catch (error) {
+        console.error(`[Guests] Failed to ${action} guest ${vmid} on ${node}:`, error.message);
+        const statusCode = error.statusCode || error.response?.status || 500;
+        res.status(statusCode).json({
+            error: `Failed to ${action} guest`,
+            message: error.response?.data?.errors ? JSON.stringify(error.response.data.errors) : error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const stateManager = require('../state');
+const { buildPrometheusMetrics } = require('../prometheusExporter');
+
+const router = express.Router();
+
+// Prometheus scrape endpoint
+router.get('/', (req, res) => {
+    try {
+        const currentState = stateManager.getState();
+        const activeAlerts = stateManager.alertManager.getActiveAlerts();
+
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.send(buildPrometheusMetrics(currentState, activeAlerts));
+    } catch (error) {
+        console.error('[Metrics] Failed to build Prometheus metrics:', error);
+        res.status(500).set('Content-Type', 'text/plain').send(`# Failed to build metrics: ${error.message}\n`);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,104 @@
+const express = require('express');
+const { audit } = require('../security');
+const { startSession } = require('../security/auth');
+const { getOidcConfig } = require('../security/config');
+const oidc = require('../security/oidc');
+
+const router = express.Router();
+
+const STATE_COOKIE = 'pulse_oidc_state';
+const STATE_COOKIE_OPTIONS = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax', // Has to be sent on the redirect back from the provider
+    path: '/api/auth/oidc',
+    maxAge: 10 * 60 * 1000
+};
+
+// Only local paths are allowed as return targets. Browsers drop tabs and newlines from URLs, so
+// '/\t/evil.com' would become '//evil.com'; such values are refused before the origin check.
+function getSafeReturnTo(value) {
+    if (typeof value !== 'string' || !value.startsWith('/') || /[\s\x00-\x1f\x7f\\]/.test(value)) {
+        return '/';
+    }
+    try {
+        const base = 'http://pulse.invalid';
+        const url = new URL(value, base);
+        return url.origin === base ? `${url.pathname}${url.search}${url.hash}` : '/';
+    } catch (error) {
+        return '/';
+    }
+}
+
+function redirectToLoginWithError(res, message) {
+    res.redirect(`/login.html?error=${encodeURIComponent(message)}`);
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Tells the login page whether to offer single sign-on
+router.get('/config', (req, res) => {
+    const config = getOidcConfig();
+    res.json({
+        enabled: oidc.isOidcConfigured(config),
+        providerName: config.providerName
+    });
+});
+
+// Send the browser to the identity provider
+router.get('/login', async (req, res) => {
+    const config = getOidcConfig();
+    if (!oidc.isOidcConfigured(config)) {
+        if (config.enabled) {
+            console.error(`[OIDC] Single sign-on is enabled but ${oidc.getMissingOidcSettings(config).join(', ')} not set`);
+        }
+        return res.status(404).json({ error: 'Single sign-on is not configured' });
+    }
+
+    try {
+        const { url, state } = await oidc.createAuthorizationRequest(config.redirectUri, getSafeReturnTo(req.query.returnTo));
+        res.cookie(STATE_COOKIE, state, STATE_COOKIE_OPTIONS);
+        res.redirect(url);
+    } catch (error) {
+        console.error('[OIDC] Failed to start login:', error.message);
+        redirectToLoginWithError(res, 'Single sign-on is unavailable. Check the OIDC settings and the identity provider.');
+    }
+});
+
+// Provider redirects back here with the authorization code
+router.get('/callback', async (req, res) => {
+    const { path: cookiePath } = STATE_COOKIE_OPTIONS;
+    const browserState = req.cookies?.[STATE_COOKIE];
+    res.clearCookie(STATE_COOKIE, { path: cookiePath });
+
+    try {
+        // The state has to belong to a login started in this browser
+        if (!browserState || browserState !== req.query.state) {
+            throw new oidc.OidcError('Login was started in another browser or has expired, please try again');
+        }
+
+        const { user, returnTo } = await oidc.handleAuthorizationResponse(req.query);
+        startSession(req, res, user);
+        audit.loginSuccess(user.username, req);
+        console.log(`[OIDC] ${user.username} logged in with role ${user.role}`);
+
+        // The session cookie is SameSite=strict, so it is not sent on a redirect chain that started
+        // at the provider; a page on our own origin continues the navigation instead
+        const target = escapeHtml(getSafeReturnTo(returnTo));
+        res.send(`<!DOCTYPE html><html><head><meta http-equiv="refresh" content="0; url=${target}"><title>Pulse</title></head>` +
+            `<body><a href="${target}">Continue to Pulse</a></body></html>`);
+    } catch (error) {
+        const message = error instanceof oidc.OidcError ? error.message : 'Single sign-on failed';
+        console.error('[OIDC] Login failed:', error.message);
+        audit.loginFailed(null, message, req);
+        redirectToLoginWithError(res, message);
+    }
+});
+
+module.exports = router;
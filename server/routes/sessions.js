@@ -0,0 +1,32 @@
+const express = require('express');
+const { audit } = require('../security');
+const { listSessions, revokeSession } = require('../security/auth');
+const sessionStore = require('../security/sessionStore');
+
+const router = express.Router();
+
+// List active sessions; the session making the request is marked as current
+router.get('/', (req, res) => {
+    const cookie = req.cookies?.pulse_session;
+    const currentId = cookie ? sessionStore.getSessionKey(cookie) : null;
+    const sessions = listSessions().map(session => ({ ...session, current: session.id === currentId }));
+    res.json({ sessions });
+});
+
+// Revoke a session; its user has to log in again
+router.delete('/:id', (req, res) => {
+    try {
+        const session = revokeSession(req.params.id);
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        audit.sessionRevoked(session, req.auth?.user, req);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('[Sessions] Error revoking session:', error);
+        res.status(500).json({ error: 'Failed to revoke session', message: error.message });
+    }
+});
+
+module.exports = router;
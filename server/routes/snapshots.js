@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const stateManager = require('../state');
+const ValidationMiddleware = require('../middleware/validation');
+const { resolveGuest, getTaskUpid, taskTracker } = require('../pveTasks');
+const { audit } = require('../security');
 
 router.get('/snapshots', (req, res) => {
     try {
@@ -57,29 +60,107 @@ router.get('/snapshots', (req, res) => {
     }
 });
 
+// PVE snapshot names must start with a letter, 2-40 characters
+const SNAPNAME_PATTERN = '^[a-zA-Z][a-zA-Z0-9_-]{1,39}$';
+
+const snapshotBodySchema = {
+    fields: {
+        snapname: { type: 'string', pattern: SNAPNAME_PATTERN },
+        description: { type: 'string', maxLength: 1024, default: '' },
+        vmstate: { type: 'boolean', default: false },
+        endpointId: { type: 'string', maxLength: 255 }
+    },
+    required: ['snapname']
+};
+
+function guestPath(guest) {
+    const type = guest.type === 'qemu' ? 'qemu' : 'lxc';
+    return `/nodes/${encodeURIComponent(guest.node)}/${type}/${guest.vmid}/snapshot`;
+}
+
+function sendSnapshotError(res, error, action) {
+    console.error(`[Snapshots] Failed to ${action} snapshot:`, error.message);
+    const statusCode = error.statusCode || error.response?.status || 500;
+    res.status(statusCode).json({
+        error: `Failed to ${action} snapshot`,
+        message: error.response?.data?.errors ? JSON.stringify(error.response.data.errors) : error.message
+    });
+}
+
+function trackSnapshotTask(res, { client, endpointId, guest, upid, action, req }) {
+    const task = taskTracker.track({
+        client,
+        endpointId,
+        node: guest.node,
+        upid,
+        action,
+        guest,
+        user: req.auth?.user?.username || null
+    });
+
+    res.status(202).json({
+        success: true,
+        upid,
+        task
+    });
+}
+
 // Take a new snapshot
-router.post('/snapshots/:node/:vmid', (req, res) => {
+router.post('/snapshots/:node/:vmid', ValidationMiddleware.validateBody(snapshotBodySchema), async (req, res) => {
     const { node, vmid } = req.params;
-    const { snapname, description } = req.body;
-    
-    // This is a placeholder - in a real implementation, this would
-    // trigger a PVE API call to create a snapshot
-    res.status(501).json({
-        error: 'Not implemented',
-        message: 'Snapshot creation requires direct PVE API integration'
-    });
+    const { snapname, description, vmstate, endpointId: requestedEndpoint } = req.body;
+
+    try {
+        const { guest, client, endpointId } = resolveGuest(node, vmid, requestedEndpoint);
+
+        const params = { snapname, description };
+        // Saving RAM state is only supported for VMs
+        if (guest.type === 'qemu' && vmstate) {
+            params.vmstate = 1;
+        }
+
+        const response = await client.post(guestPath(guest), params);
+        const upid = getTaskUpid(response);
+
+        audit.snapshotCreated(guest, snapname, req.auth?.user, req);
+        trackSnapshotTask(res, { client, endpointId, guest, upid, action: 'snapshot-create', req });
+    } catch (error) {
+        sendSnapshotError(res, error, 'create');
+    }
 });
 
 // Delete a snapshot
-router.delete('/snapshots/:node/:vmid/:snapname', (req, res) => {
+router.delete('/snapshots/:node/:vmid/:snapname', async (req, res) => {
     const { node, vmid, snapname } = req.params;
-    
-    // This is a placeholder - in a real implementation, this would
-    // trigger a PVE API call to delete a snapshot
-    res.status(501).json({
-        error: 'Not implemented',
-        message: 'Snapshot deletion requires direct PVE API integration'
-    });
+
+    try {
+        const { guest, client, endpointId } = resolveGuest(node, vmid, req.query.endpointId);
+
+        const response = await client.delete(`${guestPath(guest)}/${encodeURIComponent(snapname)}`);
+        const upid = getTaskUpid(response);
+
+        audit.snapshotDeleted(guest, snapname, req.auth?.user, req);
+        trackSnapshotTask(res, { client, endpointId, guest, upid, action: 'snapshot-delete', req });
+    } catch (error) {
+        sendSnapshotError(res, error, 'delete');
+    }
+});
+
+// Roll a guest back to a snapshot
+router.post('/snapshots/:node/:vmid/:snapname/rollback', async (req, res) => {
+    const { node, vmid, snapname } = req.params;
+
+    try {
+        const { guest, client, endpointId } = resolveGuest(node, vmid, req.body?.endpointId);
+
+        const response = await client.post(`${guestPath(guest)}/${encodeURIComponent(snapname)}/rollback`);
+        const upid = getTaskUpid(response);
+
+        audit.snapshotRolledBack(guest, snapname, req.auth?.user, req);
+        trackSnapshotTask(res, { client, endpointId, guest, upid, action: 'snapshot-rollback', req });
+    } catch (error) {
+        sendSnapshotError(res, error, 'roll back');
+    }
 });
 
 module.exports = router;
\ No newline at end of file
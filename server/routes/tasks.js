@@ -0,0 +1,25 @@
+const express = require('express');
+const { taskTracker } = require('../pveTasks');
+
+const router = express.Router();
+
+// List PVE tasks started through Pulse (snapshots, power actions)
+router.get('/', (req, res) => {
+    res.json({
+        tasks: taskTracker.getTasks(),
+        timestamp: Date.now()
+    });
+});
+
+// Get the status of a single tracked task
+router.get('/:upid', (req, res) => {
+    const task = taskTracker.getTask(req.params.upid);
+
+    if (!task) {
+        return res.status(404).json({ error: 'Task not found' });
+    }
+
+    res.json(task);
+});
+
+module.exports = router;
@@ -0,0 +1,289 @@
+const express = require('express');
+const QRCode = require('qrcode');
+const { audit } = require('../security');
+const { destroyUserSessions } = require('../security/auth');
+const userStore = require('../security/userStore');
+const apiTokens = require('../security/apiTokens');
+const twoFactor = require('../security/twoFactor');
+
+const router = express.Router();
+
+async function ensureUserStore() {
+    if (!userStore.initialized) {
+        await userStore.init();
+    }
+}
+
+async function ensureTwoFactorStore() {
+    if (!twoFactor.initialized) {
+        await twoFactor.init();
+    }
+}
+
+// Two-factor settings belong to password logins in the browser; single sign-on users
+// get their second factor from the identity provider
+function getTwoFactorUser(req, res) {
+    const currentUser = req.auth?.user;
+    if (!currentUser) {
+        res.status(401).json({ error: 'Not logged in' });
+        return null;
+    }
+    if (req.auth.type !== 'session') {
+        res.status(403).json({ error: 'Two-factor authentication can only be managed from a browser session' });
+        return null;
+    }
+    if (currentUser.source === 'oidc') {
+        res.status(400).json({
+            error: 'Two-factor authentication is not available here',
+            message: 'Single sign-on users set up two-factor authentication at the identity provider'
+        });
+        return null;
+    }
+    return currentUser;
+}
+
+// Change the password of the logged-in user
+router.post('/me/password', async (req, res) => {
+    const currentUser = req.auth?.user;
+    if (!currentUser) {
+        return res.status(401).json({ error: 'Not logged in' });
+    }
+    if (currentUser.source !== 'local') {
+        return res.status(400).json({
+            error: 'Password cannot be changed here',
+            message: currentUser.source === 'oidc'
+                ? 'Single sign-on users change their password at the identity provider'
+                : 'The built-in admin password is set with ADMIN_PASSWORD in Settings → System → Security'
+        });
+    }
+
+    const { currentPassword, newPassword } = req.body || {};
+    try {
+        await ensureUserStore();
+        try {
+            await userStore.changePassword(currentUser.username, currentPassword, newPassword);
+        } catch (validationError) {
+            return res.status(400).json({ error: 'Failed to change password', message: validationError.message });
+        }
+
+        // Other sessions of this user have to log in again with the new password
+        destroyUserSessions(currentUser.username, req.cookies?.pulse_session);
+        audit.passwordChanged(currentUser.username, currentUser, req);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('[Users] Error changing password:', error);
+        res.status(500).json({ error: 'Failed to change password', message: error.message });
+    }
+});
+
+// Two-factor status of the logged-in user
+router.get('/me/2fa', async (req, res) => {
+    const currentUser = getTwoFactorUser(req, res);
+    if (!currentUser) return;
+
+    try {
+        await ensureTwoFactorStore();
+        res.json(twoFactor.getStatus(currentUser.username));
+    } catch (error) {
+        console.error('[Users] Error fetching two-factor status:', error);
+        res.status(500).json({ error: 'Failed to fetch two-factor status', message: error.message });
+    }
+});
+
+// Start two-factor enrollment: returns the secret as otpauth URI and QR code
+router.post('/me/2fa/setup', async (req, res) => {
+    const currentUser = getTwoFactorUser(req, res);
+    if (!currentUser) return;
+
+    try {
+        await ensureTwoFactorStore();
+        let enrollment;
+        try {
+            enrollment = await twoFactor.beginEnrollment(currentUser.username);
+        } catch (validationError) {
+            return res.status(400).json({ error: 'Failed to set up two-factor authentication', message: validationError.message });
+        }
+
+        const qrCode = await QRCode.toDataURL(enrollment.otpauthUri);
+        res.json({ success: true, secret: enrollment.secret, otpauthUri: enrollment.otpauthUri, qrCode });
+    } catch (error) {
+        console.error('[Users] Error setting up two-factor authentication:', error);
+        res.status(500).json({ error: 'Failed to set up two-factor authentication', message: error.message });
+    }
+});
+
+// Finish enrollment with a code from the authenticator app
+router.post('/me/2fa/enable', async (req, res) => {
+    const currentUser = getTwoFactorUser(req, res);
+    if (!currentUser) return;
+
+    try {
+        await ensureTwoFactorStore();
+        let recoveryCodes;
+        try {
+            recoveryCodes = await twoFactor.confirmEnrollment(currentUser.username, req.body?.code);
+        } catch (validationError) {
+            return res.status(400).json({ error: 'Failed to enable two-factor authentication', message: validationError.message });
+        }
+
+        audit.twoFactorEnabled(currentUser.username, req);
+        res.json({ success: true, recoveryCodes });
+    } catch (error) {
+        console.error('[Users] Error enabling two-factor authentication:', error);
+        res.status(500).json({ error: 'Failed to enable two-factor authentication', message: error.message });
+    }
+});
+
+// Turn two-factor authentication off; needs a current code or a recovery code
+router.post('/me/2fa/disable', async (req, res) => {
+    const currentUser = getTwoFactorUser(req, res);
+    if (!currentUser) return;
+
+    try {
+        await ensureTwoFactorStore();
+        if (!twoFactor.isEnabled(currentUser.username)) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+        if (!await twoFactor.verify(currentUser.username, req.body?.code)) {
+            return res.status(400).json({ error: 'Invalid two-factor code' });
+        }
+
+        await twoFactor.disable(currentUser.username);
+        audit.twoFactorDisabled(currentUser.username, currentUser, req);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('[Users] Error disabling two-factor authentication:', error);
+        res.status(500).json({ error: 'Failed to disable two-factor authentication', message: error.message });
+    }
+});
+
+// Replace the recovery codes; needs a current code
+router.post('/me/2fa/recovery-codes', async (req, res) => {
+    const currentUser = getTwoFactorUser(req, res);
+    if (!currentUser) return;
+
+    try {
+        await ensureTwoFactorStore();
+        if (!twoFactor.isEnabled(currentUser.username)) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+        if (await twoFactor.verify(currentUser.username, req.body?.code) !== 'totp') {
+            return res.status(400).json({ error: 'Invalid two-factor code', message: 'Enter a code from your authenticator app' });
+        }
+
+        const recoveryCodes = await twoFactor.regenerateRecoveryCodes(currentUser.username);
+        audit.twoFactorRecoveryCodesRegenerated(currentUser.username, req);
+        res.json({ success: true, recoveryCodes });
+    } catch (error) {
+        console.error('[Users] Error regenerating recovery codes:', error);
+        res.status(500).json({ error: 'Failed to regenerate recovery codes', message: error.message });
+    }
+});
+
+// List users
+router.get('/', async (req, res) => {
+    try {
+        await ensureUserStore();
+        await ensureTwoFactorStore();
+        const users = userStore.listUsers().map(user => ({ ...user, twoFactorEnabled: twoFactor.isEnabled(user.username) }));
+        res.json({ users });
+    } catch (error) {
+        console.error('[Users] Error fetching users:', error);
+        res.status(500).json({ error: 'Failed to fetch users', message: error.message });
+    }
+});
+
+// Create a user
+router.post('/', async (req, res) => {
+    try {
+        await ensureUserStore();
+        let user;
+        try {
+            user = await userStore.createUser(req.body || {});
+        } catch (validationError) {
+            return res.status(400).json({ error: 'Invalid user', message: validationError.message });
+        }
+
+        audit.userCreated(user.username, user.role, req.auth?.user, req);
+        res.status(201).json({ success: true, user });
+    } catch (error) {
+        console.error('[Users] Error creating user:', error);
+        res.status(500).json({ error: 'Failed to create user', message: error.message });
+    }
+});
+
+// Update a user's role, disabled flag or password
+router.put('/:username', async (req, res) => {
+    try {
+        await ensureUserStore();
+        if (!userStore.getUser(req.params.username)) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const input = {};
+        ['role', 'disabled', 'password'].forEach(field => {
+            if (req.body?.[field] !== undefined) input[field] = req.body[field];
+        });
+
+        let user;
+        try {
+            user = await userStore.updateUser(req.params.username, input);
+        } catch (validationError) {
+            return res.status(400).json({ error: 'Invalid user', message: validationError.message });
+        }
+
+        // A reset password or disabled account ends the user's sessions; role changes apply on the next request
+        if (input.password !== undefined || input.disabled === true) {
+            destroyUserSessions(user.username);
+        }
+        audit.userUpdated(user.username, Object.keys(input), req.auth?.user, req);
+        res.json({ success: true, user });
+    } catch (error) {
+        console.error('[Users] Error updating user:', error);
+        res.status(500).json({ error: 'Failed to update user', message: error.message });
+    }
+});
+
+// Delete a user
+router.delete('/:username', async (req, res) => {
+    try {
+        await ensureUserStore();
+        const user = userStore.getUser(req.params.username);
+        if (!user || !await userStore.deleteUser(user.username)) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        destroyUserSessions(user.username);
+        if (!apiTokens.initialized) {
+            await apiTokens.init();
+        }
+        await apiTokens.deleteTokensOfOwner(user.username);
+        await ensureTwoFactorStore();
+        await twoFactor.disable(user.username);
+        audit.userDeleted(user.username, req.auth?.user, req);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('[Users] Error deleting user:', error);
+        res.status(500).json({ error: 'Failed to delete user', message: error.message });
+    }
+});
+
+// Reset a user's two-factor authentication, e.g. after a lost device
+router.delete('/:username/2fa', async (req, res) => {
+    try {
+        await ensureUserStore();
+        await ensureTwoFactorStore();
+        const user = userStore.getUser(req.params.username);
+        if (!user || !await twoFactor.disable(user.username)) {
+            return res.status(404).json({ error: 'Two-factor authentication is not set up for this user' });
+        }
+
+        audit.twoFactorDisabled(user.username, req.auth?.user, req);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('[Users] Error resetting two-factor authentication:', error);
+        res.status(500).json({ error: 'Failed to reset two-factor authentication', message: error.message });
+    }
+});
+
+module.exports = router;
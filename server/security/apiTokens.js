@@ -0,0 +1,270 @@
+/**
+ * API tokens for scripts and automation
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { SECURITY_LEVELS } = require('./config');
+
+const TOKEN_PREFIX = 'pulse_';
+const TOKEN_SCOPES = [SECURITY_LEVELS.READ, SECURITY_LEVELS.WRITE, SECURITY_LEVELS.CRITICAL];
+const ENDPOINT_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE'];
+const DAY = 24 * 60 * 60 * 1000;
+const LAST_USED_SAVE_INTERVAL = 60 * 1000; // Persist last-used timestamps at most once a minute
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Parse an endpoint restriction like "GET /api/alerts", "/api/alerts" (any method) or
+ * "/api/alerts/*" (path prefix)
+ */
+function parseEndpoint(value) {
+    const parts = String(value || '').trim().split(/\s+/);
+    const [method, endpointPath] = parts.length === 2 ? [parts[0].toUpperCase(), parts[1]] : [null, parts[0]];
+    if (parts.length > 2 || !endpointPath || !endpointPath.startsWith('/') || (method && !ENDPOINT_METHODS.includes(method))) {
+        throw new Error(`Invalid endpoint "${value}", use e.g. "GET /api/alerts" or "/api/alerts/*"`);
+    }
+    return { method, path: endpointPath };
+}
+
+/**
+ * API Token Store
+ * Tokens are only shown once when created; the store keeps SHA-256 hashes of them.
+ */
+class ApiTokenStore {
+    constructor() {
+        this.configPath = path.join(__dirname, '../../data/api-tokens.json');
+        this.tokens = new Map(); // id -> token record
+        this.initialized = false;
+        this.lastUsedSaveTimer = null;
+    }
+
+    /**
+     * Initialize the token store
+     */
+    async init() {
+        try {
+            await this.loadTokens();
+            this.initialized = true;
+            console.log('[ApiTokens] Initialized successfully');
+        } catch (error) {
+            console.error('[ApiTokens] Initialization failed:', error);
+        }
+    }
+
+    /**
+     * Load tokens from storage
+     */
+    async loadTokens() {
+        try {
+            await fs.mkdir(path.dirname(this.configPath), { recursive: true });
+
+            const data = await fs.readFile(this.configPath, 'utf8');
+            const tokens = JSON.parse(data);
+
+            this.tokens.clear();
+            Object.entries(tokens).forEach(([id, token]) => {
+                this.tokens.set(id, token);
+            });
+
+            console.log(`[ApiTokens] Loaded ${this.tokens.size} API tokens`);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                await this.saveTokens();
+                console.log('[ApiTokens] Created new API token file');
+            } else {
+                console.error('[ApiTokens] Error loading tokens:', error);
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Save tokens to storage
+     */
+    async saveTokens() {
+        try {
+            const data = Object.fromEntries(this.tokens);
+            await fs.writeFile(this.configPath, JSON.stringify(data, null, 2), { encoding: 'utf8', mode: 0o600 });
+        } catch (error) {
+            console.error('[ApiTokens] Error saving tokens:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Token record without its hash, safe to return from the API
+     */
+    toPublicToken(record) {
+        const { tokenHash, ...publicToken } = record;
+        return publicToken;
+    }
+
+    /**
+     * Whether a token belongs to a user. A local and a single sign-on account may share a
+     * username, so the account source has to match too.
+     * @param {Object} record - Token record.
+     * @param {Object} user - { username, source }
+     */
+    isOwnedBy(record, user) {
+        return record.owner === user.username && (record.ownerSource || null) === (user.source || null);
+    }
+
+    /**
+     * All tokens, or only those of one user
+     * @param {Object} [owner] - { username, source }
+     */
+    listTokens(owner = null) {
+        return Array.from(this.tokens.values())
+            .filter(record => !owner || this.isOwnedBy(record, owner))
+            .map(record => this.toPublicToken(record))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    getToken(id) {
+        return this.tokens.get(id) || null;
+    }
+
+    /**
+     * Create a token. Throws on invalid input.
+     * @param {Object} input - { name, scope, endpoints, expiresAt or expiresInDays }
+     * @param {Object} owner - The user creating the token: { username, role, source }.
+     * @returns {Object} - { token, apiToken }; token is the only copy of the secret.
+     */
+    async createToken(input, owner) {
+        const validated = this.validateToken(input);
+
+        let id = `token-${Date.now()}`;
+        for (let suffix = 1; this.tokens.has(id); suffix++) {
+            id = `token-${Date.now()}-${suffix}`;
+        }
+
+        const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+        const record = {
+            id,
+            ...validated,
+            owner: owner.username,
+            ownerSource: owner.source || null,
+            ownerRole: owner.role,
+            prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+            tokenHash: hashToken(token),
+            createdAt: new Date().toISOString(),
+            lastUsedAt: null
+        };
+        this.tokens.set(id, record);
+        await this.saveTokens();
+        return { token, apiToken: this.toPublicToken(record) };
+    }
+
+    async deleteToken(id) {
+        if (!this.tokens.delete(id)) return false;
+        await this.saveTokens();
+        return true;
+    }
+
+    /**
+     * Remove all tokens of a user, e.g. when the user is deleted
+     */
+    async deleteTokensOfOwner(username) {
+        let deleted = 0;
+        for (const [id, record] of this.tokens.entries()) {
+            if (record.owner === username && record.ownerSource === 'local') {
+                this.tokens.delete(id);
+                deleted++;
+            }
+        }
+        if (deleted > 0) await this.saveTokens();
+        return deleted;
+    }
+
+    /**
+     * Look up a presented token and record its use
+     * @returns {Object|null} - The token record, or null when unknown or expired.
+     */
+    authenticate(token) {
+        if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) return null;
+
+        const tokenHash = hashToken(token);
+        const record = Array.from(this.tokens.values()).find(candidate => candidate.tokenHash === tokenHash);
+        if (!record) return null;
+        if (record.expiresAt && new Date(record.expiresAt).getTime() <= Date.now()) return null;
+
+        record.lastUsedAt = new Date().toISOString();
+        this.scheduleLastUsedSave();
+        return record;
+    }
+
+    scheduleLastUsedSave() {
+        if (this.lastUsedSaveTimer) return;
+        this.lastUsedSaveTimer = setTimeout(() => {
+            this.lastUsedSaveTimer = null;
+            this.saveTokens().catch(() => {});
+        }, LAST_USED_SAVE_INTERVAL);
+        this.lastUsedSaveTimer.unref?.();
+    }
+
+    /**
+     * Whether a token's endpoint restrictions allow a request; tokens without
+     * restrictions may call every endpoint their scope covers
+     */
+    allowsEndpoint(record, method, requestPath) {
+        if (!record.endpoints || record.endpoints.length === 0) return true;
+
+        return record.endpoints.some(endpoint => {
+            const { method: endpointMethod, path: endpointPath } = parseEndpoint(endpoint);
+            if (endpointMethod && endpointMethod !== method) return false;
+            if (endpointPath.endsWith('*')) return requestPath.startsWith(endpointPath.slice(0, -1));
+            return requestPath === endpointPath;
+        });
+    }
+
+    /**
+     * Validate token settings
+     */
+    validateToken(input) {
+        if (!input || typeof input !== 'object') {
+            throw new Error('Token settings are required');
+        }
+        if (!input.name || typeof input.name !== 'string' || !input.name.trim()) {
+            throw new Error('Token name is required');
+        }
+        if (!TOKEN_SCOPES.includes(input.scope)) {
+            throw new Error(`scope must be one of: ${TOKEN_SCOPES.join(', ')}`);
+        }
+
+        if (input.endpoints !== undefined && input.endpoints !== null && !Array.isArray(input.endpoints)) {
+            throw new Error('endpoints must be an array');
+        }
+        const endpoints = (input.endpoints || []).map(endpoint => String(endpoint).trim()).filter(Boolean);
+        endpoints.forEach(parseEndpoint);
+
+        let expiresAt = null;
+        if (input.expiresInDays !== undefined && input.expiresInDays !== null && input.expiresInDays !== '') {
+            if (typeof input.expiresInDays !== 'number' || !(input.expiresInDays > 0)) {
+                throw new Error('expiresInDays must be a positive number');
+            }
+            expiresAt = new Date(Date.now() + input.expiresInDays * DAY).toISOString();
+        } else if (input.expiresAt !== undefined && input.expiresAt !== null && input.expiresAt !== '') {
+            const timestamp = new Date(input.expiresAt).getTime();
+            if (!Number.isFinite(timestamp)) {
+                throw new Error('expiresAt must be a date');
+            }
+            if (timestamp <= Date.now()) {
+                throw new Error('expiresAt must be in the future');
+            }
+            expiresAt = new Date(timestamp).toISOString();
+        }
+
+        return {
+            name: input.name.trim(),
+            scope: input.scope,
+            endpoints,
+            expiresAt
+        };
+    }
+}
+
+module.exports = new ApiTokenStore();
@@ -24,10 +24,29 @@ const AUDIT_EVENTS = {
     CONFIG_READ: 'CONFIG_READ',
     CREDENTIALS_TESTED: 'CREDENTIALS_TESTED',
     
+    // User management events
+    USER_CREATED: 'USER_CREATED',
+    USER_UPDATED: 'USER_UPDATED',
+    USER_DELETED: 'USER_DELETED',
+    PASSWORD_CHANGED: 'PASSWORD_CHANGED',
+    API_TOKEN_CREATED: 'API_TOKEN_CREATED',
+    API_TOKEN_REVOKED: 'API_TOKEN_REVOKED',
+    SESSION_REVOKED: 'SESSION_REVOKED',
+    TWO_FACTOR_ENABLED: 'TWO_FACTOR_ENABLED',
+    TWO_FACTOR_DISABLED: 'TWO_FACTOR_DISABLED',
+    TWO_FACTOR_RECOVERY_CODE_USED: 'TWO_FACTOR_RECOVERY_CODE_USED',
+    TWO_FACTOR_RECOVERY_CODES_REGENERATED: 'TWO_FACTOR_RECOVERY_CODES_REGENERATED',
+    
     // Service events
     SERVICE_RESTARTED: 'SERVICE_RESTARTED',
     UPDATE_INITIATED: 'UPDATE_INITIATED',
     
+    // Guest operation events
+    SNAPSHOT_CREATED: 'SNAPSHOT_CREATED',
+    SNAPSHOT_DELETED: 'SNAPSHOT_DELETED',
+    SNAPSHOT_ROLLED_BACK: 'SNAPSHOT_ROLLED_BACK',
+    GUEST_POWER_ACTION: 'GUEST_POWER_ACTION',
+    
     // Security events
     RATE_LIMIT_EXCEEDED: 'RATE_LIMIT_EXCEEDED',
     SUSPICIOUS_ACTIVITY: 'SUSPICIOUS_ACTIVITY',
@@ -209,6 +228,100 @@ const audit = {
         });
     },
     
+    userCreated: (username, role, user, req) => {
+        logAuditEvent(AUDIT_EVENTS.USER_CREATED, {
+            username,
+            role,
+            user: user?.username || user?.name,
+            req
+        });
+    },
+    
+    userUpdated: (username, changes, user, req) => {
+        logAuditEvent(AUDIT_EVENTS.USER_UPDATED, {
+            username,
+            changes,
+            user: user?.username || user?.name,
+            req
+        });
+    },
+    
+    userDeleted: (username, user, req) => {
+        logAuditEvent(AUDIT_EVENTS.USER_DELETED, {
+            username,
+            user: user?.username || user?.name,
+            req
+        });
+    },
+    
+    passwordChanged: (username, user, req) => {
+        logAuditEvent(AUDIT_EVENTS.PASSWORD_CHANGED, {
+            username,
+            user: user?.username || user?.name,
+            req
+        });
+    },
+    
+    apiTokenCreated: (apiToken, user, req) => {
+        logAuditEvent(AUDIT_EVENTS.API_TOKEN_CREATED, {
+            tokenId: apiToken.id,
+            tokenName: apiToken.name,
+            scope: apiToken.scope,
+            owner: apiToken.owner,
+            user: user?.username || user?.name,
+            req
+        });
+    },
+    
+    apiTokenRevoked: (apiToken, user, req) => {
+        logAuditEvent(AUDIT_EVENTS.API_TOKEN_REVOKED, {
+            tokenId: apiToken.id,
+            tokenName: apiToken.name,
+            owner: apiToken.owner,
+            user: user?.username || user?.name,
+            req
+        });
+    },
+    
+    sessionRevoked: (session, user, req) => {
+        logAuditEvent(AUDIT_EVENTS.SESSION_REVOKED, {
+            sessionUser: session.user?.username,
+            sessionIp: session.ip,
+            user: user?.username || user?.name,
+            req
+        });
+    },
+    
+    twoFactorEnabled: (username, req) => {
+        logAuditEvent(AUDIT_EVENTS.TWO_FACTOR_ENABLED, {
+            username,
+            req
+        });
+    },
+    
+    twoFactorDisabled: (username, user, req) => {
+        logAuditEvent(AUDIT_EVENTS.TWO_FACTOR_DISABLED, {
+            username,
+            user: user?.username || user?.name,
+            req
+        });
+    },
+    
+    twoFactorRecoveryCodeUsed: (username, remaining, req) => {
+        logAuditEvent(AUDIT_EVENTS.TWO_FACTOR_RECOVERY_CODE_USED, {
+            username,
+            remaining,
+            req
+        });
+    },
+    
+    twoFactorRecoveryCodesRegenerated: (username, req) => {
+        logAuditEvent(AUDIT_EVENTS.TWO_FACTOR_RECOVERY_CODES_REGENERATED, {
+            username,
+            req
+        });
+    },
+    
     serviceRestarted: (reason, user, req) => {
         logAuditEvent(AUDIT_EVENTS.SERVICE_RESTARTED, {
             reason,
@@ -225,6 +338,42 @@ const audit = {
         });
     },
     
+    snapshotCreated: (guest, snapname, user, req) => {
+        logAuditEvent(AUDIT_EVENTS.SNAPSHOT_CREATED, {
+            guest: { vmid: guest.vmid, node: guest.node, endpointId: guest.endpointId },
+            snapname,
+            user: user?.username || user?.name,
+            req
+        });
+    },
+    
+    snapshotDeleted: (guest, snapname, user, req) => {
+        logAuditEvent(AUDIT_EVENTS.SNAPSHOT_DELETED, {
+            guest: { vmid: guest.vmid, node: guest.node, endpointId: guest.endpointId },
+            snapname,
+            user: user?.username || user?.name,
+            req
+        });
+    },
+    
+    snapshotRolledBack: (guest, snapname, user, req) => {
+        logAuditEvent(AUDIT_EVENTS.SNAPSHOT_ROLLED_BACK, {
+            guest: { vmid: guest.vmid, node: guest.node, endpointId: guest.endpointId },
+            snapname,
+            user: user?.username || user?.name,
+            req
+        });
+    },
+    
+    guestPowerAction: (guest, action, user, req) => {
+        logAuditEvent(AUDIT_EVENTS.GUEST_POWER_ACTION, {
+            guest: { vmid: guest.vmid, node: guest.node, endpointId: guest.endpointId },
+            action,
+            user: user?.username || user?.name,
+            req
+        });
+    },
+    
     suspiciousActivity: (description, req) => {
         logAuditEvent(AUDIT_EVENTS.SUSPICIOUS_ACTIVITY, {
             description,
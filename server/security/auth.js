@@ -8,25 +8,36 @@ const {
     getSecurityConfig, 
     requiresAuth, 
     hasPermission,
+    getEndpointSecurityLevel,
     USER_ROLES,
+    SECURITY_LEVELS,
     SESSION_CONFIG,
     SECURITY_MODES
 } = require('./config');
+const userStore = require('./userStore');
+const apiTokens = require('./apiTokens');
+const twoFactor = require('./twoFactor');
+const { audit } = require('./audit');
 
-// In-memory storage (will be replaced with proper storage later)
-const sessions = new Map();
-const loginAttempts = new Map();
+// Roles from least to most privileged
+const ROLE_ORDER = [USER_ROLES.VIEWER, USER_ROLES.OPERATOR, USER_ROLES.ADMIN];
+
+// Role with the permissions of an API token scope
+const TOKEN_SCOPE_ROLES = {
+    [SECURITY_LEVELS.READ]: USER_ROLES.VIEWER,
+    [SECURITY_LEVELS.WRITE]: USER_ROLES.OPERATOR,
+    [SECURITY_LEVELS.CRITICAL]: USER_ROLES.ADMIN
+};
+
+// Sessions, CSRF tokens and login attempts are kept in a file-backed store so they survive restarts
+const sessionStore = require('./sessionStore');
+const SESSION_CLEANUP_INTERVAL = 15 * 60 * 1000;
+let sessionCleanupTimer = null;
 
 // Initialize with default admin user if needed
 async function initializeAuth() {
     const config = getSecurityConfig();
     
-    // Generate session secret if not provided
-    if (!config.sessionSecret && config.mode !== SECURITY_MODES.OPEN) {
-        console.warn('[Security] No SESSION_SECRET provided, generating random secret. This will invalidate sessions on restart!');
-        process.env.SESSION_SECRET = crypto.randomBytes(32).toString('hex');
-    }
-    
     // Create default admin user if no password is set
     if (!config.adminPassword && config.mode !== SECURITY_MODES.OPEN) {
         const defaultPassword = crypto.randomBytes(16).toString('hex');
@@ -43,69 +54,170 @@ async function initializeAuth() {
         console.log('╚════════════════════════════════════════════════════════════════╝');
     }
     
+    // Load additional user accounts, API tokens and two-factor settings
+    await userStore.init();
+    await apiTokens.init();
+    await twoFactor.init();
+
+    // Restore sessions from the last run and sweep expired ones periodically
+    await sessionStore.init();
+    cleanupSessions();
+    if (!sessionCleanupTimer) {
+        sessionCleanupTimer = setInterval(cleanupSessions, SESSION_CLEANUP_INTERVAL);
+        sessionCleanupTimer.unref?.();
+    }
+}
+
+// Write pending session changes before the process exits
+async function shutdownAuth() {
+    clearInterval(sessionCleanupTimer);
+    sessionCleanupTimer = null;
+    await sessionStore.flush();
+}
+
+function getSessionTimeout() {
+    const sessionTimeoutHours = parseInt(process.env.SESSION_TIMEOUT_HOURS || '24', 10);
+    return sessionTimeoutHours * 60 * 60 * 1000;
 }
 
 // Session management
-function createSession(user) {
+// Sessions are stored under the hash of the session cookie; session.id is that hash and
+// identifies the session in the sessions API without revealing the cookie value.
+function createSession(user, req = null) {
     const sessionId = crypto.randomBytes(32).toString('hex');
+    const key = sessionStore.getSessionKey(sessionId);
     const session = {
-        id: sessionId,
+        id: key,
         user: user,
+        ip: req ? (req.ip || req.connection?.remoteAddress || null) : null,
+        userAgent: req?.headers?.['user-agent'] || null,
         createdAt: Date.now(),
         lastAccess: Date.now()
     };
     
-    sessions.set(sessionId, session);
+    sessionStore.sessions.set(key, session);
     
     // Clean up expired sessions
     cleanupSessions();
+    sessionStore.markDirty(true);
     
     return sessionId;
 }
 
 function getSession(sessionId) {
-    const session = sessions.get(sessionId);
+    if (!sessionId) return null;
+    const key = sessionStore.getSessionKey(sessionId);
+    const session = sessionStore.sessions.get(key);
     if (!session) return null;
     
-    const config = getSecurityConfig();
     const now = Date.now();
     
-    // Get dynamic session timeout
-    const sessionTimeoutHours = parseInt(process.env.SESSION_TIMEOUT_HOURS || '24', 10);
-    const sessionTimeout = sessionTimeoutHours * 60 * 60 * 1000;
-    
     // Check if session expired
-    if (now - session.lastAccess > sessionTimeout) {
-        sessions.delete(sessionId);
+    if (now - session.lastAccess > getSessionTimeout()) {
+        sessionStore.removeSession(key);
         return null;
     }
     
-    // Update last access
+    // Update last access; saved with the next batch
     session.lastAccess = now;
+    sessionStore.markDirty();
     return session;
 }
 
 function destroySession(sessionId) {
-    sessions.delete(sessionId);
+    if (!sessionId) return;
+    sessionStore.removeSession(sessionStore.getSessionKey(sessionId));
 }
 
-function cleanupSessions() {
+// Active sessions for the sessions admin view, most recently used first
+function listSessions() {
+    const sessionTimeout = getSessionTimeout();
     const now = Date.now();
+    return Array.from(sessionStore.sessions.values())
+        .filter(session => now - session.lastAccess <= sessionTimeout)
+        .map(session => ({
+            id: session.id,
+            username: session.user?.username || null,
+            role: session.user?.role || null,
+            source: session.user?.source || null,
+            ip: session.ip || null,
+            userAgent: session.userAgent || null,
+            createdAt: new Date(session.createdAt).toISOString(),
+            lastAccess: new Date(session.lastAccess).toISOString()
+        }))
+        .sort((a, b) => b.lastAccess.localeCompare(a.lastAccess));
+}
+
+// Revoke a session by the id listSessions returns
+function revokeSession(id) {
+    const session = sessionStore.sessions.get(id);
+    if (!session) return null;
+    sessionStore.removeSession(id);
+    return session;
+}
+
+// End all sessions of a user, e.g. after it was deleted or its password was reset
+function destroyUserSessions(username, exceptSessionId = null) {
+    const exceptKey = exceptSessionId ? sessionStore.getSessionKey(exceptSessionId) : null;
+    for (const [key, session] of Array.from(sessionStore.sessions.entries())) {
+        if (session.user?.source === 'local' && session.user.username === username && key !== exceptKey) {
+            sessionStore.removeSession(key);
+        }
+    }
+}
+
+// Refresh a stored user's role on every request so role changes apply to running sessions.
+// Returns null when the user was deleted or disabled in the meantime.
+function resolveSessionUser(session) {
+    if (session.user?.source !== 'local') {
+        return session.user;
+    }
     
-    // Get dynamic session timeout
-    const sessionTimeoutHours = parseInt(process.env.SESSION_TIMEOUT_HOURS || '24', 10);
-    const sessionTimeout = sessionTimeoutHours * 60 * 60 * 1000;
+    const user = userStore.getUser(session.user.username);
+    if (!user || user.disabled) {
+        sessionStore.removeSession(session.id);
+        return null;
+    }
     
-    for (const [id, session] of sessions.entries()) {
+    session.user.role = user.role;
+    return session.user;
+}
+
+function cleanupSessions() {
+    const now = Date.now();
+    const sessionTimeout = getSessionTimeout();
+    let changed = false;
+
+    for (const [key, session] of Array.from(sessionStore.sessions.entries())) {
         if (now - session.lastAccess > sessionTimeout) {
-            sessions.delete(id);
+            sessionStore.sessions.delete(key);
+            changed = true;
         }
     }
+
+    // CSRF tokens of ended sessions and expired lockouts
+    for (const key of Array.from(sessionStore.csrfTokens.keys())) {
+        if (!sessionStore.sessions.has(key)) {
+            sessionStore.csrfTokens.delete(key);
+            changed = true;
+        }
+    }
+    for (const [identifier, attempts] of Array.from(sessionStore.loginAttempts.entries())) {
+        if (attempts.lockedUntil ? attempts.lockedUntil <= now : now - attempts.lastAttempt > sessionTimeout) {
+            sessionStore.loginAttempts.delete(identifier);
+            changed = true;
+        }
+    }
+
+    if (changed) {
+        sessionStore.markDirty();
+    }
 }
 
 
 // Login attempt tracking
 function recordLoginAttempt(identifier, success) {
+    const loginAttempts = sessionStore.loginAttempts;
     const attempts = loginAttempts.get(identifier) || {
         count: 0,
         lastAttempt: 0,
@@ -127,9 +239,11 @@ function recordLoginAttempt(identifier, success) {
         
         loginAttempts.set(identifier, attempts);
     }
+    sessionStore.markDirty(true);
 }
 
 function isLockedOut(identifier) {
+    const loginAttempts = sessionStore.loginAttempts;
     const attempts = loginAttempts.get(identifier);
     if (!attempts) return false;
     
@@ -141,6 +255,7 @@ function isLockedOut(identifier) {
     // Clean up if lockout expired
     if (attempts.lockedUntil && attempts.lockedUntil <= now) {
         loginAttempts.delete(identifier);
+        sessionStore.markDirty();
     }
     
     return false;
@@ -150,34 +265,123 @@ function isLockedOut(identifier) {
 async function authenticateBasic(username, password) {
     const config = getSecurityConfig();
     
-    // Check lockout
-    if (isLockedOut(username)) {
+    // Lockouts are keyed like the user store, so case or whitespace variants share one counter
+    const lockoutKey = userStore.normalizeUsername(username);
+    if (isLockedOut(lockoutKey)) {
         return { success: false, error: 'Account locked due to too many failed attempts' };
     }
     
-    // For now, only support admin user
-    if (username !== 'admin') {
-        recordLoginAttempt(username, false);
-        return { success: false, error: 'Invalid credentials' };
-    }
+    let user = null;
     
-    const validPassword = await bcrypt.compare(password, config.adminPassword || '');
+    // The built-in admin account is backed by ADMIN_PASSWORD
+    if (username === 'admin') {
+        const validPassword = await bcrypt.compare(password || '', config.adminPassword || '');
+        if (validPassword) {
+            user = {
+                username: 'admin',
+                role: USER_ROLES.ADMIN
+            };
+        }
+    } else {
+        // Other accounts come from the user store
+        if (!userStore.initialized) {
+            await userStore.init();
+        }
+        const storedUser = await userStore.verifyPassword(username, password);
+        if (storedUser) {
+            user = {
+                username: storedUser.username,
+                role: storedUser.role,
+                source: 'local'
+            };
+        }
+    }
     
-    recordLoginAttempt(username, validPassword);
+    if (!user) {
+        recordLoginAttempt(lockoutKey, false);
+        return { success: false, error: 'Invalid credentials' };
+    }
     
-    if (validPassword) {
+    // A correct password alone is not enough with two-factor authentication; failed
+    // attempts are only reset once the second factor is verified as well
+    if (!twoFactor.initialized) {
+        await twoFactor.init();
+    }
+    if (twoFactor.isEnabled(user.username)) {
         return {
-            success: true,
-            user: {
-                username: 'admin',
-                role: USER_ROLES.ADMIN
-            }
+            success: false,
+            twoFactorRequired: true,
+            user,
+            error: 'Two-factor authentication required. Log in on the login page or use an API token.'
         };
     }
     
-    return { success: false, error: 'Invalid credentials' };
+    recordLoginAttempt(lockoutKey, true);
+    return { success: true, user };
 }
 
+/**
+ * Second login step for users with two-factor authentication. Wrong codes count as failed
+ * login attempts, so guessing codes leads to the usual lockout.
+ */
+async function verifySecondFactor(user, code, req) {
+    // user.username is already normalised, so both login steps share one lockout counter
+    if (isLockedOut(user.username)) {
+        return { success: false, error: 'Account locked due to too many failed attempts' };
+    }
+    
+    const method = await twoFactor.verify(user.username, code);
+    if (!method) {
+        recordLoginAttempt(user.username, false);
+        audit.loginFailed(user.username, 'Invalid two-factor code', req);
+        return { success: false, error: 'Invalid two-factor code' };
+    }
+    
+    recordLoginAttempt(user.username, true);
+    if (method === 'recovery') {
+        const remaining = twoFactor.getStatus(user.username).recoveryCodesRemaining;
+        audit.twoFactorRecoveryCodeUsed(user.username, remaining, req);
+        return { success: true, user, recoveryCodesRemaining: remaining };
+    }
+    return { success: true, user };
+}
+
+async function authenticateApiToken(token) {
+    if (!apiTokens.initialized) {
+        await apiTokens.init();
+    }
+    
+    const record = apiTokens.authenticate(token);
+    if (!record) {
+        return { success: false, error: 'Invalid or expired API token' };
+    }
+    
+    // A token never grants more than its owner currently has
+    let ownerRole = record.ownerRole;
+    if (record.ownerSource === 'local') {
+        const owner = userStore.getUser(record.owner);
+        if (!owner || owner.disabled) {
+            return { success: false, error: 'API token owner no longer has access' };
+        }
+        ownerRole = owner.role;
+    }
+    const scopeRole = TOKEN_SCOPE_ROLES[record.scope];
+    const role = ROLE_ORDER[Math.min(ROLE_ORDER.indexOf(scopeRole), ROLE_ORDER.indexOf(ownerRole))];
+    if (!role) {
+        return { success: false, error: 'API token owner no longer has access' };
+    }
+    
+    return {
+        success: true,
+        token: record,
+        user: {
+            username: record.owner,
+            role,
+            source: record.ownerSource,
+            tokenId: record.id
+        }
+    };
+}
 
 // Main authentication middleware
 function authMiddleware() {
@@ -205,23 +409,50 @@ function authMiddleware() {
         }
         
         
+        // Try API token authentication; a presented token is never combined with other methods
+        const bearerHeader = req.headers.authorization;
+        if (bearerHeader && bearerHeader.startsWith('Bearer ')) {
+            const result = await authenticateApiToken(bearerHeader.slice(7).trim());
+            if (!result.success) {
+                return res.status(401).json({ error: result.error });
+            }
+            
+            req.auth = {
+                type: 'apikey',
+                user: result.user,
+                token: { id: result.token.id, name: result.token.name }
+            };
+            
+            if (!apiTokens.allowsEndpoint(result.token, req.method, req.path)) {
+                return res.status(403).json({ error: 'API token is not allowed to access this endpoint' });
+            }
+            if (hasPermission(result.user.role, req.method, req.path)) {
+                return next();
+            }
+            return res.status(403).json({
+                error: 'Insufficient permissions',
+                required: getEndpointSecurityLevel(req.method, req.path) || 'WRITE'
+            });
+        }
+        
         // Try session authentication
         const sessionId = req.cookies?.pulse_session;
         if (sessionId) {
             const session = getSession(sessionId);
-            if (session) {
+            const sessionUser = session ? resolveSessionUser(session) : null;
+            if (sessionUser) {
                 req.auth = {
                     type: 'session',
-                    user: session.user
+                    user: sessionUser
                 };
                 
                 // Check permissions
-                if (hasPermission(session.user.role, req.method, req.path)) {
+                if (hasPermission(sessionUser.role, req.method, req.path)) {
                     return next();
                 } else {
                     return res.status(403).json({
                         error: 'Insufficient permissions',
-                        required: ENDPOINT_SECURITY[`${req.method} ${req.path}`] || 'WRITE'
+                        required: getEndpointSecurityLevel(req.method, req.path) || 'WRITE'
                     });
                 }
             }
@@ -246,7 +477,7 @@ function authMiddleware() {
                 } else {
                     return res.status(403).json({
                         error: 'Insufficient permissions',
-                        required: ENDPOINT_SECURITY[`${req.method} ${req.path}`] || 'WRITE'
+                        required: getEndpointSecurityLevel(req.method, req.path) || 'WRITE'
                     });
                 }
             }
@@ -275,70 +506,89 @@ function authMiddleware() {
                 message: 'Please provide valid credentials',
                 authMethods: {
                     session: true,
-                    basic: true
+                    basic: true,
+                    token: true
                 }
             });
         }
     };
 }
 
+// Create a session for an authenticated user and set the session cookie
+// Returns the CSRF token for the new session
+function startSession(req, res, user) {
+    const sessionId = createSession(user, req);
+    
+    // Get current configuration for dynamic cookie settings
+    const allowEmbedding = process.env.ALLOW_EMBEDDING === 'true';
+    const isProduction = process.env.NODE_ENV === 'production';
+    const sessionTimeoutHours = parseInt(process.env.SESSION_TIMEOUT_HOURS || '24', 10);
+    
+    // Calculate session timeout in milliseconds
+    const sessionTimeout = sessionTimeoutHours * 60 * 60 * 1000;
+    
+    const cookieOptions = {
+        httpOnly: true,
+        secure: isProduction,
+        maxAge: sessionTimeout
+    };
+    
+    // Set SameSite policy automatically based on embedding config
+    if (allowEmbedding) {
+        if (isProduction) {
+            cookieOptions.sameSite = 'none';
+            cookieOptions.secure = true;
+        } else {
+            cookieOptions.sameSite = 'lax';
+        }
+    } else {
+        cookieOptions.sameSite = 'strict';
+    }
+    
+    res.cookie('pulse_session', sessionId, cookieOptions);
+    
+    // Create CSRF token for this session
+    const csrf = require('./csrf');
+    return csrf.createCsrfToken(sessionId);
+}
+
 // Login endpoint handler
 async function handleLogin(req, res) {
     try {
-        const { username, password } = req.body;
+        const { username, password, code } = req.body;
         
         if (!username || !password) {
             return res.status(400).json({ error: 'Username and password required' });
         }
         
-        const result = await authenticateBasic(username, password);
-        
-        if (result.success) {
-        const sessionId = createSession(result.user);
-        
-        // Get current configuration for dynamic cookie settings
-        const allowEmbedding = process.env.ALLOW_EMBEDDING === 'true';
-        const isProduction = process.env.NODE_ENV === 'production';
-        const sessionTimeoutHours = parseInt(process.env.SESSION_TIMEOUT_HOURS || '24', 10);
+        let result = await authenticateBasic(username, password);
         
-        // Calculate session timeout in milliseconds
-        const sessionTimeout = sessionTimeoutHours * 60 * 60 * 1000;
-        
-        const cookieOptions = {
-            httpOnly: true,
-            secure: isProduction,
-            maxAge: sessionTimeout
-        };
-        
-        // Set SameSite policy automatically based on embedding config
-        if (allowEmbedding) {
-            if (isProduction) {
-                cookieOptions.sameSite = 'none';
-                cookieOptions.secure = true;
-            } else {
-                cookieOptions.sameSite = 'lax';
+        // Ask for the authenticator code, then check it together with the password again
+        if (result.twoFactorRequired) {
+            if (!code) {
+                return res.status(401).json({ error: 'Enter the code from your authenticator app', twoFactorRequired: true });
+            }
+            result = await verifySecondFactor(result.user, code, req);
+            if (!result.success) {
+                return res.status(401).json({ error: result.error, twoFactorRequired: true });
             }
-        } else {
-            cookieOptions.sameSite = 'strict';
         }
         
-        res.cookie('pulse_session', sessionId, cookieOptions);
-        
-        // Create CSRF token for this session
-        const csrf = require('./csrf');
-        const csrfToken = csrf.createCsrfToken(sessionId);
-        
-        res.json({
-            success: true,
-            user: {
-                username: result.user.username,
-                role: result.user.role
-            },
-            csrfToken: csrfToken
-        });
-    } else {
-        res.status(401).json({ error: result.error });
-    }
+        if (result.success) {
+            const csrfToken = startSession(req, res, result.user);
+            
+            res.json({
+                success: true,
+                user: {
+                    username: result.user.username,
+                    role: result.user.role
+                },
+                csrfToken: csrfToken,
+                ...(result.recoveryCodesRemaining !== undefined ? { recoveryCodesRemaining: result.recoveryCodesRemaining } : {})
+            });
+        } else {
+            res.status(401).json({ error: result.error });
+        }
     } catch (error) {
         console.error('[Auth] Login error:', error);
         res.status(500).json({ error: 'Internal server error during login' });
@@ -362,10 +612,16 @@ async function handleLogout(req, res) {
 
 module.exports = {
     initializeAuth,
+    shutdownAuth,
     authMiddleware,
     handleLogin,
     handleLogout,
+    authenticateBasic,
+    startSession,
     createSession,
     getSession,
-    destroySession
+    destroySession,
+    destroyUserSessions,
+    listSessions,
+    revokeSession
 };
\ No newline at end of file
@@ -37,17 +37,48 @@ const ENDPOINT_SECURITY = {
     'GET /api/health': SECURITY_LEVELS.PUBLIC,
     'HEAD /api/health': SECURITY_LEVELS.PUBLIC,
     'GET /diagnostics.html': SECURITY_LEVELS.PUBLIC,
+    'GET /api/auth/oidc/config': SECURITY_LEVELS.PUBLIC,
+    'GET /api/auth/oidc/login': SECURITY_LEVELS.PUBLIC,
+    'GET /api/auth/oidc/callback': SECURITY_LEVELS.PUBLIC,
     
     // Read-only endpoints
     'GET /api/status': SECURITY_LEVELS.READ,
+    'GET /api/state': SECURITY_LEVELS.READ,
+    'GET /api/version': SECURITY_LEVELS.READ,
+    'GET /api/storage': SECURITY_LEVELS.READ,
     'GET /api/charts': SECURITY_LEVELS.READ,
     'GET /api/storage-charts': SECURITY_LEVELS.READ,
+    'GET /api/storage/forecast': SECURITY_LEVELS.READ,
+    'GET /metrics': SECURITY_LEVELS.READ,
     'GET /api/snapshots': SECURITY_LEVELS.READ,
+    'GET /api/tasks': SECURITY_LEVELS.READ,
+    'GET /api/tasks/:upid': SECURITY_LEVELS.READ,
     'GET /api/updates/check': SECURITY_LEVELS.READ,
     'GET /api/updates/status': SECURITY_LEVELS.READ,
     'GET /api/alerts': SECURITY_LEVELS.READ,
+    'GET /api/alerts/active': SECURITY_LEVELS.READ,
     'GET /api/alerts/history': SECURITY_LEVELS.READ,
+    'GET /api/alerts/analytics': SECURITY_LEVELS.READ,
+    'GET /api/alerts/maintenance-windows': SECURITY_LEVELS.READ,
+    'GET /api/alerts/routes': SECURITY_LEVELS.READ,
+    'GET /api/alerts/escalation-policies': SECURITY_LEVELS.READ,
+    'GET /api/alerts/templates': SECURITY_LEVELS.READ,
+    'POST /api/alerts/templates/preview': SECURITY_LEVELS.READ, // Renders only, nothing is stored
     'GET /api/thresholds': SECURITY_LEVELS.READ,
+    'GET /api/backups/pve': SECURITY_LEVELS.READ,
+    'GET /api/backups/pbs': SECURITY_LEVELS.READ,
+    'GET /api/backups/unified': SECURITY_LEVELS.READ,
+    'GET /api/backups/policies': SECURITY_LEVELS.READ,
+    'GET /api/backups/compliance': SECURITY_LEVELS.READ,
+    'POST /api/users/me/password': SECURITY_LEVELS.READ, // Every user can change their own password
+    'GET /api/users/me/2fa': SECURITY_LEVELS.READ, // Every user manages their own two-factor authentication
+    'POST /api/users/me/2fa/setup': SECURITY_LEVELS.READ,
+    'POST /api/users/me/2fa/enable': SECURITY_LEVELS.READ,
+    'POST /api/users/me/2fa/disable': SECURITY_LEVELS.READ,
+    'POST /api/users/me/2fa/recovery-codes': SECURITY_LEVELS.READ,
+    'GET /api/tokens': SECURITY_LEVELS.READ, // Users manage their own API tokens, capped at their role
+    'POST /api/tokens': SECURITY_LEVELS.READ,
+    'DELETE /api/tokens/:id': SECURITY_LEVELS.READ,
     
     // Write endpoints
     'POST /api/config': SECURITY_LEVELS.WRITE,
@@ -56,16 +87,50 @@ const ENDPOINT_SECURITY = {
     'PUT /api/alerts': SECURITY_LEVELS.WRITE,
     'DELETE /api/alerts': SECURITY_LEVELS.WRITE,
     'POST /api/alerts/test': SECURITY_LEVELS.WRITE,
+    'POST /api/alerts/maintenance-windows': SECURITY_LEVELS.WRITE,
+    'PUT /api/alerts/maintenance-windows/:id': SECURITY_LEVELS.WRITE,
+    'DELETE /api/alerts/maintenance-windows/:id': SECURITY_LEVELS.WRITE,
+    'GET /api/alerts/channels': SECURITY_LEVELS.WRITE, // Webhook URLs often embed tokens
+    'POST /api/alerts/channels': SECURITY_LEVELS.WRITE,
+    'PUT /api/alerts/channels/:id': SECURITY_LEVELS.WRITE,
+    'DELETE /api/alerts/channels/:id': SECURITY_LEVELS.WRITE,
+    'POST /api/alerts/channels/:id/test': SECURITY_LEVELS.WRITE,
+    'POST /api/alerts/routes': SECURITY_LEVELS.WRITE,
+    'PUT /api/alerts/routes/order': SECURITY_LEVELS.WRITE,
+    'PUT /api/alerts/routes/:id': SECURITY_LEVELS.WRITE,
+    'DELETE /api/alerts/routes/:id': SECURITY_LEVELS.WRITE,
+    'POST /api/alerts/escalation-policies': SECURITY_LEVELS.WRITE,
+    'PUT /api/alerts/escalation-policies/:id': SECURITY_LEVELS.WRITE,
+    'DELETE /api/alerts/escalation-policies/:id': SECURITY_LEVELS.WRITE,
+    'PUT /api/alerts/templates/:key': SECURITY_LEVELS.WRITE,
+    'DELETE /api/alerts/templates/:key': SECURITY_LEVELS.WRITE,
     'POST /api/thresholds': SECURITY_LEVELS.WRITE,
     'PUT /api/thresholds': SECURITY_LEVELS.WRITE,
     'DELETE /api/thresholds': SECURITY_LEVELS.WRITE,
+    'POST /api/backups/policies': SECURITY_LEVELS.WRITE,
+    'PUT /api/backups/policies/:id': SECURITY_LEVELS.WRITE,
+    'DELETE /api/backups/policies/:id': SECURITY_LEVELS.WRITE,
+    'POST /api/snapshots/:node/:vmid': SECURITY_LEVELS.WRITE,
+    'DELETE /api/snapshots/:node/:vmid/:snapname': SECURITY_LEVELS.WRITE,
+    'POST /api/guests/:node/:vmid/start': SECURITY_LEVELS.WRITE,
+    'POST /api/guests/:node/:vmid/shutdown': SECURITY_LEVELS.WRITE,
+    'POST /api/guests/:node/:vmid/reboot': SECURITY_LEVELS.WRITE,
     
     // Critical endpoints
     'POST /api/service/restart': SECURITY_LEVELS.CRITICAL,
     'POST /api/updates/apply': SECURITY_LEVELS.CRITICAL,
+    'POST /api/snapshots/:node/:vmid/:snapname/rollback': SECURITY_LEVELS.CRITICAL,
+    'POST /api/guests/:node/:vmid/stop': SECURITY_LEVELS.CRITICAL, // Hard stop can lose data
     'POST /api/config/test': SECURITY_LEVELS.PUBLIC, // Allow during setup
     'GET /api/config': SECURITY_LEVELS.CRITICAL, // Contains sensitive data
-    'GET /api/config/debug': SECURITY_LEVELS.CRITICAL
+    'GET /api/config/debug': SECURITY_LEVELS.CRITICAL,
+    'GET /api/users': SECURITY_LEVELS.CRITICAL,
+    'POST /api/users': SECURITY_LEVELS.CRITICAL,
+    'PUT /api/users/:username': SECURITY_LEVELS.CRITICAL,
+    'DELETE /api/users/:username': SECURITY_LEVELS.CRITICAL,
+    'DELETE /api/users/:username/2fa': SECURITY_LEVELS.CRITICAL,
+    'GET /api/sessions': SECURITY_LEVELS.CRITICAL,
+    'DELETE /api/sessions/:id': SECURITY_LEVELS.CRITICAL
 };
 
 // Session configuration
@@ -100,10 +165,80 @@ function getSecurityConfig() {
     };
 }
 
+// Split a comma-separated environment variable into trimmed, non-empty values
+function parseList(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Get OpenID Connect single sign-on configuration from environment
+function getOidcConfig() {
+    return {
+        enabled: process.env.OIDC_ENABLED === 'true',
+        providerName: process.env.OIDC_PROVIDER_NAME || 'SSO',
+        issuerUrl: (process.env.OIDC_ISSUER_URL || '').replace(/\/+$/, ''),
+        clientId: process.env.OIDC_CLIENT_ID || '',
+        clientSecret: process.env.OIDC_CLIENT_SECRET || '',
+        redirectUri: process.env.OIDC_REDIRECT_URI || '',
+        scopes: process.env.OIDC_SCOPES || 'openid profile email groups',
+        usernameClaim: process.env.OIDC_USERNAME_CLAIM || 'preferred_username',
+        roleClaim: process.env.OIDC_ROLE_CLAIM || 'groups',
+        roleMapping: {
+            [USER_ROLES.ADMIN]: parseList(process.env.OIDC_ADMIN_VALUES),
+            [USER_ROLES.OPERATOR]: parseList(process.env.OIDC_OPERATOR_VALUES),
+            [USER_ROLES.VIEWER]: parseList(process.env.OIDC_VIEWER_VALUES)
+        },
+        defaultRole: process.env.OIDC_DEFAULT_ROLE || ''
+    };
+}
+
+// Paths under these prefixes manage accounts and credentials, so unmapped variants stay admin-only
+const CRITICAL_PATH_PREFIXES = ['/api/users', '/api/sessions', '/api/tokens'];
+
+// Express matches routes case-insensitively and ignores a trailing slash, so the lookup must too
+function normalizePath(path) {
+    const lowered = String(path || '').toLowerCase();
+    return lowered.length > 1 ? lowered.replace(/\/+$/, '') || '/' : lowered;
+}
+
+// Resolve the security level for a request, matching ':param' segments in mapped paths
+function getEndpointSecurityLevel(method, rawPath) {
+    const path = normalizePath(rawPath);
+    const exact = ENDPOINT_SECURITY[`${method} ${path}`];
+    if (exact) {
+        return exact;
+    }
+    
+    const pathSegments = path.split('/');
+    for (const [endpoint, level] of Object.entries(ENDPOINT_SECURITY)) {
+        const [endpointMethod, endpointPath] = endpoint.split(' ');
+        if (endpointMethod !== method || !endpointPath.includes('/:')) {
+            continue;
+        }
+        
+        const endpointSegments = endpointPath.split('/');
+        if (endpointSegments.length !== pathSegments.length) {
+            continue;
+        }
+        
+        const matches = endpointSegments.every((segment, i) =>
+            segment.startsWith(':') ? pathSegments[i].length > 0 : segment === pathSegments[i]
+        );
+        if (matches) {
+            return level;
+        }
+    }
+    
+    if (CRITICAL_PATH_PREFIXES.some(prefix => path === prefix || path.startsWith(`${prefix}/`))) {
+        return SECURITY_LEVELS.CRITICAL;
+    }
+    
+    return undefined;
+}
+
 // Check if endpoint requires authentication based on security mode
 function requiresAuth(method, path, securityMode) {
     const endpoint = `${method} ${path}`;
-    const level = ENDPOINT_SECURITY[endpoint];
+    const level = getEndpointSecurityLevel(method, path);
     
     // If endpoint not mapped, default to WRITE level
     if (!level) {
@@ -128,8 +263,7 @@ function requiresAuth(method, path, securityMode) {
 
 // Check if user has permission for endpoint
 function hasPermission(userRole, method, path) {
-    const endpoint = `${method} ${path}`;
-    const level = ENDPOINT_SECURITY[endpoint] || SECURITY_LEVELS.WRITE;
+    const level = getEndpointSecurityLevel(method, path) || SECURITY_LEVELS.WRITE;
     const allowedLevels = ROLE_PERMISSIONS[userRole] || [];
     
     return allowedLevels.includes(level);
@@ -144,6 +278,8 @@ module.exports = {
     SESSION_CONFIG,
     SECURITY_HEADERS,
     getSecurityConfig,
+    getOidcConfig,
+    getEndpointSecurityLevel,
     requiresAuth,
     hasPermission
 };
\ No newline at end of file
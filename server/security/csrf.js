@@ -4,9 +4,9 @@
  */
 
 const crypto = require('crypto');
+const sessionStore = require('./sessionStore');
 
-// CSRF token storage (in-memory for now, like sessions)
-const csrfTokens = new Map();
+// CSRF tokens are persisted with the sessions, keyed by the hashed session id
 
 /**
  * Generate a new CSRF token
@@ -20,7 +20,12 @@ function generateToken() {
  */
 function createCsrfToken(sessionId) {
     const token = generateToken();
-    csrfTokens.set(sessionId, token);
+    const key = sessionStore.getSessionKey(sessionId);
+    // Only tokens of known sessions are stored, so made-up cookies cannot grow the session file
+    if (sessionStore.sessions.has(key)) {
+        sessionStore.csrfTokens.set(key, token);
+        sessionStore.markDirty(true);
+    }
     return token;
 }
 
@@ -28,7 +33,7 @@ function createCsrfToken(sessionId) {
  * Get CSRF token for a session
  */
 function getCsrfToken(sessionId) {
-    return csrfTokens.get(sessionId);
+    return sessionStore.csrfTokens.get(sessionStore.getSessionKey(sessionId));
 }
 
 /**
@@ -39,7 +44,7 @@ function validateCsrfToken(sessionId, providedToken) {
         return false;
     }
     
-    const storedToken = csrfTokens.get(sessionId);
+    const storedToken = getCsrfToken(sessionId);
     if (!storedToken) {
         return false;
     }
@@ -55,7 +60,9 @@ function validateCsrfToken(sessionId, providedToken) {
  * Clean up CSRF token when session is destroyed
  */
 function destroyCsrfToken(sessionId) {
-    csrfTokens.delete(sessionId);
+    if (sessionStore.csrfTokens.delete(sessionStore.getSessionKey(sessionId))) {
+        sessionStore.markDirty(true);
+    }
 }
 
 /**
@@ -86,8 +93,8 @@ function csrfProtection(options = {}) {
             return next();
         }
         
-        // Skip for API key authentication
-        if (req.auth?.type === 'apikey') {
+        // Skip for API token authentication; browsers cannot attach Bearer headers cross-site
+        if (req.auth?.type === 'apikey' || req.headers.authorization?.startsWith('Bearer ')) {
             return next();
         }
         
@@ -0,0 +1,312 @@
+/**
+ * OpenID Connect single sign-on (authorization code flow with PKCE)
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { getOidcConfig, USER_ROLES } = require('./config');
+
+const HTTP_TIMEOUT = 10000;
+const DISCOVERY_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+const PENDING_LOGIN_TTL = 10 * 60 * 1000; // Time to complete the login at the provider
+const CLOCK_SKEW_SECONDS = 60;
+
+// Highest role first, so users matching several mappings get the most privileged one
+const ROLE_PRECEDENCE = [USER_ROLES.ADMIN, USER_ROLES.OPERATOR, USER_ROLES.VIEWER];
+
+// Verification parameters per JWS algorithm
+const JWS_ALGORITHMS = {
+    RS256: { hash: 'sha256' },
+    RS384: { hash: 'sha384' },
+    RS512: { hash: 'sha512' },
+    PS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 },
+    PS384: { hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 48 },
+    PS512: { hash: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 64 },
+    ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+    ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+    ES512: { hash: 'sha512', dsaEncoding: 'ieee-p1363' }
+};
+
+// Pending logins are kept in memory; a restart only cancels logins in progress
+const pendingLogins = new Map(); // state -> { codeVerifier, nonce, redirectUri, returnTo, createdAt }
+let discoveryCache = null; // { issuerUrl, metadata, jwks, fetchedAt }
+
+class OidcError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'OidcError';
+    }
+}
+
+function base64url(buffer) {
+    return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Whether single sign-on is enabled and has the settings it needs. The redirect URI is
+ * required rather than derived from the Host header, which the client controls.
+ */
+function isOidcConfigured(config = getOidcConfig()) {
+    return config.enabled && !!config.issuerUrl && !!config.clientId && !!config.redirectUri;
+}
+
+/**
+ * Settings missing for an enabled single sign-on, for log messages
+ */
+function getMissingOidcSettings(config = getOidcConfig()) {
+    return [
+        ['OIDC_ISSUER_URL', config.issuerUrl],
+        ['OIDC_CLIENT_ID', config.clientId],
+        ['OIDC_REDIRECT_URI', config.redirectUri]
+    ].filter(([, value]) => !value).map(([name]) => name);
+}
+
+/**
+ * Provider metadata from the issuer's discovery document, cached for an hour
+ * @param {boolean} forceRefresh - Refetch, e.g. when the ID token uses an unknown key.
+ */
+async function discover(forceRefresh = false) {
+    const config = getOidcConfig();
+    const now = Date.now();
+    if (!forceRefresh && discoveryCache && discoveryCache.issuerUrl === config.issuerUrl &&
+        now - discoveryCache.fetchedAt < DISCOVERY_CACHE_TTL) {
+        return discoveryCache;
+    }
+
+    const { data: metadata } = await axios.get(`${config.issuerUrl}/.well-known/openid-configuration`, { timeout: HTTP_TIMEOUT });
+    if (!metadata?.issuer || !metadata.authorization_endpoint || !metadata.token_endpoint || !metadata.jwks_uri) {
+        throw new OidcError('Discovery document is missing required endpoints');
+    }
+    if (metadata.issuer.replace(/\/+$/, '') !== config.issuerUrl) {
+        throw new OidcError(`Discovery document issuer ${metadata.issuer} does not match OIDC_ISSUER_URL`);
+    }
+
+    const { data: jwks } = await axios.get(metadata.jwks_uri, { timeout: HTTP_TIMEOUT });
+    discoveryCache = { issuerUrl: config.issuerUrl, metadata, jwks, fetchedAt: now };
+    return discoveryCache;
+}
+
+function cleanupPendingLogins() {
+    const now = Date.now();
+    for (const [state, login] of pendingLogins.entries()) {
+        if (now - login.createdAt > PENDING_LOGIN_TTL) {
+            pendingLogins.delete(state);
+        }
+    }
+}
+
+/**
+ * Start a login: remembers state, nonce and PKCE verifier and returns the provider URL
+ * to send the browser to.
+ * @param {string} redirectUri - Callback URL registered at the provider.
+ * @param {string} returnTo - Local path to open after login.
+ */
+async function createAuthorizationRequest(redirectUri, returnTo) {
+    const config = getOidcConfig();
+    const { metadata } = await discover();
+
+    cleanupPendingLogins();
+
+    const state = base64url(crypto.randomBytes(32));
+    const nonce = base64url(crypto.randomBytes(32));
+    const codeVerifier = base64url(crypto.randomBytes(32));
+    const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+    pendingLogins.set(state, { codeVerifier, nonce, redirectUri, returnTo, createdAt: Date.now() });
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', config.clientId);
+    url.searchParams.set('redirect_uri', redirectUri);
+    url.searchParams.set('scope', config.scopes);
+    url.searchParams.set('state', state);
+    url.searchParams.set('nonce', nonce);
+    url.searchParams.set('code_challenge', codeChallenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+
+    return { url: url.toString(), state };
+}
+
+/**
+ * Verify an ID token's signature and standard claims
+ * @returns {Object} - The token claims.
+ */
+async function verifyIdToken(idToken, nonce) {
+    const config = getOidcConfig();
+    const parts = String(idToken || '').split('.');
+    if (parts.length !== 3) {
+        throw new OidcError('Malformed ID token');
+    }
+
+    let header;
+    let claims;
+    try {
+        header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+        claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new OidcError('Malformed ID token');
+    }
+
+    const algorithm = JWS_ALGORITHMS[header.alg];
+    if (!algorithm) {
+        throw new OidcError(`Unsupported ID token algorithm: ${header.alg}`);
+    }
+
+    // Providers rotate keys, so an unknown key id triggers one refetch of the key set
+    const findKey = (jwks) => (jwks.keys || []).find(key =>
+        (header.kid ? key.kid === header.kid : true) && (!key.use || key.use === 'sig'));
+    let { metadata, jwks } = await discover();
+    let jwk = findKey(jwks);
+    if (!jwk) {
+        ({ metadata, jwks } = await discover(true));
+        jwk = findKey(jwks);
+    }
+    if (!jwk) {
+        throw new OidcError('No matching signing key for ID token');
+    }
+
+    const verifyOptions = { key: crypto.createPublicKey({ key: jwk, format: 'jwk' }) };
+    if (algorithm.padding) {
+        verifyOptions.padding = algorithm.padding;
+        verifyOptions.saltLength = algorithm.saltLength;
+    }
+    if (algorithm.dsaEncoding) {
+        verifyOptions.dsaEncoding = algorithm.dsaEncoding;
+    }
+    const validSignature = crypto.verify(
+        algorithm.hash,
+        Buffer.from(`${parts[0]}.${parts[1]}`),
+        verifyOptions,
+        Buffer.from(parts[2], 'base64url')
+    );
+    if (!validSignature) {
+        throw new OidcError('Invalid ID token signature');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (claims.iss !== metadata.issuer) {
+        throw new OidcError('ID token issuer mismatch');
+    }
+    if (!audiences.includes(config.clientId) || (audiences.length > 1 && claims.azp !== config.clientId)) {
+        throw new OidcError('ID token was not issued for this client');
+    }
+    if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS < now) {
+        throw new OidcError('ID token expired');
+    }
+    if (claims.nonce !== nonce) {
+        throw new OidcError('ID token nonce mismatch');
+    }
+
+    return claims;
+}
+
+/**
+ * Read a claim, following dots into nested objects (e.g. realm_access.roles)
+ */
+function getClaim(claims, claimPath) {
+    return claimPath.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), claims);
+}
+
+/**
+ * Map the configured role claim onto a Pulse role
+ * @returns {string|null} - The role, or null when the user may not log in.
+ */
+function mapClaimsToRole(claims, config = getOidcConfig()) {
+    const value = getClaim(claims, config.roleClaim);
+    const values = (Array.isArray(value) ? value : [value])
+        .filter(item => item !== undefined && item !== null)
+        .map(item => String(item));
+
+    const role = ROLE_PRECEDENCE.find(candidate => config.roleMapping[candidate].some(mapped => values.includes(mapped)));
+    if (role) return role;
+
+    return ROLE_PRECEDENCE.includes(config.defaultRole) ? config.defaultRole : null;
+}
+
+/**
+ * Finish a login: checks the state, exchanges the code and maps the user
+ * @returns {Object} - { user: { username, role, source }, returnTo }
+ */
+async function handleAuthorizationResponse({ state, code, error, error_description: errorDescription }) {
+    const login = state ? pendingLogins.get(state) : null;
+    if (state) pendingLogins.delete(state);
+
+    if (error) {
+        throw new OidcError(`Provider returned ${error}${errorDescription ? `: ${errorDescription}` : ''}`);
+    }
+    if (!login || Date.now() - login.createdAt > PENDING_LOGIN_TTL) {
+        throw new OidcError('Login request expired or unknown, please try again');
+    }
+    if (!code) {
+        throw new OidcError('Provider did not return an authorization code');
+    }
+
+    const config = getOidcConfig();
+    const { metadata } = await discover();
+
+    const body = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: login.redirectUri,
+        code_verifier: login.codeVerifier
+    });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+    const authMethods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+    if (config.clientSecret && authMethods.includes('client_secret_basic')) {
+        const credentials = `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+        body.set('client_id', config.clientId);
+        if (config.clientSecret) body.set('client_secret', config.clientSecret);
+    }
+
+    let tokens;
+    try {
+        ({ data: tokens } = await axios.post(metadata.token_endpoint, body.toString(), { headers, timeout: HTTP_TIMEOUT }));
+    } catch (requestError) {
+        const reason = requestError.response?.data?.error_description || requestError.response?.data?.error || requestError.message;
+        throw new OidcError(`Token exchange failed: ${reason}`);
+    }
+
+    let claims = await verifyIdToken(tokens.id_token, login.nonce);
+
+    // Group claims are often only part of the userinfo response
+    if (metadata.userinfo_endpoint && tokens.access_token) {
+        try {
+            const { data: userinfo } = await axios.get(metadata.userinfo_endpoint, {
+                headers: { Authorization: `Bearer ${tokens.access_token}` },
+                timeout: HTTP_TIMEOUT
+            });
+            if (userinfo?.sub === claims.sub) {
+                claims = { ...userinfo, ...claims };
+            }
+        } catch (userinfoError) {
+            console.warn('[OIDC] Failed to fetch userinfo, using ID token claims only:', userinfoError.message);
+        }
+    }
+
+    const username = getClaim(claims, config.usernameClaim) || claims.email || claims.sub;
+    const role = mapClaimsToRole(claims, config);
+    if (!role) {
+        throw new OidcError(`User ${username} has no Pulse role (claim ${config.roleClaim})`);
+    }
+
+    return {
+        user: {
+            username: String(username),
+            role,
+            source: 'oidc'
+        },
+        returnTo: login.returnTo
+    };
+}
+
+module.exports = {
+    OidcError,
+    isOidcConfigured,
+    getMissingOidcSettings,
+    discover,
+    createAuthorizationRequest,
+    handleAuthorizationResponse,
+    mapClaimsToRole
+};
@@ -0,0 +1,136 @@
+/**
+ * File-backed storage for sessions, CSRF tokens and login attempts
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const SAVE_DELAY = 5000; // Batch frequent changes such as last-access updates
+
+/**
+ * Session Store
+ * Keeps authentication state across restarts. Sessions and CSRF tokens are keyed by the
+ * SHA-256 hash of the session cookie, so the file does not contain usable session ids.
+ */
+class SessionStore {
+    constructor() {
+        this.configPath = path.join(__dirname, '../../data/sessions.json');
+        this.sessions = new Map(); // session key -> session
+        this.csrfTokens = new Map(); // session key -> CSRF token
+        this.loginAttempts = new Map(); // username -> { count, lastAttempt, lockedUntil }
+        this.initialized = false;
+        this.saveTimer = null;
+        this.savePromise = null;
+    }
+
+    /**
+     * Initialize the session store
+     */
+    async init() {
+        try {
+            await this.load();
+            this.initialized = true;
+            console.log('[SessionStore] Initialized successfully');
+        } catch (error) {
+            console.error('[SessionStore] Initialization failed:', error);
+        }
+    }
+
+    /**
+     * Load state from storage
+     */
+    async load() {
+        try {
+            await fs.mkdir(path.dirname(this.configPath), { recursive: true });
+
+            const data = JSON.parse(await fs.readFile(this.configPath, 'utf8'));
+            this.sessions = new Map(Object.entries(data.sessions || {}));
+            this.csrfTokens = new Map(Object.entries(data.csrfTokens || {}));
+            this.loginAttempts = new Map(Object.entries(data.loginAttempts || {}));
+
+            console.log(`[SessionStore] Loaded ${this.sessions.size} sessions`);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                await this.save();
+                console.log('[SessionStore] Created new session file');
+            } else if (error instanceof SyntaxError) {
+                // A damaged file only means everyone logs in again
+                console.error('[SessionStore] Session file is corrupt, starting with no sessions:', error.message);
+            } else {
+                console.error('[SessionStore] Error loading sessions:', error);
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Save state to storage, through a temporary file so a crash never leaves half a file
+     */
+    async save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        const data = JSON.stringify({
+            sessions: Object.fromEntries(this.sessions),
+            csrfTokens: Object.fromEntries(this.csrfTokens),
+            loginAttempts: Object.fromEntries(this.loginAttempts)
+        }, null, 2);
+
+        // Chain saves so concurrent writes of the temporary file cannot interleave
+        this.savePromise = (this.savePromise || Promise.resolve()).then(async () => {
+            const tempPath = `${this.configPath}.tmp`;
+            await fs.writeFile(tempPath, data, { encoding: 'utf8', mode: 0o600 });
+            await fs.rename(tempPath, this.configPath);
+        }).catch(error => {
+            console.error('[SessionStore] Error saving sessions:', error);
+        });
+        return this.savePromise;
+    }
+
+    /**
+     * Record a change. Logins, logouts and revocations are saved right away; other changes
+     * are batched.
+     */
+    markDirty(immediate = false) {
+        if (!this.initialized) return;
+        if (immediate) {
+            this.save();
+            return;
+        }
+        if (!this.saveTimer) {
+            this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY);
+            this.saveTimer.unref?.();
+        }
+    }
+
+    /**
+     * Key of a session cookie value in the sessions and CSRF token maps
+     */
+    getSessionKey(sessionId) {
+        return crypto.createHash('sha256').update(String(sessionId)).digest('hex');
+    }
+
+    /**
+     * Remove a session and its CSRF token by session key
+     */
+    removeSession(key) {
+        const existed = this.sessions.delete(key);
+        this.csrfTokens.delete(key);
+        if (existed) this.markDirty(true);
+        return existed;
+    }
+
+    /**
+     * Write pending changes, e.g. on shutdown
+     */
+    async flush() {
+        if (this.initialized && this.saveTimer) {
+            await this.save();
+        } else if (this.savePromise) {
+            await this.savePromise;
+        }
+    }
+}
+
+module.exports = new SessionStore();
@@ -0,0 +1,292 @@
+/**
+ * TOTP two-factor authentication (RFC 6238) with recovery codes
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const ISSUER = 'Pulse';
+const DIGITS = 6;
+const PERIOD = 30; // seconds
+const WINDOW = 1; // Accept codes one period early or late to allow for clock drift
+const SECRET_BYTES = 20;
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base32Decode(input) {
+    const cleaned = String(input).toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 secret');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * HOTP value (RFC 4226) for a time step
+ */
+function generateTotp(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** DIGITS);
+    return String(code).padStart(DIGITS, '0');
+}
+
+function currentStep() {
+    return Math.floor(Date.now() / 1000 / PERIOD);
+}
+
+/**
+ * Time step a code is valid for, or null. Steps up to lastUsedStep are rejected so a
+ * code cannot be replayed.
+ */
+function matchTotp(secret, code, lastUsedStep = -1) {
+    if (!/^\d{6}$/.test(code)) return null;
+
+    const step = currentStep();
+    for (let candidate = step - WINDOW; candidate <= step + WINDOW; candidate++) {
+        if (candidate <= lastUsedStep) continue;
+        if (crypto.timingSafeEqual(Buffer.from(generateTotp(secret, candidate)), Buffer.from(code))) {
+            return candidate;
+        }
+    }
+    return null;
+}
+
+function normalizeCode(code) {
+    return String(code || '').toLowerCase().replace(/[\s-]/g, '');
+}
+
+function hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(normalizeCode(code)).digest('hex');
+}
+
+function generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const code = crypto.randomBytes(5).toString('hex');
+        return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+}
+
+/**
+ * Two-Factor Store
+ * Keeps the TOTP secret of each user with two-factor authentication and SHA-256 hashes of
+ * their unused recovery codes. Keyed by username; the built-in admin is stored as 'admin'.
+ */
+class TwoFactorStore {
+    constructor() {
+        this.configPath = path.join(__dirname, '../../data/two-factor.json');
+        this.records = new Map(); // username -> { secret, enabled, enabledAt, lastUsedStep, recoveryCodes, pendingSecret }
+        this.initialized = false;
+    }
+
+    /**
+     * Initialize the two-factor store
+     */
+    async init() {
+        try {
+            await this.loadRecords();
+            this.initialized = true;
+            console.log('[TwoFactor] Initialized successfully');
+        } catch (error) {
+            console.error('[TwoFactor] Initialization failed:', error);
+        }
+    }
+
+    /**
+     * Load two-factor settings from storage
+     */
+    async loadRecords() {
+        try {
+            await fs.mkdir(path.dirname(this.configPath), { recursive: true });
+
+            const data = await fs.readFile(this.configPath, 'utf8');
+            const records = JSON.parse(data);
+
+            this.records.clear();
+            Object.entries(records).forEach(([username, record]) => {
+                this.records.set(username, record);
+            });
+
+            console.log(`[TwoFactor] Loaded two-factor settings for ${this.records.size} users`);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                await this.saveRecords();
+                console.log('[TwoFactor] Created new two-factor file');
+            } else {
+                console.error('[TwoFactor] Error loading two-factor settings:', error);
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Save two-factor settings to storage
+     */
+    async saveRecords() {
+        try {
+            const data = Object.fromEntries(this.records);
+            await fs.writeFile(this.configPath, JSON.stringify(data, null, 2), { encoding: 'utf8', mode: 0o600 });
+        } catch (error) {
+            console.error('[TwoFactor] Error saving two-factor settings:', error);
+            throw error;
+        }
+    }
+
+    isEnabled(username) {
+        return !!this.records.get(username)?.enabled;
+    }
+
+    getStatus(username) {
+        const record = this.records.get(username);
+        return {
+            enabled: !!record?.enabled,
+            enabledAt: record?.enabled ? record.enabledAt : null,
+            recoveryCodesRemaining: record?.enabled ? record.recoveryCodes.length : 0
+        };
+    }
+
+    /**
+     * otpauth:// URI that authenticator apps import, usually from a QR code
+     */
+    buildOtpauthUri(username, secret) {
+        const label = encodeURIComponent(`${ISSUER}:${username}`);
+        const params = new URLSearchParams({
+            secret,
+            issuer: ISSUER,
+            algorithm: 'SHA1',
+            digits: String(DIGITS),
+            period: String(PERIOD)
+        });
+        return `otpauth://totp/${label}?${params.toString()}`;
+    }
+
+    /**
+     * Start enrollment with a new secret. Two-factor authentication stays off until
+     * confirmEnrollment() receives a valid code for it.
+     * @returns {Object} - { secret, otpauthUri }
+     */
+    async beginEnrollment(username) {
+        if (this.isEnabled(username)) {
+            throw new Error('Two-factor authentication is already enabled');
+        }
+
+        const secret = base32Encode(crypto.randomBytes(SECRET_BYTES));
+        this.records.set(username, { enabled: false, pendingSecret: secret });
+        await this.saveRecords();
+        return { secret, otpauthUri: this.buildOtpauthUri(username, secret) };
+    }
+
+    /**
+     * Enable two-factor authentication once the authenticator app shows a matching code
+     * @returns {string[]} - Recovery codes; only shown this once.
+     */
+    async confirmEnrollment(username, code) {
+        const record = this.records.get(username);
+        if (!record?.pendingSecret) {
+            throw new Error('Start the two-factor setup first');
+        }
+
+        const step = matchTotp(record.pendingSecret, String(code || '').trim());
+        if (step === null) {
+            throw new Error('Invalid code, check the time on your device and try again');
+        }
+
+        const recoveryCodes = generateRecoveryCodes();
+        this.records.set(username, {
+            secret: record.pendingSecret,
+            enabled: true,
+            enabledAt: new Date().toISOString(),
+            lastUsedStep: step,
+            recoveryCodes: recoveryCodes.map(hashRecoveryCode)
+        });
+        await this.saveRecords();
+        return recoveryCodes;
+    }
+
+    /**
+     * Check a code from the authenticator app or an unused recovery code.
+     * Recovery codes work only once.
+     * @returns {string|null} - 'totp', 'recovery', or null when the code is wrong.
+     */
+    async verify(username, code) {
+        const record = this.records.get(username);
+        if (!record?.enabled) return null;
+
+        const value = String(code || '').trim();
+        const step = matchTotp(record.secret, value, record.lastUsedStep);
+        if (step !== null) {
+            record.lastUsedStep = step;
+            await this.saveRecords();
+            return 'totp';
+        }
+
+        const hash = hashRecoveryCode(value);
+        const index = normalizeCode(value).length > DIGITS ? record.recoveryCodes.indexOf(hash) : -1;
+        if (index !== -1) {
+            record.recoveryCodes.splice(index, 1);
+            await this.saveRecords();
+            return 'recovery';
+        }
+
+        return null;
+    }
+
+    /**
+     * Replace all recovery codes
+     * @returns {string[]} - The new recovery codes.
+     */
+    async regenerateRecoveryCodes(username) {
+        const record = this.records.get(username);
+        if (!record?.enabled) {
+            throw new Error('Two-factor authentication is not enabled');
+        }
+
+        const recoveryCodes = generateRecoveryCodes();
+        record.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+        await this.saveRecords();
+        return recoveryCodes;
+    }
+
+    /**
+     * Turn two-factor authentication off, also used when a user is deleted or has lost
+     * their device
+     */
+    async disable(username) {
+        if (!this.records.delete(username)) return false;
+        await this.saveRecords();
+        return true;
+    }
+}
+
+module.exports = new TwoFactorStore();
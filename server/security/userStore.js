@@ -0,0 +1,208 @@
+/**
+ * Persisted user accounts
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const { getSecurityConfig, USER_ROLES } = require('./config');
+
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{0,63}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// 'admin' is the built-in account backed by ADMIN_PASSWORD, 'me' is used in /api/users/me routes
+const RESERVED_USERNAMES = ['admin', 'me'];
+
+function normalizeUsername(username) {
+    return String(username || '').trim().toLowerCase();
+}
+
+/**
+ * User Store
+ * Keeps additional login accounts next to the built-in admin account. Only bcrypt
+ * password hashes are stored.
+ */
+class UserStore {
+    constructor() {
+        this.configPath = path.join(__dirname, '../../data/users.json');
+        this.users = new Map(); // username -> user
+        this.initialized = false;
+    }
+
+    /**
+     * Initialize the user store
+     */
+    async init() {
+        try {
+            await this.loadUsers();
+            this.initialized = true;
+            console.log('[UserStore] Initialized successfully');
+        } catch (error) {
+            console.error('[UserStore] Initialization failed:', error);
+        }
+    }
+
+    /**
+     * Load users from storage
+     */
+    async loadUsers() {
+        try {
+            await fs.mkdir(path.dirname(this.configPath), { recursive: true });
+
+            const data = await fs.readFile(this.configPath, 'utf8');
+            const users = JSON.parse(data);
+
+            this.users.clear();
+            Object.entries(users).forEach(([username, user]) => {
+                this.users.set(username, user);
+            });
+
+            console.log(`[UserStore] Loaded ${this.users.size} users`);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                await this.saveUsers();
+                console.log('[UserStore] Created new user file');
+            } else {
+                console.error('[UserStore] Error loading users:', error);
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Save users to storage. The file holds password hashes, so it is only readable by its owner.
+     */
+    async saveUsers() {
+        try {
+            const data = Object.fromEntries(this.users);
+            await fs.writeFile(this.configPath, JSON.stringify(data, null, 2), { encoding: 'utf8', mode: 0o600 });
+        } catch (error) {
+            console.error('[UserStore] Error saving users:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * User without its password hash, safe to return from the API
+     */
+    toPublicUser(user) {
+        const { passwordHash, ...publicUser } = user;
+        return publicUser;
+    }
+
+    listUsers() {
+        return Array.from(this.users.values())
+            .map(user => this.toPublicUser(user))
+            .sort((a, b) => a.username.localeCompare(b.username));
+    }
+
+    getUser(username) {
+        return this.users.get(normalizeUsername(username)) || null;
+    }
+
+    /**
+     * Create a user. Throws on invalid input.
+     */
+    async createUser({ username, password, role } = {}) {
+        const normalized = normalizeUsername(username);
+        if (!USERNAME_PATTERN.test(normalized)) {
+            throw new Error('Username must be 1-64 characters of letters, digits, dots, dashes or underscores');
+        }
+        if (RESERVED_USERNAMES.includes(normalized)) {
+            throw new Error(`Username '${normalized}' is reserved`);
+        }
+        if (this.users.has(normalized)) {
+            throw new Error(`User '${normalized}' already exists`);
+        }
+
+        const now = new Date().toISOString();
+        const user = {
+            username: normalized,
+            role: this.validateRole(role),
+            disabled: false,
+            passwordHash: await this.hashPassword(password),
+            createdAt: now,
+            updatedAt: now,
+            passwordChangedAt: now
+        };
+        this.users.set(normalized, user);
+        await this.saveUsers();
+        return this.toPublicUser(user);
+    }
+
+    /**
+     * Update the role, disabled flag or password of a user. Returns null when it does not exist.
+     */
+    async updateUser(username, input = {}) {
+        const existing = this.getUser(username);
+        if (!existing) return null;
+
+        const user = { ...existing };
+        if (input.role !== undefined) {
+            user.role = this.validateRole(input.role);
+        }
+        if (input.disabled !== undefined) {
+            if (typeof input.disabled !== 'boolean') {
+                throw new Error('disabled must be a boolean');
+            }
+            user.disabled = input.disabled;
+        }
+        const now = new Date().toISOString();
+        if (input.password !== undefined) {
+            user.passwordHash = await this.hashPassword(input.password);
+            user.passwordChangedAt = now;
+        }
+        user.updatedAt = now;
+
+        this.users.set(user.username, user);
+        await this.saveUsers();
+        return this.toPublicUser(user);
+    }
+
+    async deleteUser(username) {
+        if (!this.users.delete(normalizeUsername(username))) return false;
+        await this.saveUsers();
+        return true;
+    }
+
+    /**
+     * Check a password; disabled and unknown users never match
+     * @returns {Object|null} - The public user on success.
+     */
+    async verifyPassword(username, password) {
+        const user = this.getUser(username);
+        if (!user || user.disabled) return null;
+
+        const valid = await bcrypt.compare(String(password || ''), user.passwordHash);
+        return valid ? this.toPublicUser(user) : null;
+    }
+
+    /**
+     * Change a user's own password after checking the current one. Throws on a wrong
+     * current password or an invalid new one.
+     */
+    async changePassword(username, currentPassword, newPassword) {
+        if (!await this.verifyPassword(username, currentPassword)) {
+            throw new Error('Current password is incorrect');
+        }
+        return this.updateUser(username, { password: newPassword });
+    }
+
+    validateRole(role) {
+        const roles = Object.values(USER_ROLES);
+        if (!roles.includes(role)) {
+            throw new Error(`Role must be one of: ${roles.join(', ')}`);
+        }
+        return role;
+    }
+
+    async hashPassword(password) {
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+        return bcrypt.hash(password, getSecurityConfig().bcryptRounds);
+    }
+}
+
+module.exports = new UserStore();
+module.exports.normalizeUsername = normalizeUsername;
@@ -238,6 +238,9 @@ function createServer() {
     const healthRoutes = require('./routes/health');
     app.use('/api/health', healthRoutes); // No rate limit on health checks
 
+    const metricsRoutes = require('./routes/metrics');
+    app.use('/metrics', apiLimiter.middleware(), metricsRoutes); // Prometheus scrape endpoint
+
 
 
     const alertRoutes = require('./routes/alerts');
@@ -249,9 +252,27 @@ function createServer() {
     const snapshotsRoutes = require('./routes/snapshots');
     app.use('/api', apiLimiter.middleware(), snapshotsRoutes);
 
+    const taskRoutes = require('./routes/tasks');
+    app.use('/api/tasks', apiLimiter.middleware(), taskRoutes);
+
+    const guestRoutes = require('./routes/guests');
+    app.use('/api/guests', strictLimiter.middleware(), guestRoutes); // Power actions are rate limited strictly
+
     const backupsRoutes = require('./routes/backups');
     app.use('/api', apiLimiter.middleware(), backupsRoutes);
 
+    const oidcRoutes = require('./routes/oidc');
+    app.use('/api/auth/oidc', strictLimiter.middleware(), oidcRoutes);
+
+    const userRoutes = require('./routes/users');
+    app.use('/api/users', strictLimiter.middleware(), userRoutes); // Password checks are rate limited strictly
+
+    const apiTokenRoutes = require('./routes/apiTokens');
+    app.use('/api/tokens', apiLimiter.middleware(), apiTokenRoutes);
+
+    const sessionRoutes = require('./routes/sessions');
+    app.use('/api/sessions', apiLimiter.middleware(), sessionRoutes);
+
     const pushRoutes = require('./routes/push');
     app.use('/api/push', strictLimiter.middleware(), pushRoutes); // Stricter limit for push endpoints
 
@@ -1,6 +1,7 @@
 
 const { Server } = require('socket.io');
 const stateManager = require('./state');
+const { taskTracker } = require('./pveTasks');
 
 let io = null;
 
@@ -99,6 +100,16 @@ function initializeSocket(server) {
         }
     });
 
+    taskTracker.on('taskUpdate', (task) => {
+        if (io.engine.clientsCount > 0) {
+            try {
+                io.emit('pveTaskUpdate', task);
+            } catch (error) {
+                console.error('[Socket] Failed to emit task update:', error);
+            }
+        }
+    });
+
     return io;
 }
 
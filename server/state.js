@@ -1,5 +1,7 @@
 const AlertManager = require('./alertManager');
 const StateMonitor = require('./stateMonitor');
+const backupPolicies = require('./backupPolicies');
+const alertDependencies = require('./alertDependencies');
 
 const state = {
   nodes: [],
@@ -7,6 +9,7 @@ const state = {
   containers: [],
   metrics: [],
   pbs: [], // Array to hold data for each PBS instance
+  ceph: [], // Ceph cluster health, one entry per PVE cluster running Ceph
   pveBackups: { // Add PVE backup data
     backupTasks: [],
     storageBackups: [],
@@ -91,6 +94,7 @@ function getState() {
     containers: state.containers,
     metrics: state.metrics, // Assuming metrics are updated elsewhere
     pbs: state.pbs, // This is what's sent to the client and should now be correct
+    ceph: state.ceph,
     pveBackups: state.pveBackups, // Add PVE backup data
     isConfigPlaceholder: state.isConfigPlaceholder,
     endpoints: state.endpoints, // Add endpoint configurations
@@ -151,7 +155,7 @@ function updateGuestUptimeFromMetrics(metrics) {
   });
 }
 
-function updateDiscoveryData({ nodes, vms, containers, pbs, pveBackups, allPbsTasks, aggregatedPbsTaskSummary }, duration = 0, errors = []) {
+function updateDiscoveryData({ nodes, vms, containers, ceph, pbs, pveBackups, allPbsTasks, aggregatedPbsTaskSummary }, duration = 0, errors = []) {
   const startTime = Date.now();
   
   try {
@@ -181,6 +185,7 @@ function updateDiscoveryData({ nodes, vms, containers, pbs, pveBackups, allPbsTa
     state.vms = vms || [];
     state.containers = containers || [];
     state.pbs = pbs || [];
+    state.ceph = ceph || [];
     
     // Update PVE backup data
     if (pveBackups) {
@@ -222,6 +227,9 @@ function updateDiscoveryData({ nodes, vms, containers, pbs, pveBackups, allPbsTa
     
     console.log(`[State Manager] Discovery update completed. Duration: ${duration}ms, Errors: ${errors.length}`);
     
+    // Node state transitions first, guests on a node that went down are rolled into its alert
+    const nodeStateAlerts = registerNodeStateAlerts();
+
     // Check for state transitions after discovery update
     // This is critical because container/VM status changes are detected during discovery
     const allGuests = [...state.vms, ...state.containers];
@@ -235,6 +243,40 @@ function updateDiscoveryData({ nodes, vms, containers, pbs, pveBackups, allPbsTa
         }
       }
     }
+
+    triggerNodeStateAlerts(nodeStateAlerts).catch(error => {
+      console.error('[State Manager] Error triggering node state alerts:', error);
+    });
+    
+    // Ceph health transitions
+    alertManager.checkCephHealth(state.ceph).catch(error => {
+      console.error('[State Manager] Error checking Ceph health alerts:', error);
+    });
+
+    // ZFS pool, SMART and SSD wearout transitions
+    alertManager.checkDiskHealth(state.nodes).catch(error => {
+      console.error('[State Manager] Error checking disk health alerts:', error);
+    });
+
+    // HA resource state and replication job transitions
+    alertManager.checkHaAndReplication([...state.vms, ...state.containers]).catch(error => {
+      console.error('[State Manager] Error checking HA and replication alerts:', error);
+    });
+
+    // PBS reachability, then sync, prune and garbage collection job transitions whose
+    // alerts are held back while their PBS instance is unreachable
+    alertManager.checkPbsReachability(state.pbs)
+      .then(() => alertManager.checkPbsJobs(state.pbs))
+      .catch(error => {
+        console.error('[State Manager] Error checking PBS alerts:', error);
+      });
+
+    // Backup policy compliance transitions
+    backupPolicies.evaluateCompliance(getState())
+      .then(report => alertManager.checkBackupCompliance(report))
+      .catch(error => {
+        console.error('[State Manager] Error checking backup policy alerts:', error);
+      });
     
   } catch (error) {
     console.error('[State Manager] Error updating discovery data:', error);
@@ -390,10 +432,81 @@ function addPerformanceSnapshot(type, duration, errorCount) {
   }
 }
 
+// Registers node state transitions with the AlertManager. A node_down alert is added to the
+// active alerts right away so guest alerts raised meanwhile are held back as its children,
+// but only triggered by triggerNodeStateAlerts() once the guests were checked. A node that
+// is back online resolves its node_down alert.
+function registerNodeStateAlerts() {
+  const perGuestRule = alertManager.getRules().find(r => r.type === 'per_guest_thresholds' && r.enabled);
+  const nodeStateAlerts = stateMonitor.checkNodeTransitions(state.nodes);
+  const registered = [];
+
+  for (const alert of nodeStateAlerts) {
+    if (alert.rule === 'node_up') {
+      const downAlert = alertManager.activeAlerts.get(alertDependencies.getNodeStateAlertKey(alert.endpointId, alert.nodeId, 'node_down'));
+      if (downAlert && downAlert.state === 'active') {
+        downAlert.state = 'resolved';
+        downAlert.resolvedAt = alert.timestamp;
+        alertManager.resolveAlert(downAlert).catch(error => {
+          console.error('[State Manager] Error resolving node down alert:', error);
+        });
+      }
+    }
+
+    // Format node state alert for AlertManager
+    const formattedAlert = {
+      id: alert.id,
+      rule: { 
+        id: alert.rule,
+        name: alert.rule,
+        type: 'node_state_change',
+        notifications: perGuestRule ? perGuestRule.notifications : { dashboard: true, email: true, webhook: true }
+      },
+      guest: {
+        name: alert.nodeName,
+        vmid: 'node',
+        node: alert.nodeId,
+        type: 'node',
+        endpointId: alert.endpointId
+      },
+      type: 'node_state_change',
+      state: 'active',
+      startTime: alert.timestamp,
+      triggeredAt: alert.timestamp,
+      lastUpdate: alert.timestamp,
+      currentValue: alert.to,
+      threshold: null,
+      message: alert.message,
+      severity: alert.severity,
+      group: alert.group,
+      acknowledged: false,
+      emailSent: false,
+      webhookSent: false,
+      notificationChannels: alertManager.determineNotificationChannels({ dashboard: true, email: true, webhook: true })
+    };
+    
+    // Add to active alerts
+    const alertKey = alertDependencies.getNodeStateAlertKey(alert.endpointId, alert.nodeId, alert.rule);
+    alertManager.activeAlerts.set(alertKey, formattedAlert);
+    registered.push(formattedAlert);
+  }
+
+  return registered;
+}
+
+async function triggerNodeStateAlerts(alerts) {
+  for (const alert of alerts) {
+    await alertManager.triggerAlert(alert);
+  }
+}
+
 async function checkAlertsForMetrics() {
   try {
     const allGuests = [...state.vms, ...state.containers];
     
+    // Node state transitions first, guest alerts of a node that went down depend on it
+    const nodeStateAlerts = registerNodeStateAlerts();
+    
     // First reconcile state alerts - this handles stopped containers on startup
     await alertManager.reconcileStateAlerts(allGuests);
     
@@ -413,46 +526,9 @@ async function checkAlertsForMetrics() {
       alertManager.handleStateAlert(alert);
     }
     
-    // Check for node state transitions
-    const nodeStateAlerts = stateMonitor.checkNodeTransitions(state.nodes);
-    for (const alert of nodeStateAlerts) {
-      // Format node state alert for AlertManager
-      const formattedAlert = {
-        id: alert.id,
-        rule: { 
-          id: alert.rule,
-          name: alert.rule,
-          type: 'node_state_change',
-          notifications: perGuestRule ? perGuestRule.notifications : { dashboard: true, email: true, webhook: true }
-        },
-        guest: {
-          name: alert.nodeName,
-          vmid: 'node',
-          node: alert.nodeId,
-          type: 'node',
-          endpointId: alert.nodeId
-        },
-        type: 'node_state_change',
-        state: 'active',
-        startTime: alert.timestamp,
-        triggeredAt: alert.timestamp,
-        lastUpdate: alert.timestamp,
-        currentValue: alert.to,
-        threshold: null,
-        message: alert.message,
-        severity: alert.severity,
-        group: alert.group,
-        acknowledged: false,
-        emailSent: false,
-        webhookSent: false,
-        notificationChannels: alertManager.determineNotificationChannels({ dashboard: true, email: true, webhook: true })
-      };
-      
-      // Add to active alerts
-      const alertKey = `node_state_${alert.nodeId}_${alert.rule}`;
-      alertManager.activeAlerts.set(alertKey, formattedAlert);
-      await alertManager.triggerAlert(formattedAlert);
-    }
+    // Node down alerts are triggered after the guests were checked, so their notification
+    // lists the guest alerts rolled into them
+    await triggerNodeStateAlerts(nodeStateAlerts);
   } catch (error) {
     console.error('[State Manager] Error checking alerts:', error);
   }
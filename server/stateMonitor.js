@@ -138,7 +138,8 @@ class StateMonitor {
         const alerts = [];
         
         for (const node of nodes) {
-            const nodeId = `node-${node.node}`;
+            // Node names repeat across endpoints, so the endpoint is part of the key
+            const nodeId = `node-${node.endpointId}-${node.node}`;
             const prevState = this.previousStates.get(nodeId);
             const currState = node.status === 'online' ? 'online' : 'offline';
             
@@ -157,9 +158,10 @@ class StateMonitor {
                 });
                 
                 const alert = {
-                    id: `node-state-${node.node}-${Date.now()}`,
+                    id: `node-state-${node.endpointId}-${node.node}-${Date.now()}`,
                     type: 'node_state_change',
                     rule: currState === 'offline' ? 'node_down' : 'node_up',
+                    endpointId: node.endpointId,
                     nodeId: node.node,
                     nodeName: node.node,
                     from: prevState,
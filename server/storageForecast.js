@@ -0,0 +1,203 @@
+const metricsHistory = require('./metricsHistory');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const REFRESH_INTERVAL_MS = 5 * 60 * 1000; // Trends move slowly, refit at most every 5 minutes
+const MIN_SAMPLES = 10;
+const MAX_FORECAST_DAYS = 3650; // Anything further out is reported as not filling up
+
+/**
+ * Storage "time to full" forecasting.
+ *
+ * Fits a least-squares linear trend of used bytes over time for every storage and every
+ * guest disk and extrapolates when it reaches the capacity. The fit uses the long-term
+ * metrics store rollups over the lookback window when available, otherwise the in-memory
+ * history (up to 7 days). Series with too little history or no growth have no estimate.
+ *
+ * Forecast fields:
+ *   daysUntilFull  estimated days until full, null when not growing or not enough history
+ *   fullAt         estimated timestamp (ms) of reaching full, or null
+ *   growthPerDay   fitted growth in bytes per day (negative when shrinking)
+ *   confidence     r² of the fit (0-1); low values mean usage is not growing steadily
+ */
+class StorageForecaster {
+    constructor() {
+        this.lookbackDays = this.getIntEnv('FORECAST_LOOKBACK_DAYS', 14);
+        this.minHistoryHours = this.getIntEnv('FORECAST_MIN_HISTORY_HOURS', 6);
+        this.forecasts = { storage: {}, guests: {}, generatedAt: null };
+        this.lastRefreshAt = 0;
+        this.refreshing = null;
+    }
+
+    getIntEnv(envName, defaultValue) {
+        const value = parseInt(process.env[envName], 10);
+        return Number.isFinite(value) && value > 0 ? value : defaultValue;
+    }
+
+    /**
+     * Latest forecasts, as computed by the last refresh.
+     * @returns {{storage: Object, guests: Object, generatedAt: number|null}}
+     */
+    getForecasts() {
+        return this.forecasts;
+    }
+
+    getStorageForecast(node, storage) {
+        return this.forecasts.storage[`${node}-${storage}`] || null;
+    }
+
+    /**
+     * Refits all trends from the current state. Refreshes at most once per refresh
+     * interval unless forced; concurrent calls share the running refresh.
+     * @param {Object} state - State from stateManager.getState().
+     * @param {boolean} [force] - Skip the refresh interval.
+     * @returns {Promise<Object>} - The forecasts, see getForecasts().
+     */
+    async refresh(state, force = false) {
+        if (this.refreshing) return this.refreshing;
+        if (!force && Date.now() - this.lastRefreshAt < REFRESH_INTERVAL_MS) return this.forecasts;
+
+        this.refreshing = this.computeForecasts(state)
+            .then(forecasts => {
+                this.forecasts = forecasts;
+                this.lastRefreshAt = Date.now();
+                return forecasts;
+            })
+            .catch(error => {
+                console.error('[StorageForecast] Error computing forecasts:', error.message);
+                return this.forecasts;
+            })
+            .finally(() => {
+                this.refreshing = null;
+            });
+
+        return this.refreshing;
+    }
+
+    async computeForecasts(state) {
+        const now = Date.now();
+        const storage = {};
+        const guests = {};
+
+        const storageSeries = await this.getSeries('storage', point => point.used);
+        (state?.nodes || []).forEach(node => {
+            (node.storage || []).forEach(store => {
+                if (!store || !store.storage || !(store.total > 0)) return;
+                const id = `${node.node}-${store.storage}`;
+                storage[id] = {
+                    node: node.node,
+                    endpointId: node.endpointId,
+                    storage: store.storage,
+                    type: store.type,
+                    shared: store.shared === 1,
+                    used: store.used || 0,
+                    total: store.total,
+                    ...this.fitForecast(storageSeries[id], store.used || 0, store.total, now)
+                };
+            });
+        });
+
+        const guestSeries = await this.getSeries('guest', point => point.disk);
+        [...(state?.vms || []), ...(state?.containers || [])].forEach(guest => {
+            // VMs without the guest agent report no disk usage, there is nothing to forecast
+            if (!guest || !(guest.maxdisk > 0) || !(guest.disk > 0)) return;
+            const id = `${guest.endpointId}-${guest.node}-${guest.vmid}`;
+            guests[id] = {
+                vmid: guest.vmid,
+                name: guest.name,
+                type: guest.type,
+                node: guest.node,
+                endpointId: guest.endpointId,
+                used: guest.disk,
+                total: guest.maxdisk,
+                ...this.fitForecast(guestSeries[id], guest.disk, guest.maxdisk, now)
+            };
+        });
+
+        return { storage, guests, generatedAt: now };
+    }
+
+    /**
+     * Usage samples per series id as [{ timestamp, value }], read from the long-term
+     * store when it is running and from the in-memory history otherwise.
+     */
+    async getSeries(kind, getValue) {
+        const to = Date.now();
+        const store = metricsHistory.longTermStore;
+
+        if (store && store.initialized) {
+            try {
+                const { series } = await store.query(kind, to - this.lookbackDays * DAY, to);
+                const result = {};
+                for (const [id, points] of Object.entries(series)) {
+                    result[id] = points.map(point => ({ timestamp: point.timestamp, value: getValue(point.avg) }));
+                }
+                return result;
+            } catch (error) {
+                console.warn(`[StorageForecast] Long-term ${kind} history unavailable, using in-memory history:`, error.message);
+            }
+        }
+
+        const history = kind === 'storage' ? metricsHistory.storageMetrics : metricsHistory.guestMetrics;
+        const result = {};
+        for (const [id, entry] of history) {
+            result[id] = entry.dataPoints.toArray()
+                .filter(point => point)
+                .map(point => ({ timestamp: point.timestamp, value: getValue(point) }));
+        }
+        return result;
+    }
+
+    /**
+     * Fits a linear trend through the samples and extrapolates the time until the
+     * current usage reaches the capacity.
+     */
+    fitForecast(samples, used, total, now) {
+        const points = (samples || []).filter(point => Number.isFinite(point.value) && point.value >= 0);
+        const forecast = {
+            daysUntilFull: null,
+            fullAt: null,
+            growthPerDay: null,
+            confidence: null,
+            historyHours: 0,
+            samples: points.length
+        };
+        if (points.length < MIN_SAMPLES) return forecast;
+
+        const spanMs = points[points.length - 1].timestamp - points[0].timestamp;
+        forecast.historyHours = Math.round(spanMs / HOUR * 10) / 10;
+        if (spanMs < this.minHistoryHours * HOUR) return forecast;
+
+        // Least squares with time in days relative to the first sample
+        const origin = points[0].timestamp;
+        let sumX = 0, sumY = 0, sumXY = 0, sumXX = 0, sumYY = 0;
+        points.forEach(point => {
+            const x = (point.timestamp - origin) / DAY;
+            sumX += x;
+            sumY += point.value;
+            sumXY += x * point.value;
+            sumXX += x * x;
+            sumYY += point.value * point.value;
+        });
+        const n = points.length;
+        const varianceX = n * sumXX - sumX * sumX;
+        const varianceY = n * sumYY - sumY * sumY;
+        if (varianceX <= 0) return forecast;
+
+        const slope = (n * sumXY - sumX * sumY) / varianceX;
+        const covariance = n * sumXY - sumX * sumY;
+        forecast.growthPerDay = Math.round(slope);
+        forecast.confidence = varianceY > 0 ? Math.round(covariance * covariance / (varianceX * varianceY) * 100) / 100 : 0;
+
+        if (slope <= 0) return forecast;
+
+        const days = Math.max(0, (total - used) / slope);
+        if (days > MAX_FORECAST_DAYS) return forecast;
+
+        forecast.daysUntilFull = Math.round(days * 10) / 10;
+        forecast.fullAt = Math.round(now + days * DAY);
+        return forecast;
+    }
+}
+
+module.exports = new StorageForecaster();
@@ -116,17 +116,31 @@ class WebhookBatcher extends EventEmitter {
         
         console.log(`[WebhookBatcher] Processing batch of ${batch.length} alerts`);
         
+        // Alerts may be routed to different webhooks, summarize per URL
+        const batchesByUrl = new Map();
+        batch.forEach(item => {
+            if (!batchesByUrl.has(item.webhookUrl)) batchesByUrl.set(item.webhookUrl, []);
+            batchesByUrl.get(item.webhookUrl).push(item);
+        });
+        
+        // Incident services (PagerDuty, Opsgenie) track every alert separately, never summarize them
+        const NotificationService = require('./notificationServices');
+        const notificationService = new NotificationService();
+        
         try {
-            if (batch.length >= this.config.summaryThreshold) {
-                // Send summary webhook
-                await this.sendSummaryWebhook(batch);
-            } else {
+            for (const [webhookUrl, urlBatch] of batchesByUrl) {
+                if (urlBatch.length >= this.config.summaryThreshold && !notificationService.supportsIncidents(webhookUrl)) {
+                    // Send summary webhook
+                    await this.sendSummaryWebhook(urlBatch);
+                    continue;
+                }
+                
                 // Send individual webhooks with delays
-                for (let i = 0; i < batch.length; i++) {
-                    const item = batch[i];
+                for (let i = 0; i < urlBatch.length; i++) {
+                    const item = urlBatch[i];
                     await this.sendSingleWebhook(item.alert, item.webhookUrl);
                     
-                    if (i < batch.length - 1) {
+                    if (i < urlBatch.length - 1) {
                         const delay = item.priority === 'critical' ? 
                             this.config.priorityDelay : 
                             this.config.normalDelay;
@@ -162,7 +176,7 @@ class WebhookBatcher extends EventEmitter {
      * Send a summary webhook for multiple alerts
      */
     async sendSummaryWebhook(batch) {
-        const webhookUrl = batch[0].webhookUrl; // All should have the same URL
+        const webhookUrl = batch[0].webhookUrl; // Batches are split per URL
         
         // Group alerts by type
         const summary = {
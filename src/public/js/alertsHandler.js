@@ -44,6 +44,14 @@ PulseApp.alerts = (() => {
         'custom': '#6b7280'
     };
 
+    function _escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
     function init() {
         if (alertsInitialized) return;
         
@@ -719,6 +727,9 @@ PulseApp.alerts = (() => {
                             ${isResolved ? '<span class="text-xs border border-gray-300 dark:border-gray-500 text-gray-500 dark:text-gray-400 px-1 rounded text-[10px]">resolved</span>' : 
                               isAcknowledged ? '<span class="text-xs border border-gray-300 dark:border-gray-500 text-gray-500 dark:text-gray-400 px-1 rounded text-[10px]">ack</span>' : 
                               isPending ? '<span class="text-xs border border-amber-400/50 dark:border-amber-500/50 text-amber-600 dark:text-amber-400 px-1 rounded text-[10px]">pending</span>' : ''}
+                            ${!isResolved && alert.flapping ? '<span class="text-xs border border-purple-400/50 dark:border-purple-500/50 text-purple-600 dark:text-purple-400 px-1 rounded text-[10px]" title="Keeps triggering and clearing, notifications are held back until it settles">flapping</span>' : ''}
+                            ${!isResolved && alert.parentAlertId ? `<span class="text-xs border border-gray-300 dark:border-gray-500 text-gray-500 dark:text-gray-400 px-1 rounded text-[10px]" title="Held back because ${_escapeHtml(alert.suppressedBy || 'the alert it depends on')} is active">suppressed</span>` : ''}
+                            ${!isResolved && alert.suppressedChildren?.length > 0 ? `<span class="text-xs border border-blue-400/50 dark:border-blue-500/50 text-blue-600 dark:text-blue-400 px-1 rounded text-[10px]" title="${_escapeHtml(alert.suppressedChildren.map(child => `${child.name}: ${child.message || child.ruleName}`).join('\n'))}">+${alert.suppressedChildren.length} held back</span>` : ''}
                         </div>
                         <div class="${ruleClass}" style="white-space: normal; overflow: visible;">
                             ${(() => {
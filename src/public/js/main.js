@@ -149,6 +149,7 @@ document.addEventListener('DOMContentLoaded', function() {
         PulseApp.ui.nodes?.updateNodeSummaryCards(nodesData);
         PulseApp.ui.dashboard?.updateDashboardTable();
         PulseApp.ui.storage?.updateStorageInfo();
+        PulseApp.ui.ceph?.updateCephInfo();
         
         // Restore the original function
         PulseApp.utils.preserveScrollPosition = originalPreserveScrollPosition;
@@ -238,6 +239,7 @@ document.addEventListener('DOMContentLoaded', function() {
         PulseApp.ui.nodes?.init?.();
         PulseApp.ui.dashboard?.init?.();
         PulseApp.ui.storage?.init?.();
+        PulseApp.ui.ceph?.init?.();
         PulseApp.ui.unifiedBackups?.init?.();
         PulseApp.ui.settings?.init?.();
         PulseApp.ui.thresholds?.init?.();
@@ -37,6 +37,9 @@ PulseApp.socketHandler = (() => {
         socket.on('configurationReloaded', handleConfigurationReloaded);
         socket.on('configurationError', handleConfigurationError);
 
+        // PVE task progress (snapshots, power actions)
+        socket.on('pveTaskUpdate', handlePveTaskUpdate);
+
         // Handle connection errors
         socket.on('connect_error', handleConnectError);
         socket.on('reconnect', handleReconnect);
@@ -137,6 +140,12 @@ PulseApp.socketHandler = (() => {
         }
     }
 
+    function handlePveTaskUpdate(task) {
+        if (PulseApp.ui?.dashboard?.handleTaskUpdate) {
+            PulseApp.ui.dashboard.handleTaskUpdate(task);
+        }
+    }
+
     function handleConnectError(error) {
         console.error('[Socket] Connection error:', error);
         updateConnectionStatus('error');
@@ -233,6 +242,11 @@ PulseApp.socketHandler = (() => {
                 case 'storage':
                     updateStorageTab(data);
                     break;
+                case 'ceph':
+                    if (PulseApp.ui && PulseApp.ui.ceph && data.ceph) {
+                        PulseApp.ui.ceph.updateCephInfo();
+                    }
+                    break;
                 case 'pbs':
                     updatePbsTab(data);
                     break;
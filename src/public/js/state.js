@@ -10,6 +10,7 @@ PulseApp.state = (() => {
         metricsData: [],
         dashboardData: [],
         pbsDataArray: [],
+        cephData: [], // Ceph cluster health per PVE cluster
         endpoints: [], // Add endpoint configurations
         pbsConfigs: [], // Add PBS configurations
         dashboardHistory: {},
@@ -178,6 +179,9 @@ PulseApp.state = (() => {
             if (newData.pbsConfigs) {
                 internalState.pbsConfigs = newData.pbsConfigs;
             }
+            if (newData.ceph) {
+                internalState.cephData = newData.ceph;
+            }
             
             // Only update enhanced monitoring data if provided
             if (newData.alerts) {
@@ -93,6 +93,12 @@ PulseApp.ui.tabs = (() => {
                 }
             }
 
+            if (tabId === 'ceph') {
+                if (PulseApp.ui && PulseApp.ui.ceph) {
+                    PulseApp.ui.ceph.updateCephInfo();
+                }
+            }
+
             
             if (tabId === 'unified') {
                 if (PulseApp.ui && PulseApp.ui.unifiedBackups) {
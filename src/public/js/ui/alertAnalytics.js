@@ -0,0 +1,176 @@
+PulseApp.ui = PulseApp.ui || {};
+
+PulseApp.ui.alertAnalytics = (() => {
+    const DAY = 24 * 60 * 60 * 1000;
+    let isInitialized = false;
+    let isLoading = false;
+
+    function _escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function init() {
+        if (isInitialized) return;
+        isInitialized = true;
+
+        const rangeSelect = document.getElementById('alert-analytics-range');
+        if (rangeSelect) {
+            rangeSelect.addEventListener('change', () => load());
+        }
+        const refreshButton = document.getElementById('alert-analytics-refresh');
+        if (refreshButton) {
+            refreshButton.addEventListener('click', () => load());
+        }
+    }
+
+    // Resolves the selected range option to { from, to } timestamps
+    function _getSelectedRange() {
+        const rangeSelect = document.getElementById('alert-analytics-range');
+        const value = rangeSelect ? rangeSelect.value : '30d';
+        const now = new Date();
+
+        if (value === 'this-month') {
+            return { from: new Date(now.getFullYear(), now.getMonth(), 1).getTime(), to: now.getTime() };
+        }
+        if (value === 'last-month') {
+            return {
+                from: new Date(now.getFullYear(), now.getMonth() - 1, 1).getTime(),
+                to: new Date(now.getFullYear(), now.getMonth(), 1).getTime() - 1
+            };
+        }
+        const days = parseInt(value) || 30;
+        return { from: now.getTime() - days * DAY, to: now.getTime() };
+    }
+
+    function _updateExportLinks(range) {
+        ['csv', 'json'].forEach(format => {
+            const link = document.getElementById(`alert-analytics-export-${format}`);
+            if (link) {
+                link.href = `/api/alerts/history?from=${range.from}&to=${range.to}&format=${format}`;
+            }
+        });
+    }
+
+    async function load() {
+        const content = document.getElementById('alert-analytics-content');
+        if (!content || isLoading) return;
+        init();
+
+        const range = _getSelectedRange();
+        _updateExportLinks(range);
+
+        isLoading = true;
+        try {
+            const bucket = range.to - range.from <= 2 * DAY ? 'hour' : 'day';
+            const analytics = await PulseApp.apiClient.get(`/api/alerts/analytics?from=${range.from}&to=${range.to}&bucket=${bucket}`);
+            content.innerHTML = _renderAnalytics(analytics);
+        } catch (error) {
+            console.error('[Alert Analytics] Failed to load alert analytics:', error);
+            content.innerHTML = '<p class="text-sm text-red-600 dark:text-red-400">Failed to load alert analytics.</p>';
+        } finally {
+            isLoading = false;
+        }
+    }
+
+    function _formatMs(ms) {
+        return ms === null || ms === undefined ? 'N/A' : PulseApp.utils.formatDuration(ms / 1000);
+    }
+
+    function _createStatHTML(label, value, title = '') {
+        return `
+            <div class="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded p-2"${title ? ` title="${_escapeHtml(title)}"` : ''}>
+                <div class="text-xs text-gray-500 dark:text-gray-400">${label}</div>
+                <div class="text-base font-semibold text-gray-900 dark:text-gray-100">${value}</div>
+            </div>
+        `;
+    }
+
+    function _renderTimeline(timeline, bucket) {
+        const max = Math.max(1, ...timeline.map(point => point.total));
+        const bars = timeline.map(point => {
+            const label = bucket === 'hour'
+                ? new Date(point.start).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+                : new Date(point.start).toLocaleDateString();
+            const criticalHeight = (point.critical / max) * 100;
+            const warningHeight = (point.warning / max) * 100;
+            return `
+                <div class="flex-1 min-w-[2px] h-full flex flex-col justify-end" title="${label}: ${point.total} alert${point.total === 1 ? '' : 's'} (${point.critical} critical)">
+                    <div class="bg-amber-400 dark:bg-amber-500" style="height: ${warningHeight}%"></div>
+                    <div class="bg-red-500 dark:bg-red-400" style="height: ${criticalHeight}%"></div>
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <div>
+                <div class="text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">Alerts per ${bucket}</div>
+                <div class="flex items-end gap-px h-20 border-b border-gray-300 dark:border-gray-600">${bars}</div>
+            </div>
+        `;
+    }
+
+    function _renderList(title, items, renderItem, emptyText) {
+        const rows = items.length > 0
+            ? items.map(item => `<li class="flex items-center justify-between gap-2 py-1">${renderItem(item)}</li>`).join('')
+            : `<li class="py-1 text-gray-500 dark:text-gray-400 italic">${emptyText}</li>`;
+        return `
+            <div>
+                <div class="text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">${title}</div>
+                <ul class="text-sm divide-y divide-gray-200 dark:divide-gray-700">${rows}</ul>
+            </div>
+        `;
+    }
+
+    function _guestLabel(guest) {
+        const details = [guest.vmid, guest.node].filter(value => value !== null && value !== undefined && value !== '').join(' on ');
+        return `<span class="truncate text-gray-700 dark:text-gray-300">${_escapeHtml(guest.name)}${details ? ` <span class="text-xs text-gray-500 dark:text-gray-400">(${_escapeHtml(details)})</span>` : ''}</span>`;
+    }
+
+    function _renderAnalytics(analytics) {
+        const { summary, range } = analytics;
+        if (summary.total === 0) {
+            return `<p class="text-sm text-gray-500 dark:text-gray-400">No alerts in this period. History is kept for ${analytics.retentionDays} days.</p>`;
+        }
+
+        const countBadge = (count) => `<span class="whitespace-nowrap text-xs text-gray-600 dark:text-gray-400">${count}</span>`;
+
+        return `
+            <div class="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-6 gap-2">
+                ${_createStatHTML('Alerts', summary.total)}
+                ${_createStatHTML('Critical', summary.critical)}
+                ${_createStatHTML('MTTA', _formatMs(summary.mtta.mean), `Mean time to acknowledge over ${summary.mtta.count} acknowledged alerts (median ${_formatMs(summary.mtta.median)})`)}
+                ${_createStatHTML('MTTR', _formatMs(summary.mttr.mean), `Mean time to resolve over ${summary.mttr.count} resolved alerts (median ${_formatMs(summary.mttr.median)})`)}
+                ${_createStatHTML('Flapping', summary.flapping)}
+                ${_createStatHTML('Unresolved', summary.unresolved)}
+            </div>
+            <div class="mt-3">${_renderTimeline(analytics.timeline, range.bucket)}</div>
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-4 mt-3">
+                ${_renderList('Noisiest rules', analytics.noisiestRules, rule => `
+                    <span class="truncate text-gray-700 dark:text-gray-300">${_escapeHtml(rule.ruleName)}</span>
+                    <span class="whitespace-nowrap text-xs text-gray-600 dark:text-gray-400" title="Mean time to resolve">${rule.total} · MTTR ${_formatMs(rule.mttrMs)}</span>
+                `, 'No alerts')}
+                ${_renderList('Top flapping guests', analytics.topFlappingGuests, guest => `
+                    ${_guestLabel(guest)}
+                    ${countBadge(`${guest.flapping} flapping / ${guest.total}`)}
+                `, 'No flapping alerts')}
+                ${_renderList('Alerts per guest', analytics.byGuest.slice(0, 10), guest => `
+                    ${_guestLabel(guest)}
+                    ${countBadge(guest.total)}
+                `, 'No alerts')}
+                ${_renderList('Alerts per node', analytics.byNode.slice(0, 10), node => `
+                    <span class="truncate text-gray-700 dark:text-gray-300">${_escapeHtml(node.node)}</span>
+                    ${countBadge(node.total)}
+                `, 'No alerts')}
+            </div>
+        `;
+    }
+
+    return {
+        init,
+        load
+    };
+})();
@@ -13,6 +13,11 @@ PulseApp.ui.alerts = (() => {
     let alertLogic = 'or'; // Fixed to OR logic (dropdown removed)
     let alertDuration = 0; // Track alert duration in milliseconds (default instant for testing)
     let autoResolve = true; // Track whether alerts should auto-resolve
+    let clearThresholds = {}; // Per-metric clear thresholds (set through the API, kept on save)
+    let flappingSettings = {}; // Flapping overrides of the threshold rule
+    let flappingDefaults = { enabled: true }; // Server defaults used when the rule has no override
+    let forecastDefaults = { enabled: true, days: 7 }; // Server defaults for time-to-full forecast alerts
+    let storageHealthDefaults = { zfsEnabled: true, smartEnabled: true, wearoutThreshold: 10 }; // Server defaults for ZFS, SMART and SSD wearout alerts
     let isSyncingSliders = false; // Track if sliders are being synchronized
     let syncTimeout = null; // Timeout for clearing sync flag
     let pendingUpdatePromise = null; // Track pending row updates
@@ -386,6 +391,13 @@ PulseApp.ui.alerts = (() => {
             'alert-duration-select',
             'io-sustained-period-select',
             'alert-auto-resolve-toggle',
+            'alert-clear-margin-select',
+            'alert-clear-duration-select',
+            'alert-forecast-days-select',
+            'alert-wearout-threshold-select',
+            'alert-zfs-toggle',
+            'alert-smart-toggle',
+            'alert-flapping-toggle',
             'save-alert-config'
         ];
         
@@ -482,7 +494,10 @@ PulseApp.ui.alerts = (() => {
             
             // Update notification status when showing alerts mode
             updateNotificationStatus();
-            
+
+            // Refresh alert history analytics
+            PulseApp.ui.alertAnalytics?.load();
+
             // Update save message
             updateAlertSaveMessage(true);
             
@@ -1946,6 +1961,20 @@ PulseApp.ui.alerts = (() => {
         const ioSustainedPeriodSelect = document.getElementById('io-sustained-period-select');
         const ioSustainedPeriod = ioSustainedPeriodSelect ? parseInt(ioSustainedPeriodSelect.value) : 30000;
         
+        // Empty margin keeps the server default (20% band for I/O metrics only)
+        const clearMarginSelect = document.getElementById('alert-clear-margin-select');
+        const clearMargin = clearMarginSelect && clearMarginSelect.value !== '' ? parseInt(clearMarginSelect.value) : null;
+        const clearDurationSelect = document.getElementById('alert-clear-duration-select');
+        const clearDuration = clearDurationSelect ? parseInt(clearDurationSelect.value) : 0;
+        const flappingToggle = document.getElementById('alert-flapping-toggle');
+        // Empty keeps the server default forecast horizon, 0 turns forecast alerts off
+        const forecastDaysSelect = document.getElementById('alert-forecast-days-select');
+        const forecastDays = forecastDaysSelect && forecastDaysSelect.value !== '' ? parseInt(forecastDaysSelect.value) : null;
+        // Empty keeps the server default wearout threshold, 0 turns wearout alerts off
+        const wearoutThresholdSelect = document.getElementById('alert-wearout-threshold-select');
+        const zfsToggle = document.getElementById('alert-zfs-toggle');
+        const smartToggle = document.getElementById('alert-smart-toggle');
+        
         const alertConfig = {
             type: 'per_guest_thresholds',
             globalThresholds: cleanGlobalThresholds,
@@ -1956,6 +1985,19 @@ PulseApp.ui.alerts = (() => {
             duration: alertDuration,
             ioSustainedPeriod: ioSustainedPeriod,
             autoResolve: autoResolve,
+            clearThresholds: clearThresholds,
+            clearMargin: clearMargin,
+            clearDuration: clearDuration,
+            flapping: {
+                ...flappingSettings,
+                enabled: flappingToggle ? flappingToggle.checked : flappingDefaults.enabled !== false
+            },
+            forecastDays: forecastDays,
+            storageHealth: {
+                zfsEnabled: zfsToggle ? zfsToggle.checked : storageHealthDefaults.zfsEnabled,
+                smartEnabled: smartToggle ? smartToggle.checked : storageHealthDefaults.smartEnabled,
+                wearoutThreshold: wearoutThresholdSelect && wearoutThresholdSelect.value !== '' ? parseInt(wearoutThresholdSelect.value) : null
+            },
             notifications: {
                 dashboard: true,
                 email: emailToggle ? emailToggle.checked : false,
@@ -2189,6 +2231,48 @@ PulseApp.ui.alerts = (() => {
                     }
                 }
                 
+                // Load hysteresis and flapping settings
+                clearThresholds = config.clearThresholds || {};
+                const clearMarginSelect = document.getElementById('alert-clear-margin-select');
+                if (clearMarginSelect) {
+                    clearMarginSelect.value = config.clearMargin !== undefined && config.clearMargin !== null ? config.clearMargin.toString() : '';
+                }
+                const clearDurationSelect = document.getElementById('alert-clear-duration-select');
+                if (clearDurationSelect) {
+                    clearDurationSelect.value = (config.clearDuration || 0).toString();
+                }
+                flappingSettings = config.flapping || {};
+                flappingDefaults = config.flappingDefaults || flappingDefaults;
+                const flappingToggle = document.getElementById('alert-flapping-toggle');
+                if (flappingToggle) {
+                    flappingToggle.checked = (flappingSettings.enabled ?? flappingDefaults.enabled) !== false;
+                }
+                forecastDefaults = config.forecastDefaults || forecastDefaults;
+                const forecastDaysSelect = document.getElementById('alert-forecast-days-select');
+                if (forecastDaysSelect) {
+                    forecastDaysSelect.options[0].textContent = forecastDefaults.enabled
+                        ? `Default (${forecastDefaults.days} days)`
+                        : 'Default (off)';
+                    forecastDaysSelect.value = config.forecastDays !== undefined && config.forecastDays !== null ? config.forecastDays.toString() : '';
+                }
+                storageHealthDefaults = config.storageHealthDefaults || storageHealthDefaults;
+                const storageHealth = config.storageHealth || {};
+                const wearoutThresholdSelect = document.getElementById('alert-wearout-threshold-select');
+                if (wearoutThresholdSelect) {
+                    wearoutThresholdSelect.options[0].textContent = storageHealthDefaults.wearoutThreshold > 0
+                        ? `Default (below ${storageHealthDefaults.wearoutThreshold}%)`
+                        : 'Default (off)';
+                    wearoutThresholdSelect.value = storageHealth.wearoutThreshold !== undefined && storageHealth.wearoutThreshold !== null ? storageHealth.wearoutThreshold.toString() : '';
+                }
+                const zfsToggle = document.getElementById('alert-zfs-toggle');
+                if (zfsToggle) {
+                    zfsToggle.checked = (storageHealth.zfsEnabled ?? storageHealthDefaults.zfsEnabled) !== false;
+                }
+                const smartToggle = document.getElementById('alert-smart-toggle');
+                if (smartToggle) {
+                    smartToggle.checked = (storageHealth.smartEnabled ?? storageHealthDefaults.smartEnabled) !== false;
+                }
+                
                 // Cooldown settings are now hardcoded - no UI elements to update
                 
                 // Load state monitoring settings
@@ -11,6 +11,7 @@ let unified = {
     activeInstanceIndex: 0,
     sortKey: 'backupTime',
     sortDirection: 'desc',
+    compliance: new Map(), // vmid -> { status, violations }
     mounted: false
 };
 
@@ -344,7 +345,7 @@ function renderUnifiedTable(skipTransition = false) {
                 <tr class="border-t border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700">
                     <td class="sticky left-0 z-10 p-1 px-2 w-[150px] max-w-[150px] truncate" title="${escapeHtml(item.name)}">${escapeHtml(item.name) || '-'}</td>
                     <td class="p-1 px-2 whitespace-nowrap">${typeIcon}</td>
-                    <td class="p-1 px-2 whitespace-nowrap font-medium">${item.vmid}</td>
+                    <td class="p-1 px-2 whitespace-nowrap font-medium">${item.vmid}${getComplianceBadge(item.vmid)}</td>
                     <td class="p-1 px-2 whitespace-nowrap cursor-pointer hover:text-blue-600 dark:hover:text-blue-400" onclick="handleNodeClick('${item.node}')">${item.node}</td>
                     <td class="p-1 px-2 whitespace-nowrap text-xs ${ageColor}" title="${getTimestampDisplay() === 'relative' ? formatFullTime(item.backupTime) : formatTime(item.backupTime)}">${getTimestampDisplay() === 'relative' ? formatTime(item.backupTime) : formatFullTime(item.backupTime)}</td>
                     <td class="p-1 px-2 whitespace-nowrap ${getSizeColor(item.size)}">${item.size ? formatBytes(item.size) : '-'}</td>
@@ -382,6 +383,33 @@ function getStatusIcon(item) {
     return '<span class="text-gray-400 dark:text-gray-500" title="Verification only available for PBS backups">-</span>';
 }
 
+function getComplianceBadge(vmid) {
+    const compliance = unified.compliance.get(String(vmid));
+    if (!compliance) return '';
+
+    if (compliance.status === 'compliant') {
+        return ' <span class="inline-flex items-center px-1 rounded text-[10px] font-medium bg-green-100 text-green-700 dark:bg-green-900/50 dark:text-green-300" title="Meets its backup policies">compliant</span>';
+    }
+    const title = escapeHtml(compliance.violations.join('\n')).replace(/"/g, '&quot;');
+    return ` <span class="inline-flex items-center px-1 rounded text-[10px] font-medium bg-red-100 text-red-700 dark:bg-red-900/50 dark:text-red-300" title="${title}">violating</span>`;
+}
+
+function updateComplianceMap(report) {
+    unified.compliance = new Map();
+    if (!report || !Array.isArray(report.guests)) return;
+
+    // Table rows only carry the VMID, so guests sharing a VMID across endpoints are merged
+    report.guests.forEach(guest => {
+        const key = String(guest.vmid);
+        const existing = unified.compliance.get(key) || { status: 'compliant', violations: [] };
+        guest.policies.forEach(policy => {
+            policy.violations.forEach(violation => existing.violations.push(`${policy.name}: ${violation.message}`));
+        });
+        if (guest.status === 'violating') existing.status = 'violating';
+        unified.compliance.set(key, existing);
+    });
+}
+
 function getBackupTypeIcon(type) {
     const badges = {
         snapshot: '<span class="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-yellow-100 text-yellow-700 dark:bg-yellow-900/20 dark:text-yellow-300" title="Point-in-time snapshot stored on the VM\'s host">Snapshot</span>',
@@ -738,12 +766,16 @@ function resetFilters() {
 async function fetchAllBackupData() {
     try {
         // Fetch all three types of backup data in parallel
-        const [snapshotsRes, localBackupsRes, pbsBackupsRes] = await Promise.all([
+        const [snapshotsRes, localBackupsRes, pbsBackupsRes, complianceRes] = await Promise.all([
             fetch('/api/snapshots').then(r => r.json()),
             fetch('/api/backups/pve').then(r => r.json()),
-            fetch('/api/backups/pbs').then(r => r.json())
+            fetch('/api/backups/pbs').then(r => r.json()),
+            // Compliance badges are optional, don't fail the whole view without them
+            fetch('/api/backups/compliance').then(r => r.ok ? r.json() : null).catch(() => null)
         ]);
         
+        updateComplianceMap(complianceRes);
+        
         // Update snapshots
         unified.snapshots = snapshotsRes.snapshots || [];
         
@@ -795,6 +827,111 @@ function updateUnifiedBackups() {
     applyFilters();
     renderUnifiedTable();
     updateBackupFrequencyChart();
+    renderPbsJobStatus();
+}
+
+const PBS_JOB_KIND_LABELS = { sync: 'Sync', prune: 'Prune', gc: 'GC' };
+
+function getPbsJobStatusBadge(job) {
+    const styles = {
+        ok: 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400',
+        warning: 'bg-yellow-100 text-yellow-700 dark:bg-yellow-900/30 dark:text-yellow-400',
+        failed: 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400',
+        running: 'bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-400'
+    };
+    const labels = { ok: 'OK', warning: 'Warnings', failed: 'Failed', running: 'Running', 'never-run': 'Never run', disabled: 'Disabled' };
+    const style = styles[job.status] || 'bg-gray-100 text-gray-600 dark:bg-gray-700 dark:text-gray-400';
+    const title = job.lastRunState ? ` title="${escapeHtml(job.lastRunState).replace(/"/g, '&quot;')}"` : '';
+    return `<span class="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${style}"${title}>${labels[job.status] || job.status}</span>`;
+}
+
+function getPbsJobDetails(job) {
+    const details = [];
+    if (job.kind === 'sync' && job.remote) {
+        details.push(`from ${escapeHtml(job.remote)}:${escapeHtml(job.remoteStore || '')}`);
+    }
+    if (job.kind === 'gc') {
+        if (job.removedBytes !== null && job.removedBytes !== undefined) details.push(`${formatBytes(job.removedBytes)} removed`);
+        if (job.pendingBytes) details.push(`${formatBytes(job.pendingBytes)} pending`);
+    }
+    if (job.status === 'failed' || job.status === 'warning') {
+        const reason = job.failureCategory || job.lastRunState;
+        details.push(`<span class="text-red-600 dark:text-red-400" title="${escapeHtml(job.lastRunState || '').replace(/"/g, '&quot;')}">${escapeHtml(reason)}</span>`);
+    }
+    return details.join(' • ') || '-';
+}
+
+function renderPbsJobStatus() {
+    const container = document.getElementById('pbs-job-status-container');
+    if (!container) return;
+
+    const pbsInstances = PulseApp.state.get('pbsDataArray') || [];
+    const rows = [];
+    pbsInstances.forEach(instance => {
+        const monitoring = instance.jobMonitoring;
+        if (!monitoring) return;
+        [...(monitoring.syncJobs || []), ...(monitoring.pruneJobs || []), ...(monitoring.gcJobs || [])].forEach(job => {
+            rows.push({ instanceName: instance.pbsInstanceName, job });
+        });
+    });
+
+    if (rows.length === 0) {
+        container.classList.add('hidden');
+        container.innerHTML = '';
+        return;
+    }
+
+    // Failed jobs first, then by instance and job type
+    const statusOrder = { failed: 0, warning: 1, running: 2, 'never-run': 3, ok: 4, disabled: 5 };
+    rows.sort((a, b) => (statusOrder[a.job.status] ?? 9) - (statusOrder[b.job.status] ?? 9)
+        || a.instanceName.localeCompare(b.instanceName)
+        || a.job.kind.localeCompare(b.job.kind));
+
+    const failedCount = rows.filter(row => row.job.status === 'failed').length;
+    const summaryClass = failedCount > 0 ? 'text-red-600 dark:text-red-400' : 'text-green-600 dark:text-green-400';
+    const summaryText = failedCount > 0 ? `${failedCount} failed` : 'All jobs healthy';
+
+    const tableRows = rows.map(({ instanceName, job }) => `
+        <tr class="hover:bg-gray-50 dark:hover:bg-gray-700/50">
+            <td class="p-1 px-2 text-gray-700 dark:text-gray-300">${escapeHtml(instanceName)}</td>
+            <td class="p-1 px-2 text-gray-700 dark:text-gray-300">${PBS_JOB_KIND_LABELS[job.kind] || job.kind}</td>
+            <td class="p-1 px-2 font-medium text-gray-900 dark:text-gray-100">${escapeHtml(job.kind === 'gc' ? '-' : job.id)}</td>
+            <td class="p-1 px-2 text-gray-700 dark:text-gray-300">${escapeHtml(job.store || '-')}${job.namespace ? `/${escapeHtml(job.namespace)}` : ''}</td>
+            <td class="p-1 px-2">${getPbsJobStatusBadge(job)}</td>
+            <td class="p-1 px-2 text-gray-600 dark:text-gray-400 whitespace-nowrap">${job.lastRunEndtime || job.lastRunStarttime ? PulseApp.utils.formatPbsTimestampRelative(job.lastRunEndtime || job.lastRunStarttime) : '-'}</td>
+            <td class="p-1 px-2 text-gray-600 dark:text-gray-400 whitespace-nowrap">${job.duration !== null && job.duration !== undefined ? PulseApp.utils.formatDuration(job.duration) : '-'}</td>
+            <td class="p-1 px-2 text-gray-600 dark:text-gray-400 whitespace-nowrap">${job.nextRun ? PulseApp.utils.formatPbsTimestamp(job.nextRun) : '-'}</td>
+            <td class="p-1 px-2 text-gray-600 dark:text-gray-400">${getPbsJobDetails(job)}</td>
+        </tr>
+    `).join('');
+
+    container.innerHTML = `
+        <div class="p-4 bg-gray-50 dark:bg-gray-700/50 border border-gray-200 dark:border-gray-700 rounded">
+            <div class="flex justify-between items-center mb-3">
+                <h3 class="text-sm font-medium text-gray-700 dark:text-gray-300">PBS Sync, Prune &amp; GC Jobs</h3>
+                <span class="text-xs font-medium ${summaryClass}">${summaryText}</span>
+            </div>
+            <div class="overflow-x-auto">
+                <table class="w-full text-xs border-collapse">
+                    <thead>
+                        <tr class="text-left text-[10px] font-semibold text-gray-600 dark:text-gray-300 uppercase tracking-wider border-b border-gray-300 dark:border-gray-600">
+                            <th class="p-1 px-2">Server</th>
+                            <th class="p-1 px-2">Type</th>
+                            <th class="p-1 px-2">Job</th>
+                            <th class="p-1 px-2">Datastore</th>
+                            <th class="p-1 px-2">Status</th>
+                            <th class="p-1 px-2">Last Run</th>
+                            <th class="p-1 px-2">Duration</th>
+                            <th class="p-1 px-2">Next Run</th>
+                            <th class="p-1 px-2">Details</th>
+                        </tr>
+                    </thead>
+                    <tbody class="divide-y divide-gray-200 dark:divide-gray-600">${tableRows}</tbody>
+                </table>
+            </div>
+        </div>
+    `;
+    container.classList.remove('hidden');
 }
 
 async function updateUnifiedBackupsInfo() {
@@ -0,0 +1,214 @@
+PulseApp.ui = PulseApp.ui || {};
+
+PulseApp.ui.ceph = (() => {
+    let lastRenderHash = null;
+
+    const HEALTH_STYLES = {
+        HEALTH_OK: { label: 'HEALTH_OK', badge: 'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-400', dot: 'bg-green-500' },
+        HEALTH_WARN: { label: 'HEALTH_WARN', badge: 'bg-yellow-100 dark:bg-yellow-900/30 text-yellow-700 dark:text-yellow-400', dot: 'bg-yellow-500' },
+        HEALTH_ERR: { label: 'HEALTH_ERR', badge: 'bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-400', dot: 'bg-red-500' }
+    };
+    const UNKNOWN_HEALTH_STYLE = { label: 'UNKNOWN', badge: 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-400', dot: 'bg-gray-400' };
+
+    function _escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function _getHealthStyle(status) {
+        return HEALTH_STYLES[status] || { ...UNKNOWN_HEALTH_STYLE, label: status || UNKNOWN_HEALTH_STYLE.label };
+    }
+
+    function _createHealthBadgeHTML(status) {
+        const style = _getHealthStyle(status);
+        return `<span class="px-2 py-0.5 text-xs font-medium rounded-full ${style.badge}">${_escapeHtml(style.label)}</span>`;
+    }
+
+    function _createStatHTML(label, value, isProblem = false) {
+        const valueClass = isProblem ? 'text-red-600 dark:text-red-400' : 'text-gray-900 dark:text-gray-100';
+        return `
+            <div>
+                <div class="text-gray-500 dark:text-gray-400">${label}</div>
+                <div class="font-medium ${valueClass}">${value}</div>
+            </div>
+        `;
+    }
+
+    function _createUsageBarHTML(used, total) {
+        if (!total) {
+            return '<span class="text-xs text-gray-400 dark:text-gray-500">-</span>';
+        }
+        const percent = (used / total) * 100;
+        const color = PulseApp.utils.getUsageColor(percent, 'disk');
+        const text = `${percent.toFixed(0)}% (${PulseApp.utils.formatBytes(used)} / ${PulseApp.utils.formatBytes(total)})`;
+        return PulseApp.utils.createProgressTextBarHTML(percent, text, color);
+    }
+
+    function _createChecksHTML(checks) {
+        if (!checks || checks.length === 0) {
+            return '';
+        }
+
+        const items = checks.map(check => {
+            const style = _getHealthStyle(check.severity);
+            return `
+                <li class="flex items-start gap-2 ${check.muted ? 'opacity-60' : ''}">
+                    <span class="mt-1 w-2 h-2 rounded-full flex-shrink-0 ${style.dot}"></span>
+                    <span>
+                        <span class="font-medium text-gray-700 dark:text-gray-300">${_escapeHtml(check.name)}</span>
+                        <span class="text-gray-600 dark:text-gray-400">${_escapeHtml(check.message)}</span>
+                        ${check.muted ? '<span class="text-[10px] border border-gray-300 dark:border-gray-500 text-gray-500 dark:text-gray-400 px-1 rounded">muted</span>' : ''}
+                    </span>
+                </li>
+            `;
+        }).join('');
+
+        return `
+            <div class="mt-3">
+                <h4 class="text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Health Checks</h4>
+                <ul class="space-y-1 text-xs">${items}</ul>
+            </div>
+        `;
+    }
+
+    function _createPgStatesHTML(pgs) {
+        const degradedStates = (pgs.states || []).filter(entry => entry.state !== 'active+clean');
+        if (degradedStates.length === 0) {
+            return '';
+        }
+
+        const items = degradedStates.map(entry => `
+            <span class="px-2 py-0.5 rounded bg-yellow-100 dark:bg-yellow-900/30 text-yellow-700 dark:text-yellow-400">
+                ${entry.count} ${_escapeHtml(entry.state)}
+            </span>
+        `).join('');
+
+        return `
+            <div class="mt-3">
+                <h4 class="text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Placement Groups Not active+clean</h4>
+                <div class="flex flex-wrap gap-1 text-xs">${items}</div>
+            </div>
+        `;
+    }
+
+    function _createPoolsTableHTML(pools) {
+        if (!pools || pools.length === 0) {
+            return '';
+        }
+
+        const rows = pools.map(pool => `
+            <tr class="hover:bg-gray-50 dark:hover:bg-gray-700/50">
+                <td class="p-1 px-2 font-medium text-gray-900 dark:text-gray-100">${_escapeHtml(pool.name)}</td>
+                <td class="p-1 px-2 text-gray-600 dark:text-gray-400">${pool.size ?? '-'} / ${pool.minSize ?? '-'}</td>
+                <td class="p-1 px-2 text-gray-600 dark:text-gray-400">${pool.pgNum ?? '-'}</td>
+                <td class="p-1 px-2 text-gray-600 dark:text-gray-400">${_escapeHtml(pool.crushRule || '-')}</td>
+                <td class="p-1 px-2 min-w-[200px]">${_createUsageBarHTML(pool.used, pool.total)}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <div class="mt-3 table-container overflow-x-auto border border-gray-200 dark:border-gray-700 rounded scrollbar">
+                <table class="w-full text-xs border-collapse">
+                    <thead class="bg-gray-100 dark:bg-gray-800">
+                        <tr class="text-left text-[10px] font-semibold text-gray-600 dark:text-gray-300 uppercase tracking-wider border-b border-gray-300 dark:border-gray-600">
+                            <th class="p-1 px-2">Pool</th>
+                            <th class="p-1 px-2">Size / Min</th>
+                            <th class="p-1 px-2">PGs</th>
+                            <th class="p-1 px-2">CRUSH Rule</th>
+                            <th class="p-1 px-2">Usage</th>
+                        </tr>
+                    </thead>
+                    <tbody class="divide-y divide-gray-200 dark:divide-gray-600">${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    function _createClusterCardHTML(cluster) {
+        const osds = cluster.osds || {};
+        const pgs = cluster.pgs || {};
+        const monitors = cluster.monitors || {};
+        const usage = cluster.usage || {};
+        const outOfQuorum = monitors.outOfQuorum || [];
+
+        const monitorValue = `${monitors.inQuorum || 0} / ${monitors.total || 0} in quorum`
+            + (outOfQuorum.length > 0 ? ` <span class="text-red-600 dark:text-red-400">(${_escapeHtml(outOfQuorum.join(', '))} down)</span>` : '');
+
+        return `
+            <div class="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-4 mb-4">
+                <div class="flex flex-wrap items-center justify-between gap-2 mb-3">
+                    <div class="flex items-center gap-2">
+                        <h3 class="text-sm font-medium text-gray-700 dark:text-gray-300">${_escapeHtml(cluster.clusterName)}</h3>
+                        ${_createHealthBadgeHTML(cluster.health?.status)}
+                    </div>
+                    ${cluster.fsid ? `<span class="text-[10px] text-gray-400 dark:text-gray-500 font-mono">${_escapeHtml(cluster.fsid)}</span>` : ''}
+                </div>
+                <div class="grid grid-cols-2 sm:grid-cols-4 gap-3 text-xs">
+                    ${_createStatHTML('OSDs', `${osds.up || 0} up / ${osds.in || 0} in / ${osds.total || 0}`, osds.up < osds.total || osds.in < osds.total)}
+                    ${_createStatHTML('Placement Groups', `${pgs.activeClean || 0} / ${pgs.total || 0} active+clean`, pgs.activeClean < pgs.total)}
+                    ${_createStatHTML('Monitors', monitorValue, outOfQuorum.length > 0)}
+                    <div>
+                        <div class="text-gray-500 dark:text-gray-400 mb-1">Raw Usage</div>
+                        ${_createUsageBarHTML(usage.used, usage.total)}
+                    </div>
+                </div>
+                ${_createChecksHTML(cluster.health?.checks)}
+                ${_createPgStatesHTML(pgs)}
+                ${_createPoolsTableHTML(cluster.pools)}
+            </div>
+        `;
+    }
+
+    function _updateTabIndicator(clusters) {
+        const tab = document.querySelector('.tab[data-tab="ceph"]');
+        if (!tab) return;
+
+        tab.classList.toggle('hidden', clusters.length === 0);
+
+        const indicator = document.getElementById('ceph-tab-health');
+        if (!indicator) return;
+
+        const worst = clusters.some(cluster => cluster.health?.status === 'HEALTH_ERR') ? 'HEALTH_ERR'
+            : clusters.some(cluster => cluster.health?.status === 'HEALTH_WARN') ? 'HEALTH_WARN'
+            : null;
+        Object.values(HEALTH_STYLES).forEach(style => indicator.classList.remove(style.dot));
+        indicator.classList.toggle('hidden', !worst);
+        if (worst) {
+            indicator.classList.add(HEALTH_STYLES[worst].dot);
+        }
+    }
+
+    function updateCephInfo() {
+        const clusters = PulseApp.state.get('cephData') || [];
+        _updateTabIndicator(clusters);
+
+        const container = document.getElementById('ceph-content');
+        if (!container) return;
+
+        // Skip re-rendering when nothing changed (ignoring the fetch timestamp)
+        const renderHash = JSON.stringify(clusters.map(({ lastUpdated, ...cluster }) => cluster));
+        if (renderHash === lastRenderHash) return;
+        lastRenderHash = renderHash;
+
+        if (clusters.length === 0) {
+            container.innerHTML = '<p class="text-gray-500 dark:text-gray-400 p-4 text-center">No Ceph clusters detected.</p>';
+            return;
+        }
+
+        PulseApp.utils.preserveScrollPosition(container, () => {
+            container.innerHTML = clusters.map(_createClusterCardHTML).join('');
+        });
+    }
+
+    function init() {
+        updateCephInfo();
+    }
+
+    return {
+        init,
+        updateCephInfo
+    };
+})();
@@ -31,6 +31,21 @@ PulseApp.ui.dashboard = (() => {
     let virtualScroller = null;
     const VIRTUAL_SCROLL_THRESHOLD = 100; // Use virtual scrolling for >100 items
 
+    // Power actions and the security level the server requires for each
+    const POWER_ACTIONS = {
+        start: { label: 'Start', level: 'write', requiresRunning: false },
+        shutdown: { label: 'Shutdown', level: 'write', requiresRunning: true },
+        reboot: { label: 'Reboot', level: 'write', requiresRunning: true },
+        stop: { label: 'Force stop', level: 'critical', requiresRunning: true }
+    };
+    const ROLE_LEVELS = {
+        viewer: [],
+        operator: ['write'],
+        admin: ['write', 'critical']
+    };
+    let currentUserRole = null; // null when running without authentication
+    const pendingPowerTasks = new Map();
+
     function _createAlertSliderHtml(guestId, metricType, config) {
         return PulseApp.utils.createAlertSliderHtml(guestId, 'guest', metricType, config);
     }
@@ -295,6 +310,8 @@ PulseApp.ui.dashboard = (() => {
         
         // Initialize fixed table line
         _initTableFixedLine();
+
+        _loadCurrentUser();
         
         // Resize listener for progress bar text updates - DISABLED
 
@@ -496,7 +513,11 @@ PulseApp.ui.dashboard = (() => {
             diskread: avgDiskReadRate,
             diskwrite: avgDiskWriteRate,
             netin: avgNetInRate,
-            netout: avgNetOutRate
+            netout: avgNetOutRate,
+            endpointId: guest.endpointId,
+            nodeName: guest.node, // Raw node name for API calls
+            ha: guest.ha || null,
+            replication: guest.replication || null
         };
         
         return returnObj;
@@ -928,6 +949,8 @@ PulseApp.ui.dashboard = (() => {
             // Update name (cell 0) with full HTML structure including indicators
             const thresholdIndicator = createThresholdIndicator(guest);
             const alertIndicator = createAlertIndicator(guest);
+            const haIndicator = createHaIndicator(guest);
+            const replicationIndicator = createReplicationIndicator(guest);
             const hasSecureBackup = hasRecentBackup(guest.vmid);
             const secureBackupIndicator = hasSecureBackup
                 ? `<span style="color: #10b981; margin-right: 6px;" title="Backup detected within the last 24 hours">
@@ -940,8 +963,11 @@ PulseApp.ui.dashboard = (() => {
                 <div class="flex items-center gap-1">
                     ${secureBackupIndicator}
                     <span>${guest.name}</span>
+                    ${haIndicator}
+                    ${replicationIndicator}
                     ${alertIndicator}
                     ${thresholdIndicator}
+                    ${_createPowerActionsHtml(guest)}
                 </div>
             `;
             // Always update to ensure secure backup indicator is shown
@@ -1727,6 +1753,55 @@ PulseApp.ui.dashboard = (() => {
         return '';
     }
 
+    function createHaIndicator(guest) {
+        const ha = guest.ha;
+        if (!ha || !ha.managed) {
+            return '';
+        }
+
+        let colorClass = 'bg-gray-400';
+        if (ha.state === 'started') {
+            colorClass = 'bg-green-500';
+        } else if (ha.state === 'error' || ha.state === 'fence') {
+            colorClass = 'bg-red-500';
+        } else if (['migrate', 'relocate', 'recovery', 'freeze'].includes(ha.state)) {
+            colorClass = 'bg-yellow-500';
+        }
+
+        const details = [`HA: ${ha.state || 'unknown'}`];
+        if (ha.requestedState && ha.requestedState !== ha.state) details.push(`requested ${ha.requestedState}`);
+        if (ha.group) details.push(`group ${ha.group}`);
+
+        return `
+            <span class="inline-flex items-center px-1 h-3 text-[9px] leading-none font-bold text-white ${colorClass} rounded" 
+                  title="${details.join(', ')}">
+                HA
+            </span>
+        `;
+    }
+
+    function createReplicationIndicator(guest) {
+        const jobs = (guest.replication || []).filter(job => !job.disabled);
+        if (jobs.length === 0) {
+            return '';
+        }
+
+        const failing = jobs.some(job => job.failCount > 0);
+        const lines = jobs.map(job => {
+            const lastSync = job.lastSync ? PulseApp.utils.formatPbsTimestampRelative(job.lastSync / 1000) : 'never';
+            const failures = job.failCount > 0 ? `, ${job.failCount} failed${job.error ? `: ${job.error}` : ''}` : '';
+            return `${job.id} to ${job.target}: last sync ${lastSync}${failures}`;
+        });
+        const title = lines.join('\n').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+
+        return `
+            <span class="inline-flex items-center justify-center w-3 h-3 text-xs font-bold text-white ${failing ? 'bg-red-500' : 'bg-indigo-500'} rounded-full" 
+                  title="${title}">
+                R
+            </span>
+        `;
+    }
+
     function createAlertIndicator(guest) {
         // Get active alerts for this guest
         const activeAlerts = PulseApp.alerts?.getActiveAlertsForGuest?.(guest.endpointId, guest.node, guest.id) || [];
@@ -1794,6 +1869,8 @@ PulseApp.ui.dashboard = (() => {
         // Check if guest has custom thresholds and alerts
         const thresholdIndicator = createThresholdIndicator(guest);
         const alertIndicator = createAlertIndicator(guest);
+        const haIndicator = createHaIndicator(guest);
+        const replicationIndicator = createReplicationIndicator(guest);
 
         const cpuBarHTML = _createCpuBarHtml(guest);
         const memoryBarHTML = _createMemoryBarHtml(guest);
@@ -1892,8 +1969,11 @@ PulseApp.ui.dashboard = (() => {
             <div class="flex items-center gap-1">
                 ${secureBackupIndicator}
                 <span>${guest.name}</span>
+                ${haIndicator}
+                ${replicationIndicator}
                 ${alertIndicator}
                 ${thresholdIndicator}
+                ${_createPowerActionsHtml(guest)}
             </div>
         `;
         // Create sticky name cell
@@ -1923,6 +2003,134 @@ PulseApp.ui.dashboard = (() => {
         return row;
     }
 
+    async function _loadCurrentUser() {
+        try {
+            const response = await fetch('/api/auth/me');
+            if (!response.ok) return;
+            const data = await response.json();
+            currentUserRole = data.authenticated && data.user?.role ? data.user.role : null;
+        } catch (error) {
+            // Without user info the buttons stay visible; the server still enforces permissions
+            logger.warn('Failed to load current user for power actions:', error);
+        }
+    }
+
+    function _canPerformLevel(level) {
+        if (!currentUserRole) return true;
+        return (ROLE_LEVELS[currentUserRole] || []).includes(level);
+    }
+
+    function _getAvailablePowerActions(guest) {
+        const isRunning = guest.status === STATUS_RUNNING;
+        return Object.entries(POWER_ACTIONS)
+            .filter(([, action]) => action.requiresRunning === isRunning && _canPerformLevel(action.level))
+            .map(([key, action]) => ({ key, ...action }));
+    }
+
+    function _createPowerActionsHtml(guest) {
+        if (!guest.endpointId || _getAvailablePowerActions(guest).length === 0) {
+            return '';
+        }
+
+        return `<button type="button" class="power-actions-button ml-1 text-gray-400 hover:text-gray-700 dark:hover:text-gray-200"
+                    title="Power actions"
+                    onclick="PulseApp.ui.dashboard.showPowerMenu(event, '${guest.id}')">
+                    <svg style="width: 12px; height: 12px; display: inline-block; vertical-align: middle;" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                        <path stroke-linecap="round" stroke-linejoin="round" d="M12 3v9m6.36-5.36a9 9 0 11-12.73 0"></path>
+                    </svg>
+                </button>`;
+    }
+
+    function _closePowerMenu() {
+        const existingMenu = document.getElementById('guest-power-menu');
+        if (existingMenu) {
+            existingMenu.remove();
+        }
+        document.removeEventListener('click', _closePowerMenu);
+    }
+
+    function showPowerMenu(event, guestId) {
+        event.stopPropagation();
+        _closePowerMenu();
+
+        const dashboardData = PulseApp.state.get('dashboardData') || [];
+        const guest = dashboardData.find(g => g.id === guestId);
+        if (!guest) return;
+
+        const actions = _getAvailablePowerActions(guest);
+        if (actions.length === 0) return;
+
+        const menu = document.createElement('div');
+        menu.id = 'guest-power-menu';
+        menu.className = 'fixed z-50 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded shadow-lg py-1 text-xs';
+        menu.innerHTML = actions.map(action => `
+            <button type="button" data-action="${action.key}"
+                    class="block w-full text-left px-3 py-1 hover:bg-gray-100 dark:hover:bg-gray-700 ${action.key === 'stop' ? 'text-red-600 dark:text-red-400' : 'text-gray-700 dark:text-gray-300'}">
+                ${action.label}
+            </button>
+        `).join('');
+
+        menu.querySelectorAll('button[data-action]').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                _closePowerMenu();
+                confirmPowerAction(guest, button.getAttribute('data-action'));
+            });
+        });
+
+        const rect = event.currentTarget.getBoundingClientRect();
+        menu.style.top = `${rect.bottom + 4}px`;
+        menu.style.left = `${rect.left}px`;
+        document.body.appendChild(menu);
+
+        document.addEventListener('click', _closePowerMenu);
+    }
+
+    function confirmPowerAction(guest, actionKey) {
+        const action = POWER_ACTIONS[actionKey];
+        if (!action) return;
+
+        const warning = actionKey === 'stop' ? ' This is like pulling the power plug and may cause data loss.' : '';
+        PulseApp.ui.toast.confirm(
+            `${action.label} ${guest.type} ${guest.vmid} (${guest.name}) on ${guest.node}?${warning}`,
+            () => _executePowerAction(guest, actionKey)
+        );
+    }
+
+    async function _executePowerAction(guest, actionKey) {
+        const action = POWER_ACTIONS[actionKey];
+        try {
+            const result = await PulseApp.apiClient.post(
+                `/api/guests/${encodeURIComponent(guest.nodeName)}/${guest.vmid}/${actionKey}`,
+                { endpointId: guest.endpointId }
+            );
+
+            if (result.upid) {
+                pendingPowerTasks.set(result.upid, { guest, label: action.label });
+            }
+            PulseApp.ui.toast.info(`${action.label} of ${guest.name} started`);
+        } catch (error) {
+            logger.error(`Power action ${actionKey} failed:`, error);
+            PulseApp.ui.toast.error(`${action.label} of ${guest.name} failed: ${error.message}`);
+        }
+    }
+
+    // Called by the socket handler for every PVE task progress update
+    function handleTaskUpdate(task) {
+        const pending = pendingPowerTasks.get(task.upid);
+        if (!pending || !task.finishedAt) return;
+
+        pendingPowerTasks.delete(task.upid);
+        if (task.status === 'ok') {
+            PulseApp.ui.toast.success(`${pending.label} of ${pending.guest.name} completed`);
+        } else {
+            PulseApp.ui.toast.error(`${pending.label} of ${pending.guest.name} failed: ${task.exitstatus}`);
+        }
+
+        // Pick up the new guest status without waiting for the next discovery cycle
+        PulseApp.socketHandler?.requestData?.();
+    }
+
     function snapshotGuestMetricsForDrag() {
         guestMetricDragSnapshot = {}; // Clear previous snapshot
         const currentDashboardData = PulseApp.state.get('dashboardData') || [];
@@ -2411,6 +2619,8 @@ PulseApp.ui.dashboard = (() => {
         updateAlertCache,
         toggleChartsMode,
         toggleGuestAlertDetails,
-        acknowledgeAlert
+        acknowledgeAlert,
+        showPowerMenu,
+        handleTaskUpdate
     };
 })();
@@ -15,6 +15,77 @@ PulseApp.ui.nodes = (() => {
         return PulseApp.utils.createMetricBarHtml(node, 'node', 'disk', includeChart);
     }
 
+    // Display hint only - the alert threshold is configured server-side
+    const LOW_SSD_LIFE_PERCENT = 10;
+
+    function _escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function _getDiskHealthIssues(node) {
+        const issues = [];
+        (node.zfsPools || []).forEach(pool => {
+            if (pool.health === 'ONLINE' || pool.health === 'UNKNOWN') return;
+            const level = pool.health === 'DEGRADED' || pool.health === 'OFFLINE' ? 'warning' : 'critical';
+            issues.push({ level, text: `ZFS ${pool.name} ${pool.health}` });
+        });
+        (node.disks || []).forEach(disk => {
+            if (disk.health === 'FAILED') {
+                issues.push({ level: 'critical', text: `${disk.devpath} SMART failed` });
+            }
+            if (disk.lifeRemaining !== null && disk.lifeRemaining !== undefined && disk.lifeRemaining < LOW_SSD_LIFE_PERCENT) {
+                issues.push({ level: 'warning', text: `${disk.devpath} ${disk.lifeRemaining}% life left` });
+            }
+        });
+        return issues;
+    }
+
+    function _createDiskHealthTooltip(node) {
+        const lines = [];
+        (node.zfsPools || []).forEach(pool => {
+            const usage = pool.percentUsed !== null ? `, ${pool.percentUsed.toFixed(0)}% used` : '';
+            lines.push(`ZFS ${pool.name}: ${pool.health}${usage}`);
+        });
+        (node.disks || []).forEach(disk => {
+            const life = disk.lifeRemaining !== null ? `, ${disk.lifeRemaining}% life left` : '';
+            lines.push(`${disk.devpath}${disk.model ? ` ${disk.model}` : ''}: SMART ${disk.health}${life}`);
+        });
+        return _escapeHtml(lines.join('\n'));
+    }
+
+    // Summary line for ZFS pool and physical disk health; empty when the node reported neither
+    function _createDiskHealthHtml(node) {
+        if (!Array.isArray(node.zfsPools) && !Array.isArray(node.disks)) {
+            return '';
+        }
+
+        const issues = _getDiskHealthIssues(node);
+        let content;
+        if (issues.length > 0) {
+            const hasCritical = issues.some(issue => issue.level === 'critical');
+            const colorClass = hasCritical ? 'text-red-600 dark:text-red-400' : 'text-yellow-600 dark:text-yellow-400';
+            content = `<span class="${colorClass} font-medium">${_escapeHtml(issues.map(issue => issue.text).join(', '))}</span>`;
+        } else {
+            const parts = [];
+            if (node.zfsPools?.length) parts.push(`${node.zfsPools.length} ZFS pool${node.zfsPools.length === 1 ? '' : 's'}`);
+            if (node.disks?.length) parts.push(`${node.disks.length} disk${node.disks.length === 1 ? '' : 's'}`);
+            content = parts.length > 0
+                ? `<span class="text-green-600 dark:text-green-400">${parts.join(', ')} healthy</span>`
+                : '<span class="text-gray-400 dark:text-gray-500">No disks reported</span>';
+        }
+
+        return `
+            <div class="text-[11px] text-gray-600 dark:text-gray-400 truncate" title="${_createDiskHealthTooltip(node)}">
+                <span class="font-medium">Disk Health:</span>
+                ${content}
+            </div>
+        `;
+    }
+
     // Create a dedicated function for rendering a single node row
     function createNodeRow(node) {
         const row = document.createElement('tr');
@@ -122,6 +193,7 @@ PulseApp.ui.nodes = (() => {
                 <span class="font-medium">Disk:</span>
                 ${diskBarHTML}
             </div>
+            ${_createDiskHealthHtml(node)}
             <div class="flex justify-between text-[11px] text-gray-500 dark:text-gray-400 pt-0.5">
                 <span>Uptime: ${uptimeFormatted}</span>
                 <span>Load: ${normalizedLoadFormatted}</span>
@@ -250,6 +322,9 @@ PulseApp.ui.nodes = (() => {
         const diskTotal = node.maxdisk || 0;
         const diskPercent = (diskUsed && diskTotal > 0) ? (diskUsed / diskTotal * 100) : 0;
 
+        const diskIssues = _getDiskHealthIssues(node);
+        const diskIssueColor = diskIssues.some(issue => issue.level === 'critical') ? 'text-red-500' : 'text-yellow-500';
+
         const card = document.createElement('div');
         card.className = 'bg-white dark:bg-gray-800 shadow-sm rounded-lg p-2 border border-gray-200 dark:border-gray-700';
 
@@ -266,6 +341,7 @@ PulseApp.ui.nodes = (() => {
                 <div class="flex items-center min-w-0">
                     <span class="h-2 w-2 rounded-full ${statusDotColor} mr-1.5 flex-shrink-0"></span>
                     <h3 class="font-semibold text-xs truncate">${nodeNameContent}</h3>
+                    ${diskIssues.length > 0 ? `<span class="ml-1.5 text-[10px] font-bold ${diskIssueColor}" title="${_escapeHtml(diskIssues.map(issue => issue.text).join(', '))}">DISK</span>` : ''}
                 </div>
                 <div class="flex items-center gap-3 text-[10px] text-gray-600 dark:text-gray-400">
                     <span class="flex items-center gap-1">
@@ -11,6 +11,14 @@ PulseApp.ui.settings = (() => {
     let formDataCache = {}; // Store form data between tab switches
     let originalFormData = null; // Store original form data to detect changes
     let hasUnsavedChanges = false; // Track if form has unsaved changes
+    let notificationTemplateData = null; // Templates, targets and variables from the server
+    let templatePreviewTimeout = null; // Debounce template preview requests
+
+    const USER_ROLE_OPTIONS = [
+        { value: 'viewer', label: 'Viewer (read-only)' },
+        { value: 'operator', label: 'Operator' },
+        { value: 'admin', label: 'Admin' }
+    ];
 
     function init() {
         if (isInitialized) return;
@@ -208,6 +216,12 @@ PulseApp.ui.settings = (() => {
             case 'system':
                 content = renderSystemTab(advanced, safeConfig);
                 break;
+            case 'users':
+                content = renderUsersTab();
+                break;
+            case 'tokens':
+                content = renderApiTokensTab();
+                break;
             case 'diagnostics':
                 content = renderDiagnosticsTab();
                 break;
@@ -226,6 +240,14 @@ PulseApp.ui.settings = (() => {
             loadExistingPveEndpoints();
         } else if (activeTab === 'pbs') {
             loadExistingPbsEndpoints();
+        } else if (activeTab === 'notifications') {
+            loadNotificationTemplates();
+        } else if (activeTab === 'users') {
+            loadUsers();
+            loadTwoFactorStatus();
+            loadSessions();
+        } else if (activeTab === 'tokens') {
+            loadApiTokens();
         } else if (activeTab === 'system') {
             // Auto-check for latest version when system tab is opened
             checkLatestVersion();
@@ -704,9 +726,858 @@ PulseApp.ui.settings = (() => {
                     </div>
                 </div>
             </div>
+
+            <!-- Message Templates (saved separately, inputs have no name so the settings form ignores them) -->
+            <div id="notification-templates-section" class="border border-gray-200 dark:border-gray-700 rounded-lg p-4 mt-6">
+                <div class="flex items-center justify-between mb-3">
+                    <h4 class="text-sm font-medium text-gray-900 dark:text-gray-100">Message Templates</h4>
+                    <span id="notification-template-status" class="text-xs text-gray-500 dark:text-gray-400"></span>
+                </div>
+                <p class="text-xs text-gray-600 dark:text-gray-400 mb-3">
+                    Customize the title and message of alert notifications per channel. Use placeholders such as
+                    <code>{guest.name}</code> or <code>{currentValue}</code>, optionally with filters like <code>{severity|upper}</code>.
+                    Leave a field empty to keep the built-in text. Summary notifications always use the built-in format.
+                </p>
+                <div class="space-y-3">
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Channel</label>
+                        <select id="notification-template-target"
+                                onchange="PulseApp.ui.settings.selectNotificationTemplate(this.value)"
+                                class="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100">
+                            <option value="webhook">Default webhook</option>
+                            <option value="email">Default email</option>
+                        </select>
+                    </div>
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Title / Email Subject</label>
+                        <input type="text" id="notification-template-title"
+                               oninput="PulseApp.ui.settings.previewNotificationTemplate()"
+                               class="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100"
+                               placeholder="[{severity|upper}] {rule.name} on {guest.name}">
+                    </div>
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Message</label>
+                        <textarea id="notification-template-message" rows="6"
+                                  oninput="PulseApp.ui.settings.previewNotificationTemplate()"
+                                  class="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 font-mono text-sm"
+                                  placeholder="{metric} is {currentValue} (threshold {threshold}) on {node} for {duration}"></textarea>
+                    </div>
+                    <details class="text-xs text-gray-600 dark:text-gray-400 cursor-pointer">
+                        <summary class="hover:text-gray-800 dark:hover:text-gray-200">
+                            <i class="fas fa-question-circle"></i> Available placeholders and filters
+                        </summary>
+                        <div id="notification-template-variables" class="mt-2 grid grid-cols-1 sm:grid-cols-2 gap-1 bg-gray-50 dark:bg-gray-800 p-3 rounded-md"></div>
+                    </details>
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Preview</label>
+                        <div id="notification-template-preview" class="bg-gray-50 dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-md p-3 text-sm text-gray-700 dark:text-gray-300 whitespace-pre-wrap"></div>
+                    </div>
+                    <div class="flex justify-end gap-3 pt-3 border-t border-gray-200 dark:border-gray-700">
+                        <button type="button" id="reset-template-btn"
+                                onclick="PulseApp.ui.settings.resetNotificationTemplate()"
+                                class="px-3 py-1.5 bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:hover:bg-gray-600 text-gray-800 dark:text-gray-200 text-sm font-medium rounded-md transition-colors">
+                            Reset to Default
+                        </button>
+                        <button type="button" id="save-template-btn"
+                                onclick="PulseApp.ui.settings.saveNotificationTemplate()"
+                                class="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-md transition-colors">
+                            Save Template
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    async function loadNotificationTemplates() {
+        try {
+            notificationTemplateData = await PulseApp.apiClient.get('/api/alerts/templates');
+        } catch (error) {
+            logger.error('Failed to load notification templates:', error);
+            const status = document.getElementById('notification-template-status');
+            if (status) status.textContent = 'Failed to load templates';
+            return;
+        }
+
+        const select = document.getElementById('notification-template-target');
+        const variables = document.getElementById('notification-template-variables');
+        if (!select || !variables) return;
+
+        const selected = select.value || 'webhook';
+        select.innerHTML = '';
+        notificationTemplateData.targets.forEach(target => {
+            const label = target.key === target.type ? target.name : `${target.name} (${target.type})`;
+            select.appendChild(new Option(label, target.key));
+        });
+        select.value = notificationTemplateData.targets.some(target => target.key === selected) ? selected : 'webhook';
+
+        variables.innerHTML = '';
+        notificationTemplateData.variables.forEach(variable => {
+            const row = document.createElement('div');
+            const code = document.createElement('code');
+            code.textContent = `{${variable.name}}`;
+            row.appendChild(code);
+            row.appendChild(document.createTextNode(` ${variable.description}`));
+            variables.appendChild(row);
+        });
+        const filters = document.createElement('div');
+        filters.className = 'sm:col-span-2 pt-2 mt-1 border-t border-gray-200 dark:border-gray-600';
+        filters.textContent = `Filters: ${notificationTemplateData.filters.join(', ')} (e.g. {guest.status|default:unknown}, {message|truncate:80}). Use {{ and }} for literal braces.`;
+        variables.appendChild(filters);
+
+        selectNotificationTemplate(select.value);
+    }
+
+    function selectNotificationTemplate(key) {
+        if (!notificationTemplateData) return;
+
+        const template = notificationTemplateData.templates[key];
+        const target = notificationTemplateData.targets.find(candidate => candidate.key === key);
+        document.getElementById('notification-template-title').value = template ? template.title : '';
+        document.getElementById('notification-template-message').value = template ? template.message : '';
+
+        let statusText = 'Built-in messages';
+        if (template) {
+            statusText = 'Custom template';
+        } else if (target && target.key !== target.type && notificationTemplateData.templates[target.type]) {
+            statusText = `Uses the default ${target.type} template`;
+        }
+        document.getElementById('notification-template-status').textContent = statusText;
+
+        previewNotificationTemplate(true);
+    }
+
+    function previewNotificationTemplate(immediate = false) {
+        clearTimeout(templatePreviewTimeout);
+        templatePreviewTimeout = setTimeout(renderNotificationTemplatePreview, immediate === true ? 0 : 300);
+    }
+
+    async function renderNotificationTemplatePreview() {
+        const preview = document.getElementById('notification-template-preview');
+        if (!preview) return;
+
+        const title = document.getElementById('notification-template-title').value;
+        const message = document.getElementById('notification-template-message').value;
+        preview.innerHTML = '';
+
+        if (!title.trim() && !message.trim()) {
+            preview.textContent = 'Built-in title and message are used.';
+            return;
+        }
+
+        try {
+            const result = await PulseApp.apiClient.post('/api/alerts/templates/preview', { title, message });
+            const titleElement = document.createElement('div');
+            titleElement.className = 'font-semibold mb-1';
+            titleElement.textContent = result.preview.title || '(built-in title)';
+            const messageElement = document.createElement('div');
+            messageElement.textContent = result.preview.message || '(built-in message)';
+            preview.appendChild(titleElement);
+            preview.appendChild(messageElement);
+        } catch (error) {
+            const errorElement = document.createElement('div');
+            errorElement.className = 'text-red-600 dark:text-red-400';
+            errorElement.textContent = error.message;
+            preview.appendChild(errorElement);
+        }
+    }
+
+    async function saveNotificationTemplate() {
+        const key = document.getElementById('notification-template-target').value;
+        const title = document.getElementById('notification-template-title').value;
+        const message = document.getElementById('notification-template-message').value;
+
+        if (!title.trim() && !message.trim()) {
+            await resetNotificationTemplate();
+            return;
+        }
+
+        try {
+            const csrfToken = sessionStorage.getItem('csrfToken') || '';
+            const response = await fetch(`/api/alerts/templates/${encodeURIComponent(key)}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-CSRF-Token': csrfToken
+                },
+                body: JSON.stringify({ title, message })
+            });
+            const result = await response.json();
+
+            if (result.success) {
+                notificationTemplateData.templates[key] = result.template;
+                selectNotificationTemplate(key);
+                PulseApp.ui.toast.success('Notification template saved');
+            } else {
+                PulseApp.ui.toast.error('Failed to save template: ' + result.error);
+            }
+        } catch (error) {
+            PulseApp.ui.toast.error('Error saving template: ' + error.message);
+        }
+    }
+
+    async function resetNotificationTemplate() {
+        const key = document.getElementById('notification-template-target').value;
+        if (!notificationTemplateData || !notificationTemplateData.templates[key]) {
+            selectNotificationTemplate(key);
+            return;
+        }
+
+        try {
+            const csrfToken = sessionStorage.getItem('csrfToken') || '';
+            const response = await fetch(`/api/alerts/templates/${encodeURIComponent(key)}`, {
+                method: 'DELETE',
+                headers: {
+                    'X-CSRF-Token': csrfToken
+                }
+            });
+            const result = await response.json();
+
+            if (result.success) {
+                delete notificationTemplateData.templates[key];
+                selectNotificationTemplate(key);
+                PulseApp.ui.toast.success('Notification template reset to default');
+            } else {
+                PulseApp.ui.toast.error('Failed to reset template: ' + result.error);
+            }
+        } catch (error) {
+            PulseApp.ui.toast.error('Error resetting template: ' + error.message);
+        }
+    }
+
+    function renderUsersTab() {
+        const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-800 dark:text-gray-200 text-sm';
+        const roleOptions = USER_ROLE_OPTIONS.map(role => `<option value="${role.value}">${role.label}</option>`).join('');
+
+        return `
+            <div id="settings-user-management" class="bg-gray-50 dark:bg-gray-900 rounded-lg p-4 mb-6">
+                <h3 class="text-lg font-semibold text-gray-800 dark:text-gray-200 mb-2">Users</h3>
+                <p class="text-xs text-gray-500 dark:text-gray-400 mb-4">
+                    Additional logins for Private security mode. Viewers can only look, operators can also change settings and run guest actions, admins have full access.
+                    The built-in 'admin' account always exists and uses the Admin Password from the System tab.
+                </p>
+                <div id="settings-users-list" class="mb-6 text-sm text-gray-500 dark:text-gray-400">Loading users...</div>
+
+                <h4 class="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">Add User</h4>
+                <div class="grid grid-cols-1 sm:grid-cols-4 gap-3 mb-6">
+                    <input type="text" id="new-user-username" placeholder="Username" autocomplete="off" class="${inputClass}">
+                    <input type="password" id="new-user-password" placeholder="Password (8+ characters)" autocomplete="new-password" class="${inputClass}">
+                    <select id="new-user-role" class="${inputClass}">${roleOptions}</select>
+                    <button type="button" onclick="PulseApp.ui.settings.addUser()"
+                            class="px-3 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-md transition-colors">
+                        Add User
+                    </button>
+                </div>
+
+                <h4 class="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">Reset Password</h4>
+                <div class="grid grid-cols-1 sm:grid-cols-4 gap-3">
+                    <select id="reset-user-username" class="${inputClass}"></select>
+                    <input type="password" id="reset-user-password" placeholder="New password" autocomplete="new-password" class="${inputClass} sm:col-span-2">
+                    <button type="button" onclick="PulseApp.ui.settings.resetUserPassword()"
+                            class="px-3 py-2 bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:hover:bg-gray-600 text-gray-800 dark:text-gray-200 text-sm font-medium rounded-md transition-colors">
+                        Set Password
+                    </button>
+                </div>
+            </div>
+
+            <div class="bg-gray-50 dark:bg-gray-900 rounded-lg p-4 mb-6">
+                <h3 class="text-lg font-semibold text-gray-800 dark:text-gray-200 mb-2">Change Your Password</h3>
+                <p class="text-xs text-gray-500 dark:text-gray-400 mb-4">
+                    For accounts listed above. Your other sessions are logged out after the change.
+                </p>
+                <div class="grid grid-cols-1 sm:grid-cols-4 gap-3">
+                    <input type="password" id="own-current-password" placeholder="Current password" autocomplete="current-password" class="${inputClass}">
+                    <input type="password" id="own-new-password" placeholder="New password" autocomplete="new-password" class="${inputClass}">
+                    <input type="password" id="own-confirm-password" placeholder="Confirm new password" autocomplete="new-password" class="${inputClass}">
+                    <button type="button" onclick="PulseApp.ui.settings.changeOwnPassword()"
+                            class="px-3 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-md transition-colors">
+                        Change Password
+                    </button>
+                </div>
+            </div>
+
+            <div class="bg-gray-50 dark:bg-gray-900 rounded-lg p-4 mb-6">
+                <h3 class="text-lg font-semibold text-gray-800 dark:text-gray-200 mb-2">Two-Factor Authentication</h3>
+                <p class="text-xs text-gray-500 dark:text-gray-400 mb-4">
+                    Asks for a code from an authenticator app such as Aegis, Google Authenticator or 1Password after your password.
+                    HTTP Basic Auth no longer works for your account once it is enabled; scripts use API tokens instead.
+                </p>
+                <div id="settings-two-factor-content" class="text-sm text-gray-500 dark:text-gray-400">Loading...</div>
+                <div id="settings-recovery-codes" class="hidden mt-4 p-3 rounded-md bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800">
+                    <p class="text-sm text-green-800 dark:text-green-300 mb-2">Save these recovery codes somewhere safe. Each one logs you in once if you lose your device; they are not shown again:</p>
+                    <pre id="settings-recovery-codes-list" class="font-mono text-sm text-gray-800 dark:text-gray-200 select-all"></pre>
+                </div>
+            </div>
+
+            <div id="settings-session-management" class="bg-gray-50 dark:bg-gray-900 rounded-lg p-4 mb-6">
+                <h3 class="text-lg font-semibold text-gray-800 dark:text-gray-200 mb-2">Active Sessions</h3>
+                <p class="text-xs text-gray-500 dark:text-gray-400 mb-4">
+                    Logged-in browsers of all users. Sessions are kept across restarts until they expire; revoking one logs that browser out.
+                </p>
+                <div id="settings-sessions-list" class="text-sm text-gray-500 dark:text-gray-400">Loading sessions...</div>
+            </div>
+        `;
+    }
+
+    // Sends a JSON API request and throws with the server's message on failure
+    async function _sendJsonRequest(method, url, body) {
+        const csrfToken = sessionStorage.getItem('csrfToken') || '';
+        const options = {
+            method,
+            headers: {
+                'X-CSRF-Token': csrfToken
+            }
+        };
+        if (body !== undefined) {
+            options.headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(body);
+        }
+
+        const response = await fetch(url, options);
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = new Error(result.message || result.error || `HTTP ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return result;
+    }
+
+    async function loadUsers() {
+        const list = document.getElementById('settings-users-list');
+        if (!list) return;
+
+        let users;
+        try {
+            users = (await _sendJsonRequest('GET', '/api/users')).users;
+        } catch (error) {
+            // Only admins may manage users; everyone else just gets the password form
+            const management = document.getElementById('settings-user-management');
+            if (management && error.status === 403) {
+                management.remove();
+                return;
+            }
+            logger.error('Failed to load users:', error);
+            list.textContent = 'Failed to load users';
+            return;
+        }
+
+        renderUsersList(users);
+    }
+
+    function renderUsersList(users) {
+        const list = document.getElementById('settings-users-list');
+        const resetSelect = document.getElementById('reset-user-username');
+        if (!list) return;
+
+        list.innerHTML = '';
+        if (resetSelect) {
+            resetSelect.innerHTML = '';
+            users.forEach(user => resetSelect.appendChild(new Option(user.username, user.username)));
+        }
+
+        if (users.length === 0) {
+            list.textContent = 'No additional users yet.';
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'w-full text-sm';
+        users.forEach(user => {
+            const row = table.insertRow();
+            row.className = 'border-b border-gray-200 dark:border-gray-700';
+
+            const nameCell = row.insertCell();
+            nameCell.className = 'py-2 pr-3 text-gray-800 dark:text-gray-200';
+            nameCell.textContent = user.username;
+            if (user.disabled) {
+                const badge = document.createElement('span');
+                badge.className = 'ml-2 text-xs px-1.5 py-0.5 rounded bg-gray-200 dark:bg-gray-700 text-gray-600 dark:text-gray-400';
+                badge.textContent = 'disabled';
+                nameCell.appendChild(badge);
+            }
+            if (user.twoFactorEnabled) {
+                const badge = document.createElement('span');
+                badge.className = 'ml-2 text-xs px-1.5 py-0.5 rounded bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-400';
+                badge.textContent = '2FA';
+                nameCell.appendChild(badge);
+            }
+
+            const roleCell = row.insertCell();
+            roleCell.className = 'py-2 pr-3';
+            const roleSelect = document.createElement('select');
+            roleSelect.className = 'px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-800 dark:text-gray-200 text-sm';
+            USER_ROLE_OPTIONS.forEach(role => roleSelect.appendChild(new Option(role.label, role.value)));
+            roleSelect.value = user.role;
+            roleSelect.addEventListener('change', () => updateUser(user.username, { role: roleSelect.value }));
+            roleCell.appendChild(roleSelect);
+
+            const actionsCell = row.insertCell();
+            actionsCell.className = 'py-2 text-right whitespace-nowrap';
+            const toggleButton = document.createElement('button');
+            toggleButton.type = 'button';
+            toggleButton.className = 'px-2 py-1 text-xs text-gray-700 dark:text-gray-300 hover:underline';
+            toggleButton.textContent = user.disabled ? 'Enable' : 'Disable';
+            toggleButton.addEventListener('click', () => updateUser(user.username, { disabled: !user.disabled }));
+            const deleteButton = document.createElement('button');
+            deleteButton.type = 'button';
+            deleteButton.className = 'px-2 py-1 text-xs text-red-600 dark:text-red-400 hover:underline';
+            deleteButton.textContent = 'Delete';
+            deleteButton.addEventListener('click', () => deleteUser(user.username));
+            if (user.twoFactorEnabled) {
+                const resetTwoFactorButton = document.createElement('button');
+                resetTwoFactorButton.type = 'button';
+                resetTwoFactorButton.className = 'px-2 py-1 text-xs text-gray-700 dark:text-gray-300 hover:underline';
+                resetTwoFactorButton.textContent = 'Reset 2FA';
+                resetTwoFactorButton.addEventListener('click', () => resetUserTwoFactor(user.username));
+                actionsCell.appendChild(resetTwoFactorButton);
+            }
+            actionsCell.appendChild(toggleButton);
+            actionsCell.appendChild(deleteButton);
+        });
+        list.appendChild(table);
+    }
+
+    async function addUser() {
+        const usernameInput = document.getElementById('new-user-username');
+        const passwordInput = document.getElementById('new-user-password');
+        const role = document.getElementById('new-user-role').value;
+
+        try {
+            const result = await _sendJsonRequest('POST', '/api/users', {
+                username: usernameInput.value,
+                password: passwordInput.value,
+                role
+            });
+            usernameInput.value = '';
+            passwordInput.value = '';
+            PulseApp.ui.toast.success(`User ${result.user.username} added`);
+            await loadUsers();
+        } catch (error) {
+            PulseApp.ui.toast.error('Failed to add user: ' + error.message);
+        }
+    }
+
+    async function updateUser(username, changes) {
+        try {
+            await _sendJsonRequest('PUT', `/api/users/${encodeURIComponent(username)}`, changes);
+            PulseApp.ui.toast.success(`User ${username} updated`);
+        } catch (error) {
+            PulseApp.ui.toast.error('Failed to update user: ' + error.message);
+        }
+        await loadUsers();
+    }
+
+    function deleteUser(username) {
+        PulseApp.ui.toast.confirm(
+            `Are you sure you want to delete the user ${username}? Their sessions end immediately.`,
+            async () => {
+                try {
+                    await _sendJsonRequest('DELETE', `/api/users/${encodeURIComponent(username)}`);
+                    PulseApp.ui.toast.success(`User ${username} deleted`);
+                } catch (error) {
+                    PulseApp.ui.toast.error('Failed to delete user: ' + error.message);
+                }
+                await loadUsers();
+            }
+        );
+    }
+
+    function resetUserTwoFactor(username) {
+        PulseApp.ui.toast.confirm(
+            `Turn off two-factor authentication for ${username}? They can log in with their password alone until they set it up again.`,
+            async () => {
+                try {
+                    await _sendJsonRequest('DELETE', `/api/users/${encodeURIComponent(username)}/2fa`);
+                    PulseApp.ui.toast.success(`Two-factor authentication reset for ${username}`);
+                } catch (error) {
+                    PulseApp.ui.toast.error('Failed to reset two-factor authentication: ' + error.message);
+                }
+                await loadUsers();
+            }
+        );
+    }
+
+    async function loadTwoFactorStatus() {
+        const content = document.getElementById('settings-two-factor-content');
+        if (!content) return;
+
+        try {
+            renderTwoFactorStatus(await _sendJsonRequest('GET', '/api/users/me/2fa'));
+        } catch (error) {
+            // Single sign-on users and setups without login get an explanation instead
+            if (error.status === 400 || error.status === 401 || error.status === 403) {
+                content.textContent = error.status === 401 ? 'Two-factor authentication is available in Private security mode after logging in.' : error.message;
+                return;
+            }
+            logger.error('Failed to load two-factor status:', error);
+            content.textContent = 'Failed to load two-factor status';
+        }
+    }
+
+    function renderTwoFactorStatus(status) {
+        const content = document.getElementById('settings-two-factor-content');
+        if (!content) return;
+
+        const inputClass = 'px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-800 dark:text-gray-200 text-sm';
+        if (!status.enabled) {
+            content.innerHTML = `
+                <p class="mb-3 text-gray-700 dark:text-gray-300">Not enabled.</p>
+                <button type="button" onclick="PulseApp.ui.settings.setupTwoFactor()"
+                        class="px-3 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-md transition-colors">
+                    Set Up Two-Factor Authentication
+                </button>
+            `;
+            return;
+        }
+
+        content.innerHTML = `
+            <p class="mb-3 text-gray-700 dark:text-gray-300">
+                Enabled since ${new Date(status.enabledAt).toLocaleString()}. ${status.recoveryCodesRemaining} recovery codes left.
+            </p>
+            <div class="flex flex-wrap gap-3">
+                <input type="text" id="two-factor-code" placeholder="Code from your app" autocomplete="one-time-code" class="${inputClass}">
+                <button type="button" onclick="PulseApp.ui.settings.regenerateRecoveryCodes()"
+                        class="px-3 py-2 bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:hover:bg-gray-600 text-gray-800 dark:text-gray-200 text-sm font-medium rounded-md transition-colors">
+                    New Recovery Codes
+                </button>
+                <button type="button" onclick="PulseApp.ui.settings.disableTwoFactor()"
+                        class="px-3 py-2 bg-red-600 hover:bg-red-700 text-white text-sm font-medium rounded-md transition-colors">
+                    Disable
+                </button>
+            </div>
+        `;
+    }
+
+    function showRecoveryCodes(codes) {
+        const container = document.getElementById('settings-recovery-codes');
+        if (!container) return;
+        document.getElementById('settings-recovery-codes-list').textContent = codes.join('\n');
+        container.classList.remove('hidden');
+    }
+
+    async function setupTwoFactor() {
+        const content = document.getElementById('settings-two-factor-content');
+        try {
+            const result = await _sendJsonRequest('POST', '/api/users/me/2fa/setup');
+            const inputClass = 'px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-800 dark:text-gray-200 text-sm';
+            content.innerHTML = `
+                <p class="mb-3 text-gray-700 dark:text-gray-300">Scan the QR code with your authenticator app, then enter the code it shows.</p>
+                <img src="${result.qrCode}" alt="Two-factor QR code" class="mb-3 w-48 h-48 bg-white p-2 rounded">
+                <p class="mb-3 text-xs text-gray-500 dark:text-gray-400">
+                    Can't scan it? Enter this key manually: <code id="two-factor-secret" class="font-mono select-all"></code>
+                </p>
+                <div class="flex flex-wrap gap-3">
+                    <input type="text" id="two-factor-code" placeholder="6-digit code" autocomplete="one-time-code" class="${inputClass}">
+                    <button type="button" onclick="PulseApp.ui.settings.enableTwoFactor()"
+                            class="px-3 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-md transition-colors">
+                        Enable
+                    </button>
+                </div>
+            `;
+            document.getElementById('two-factor-secret').textContent = result.secret;
+            document.getElementById('two-factor-code').focus();
+        } catch (error) {
+            PulseApp.ui.toast.error('Failed to set up two-factor authentication: ' + error.message);
+        }
+    }
+
+    async function enableTwoFactor() {
+        const code = document.getElementById('two-factor-code').value;
+        try {
+            const result = await _sendJsonRequest('POST', '/api/users/me/2fa/enable', { code });
+            PulseApp.ui.toast.success('Two-factor authentication enabled');
+            await loadTwoFactorStatus();
+            showRecoveryCodes(result.recoveryCodes);
+        } catch (error) {
+            PulseApp.ui.toast.error('Failed to enable two-factor authentication: ' + error.message);
+        }
+    }
+
+    async function regenerateRecoveryCodes() {
+        const code = document.getElementById('two-factor-code').value;
+        try {
+            const result = await _sendJsonRequest('POST', '/api/users/me/2fa/recovery-codes', { code });
+            PulseApp.ui.toast.success('New recovery codes created, the old ones no longer work');
+            await loadTwoFactorStatus();
+            showRecoveryCodes(result.recoveryCodes);
+        } catch (error) {
+            PulseApp.ui.toast.error('Failed to create recovery codes: ' + error.message);
+        }
+    }
+
+    async function disableTwoFactor() {
+        const code = document.getElementById('two-factor-code').value;
+        try {
+            await _sendJsonRequest('POST', '/api/users/me/2fa/disable', { code });
+            PulseApp.ui.toast.success('Two-factor authentication disabled');
+            document.getElementById('settings-recovery-codes')?.classList.add('hidden');
+            await loadTwoFactorStatus();
+        } catch (error) {
+            PulseApp.ui.toast.error('Failed to disable two-factor authentication: ' + error.message);
+        }
+    }
+
+    async function loadSessions() {
+        const list = document.getElementById('settings-sessions-list');
+        if (!list) return;
+
+        let sessions;
+        try {
+            sessions = (await _sendJsonRequest('GET', '/api/sessions')).sessions;
+        } catch (error) {
+            // Only admins may see and revoke sessions
+            const management = document.getElementById('settings-session-management');
+            if (management && (error.status === 403 || error.status === 401)) {
+                management.remove();
+                return;
+            }
+            logger.error('Failed to load sessions:', error);
+            list.textContent = 'Failed to load sessions';
+            return;
+        }
+
+        list.innerHTML = '';
+        if (sessions.length === 0) {
+            list.textContent = 'No active sessions.';
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'w-full text-sm';
+        const header = table.createTHead().insertRow();
+        ['User', 'IP address', 'Browser', 'Logged in', 'Last access', ''].forEach(title => {
+            const cell = document.createElement('th');
+            cell.className = 'py-1 pr-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400';
+            cell.textContent = title;
+            header.appendChild(cell);
+        });
+        const body = table.createTBody();
+        sessions.forEach(session => {
+            const row = body.insertRow();
+            row.className = 'border-b border-gray-200 dark:border-gray-700 text-gray-800 dark:text-gray-200';
+            [
+                `${session.username} (${session.role})${session.current ? ' - this session' : ''}`,
+                session.ip || 'Unknown',
+                session.userAgent || 'Unknown',
+                new Date(session.createdAt).toLocaleString(),
+                new Date(session.lastAccess).toLocaleString()
+            ].forEach((value, index) => {
+                const cell = row.insertCell();
+                cell.className = index === 2 ? 'py-2 pr-3 max-w-xs truncate' : 'py-2 pr-3';
+                cell.textContent = value;
+                if (index === 2) cell.title = value;
+            });
+
+            const actionsCell = row.insertCell();
+            actionsCell.className = 'py-2 text-right';
+            if (!session.current) {
+                const revokeButton = document.createElement('button');
+                revokeButton.type = 'button';
+                revokeButton.className = 'px-2 py-1 text-xs text-red-600 dark:text-red-400 hover:underline';
+                revokeButton.textContent = 'Revoke';
+                revokeButton.addEventListener('click', () => revokeSession(session));
+                actionsCell.appendChild(revokeButton);
+            }
+        });
+        list.appendChild(table);
+    }
+
+    function revokeSession(session) {
+        PulseApp.ui.toast.confirm(
+            `Are you sure you want to log out this session of ${session.username}?`,
+            async () => {
+                try {
+                    await _sendJsonRequest('DELETE', `/api/sessions/${encodeURIComponent(session.id)}`);
+                    PulseApp.ui.toast.success(`Session of ${session.username} revoked`);
+                } catch (error) {
+                    PulseApp.ui.toast.error('Failed to revoke session: ' + error.message);
+                }
+                await loadSessions();
+            }
+        );
+    }
+
+    async function resetUserPassword() {
+        const username = document.getElementById('reset-user-username').value;
+        const passwordInput = document.getElementById('reset-user-password');
+        if (!username) return;
+
+        try {
+            await _sendJsonRequest('PUT', `/api/users/${encodeURIComponent(username)}`, { password: passwordInput.value });
+            passwordInput.value = '';
+            PulseApp.ui.toast.success(`Password for ${username} updated`);
+        } catch (error) {
+            PulseApp.ui.toast.error('Failed to set password: ' + error.message);
+        }
+    }
+
+    async function changeOwnPassword() {
+        const currentInput = document.getElementById('own-current-password');
+        const newInput = document.getElementById('own-new-password');
+        const confirmInput = document.getElementById('own-confirm-password');
+
+        if (newInput.value !== confirmInput.value) {
+            PulseApp.ui.toast.error('New passwords do not match');
+            return;
+        }
+
+        try {
+            await _sendJsonRequest('POST', '/api/users/me/password', {
+                currentPassword: currentInput.value,
+                newPassword: newInput.value
+            });
+            currentInput.value = '';
+            newInput.value = '';
+            confirmInput.value = '';
+            PulseApp.ui.toast.success('Password changed');
+        } catch (error) {
+            PulseApp.ui.toast.error('Failed to change password: ' + error.message);
+        }
+    }
+
+    function renderApiTokensTab() {
+        const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-800 dark:text-gray-200 text-sm';
+
+        return `
+            <div class="bg-gray-50 dark:bg-gray-900 rounded-lg p-4 mb-6">
+                <h3 class="text-lg font-semibold text-gray-800 dark:text-gray-200 mb-2">API Tokens</h3>
+                <p class="text-xs text-gray-500 dark:text-gray-400 mb-4">
+                    Tokens let scripts call the API with <code>Authorization: Bearer &lt;token&gt;</code> in Private security mode, without a login or CSRF token.
+                    A token never has more access than your role. Admins see the tokens of all users.
+                </p>
+                <div id="settings-api-tokens-list" class="mb-6 text-sm text-gray-500 dark:text-gray-400">Loading API tokens...</div>
+
+                <div id="new-api-token-result" class="hidden mb-6 p-3 rounded-md bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800">
+                    <p class="text-sm text-green-800 dark:text-green-300 mb-2">Copy the new token now, it is not shown again:</p>
+                    <input type="text" id="new-api-token-value" readonly onclick="this.select()"
+                           class="${inputClass} font-mono">
+                </div>
+
+                <h4 class="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">Create Token</h4>
+                <div class="grid grid-cols-1 sm:grid-cols-3 gap-3 mb-3">
+                    <input type="text" id="new-api-token-name" placeholder="Name, e.g. grafana" autocomplete="off" class="${inputClass}">
+                    <select id="new-api-token-scope" class="${inputClass}">
+                        <option value="read">Read - monitoring data only</option>
+                        <option value="write">Write - also change settings and run guest actions</option>
+                        <option value="critical">Critical - full access</option>
+                    </select>
+                    <select id="new-api-token-expiry" class="${inputClass}">
+                        <option value="30">Expires in 30 days</option>
+                        <option value="90" selected>Expires in 90 days</option>
+                        <option value="365">Expires in 1 year</option>
+                        <option value="">Never expires</option>
+                    </select>
+                </div>
+                <div class="flex gap-3">
+                    <input type="text" id="new-api-token-endpoints" autocomplete="off"
+                           placeholder="Optional endpoints, comma-separated, e.g. GET /api/alerts, /api/tasks/*"
+                           class="${inputClass}">
+                    <button type="button" onclick="PulseApp.ui.settings.createApiToken()"
+                            class="px-3 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-md transition-colors whitespace-nowrap">
+                        Create Token
+                    </button>
+                </div>
+            </div>
         `;
     }
 
+    async function loadApiTokens() {
+        const list = document.getElementById('settings-api-tokens-list');
+        if (!list) return;
+
+        let tokens;
+        try {
+            tokens = (await _sendJsonRequest('GET', '/api/tokens')).tokens;
+        } catch (error) {
+            logger.error('Failed to load API tokens:', error);
+            list.textContent = error.status === 401 ? 'API tokens are available in Private security mode after logging in.' : 'Failed to load API tokens';
+            return;
+        }
+
+        list.innerHTML = '';
+        if (tokens.length === 0) {
+            list.textContent = 'No API tokens yet.';
+            return;
+        }
+
+        const formatDate = (value) => value ? new Date(value).toLocaleString() : 'Never';
+        const table = document.createElement('table');
+        table.className = 'w-full text-sm';
+        const header = table.createTHead().insertRow();
+        ['Name', 'Owner', 'Scope', 'Endpoints', 'Expires', 'Last used', ''].forEach(title => {
+            const cell = document.createElement('th');
+            cell.className = 'py-1 pr-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400';
+            cell.textContent = title;
+            header.appendChild(cell);
+        });
+        const body = table.createTBody();
+        tokens.forEach(token => {
+            const row = body.insertRow();
+            row.className = 'border-b border-gray-200 dark:border-gray-700 text-gray-800 dark:text-gray-200';
+            const expired = token.expiresAt && new Date(token.expiresAt).getTime() <= Date.now();
+            [
+                `${token.name} (${token.prefix}…)`,
+                token.owner,
+                token.scope,
+                token.endpoints.length > 0 ? token.endpoints.join(', ') : 'All',
+                expired ? 'Expired' : formatDate(token.expiresAt),
+                formatDate(token.lastUsedAt)
+            ].forEach(value => {
+                const cell = row.insertCell();
+                cell.className = 'py-2 pr-3';
+                cell.textContent = value;
+            });
+
+            const actionsCell = row.insertCell();
+            actionsCell.className = 'py-2 text-right';
+            const revokeButton = document.createElement('button');
+            revokeButton.type = 'button';
+            revokeButton.className = 'px-2 py-1 text-xs text-red-600 dark:text-red-400 hover:underline';
+            revokeButton.textContent = 'Revoke';
+            revokeButton.addEventListener('click', () => revokeApiToken(token));
+            actionsCell.appendChild(revokeButton);
+        });
+        list.appendChild(table);
+    }
+
+    async function createApiToken() {
+        const nameInput = document.getElementById('new-api-token-name');
+        const endpointsInput = document.getElementById('new-api-token-endpoints');
+        const expiry = document.getElementById('new-api-token-expiry').value;
+
+        try {
+            const result = await _sendJsonRequest('POST', '/api/tokens', {
+                name: nameInput.value,
+                scope: document.getElementById('new-api-token-scope').value,
+                endpoints: endpointsInput.value.split(',').map(endpoint => endpoint.trim()).filter(Boolean),
+                expiresInDays: expiry ? parseInt(expiry, 10) : null
+            });
+            nameInput.value = '';
+            endpointsInput.value = '';
+            document.getElementById('new-api-token-value').value = result.token;
+            document.getElementById('new-api-token-result').classList.remove('hidden');
+            await loadApiTokens();
+        } catch (error) {
+            PulseApp.ui.toast.error('Failed to create API token: ' + error.message);
+        }
+    }
+
+    function revokeApiToken(token) {
+        PulseApp.ui.toast.confirm(
+            `Are you sure you want to revoke the API token ${token.name}? Scripts using it stop working immediately.`,
+            async () => {
+                try {
+                    await _sendJsonRequest('DELETE', `/api/tokens/${encodeURIComponent(token.id)}`);
+                    PulseApp.ui.toast.success(`API token ${token.name} revoked`);
+                } catch (error) {
+                    PulseApp.ui.toast.error('Failed to revoke API token: ' + error.message);
+                }
+                await loadApiTokens();
+            }
+        );
+    }
+
     function renderSystemTab(advanced, config) {
         const currentTheme = localStorage.getItem('theme') || (window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light');
         
@@ -4370,7 +5241,19 @@ docker compose up -d</code></pre>
         getCurrentConfig: () => currentConfig,
         testEmailConfiguration,
         testWebhookConfiguration,
-        updateWebhookStatus
+        updateWebhookStatus,
+        selectNotificationTemplate,
+        previewNotificationTemplate,
+        saveNotificationTemplate,
+        resetNotificationTemplate,
+        addUser,
+        resetUserPassword,
+        changeOwnPassword,
+        setupTwoFactor,
+        enableTwoFactor,
+        disableTwoFactor,
+        regenerateRecoveryCodes,
+        createApiToken
     };
 })();
 
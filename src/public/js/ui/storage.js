@@ -9,6 +9,11 @@ PulseApp.ui.storage = (() => {
     let isUpdatingCharts = false; // Prevent concurrent chart updates
     let chartUpdateTimeout = null; // Debounce timer for chart updates
     let currentStorageView = 'node'; // 'node' or 'storage'
+    let storageForecasts = null; // Time-to-full forecasts from /api/storage/forecast
+    let lastForecastFetch = 0;
+    let isFetchingForecasts = false;
+    const FORECAST_REFRESH_MS = 5 * 60 * 1000; // Server refits trends every 5 minutes
+    const GUEST_FORECAST_DAYS = 30; // Guest disks listed below the table when full within this many days
 
     function _initMobileScrollIndicators() {
         const tableContainer = document.querySelector('#storage .table-container');
@@ -313,6 +318,89 @@ PulseApp.ui.storage = (() => {
     }
 
     // Incremental table update using DOM diffing (copied from dashboard pattern)
+    // Fetch time-to-full forecasts when stale and re-render once they arrive
+    async function fetchForecasts() {
+        if (isFetchingForecasts || Date.now() - lastForecastFetch < FORECAST_REFRESH_MS) return;
+
+        isFetchingForecasts = true;
+        lastForecastFetch = Date.now(); // Also throttles retries after a failed request
+        try {
+            const response = await fetch('/api/storage/forecast');
+            if (!response.ok) {
+                console.error('[Storage Forecast] Failed to fetch storage forecasts:', response.status);
+                return;
+            }
+            storageForecasts = await response.json();
+            updateStorageInfo();
+        } catch (error) {
+            console.error('[Storage Forecast] Error fetching storage forecasts:', error);
+        } finally {
+            isFetchingForecasts = false;
+        }
+    }
+
+    function formatForecastDays(days) {
+        if (days < 1) return '< 1 day';
+        if (days < 90) return `${Math.round(days)} day${Math.round(days) === 1 ? '' : 's'}`;
+        if (days < 730) return `${Math.round(days / 30)} months`;
+        return `${Math.round(days / 365)} years`;
+    }
+
+    function _getForecastCellHTML(forecast) {
+        if (!forecast) {
+            return '<span class="text-gray-400 dark:text-gray-500">-</span>';
+        }
+        if (forecast.daysUntilFull === null) {
+            const reason = forecast.growthPerDay === null
+                ? `Not enough history yet (${forecast.historyHours}h collected)`
+                : 'Usage is not growing';
+            return `<span class="text-gray-400 dark:text-gray-500" title="${reason}">-</span>`;
+        }
+
+        const days = forecast.daysUntilFull;
+        const colorClass = days <= 7 ? 'text-red-600 dark:text-red-400 font-medium'
+            : days <= 30 ? 'text-yellow-600 dark:text-yellow-400'
+            : 'text-gray-600 dark:text-gray-400';
+        const title = `Growing ${PulseApp.utils.formatBytes(forecast.growthPerDay)}/day, full around ${new Date(forecast.fullAt).toLocaleDateString()} (trend fit ${Math.round(forecast.confidence * 100)}%)`;
+        // Erratic usage makes the estimate unreliable, mark it as approximate
+        const prefix = forecast.confidence < 0.5 ? '~' : '';
+        return `<span class="${colorClass}" title="${title}">${prefix}${formatForecastDays(days)}</span>`;
+    }
+
+    function _getStorageForecast(node, storage) {
+        return storageForecasts?.storage?.[`${node}-${storage}`] || null;
+    }
+
+    // List guest disks forecast to fill up soon below the storage table
+    function _updateGuestForecasts() {
+        const container = document.getElementById('storage-guest-forecasts');
+        if (!container) return;
+
+        const filling = Object.values(storageForecasts?.guests || {})
+            .filter(forecast => forecast.daysUntilFull !== null && forecast.daysUntilFull <= GUEST_FORECAST_DAYS)
+            .sort((a, b) => a.daysUntilFull - b.daysUntilFull);
+
+        if (filling.length === 0) {
+            container.classList.add('hidden');
+            container.innerHTML = '';
+            return;
+        }
+
+        const items = filling.map(forecast => {
+            const usagePercent = forecast.total > 0 ? (forecast.used / forecast.total) * 100 : 0;
+            return `
+                <li class="flex items-center justify-between gap-2 py-1">
+                    <span class="truncate text-gray-700 dark:text-gray-300">${forecast.name || forecast.vmid} <span class="text-xs text-gray-500 dark:text-gray-400">(${forecast.vmid} on ${forecast.node}, ${usagePercent.toFixed(0)}% of ${PulseApp.utils.formatBytes(forecast.total)})</span></span>
+                    <span class="whitespace-nowrap">${_getForecastCellHTML(forecast)}</span>
+                </li>`;
+        }).join('');
+
+        container.innerHTML = `
+            <div class="text-xs font-medium uppercase tracking-wider text-gray-600 dark:text-gray-300 mb-1">Guest disks full within ${GUEST_FORECAST_DAYS} days</div>
+            <ul class="text-sm divide-y divide-gray-200 dark:divide-gray-700">${items}</ul>`;
+        container.classList.remove('hidden');
+    }
+
     function _updateStorageTableIncremental(tableBody, storageByNode, sortedNodeNames) {
         const existingRows = new Map();
         const nodeHeaders = new Map();
@@ -351,7 +439,7 @@ PulseApp.ui.storage = (() => {
                     classes: 'bg-gray-50 dark:bg-gray-700/50 node-storage-header',
                     baseClasses: ''
                 });
-                nodeHeader.innerHTML = PulseApp.ui.common.generateNodeGroupHeaderCellHTML(nodeName, 7, 'td');
+                nodeHeader.innerHTML = PulseApp.ui.common.generateNodeGroupHeaderCellHTML(nodeName, 8, 'td');
             }
             
             // Move or insert node header at correct position
@@ -366,9 +454,9 @@ PulseApp.ui.storage = (() => {
                 if (!emptyRow || !emptyRow.querySelector('[class*="no-storage"]')) {
                     const noDataRow = document.createElement('tr');
                     if (PulseApp.ui.emptyStates) {
-                        noDataRow.innerHTML = `<td colspan="7" class="p-0">${PulseApp.ui.emptyStates.createEmptyState('no-storage')}</td>`;
+                        noDataRow.innerHTML = `<td colspan="8" class="p-0">${PulseApp.ui.emptyStates.createEmptyState('no-storage')}</td>`;
                     } else {
-                        noDataRow.innerHTML = `<td colspan="7" class="p-2 px-3 text-sm text-gray-500 dark:text-gray-400 italic">No storage configured or found for this node.</td>`;
+                        noDataRow.innerHTML = `<td colspan="8" class="p-2 px-3 text-sm text-gray-500 dark:text-gray-400 italic">No storage configured or found for this node.</td>`;
                     }
                     if (emptyRow) {
                         tableBody.replaceChild(noDataRow, emptyRow);
@@ -421,9 +509,9 @@ PulseApp.ui.storage = (() => {
         if (filteredData.length === 0) {
             const emptyRow = document.createElement('tr');
             if (PulseApp.ui.emptyStates) {
-                emptyRow.innerHTML = `<td colspan="8" class="p-0">${PulseApp.ui.emptyStates.createEmptyState('no-storage')}</td>`;
+                emptyRow.innerHTML = `<td colspan="9" class="p-0">${PulseApp.ui.emptyStates.createEmptyState('no-storage')}</td>`;
             } else {
-                emptyRow.innerHTML = '<td colspan="8" class="p-4 text-center text-gray-500 dark:text-gray-400">No storage data available.</td>';
+                emptyRow.innerHTML = '<td colspan="9" class="p-4 text-center text-gray-500 dark:text-gray-400">No storage data available.</td>';
             }
             tableBody.appendChild(emptyRow);
             return;
@@ -577,6 +665,7 @@ PulseApp.ui.storage = (() => {
         row.appendChild(PulseApp.ui.common.createTableCell(usageCellHTML, 'p-1 px-2 min-w-[200px]'));
         row.appendChild(PulseApp.ui.common.createTableCell(PulseApp.utils.formatBytes(store.avail), 'p-1 px-2 whitespace-nowrap'));
         row.appendChild(PulseApp.ui.common.createTableCell(PulseApp.utils.formatBytes(store.total), 'p-1 px-2 whitespace-nowrap'));
+        row.appendChild(PulseApp.ui.common.createTableCell(_getForecastCellHTML(_getStorageForecast(nodeForChart, store.storage)), 'p-1 px-2 whitespace-nowrap'));
         return row;
     }
 
@@ -584,7 +673,7 @@ PulseApp.ui.storage = (() => {
     function _updateStorageRow(row, store) {
         // Only update cells that need updating, preserve chart containers
         const cells = row.querySelectorAll('td');
-        if (cells.length < 7) return;
+        if (cells.length < 8) return;
 
         const usagePercent = store.total > 0 ? (store.used / store.total) * 100 : 0;
         const isWarning = usagePercent >= 80 && usagePercent < 90;
@@ -620,6 +709,7 @@ PulseApp.ui.storage = (() => {
         // Update available and total cells
         cells[5].textContent = PulseApp.utils.formatBytes(store.avail);
         cells[6].textContent = PulseApp.utils.formatBytes(store.total);
+        cells[7].innerHTML = _getForecastCellHTML(_getStorageForecast(store.node, store.storage));
     }
 
     function updateStorageInfo() {
@@ -720,7 +810,7 @@ PulseApp.ui.storage = (() => {
         const nodesHeader = currentStorageView === 'storage' ? 
             '<th class="sticky top-0 bg-gray-50 dark:bg-gray-700 z-10 p-1 px-2 min-w-[100px] max-w-[150px]">Nodes</th>' : '';
         
-        const colSpan = currentStorageView === 'storage' ? 8 : 7;
+        const colSpan = currentStorageView === 'storage' ? 9 : 8;
         
         thead.innerHTML = `
             <tr class="border-b border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-xs font-medium tracking-wider text-left text-gray-600 uppercase dark:text-gray-300">
@@ -734,6 +824,7 @@ PulseApp.ui.storage = (() => {
               </th>
               <th class="sticky top-0 bg-gray-50 dark:bg-gray-700 z-10 p-1 px-2">Avail</th>
               <th class="sticky top-0 bg-gray-50 dark:bg-gray-700 z-10 p-1 px-2">Total</th>
+              <th class="sticky top-0 bg-gray-50 dark:bg-gray-700 z-10 p-1 px-2" title="Estimated time until full at the current growth rate">Full In</th>
             </tr>
           `;
         
@@ -776,6 +867,8 @@ PulseApp.ui.storage = (() => {
             // Use incremental update for node view
             _updateStorageTableIncremental(tbody, storageByNode, sortedNodeNames);
         }
+        _updateGuestForecasts();
+        fetchForecasts();
         
         // Add click handler for sort (only if not already added)
         const usageSortHeader = document.getElementById('usage-sort-header');
@@ -1012,6 +1105,7 @@ PulseApp.ui.storage = (() => {
         row.appendChild(PulseApp.ui.common.createTableCell(usageCellHTML, 'p-1 px-2 min-w-[200px]'));
         row.appendChild(PulseApp.ui.common.createTableCell(PulseApp.utils.formatBytes(store.avail), 'p-1 px-2 whitespace-nowrap'));
         row.appendChild(PulseApp.ui.common.createTableCell(PulseApp.utils.formatBytes(store.total), 'p-1 px-2 whitespace-nowrap'));
+        row.appendChild(PulseApp.ui.common.createTableCell(_getForecastCellHTML(_getStorageForecast(store.node, store.storage)), 'p-1 px-2 whitespace-nowrap'));
         return row;
     }
 
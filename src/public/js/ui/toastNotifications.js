@@ -360,6 +360,7 @@ PulseApp.ui.toast = (() => {
         success,
         error,
         warning,
+        info,
         confirm
     };
 })();
@@ -0,0 +1,83 @@
+/**
+ * Active alerts saved to and restored from disk
+ * Run with: npm test
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const alertPatches = require('../server/alertManagerPatches');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pulse-active-alerts-'));
+
+after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+// Just the parts of AlertManager that the persistence patches use
+function createStore() {
+    const store = {
+        activeAlertsFile: path.join(tempDir, 'active-alerts.json'),
+        activeAlerts: new Map(),
+        acknowledgedAlerts: new Map()
+    };
+    ['loadActiveAlerts', 'saveActiveAlerts', 'validateAlert', 'createSafeRuleCopy', 'createSafeGuestCopy', 'createSafeAlertCopy']
+        .forEach(name => { store[name] = alertPatches[name].bind(store); });
+    return store;
+}
+
+test('held notifications and thresholds survive a restart', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const rule = { id: 'cpu-rule', name: 'High CPU', metric: 'cpu', threshold: 80 };
+
+    const before = createStore();
+    before.activeAlerts.set('guest', {
+        id: 'guest',
+        rule,
+        guest: { name: 'web-1', vmid: 101, node: 'pve1', type: 'qemu', endpointId: 'primary' },
+        state: 'active',
+        currentValue: 93,
+        threshold: 80,
+        maintenanceWindow: 'weekly-patching',
+        notificationsHeld: true
+    });
+    before.activeAlerts.set('node', {
+        id: 'node',
+        type: 'node_threshold',
+        rule,
+        nodeId: 'pve1',
+        nodeName: 'pve1',
+        metric: 'cpu',
+        state: 'active',
+        threshold: 90,
+        flapping: true,
+        notificationsHeld: true
+    });
+    before.activeAlerts.set('sent', {
+        id: 'sent',
+        rule,
+        guest: { name: 'db-1', vmid: 102, node: 'pve1', type: 'lxc', endpointId: 'primary' },
+        state: 'active',
+        threshold: 80
+    });
+    await before.saveActiveAlerts();
+
+    const restored = createStore();
+    await restored.loadActiveAlerts();
+
+    assert.strictEqual(restored.activeAlerts.size, 3);
+    const guest = restored.activeAlerts.get('guest');
+    assert.strictEqual(guest.notificationsHeld, true);
+    assert.strictEqual(guest.threshold, 80);
+    assert.strictEqual(guest.maintenanceWindow, 'weekly-patching');
+
+    const node = restored.activeAlerts.get('node');
+    assert.strictEqual(node.notificationsHeld, true);
+    assert.strictEqual(node.threshold, 90);
+    assert.strictEqual(node.flapping, true);
+
+    assert.strictEqual(restored.activeAlerts.get('sent').notificationsHeld, undefined);
+});
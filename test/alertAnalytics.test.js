@@ -0,0 +1,34 @@
+/**
+ * Alert history CSV export
+ * Run with: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { formatHistoryCsv } = require('../server/alertAnalytics');
+
+function exportRow(entry) {
+    const [header, row] = formatHistoryCsv([{ id: 'alert-1', triggeredAt: 0, ...entry }]).split('\r\n');
+    const columns = header.split(',');
+    return (name) => row.split(',')[columns.indexOf(name)];
+}
+
+test('text that spreadsheets would evaluate as a formula is prefixed', () => {
+    for (const name of ['=1+1', '+1', '-1', '@SUM(A1)', '\tcmd', '\rcmd']) {
+        const column = exportRow({ guest: { name } });
+        assert.ok(column('guestName').replace(/^"/, '').startsWith(`'${name[0]}`), JSON.stringify(column('guestName')));
+    }
+});
+
+test('quoting still applies to prefixed values', () => {
+    const column = exportRow({ guest: { name: '=HYPERLINK("http://example.com")' } });
+    assert.strictEqual(column('guestName'), '"\'=HYPERLINK(""http://example.com"")"');
+});
+
+test('numbers and plain text are exported unchanged', () => {
+    const column = exportRow({ guest: { name: 'web-1', vmid: 101 }, message: 'CPU at 97%' });
+    assert.strictEqual(column('guestName'), 'web-1');
+    assert.strictEqual(column('vmid'), '101');
+    assert.strictEqual(column('message'), 'CPU at 97%');
+});
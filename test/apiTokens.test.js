@@ -0,0 +1,41 @@
+/**
+ * API token ownership
+ * Run with: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const apiTokens = require('../server/security/apiTokens');
+
+const localAlice = { username: 'alice', role: 'operator', source: 'local' };
+const ssoAlice = { username: 'alice', role: 'viewer', source: 'oidc' };
+const builtinAdmin = { username: 'admin', role: 'admin' };
+
+function addToken(id, owner) {
+    apiTokens.tokens.set(id, {
+        id,
+        name: id,
+        owner: owner.username,
+        ownerSource: owner.source || null,
+        ownerRole: owner.role,
+        tokenHash: 'hash',
+        createdAt: new Date().toISOString()
+    });
+}
+
+test('tokens belong to the account with the same username and source', () => {
+    apiTokens.tokens.clear();
+    addToken('token-local', localAlice);
+    addToken('token-sso', ssoAlice);
+    addToken('token-admin', builtinAdmin);
+
+    assert.strictEqual(apiTokens.isOwnedBy(apiTokens.getToken('token-local'), localAlice), true);
+    assert.strictEqual(apiTokens.isOwnedBy(apiTokens.getToken('token-local'), ssoAlice), false);
+    assert.strictEqual(apiTokens.isOwnedBy(apiTokens.getToken('token-admin'), builtinAdmin), true);
+
+    assert.deepStrictEqual(apiTokens.listTokens(ssoAlice).map(token => token.id), ['token-sso']);
+    assert.deepStrictEqual(apiTokens.listTokens(localAlice).map(token => token.id), ['token-local']);
+    assert.strictEqual(apiTokens.listTokens().length, 3);
+    assert.ok(apiTokens.listTokens().every(token => token.tokenHash === undefined));
+});
@@ -0,0 +1,54 @@
+/**
+ * Endpoint security levels and role permissions
+ * Run with: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { SECURITY_LEVELS, USER_ROLES, getEndpointSecurityLevel, hasPermission } = require('../server/security/config');
+
+test('mapped paths resolve with and without parameters', () => {
+    assert.strictEqual(getEndpointSecurityLevel('GET', '/api/users'), SECURITY_LEVELS.CRITICAL);
+    assert.strictEqual(getEndpointSecurityLevel('DELETE', '/api/users/alice'), SECURITY_LEVELS.CRITICAL);
+    assert.strictEqual(getEndpointSecurityLevel('POST', '/api/users/me/password'), SECURITY_LEVELS.READ);
+    assert.strictEqual(getEndpointSecurityLevel('GET', '/api/not-mapped'), undefined);
+});
+
+test('case and trailing slash variants resolve to the mapped level', () => {
+    const variants = [
+        ['POST', '/api/users/'],
+        ['POST', '/API/users'],
+        ['GET', '/api/Users'],
+        ['GET', '/api/users//'],
+        ['DELETE', '/api/Sessions/abc/'],
+        ['DELETE', '/api/USERS/alice/2FA']
+    ];
+    for (const [method, path] of variants) {
+        assert.strictEqual(getEndpointSecurityLevel(method, path), SECURITY_LEVELS.CRITICAL, `${method} ${path}`);
+        assert.strictEqual(hasPermission(USER_ROLES.OPERATOR, method, path), false, `${method} ${path}`);
+        assert.strictEqual(hasPermission(USER_ROLES.ADMIN, method, path), true, `${method} ${path}`);
+    }
+    assert.strictEqual(getEndpointSecurityLevel('POST', '/api/Users/me/password/'), SECURITY_LEVELS.READ);
+});
+
+test('unmapped account and credential paths are admin-only', () => {
+    const paths = [
+        ['PATCH', '/api/users/alice'],
+        ['GET', '/api/users/alice/sessions'],
+        ['PUT', '/api/sessions'],
+        ['POST', '/api/tokens/abc/rotate']
+    ];
+    for (const [method, path] of paths) {
+        assert.strictEqual(getEndpointSecurityLevel(method, path), SECURITY_LEVELS.CRITICAL, `${method} ${path}`);
+        assert.strictEqual(hasPermission(USER_ROLES.OPERATOR, method, path), false, `${method} ${path}`);
+    }
+    assert.strictEqual(getEndpointSecurityLevel('GET', '/api/usersettings'), undefined);
+});
+
+test('viewers can load the read-only dashboard data', () => {
+    const paths = ['/api/state', '/api/version', '/api/storage', '/api/alerts/active', '/api/backups/pve', '/api/backups/pbs', '/api/backups/unified'];
+    for (const path of paths) {
+        assert.strictEqual(hasPermission(USER_ROLES.VIEWER, 'GET', path), true, path);
+    }
+});
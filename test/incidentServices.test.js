@@ -0,0 +1,146 @@
+/**
+ * PagerDuty and Opsgenie events against a local stand-in server
+ * Run with: npm test
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const NotificationService = require('../server/notificationServices');
+
+const ROUTING_KEY = 'pd-routing-key';
+const API_KEY = 'og-api-key';
+
+const requests = [];
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+        res.writeHead(202, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ status: 'success' }));
+    });
+});
+
+let baseUrl;
+const notificationService = new NotificationService();
+
+const alert = {
+    id: 'cpu_pve1_101_1700000000000',
+    rule: { name: 'High CPU', metric: 'cpu', description: 'CPU above threshold' },
+    metric: 'cpu',
+    severity: 'critical',
+    currentValue: 97,
+    threshold: 90,
+    message: 'CPU is at 97%',
+    triggeredAt: 1700000000000,
+    acknowledgedBy: 'alice',
+    guest: { name: 'web-1', vmid: 101, node: 'pve1', type: 'qemu', endpointId: 'primary' }
+};
+
+before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+    requests.length = 0;
+});
+
+test('incident services are detected and never get summaries', () => {
+    assert.strictEqual(notificationService.detectService(`${baseUrl}/v2/enqueue?routing_key=${ROUTING_KEY}`), 'pagerduty');
+    assert.strictEqual(notificationService.detectService(`${baseUrl}/v2/alerts?apiKey=${API_KEY}`), 'opsgenie');
+    assert.strictEqual(notificationService.supportsIncidents(`${baseUrl}/v2/alerts?apiKey=${API_KEY}`), true);
+    assert.strictEqual(notificationService.supportsIncidents('https://hooks.slack.com/services/x'), false);
+});
+
+test('PagerDuty trigger, acknowledge and resolve share the dedup key', async () => {
+    const url = `${baseUrl}/v2/enqueue?routing_key=${ROUTING_KEY}`;
+    await notificationService.send(url, alert);
+    await notificationService.sendIncidentEvent(url, alert, 'acknowledge');
+    await notificationService.sendIncidentEvent(url, alert, 'resolve');
+
+    assert.strictEqual(requests.length, 3);
+    requests.forEach(request => {
+        assert.strictEqual(request.method, 'POST');
+        assert.strictEqual(request.url, '/v2/enqueue');
+        assert.strictEqual(request.body.routing_key, ROUTING_KEY);
+        assert.strictEqual(request.body.dedup_key, alert.id);
+    });
+    assert.deepStrictEqual(requests.map(request => request.body.event_action), ['trigger', 'acknowledge', 'resolve']);
+
+    const { payload } = requests[0].body;
+    assert.strictEqual(payload.summary, 'High CPU: CPU is at 97%');
+    assert.strictEqual(payload.source, 'web-1');
+    assert.strictEqual(payload.severity, 'critical');
+    assert.strictEqual(payload.timestamp, new Date(alert.triggeredAt).toISOString());
+    assert.strictEqual(payload.component, 'qemu 101');
+    assert.strictEqual(payload.group, 'pve1');
+    assert.strictEqual(payload.class, 'cpu');
+    assert.strictEqual(payload.custom_details.currentValue, 97);
+    assert.strictEqual(payload.custom_details.threshold, 90);
+    assert.strictEqual(requests[1].body.payload, undefined);
+});
+
+test('Opsgenie alerts are created, acknowledged and closed by alias', async () => {
+    const url = `${baseUrl}/v2/alerts?apiKey=${API_KEY}`;
+    await notificationService.send(url, alert);
+    await notificationService.sendIncidentEvent(url, alert, 'acknowledge');
+    await notificationService.sendIncidentEvent(url, alert, 'resolve');
+
+    assert.strictEqual(requests.length, 3);
+    requests.forEach(request => {
+        assert.strictEqual(request.method, 'POST');
+        assert.strictEqual(request.headers.authorization, `GenieKey ${API_KEY}`);
+    });
+
+    const [create, acknowledge, close] = requests;
+    assert.strictEqual(create.url, '/v2/alerts');
+    assert.strictEqual(create.body.alias, alert.id);
+    assert.strictEqual(create.body.message, 'High CPU');
+    assert.strictEqual(create.body.priority, 'P1');
+    assert.strictEqual(create.body.entity, 'web-1');
+    assert.deepStrictEqual(create.body.tags, ['pulse', 'cpu']);
+    assert.deepStrictEqual(create.body.details, { node: 'pve1', vmid: '101', currentValue: '97', threshold: '90' });
+
+    assert.strictEqual(acknowledge.url, `/v2/alerts/${alert.id}/acknowledge?identifierType=alias`);
+    assert.strictEqual(acknowledge.body.note, 'Acknowledged in Pulse by alice');
+    assert.strictEqual(close.url, `/v2/alerts/${alert.id}/close?identifierType=alias`);
+    assert.strictEqual(close.body.note, 'Resolved in Pulse');
+});
+
+test('credentials are kept out of the request URL', async () => {
+    await notificationService.send(`${baseUrl}/v2/enqueue?routing_key=${ROUTING_KEY}&region=eu`, alert);
+    await notificationService.sendIncidentEvent(`${baseUrl}/v2/alerts?apiKey=${API_KEY}`, alert, 'resolve');
+
+    assert.strictEqual(requests[0].url, '/v2/enqueue?region=eu');
+    requests.forEach(request => {
+        assert.ok(!request.url.includes(ROUTING_KEY), request.url);
+        assert.ok(!request.url.includes(API_KEY), request.url);
+        assert.ok(!/routing_key|apiKey/.test(request.url), request.url);
+    });
+});
+
+test('credentials are kept out of the log', async (t) => {
+    const log = t.mock.method(console, 'log', () => {});
+    await notificationService.send(`${baseUrl}/v2/alerts?apiKey=${API_KEY}`, alert);
+    const output = log.mock.calls.map(call => call.arguments.join(' ')).join('\n');
+    assert.ok(output.includes('opsgenie'));
+    assert.ok(!output.includes(API_KEY), output);
+});
+
+test('aliases with reserved characters are encoded in the Opsgenie path', async () => {
+    await notificationService.sendIncidentEvent(`${baseUrl}/v2/alerts?apiKey=${API_KEY}`, { id: 'zfs_primary/pve1 tank' }, 'resolve');
+    assert.strictEqual(requests[0].url, '/v2/alerts/zfs_primary%2Fpve1%20tank/close?identifierType=alias');
+});
+
+test('a URL without its key is refused before anything is sent', async () => {
+    await assert.rejects(notificationService.send(`${baseUrl}/v2/enqueue`, alert), /routing_key parameter/);
+    await assert.rejects(notificationService.sendIncidentEvent(`${baseUrl}/v2/alerts`, alert, 'resolve'), /apiKey parameter/);
+    assert.strictEqual(requests.length, 0);
+});
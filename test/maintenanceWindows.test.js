@@ -0,0 +1,75 @@
+/**
+ * Maintenance window schedules
+ * Run with: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const maintenanceWindows = require('../server/maintenanceWindows');
+
+const MINUTE = 60 * 1000;
+
+function createWindow(id, schedule, timezone = 'UTC') {
+    return { id, enabled: true, timezone, schedule: maintenanceWindows.validateSchedule(schedule), scope: {} };
+}
+
+// Reference result: a one-minute window is open exactly in the minutes its schedule fires
+function findEndByScan(window, now) {
+    const probe = { ...window, id: `${window.id}-probe`, schedule: { ...window.schedule, durationMinutes: 1 } };
+    const currentMinute = Math.floor(now / MINUTE) * MINUTE;
+    for (let offset = 0; offset < window.schedule.durationMinutes; offset++) {
+        const startedAt = currentMinute - offset * MINUTE;
+        if (maintenanceWindows.getOccurrenceEnd(probe, startedAt) !== null) {
+            return startedAt + window.schedule.durationMinutes * MINUTE;
+        }
+    }
+    return null;
+}
+
+test('weekly window is open from its start for its duration', () => {
+    const window = createWindow('weekly', { type: 'weekly', days: ['sat'], start: '22:00', durationMinutes: 180 });
+    const start = Date.parse('2026-10-17T22:00:00Z'); // Saturday
+
+    assert.strictEqual(maintenanceWindows.getOccurrenceEnd(window, start - MINUTE), null);
+    assert.strictEqual(maintenanceWindows.getOccurrenceEnd(window, start), start + 180 * MINUTE);
+    assert.strictEqual(maintenanceWindows.getOccurrenceEnd(window, start + 179 * MINUTE + 59000), start + 180 * MINUTE);
+    assert.strictEqual(maintenanceWindows.getOccurrenceEnd(window, start + 180 * MINUTE), null);
+});
+
+test('window start follows the wall clock of its timezone across DST', () => {
+    const window = createWindow('berlin', { type: 'weekly', days: ['sun'], start: '03:30', durationMinutes: 60 }, 'Europe/Berlin');
+
+    // 03:30 is CEST (UTC+2) before 25 October 2026 and CET (UTC+1) after
+    const summer = Date.parse('2026-10-18T01:30:00Z');
+    const winter = Date.parse('2026-10-25T02:30:00Z');
+    assert.strictEqual(maintenanceWindows.getOccurrenceEnd(window, summer + 10 * MINUTE), summer + 60 * MINUTE);
+    assert.strictEqual(maintenanceWindows.getOccurrenceEnd(window, winter + 10 * MINUTE), winter + 60 * MINUTE);
+    assert.strictEqual(maintenanceWindows.getOccurrenceEnd(window, winter - 10 * MINUTE), null);
+});
+
+test('the latest occurrence wins when a cron schedule fires again inside the window', () => {
+    const window = createWindow('cron', { type: 'cron', expression: '*/15 2 * * *', durationMinutes: 30 });
+    const now = Date.parse('2026-10-19T02:50:00Z');
+    assert.strictEqual(maintenanceWindows.getOccurrenceEnd(window, now), Date.parse('2026-10-19T03:15:00Z'));
+});
+
+test('occurrence ends match a minute-by-minute scan', () => {
+    const windows = [
+        createWindow('week-long', { type: 'cron', expression: '0 6 * * mon', durationMinutes: 7 * 24 * 60 }, 'America/New_York'),
+        createWindow('month-days', { type: 'cron', expression: '45 23 1,15 * *', durationMinutes: 3 * 24 * 60 }, 'Asia/Kolkata'),
+        createWindow('either-day', { type: 'cron', expression: '0,30 1 13 * fri', durationMinutes: 2 * 24 * 60 }, 'Australia/Sydney'),
+        createWindow('weekdays', { type: 'weekly', days: ['mon', 'wed', 'fri'], start: '02:15', durationMinutes: 600 }, 'Europe/Berlin')
+    ];
+    const from = Date.parse('2026-10-01T00:00:00Z');
+
+    for (const window of windows) {
+        for (let now = from; now < from + 30 * 24 * 60 * MINUTE; now += 25 * 60 * MINUTE + 13 * MINUTE) {
+            assert.strictEqual(
+                maintenanceWindows.getOccurrenceEnd(window, now),
+                findEndByScan(window, now),
+                `${window.id} at ${new Date(now).toISOString()}`
+            );
+        }
+    }
+});
@@ -0,0 +1,69 @@
+/**
+ * Retained MQTT state of nodes and guests
+ * Run with: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const MqttPublisher = require('../server/mqttPublisher');
+
+function createPublisher() {
+    const publisher = new MqttPublisher({ url: 'mqtt://broker.invalid', discovery: true });
+    publisher.published = [];
+    publisher.client = {
+        connected: true,
+        publish: (topic, message) => publisher.published.push({ topic, message })
+    };
+    publisher.enabled = true;
+    return publisher;
+}
+
+const node = { node: 'pve1', endpointId: 'primary', status: 'online' };
+const guest = { vmid: 101, name: 'web-1', type: 'qemu', node: 'pve1', endpointId: 'primary', status: 'running' };
+const otherGuest = { vmid: 201, name: 'db-1', type: 'lxc', node: 'pve2', endpointId: 'secondary', status: 'running' };
+
+function clearedTopics(publisher) {
+    return publisher.published.filter(({ message }) => message === '').map(({ topic }) => topic);
+}
+
+test('a guest missing from one discovery cycle keeps its retained state', () => {
+    const publisher = createPublisher();
+    publisher.publishState({ nodes: [node], vms: [guest], containers: [otherGuest] }, true);
+
+    // The secondary endpoint did not answer this cycle
+    publisher.publishState({ nodes: [node], vms: [guest], containers: [] }, true);
+    publisher.publishState({ nodes: [node], vms: [guest], containers: [otherGuest] }, true);
+
+    assert.deepStrictEqual(clearedTopics(publisher), []);
+    assert.strictEqual(publisher.objects.get('secondary_201').missedCycles, 0);
+});
+
+test('metrics cycles do not count as missed cycles', () => {
+    const publisher = createPublisher();
+    publisher.publishState({ nodes: [node], vms: [guest], containers: [otherGuest] }, true);
+
+    for (let cycle = 0; cycle < 5; cycle++) {
+        publisher.lastStatePublishAt = 0; // Skip the publish interval
+        publisher.publishState({ nodes: [node], vms: [guest], containers: [] });
+    }
+
+    assert.deepStrictEqual(clearedTopics(publisher), []);
+    assert.strictEqual(publisher.objects.get('secondary_201').missedCycles, 0);
+});
+
+test('state and discovery are cleared after three missed discovery cycles', () => {
+    const publisher = createPublisher();
+    publisher.publishState({ nodes: [node], vms: [guest], containers: [otherGuest] }, true);
+
+    publisher.publishState({ nodes: [node], vms: [guest], containers: [] }, true);
+    publisher.publishState({ nodes: [node], vms: [guest], containers: [] }, true);
+    assert.deepStrictEqual(clearedTopics(publisher), []);
+
+    publisher.publishState({ nodes: [node], vms: [guest], containers: [] }, true);
+    const cleared = clearedTopics(publisher);
+    assert.ok(cleared.includes('pulse/guest/secondary_201'));
+    assert.ok(cleared.includes('homeassistant/sensor/pulse_secondary_201/cpu/config'));
+    assert.ok(cleared.every(topic => topic.includes('secondary_201')), cleared.join(', '));
+    assert.ok(!publisher.objects.has('secondary_201'));
+});
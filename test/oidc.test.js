@@ -0,0 +1,263 @@
+/**
+ * Single sign-on against a local mock identity provider
+ * Run with: npm test
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+
+const oidc = require('../server/security/oidc');
+
+const CLIENT_ID = 'pulse';
+const CLIENT_SECRET = 'client-secret';
+const REDIRECT_URI = 'https://pulse.example.com/api/auth/oidc/callback';
+
+/**
+ * Minimal OpenID Connect provider: discovery, JWKS, token endpoint with PKCE and
+ * client_secret_basic checks, and userinfo. The authorization endpoint is replaced by
+ * issueCode(), which does what the provider's login page would do.
+ */
+function createMockIdp() {
+    const signingKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const idp = {
+        issuer: null,
+        issuerOverride: null,
+        kid: 'key-1',
+        signingKey,
+        codes: new Map(), // code -> { codeChallenge, codeChallengeMethod, redirectUri, nonce, claims, signWith }
+        userinfo: new Map(), // access token -> claims
+        requests: []
+    };
+
+    idp.jwk = () => ({ ...idp.signingKey.publicKey.export({ format: 'jwk' }), kid: idp.kid, use: 'sig', alg: 'RS256' });
+
+    idp.signIdToken = (claims, privateKey, kid) => {
+        const header = Buffer.from(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid })).toString('base64url');
+        const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+        const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), privateKey).toString('base64url');
+        return `${header}.${payload}.${signature}`;
+    };
+
+    // What the provider does after the user logged in: remember the PKCE challenge and nonce
+    // from the authorization URL and hand out a code
+    idp.issueCode = (authorizationUrl, { claims = {}, nonce, signWith, codeChallenge } = {}) => {
+        const params = new URL(authorizationUrl).searchParams;
+        const code = crypto.randomBytes(16).toString('hex');
+        idp.codes.set(code, {
+            codeChallenge: codeChallenge || params.get('code_challenge'),
+            codeChallengeMethod: params.get('code_challenge_method'),
+            redirectUri: params.get('redirect_uri'),
+            nonce: nonce !== undefined ? nonce : params.get('nonce'),
+            claims,
+            signWith
+        });
+        return { code, state: params.get('state') };
+    };
+
+    const sendJson = (res, status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    };
+
+    idp.server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            idp.requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+            if (req.method === 'GET' && req.url === '/.well-known/openid-configuration') {
+                return sendJson(res, 200, {
+                    issuer: idp.issuerOverride || idp.issuer,
+                    authorization_endpoint: `${idp.issuer}/authorize`,
+                    token_endpoint: `${idp.issuer}/token`,
+                    userinfo_endpoint: `${idp.issuer}/userinfo`,
+                    jwks_uri: `${idp.issuer}/jwks`,
+                    token_endpoint_auth_methods_supported: ['client_secret_basic']
+                });
+            }
+            if (req.method === 'GET' && req.url === '/jwks') {
+                return sendJson(res, 200, { keys: [idp.jwk()] });
+            }
+            if (req.method === 'GET' && req.url === '/userinfo') {
+                const accessToken = (req.headers.authorization || '').replace(/^Bearer /, '');
+                const claims = idp.userinfo.get(accessToken);
+                return claims ? sendJson(res, 200, claims) : sendJson(res, 401, { error: 'invalid_token' });
+            }
+            if (req.method === 'POST' && req.url === '/token') {
+                const expectedAuth = `Basic ${Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString('base64')}`;
+                if (req.headers.authorization !== expectedAuth) {
+                    return sendJson(res, 401, { error: 'invalid_client' });
+                }
+
+                const form = new URLSearchParams(body);
+                const grant = idp.codes.get(form.get('code'));
+                idp.codes.delete(form.get('code'));
+                if (form.get('grant_type') !== 'authorization_code' || !grant || grant.redirectUri !== form.get('redirect_uri')) {
+                    return sendJson(res, 400, { error: 'invalid_grant' });
+                }
+                const verifierHash = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+                if (grant.codeChallengeMethod !== 'S256' || verifierHash !== grant.codeChallenge) {
+                    return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+                }
+
+                const now = Math.floor(Date.now() / 1000);
+                const claims = {
+                    iss: idp.issuer,
+                    aud: CLIENT_ID,
+                    sub: 'user-1',
+                    iat: now,
+                    exp: now + 300,
+                    nonce: grant.nonce,
+                    preferred_username: 'alice',
+                    ...grant.claims
+                };
+                const accessToken = crypto.randomBytes(16).toString('hex');
+                idp.userinfo.set(accessToken, { sub: claims.sub, groups: grant.claims.userinfoGroups || [] });
+                return sendJson(res, 200, {
+                    access_token: accessToken,
+                    token_type: 'Bearer',
+                    id_token: idp.signIdToken(claims, grant.signWith || idp.signingKey.privateKey, idp.kid)
+                });
+            }
+
+            sendJson(res, 404, { error: 'not_found' });
+        });
+    });
+
+    return idp;
+}
+
+const idp = createMockIdp();
+const savedEnv = { ...process.env };
+
+before(async () => {
+    await new Promise(resolve => idp.server.listen(0, '127.0.0.1', resolve));
+    idp.issuer = `http://127.0.0.1:${idp.server.address().port}`;
+});
+
+after(async () => {
+    process.env = savedEnv;
+    await new Promise(resolve => idp.server.close(resolve));
+});
+
+beforeEach(() => {
+    Object.assign(process.env, {
+        OIDC_ENABLED: 'true',
+        OIDC_ISSUER_URL: `${idp.issuer}/`,
+        OIDC_CLIENT_ID: CLIENT_ID,
+        OIDC_CLIENT_SECRET: CLIENT_SECRET,
+        OIDC_REDIRECT_URI: REDIRECT_URI,
+        OIDC_ROLE_CLAIM: 'groups',
+        OIDC_ADMIN_VALUES: 'pulse-admins',
+        OIDC_OPERATOR_VALUES: 'pulse-operators',
+        OIDC_VIEWER_VALUES: 'pulse-viewers',
+        OIDC_DEFAULT_ROLE: ''
+    });
+    idp.issuerOverride = null;
+});
+
+async function login(options = {}) {
+    const { url } = await oidc.createAuthorizationRequest(REDIRECT_URI, '/settings');
+    const { code, state } = idp.issueCode(url, options);
+    return oidc.handleAuthorizationResponse({ code, state });
+}
+
+test('discovery reads the provider metadata and rejects a foreign issuer', async () => {
+    const { metadata, jwks } = await oidc.discover(true);
+    assert.strictEqual(metadata.token_endpoint, `${idp.issuer}/token`);
+    assert.strictEqual(jwks.keys[0].kid, 'key-1');
+
+    idp.issuerOverride = 'https://other-issuer.example.com';
+    await assert.rejects(oidc.discover(true), /does not match OIDC_ISSUER_URL/);
+    idp.issuerOverride = null;
+    await oidc.discover(true);
+});
+
+test('single sign-on needs OIDC_REDIRECT_URI', () => {
+    assert.strictEqual(oidc.isOidcConfigured(), true);
+    delete process.env.OIDC_REDIRECT_URI;
+    assert.strictEqual(oidc.isOidcConfigured(), false);
+    assert.deepStrictEqual(oidc.getMissingOidcSettings(), ['OIDC_REDIRECT_URI']);
+});
+
+test('authorization request uses PKCE S256, state and nonce', async () => {
+    const { url, state } = await oidc.createAuthorizationRequest(REDIRECT_URI, '/');
+    const params = new URL(url).searchParams;
+    assert.ok(url.startsWith(`${idp.issuer}/authorize?`));
+    assert.strictEqual(params.get('client_id'), CLIENT_ID);
+    assert.strictEqual(params.get('redirect_uri'), REDIRECT_URI);
+    assert.strictEqual(params.get('code_challenge_method'), 'S256');
+    assert.match(params.get('code_challenge'), /^[A-Za-z0-9_-]{43}$/);
+    assert.strictEqual(params.get('state'), state);
+    assert.ok(params.get('nonce'));
+});
+
+test('code exchange logs the user in with the role from userinfo groups', async () => {
+    const result = await login({ claims: { userinfoGroups: ['pulse-viewers', 'pulse-admins'] } });
+    assert.deepStrictEqual(result, {
+        user: { username: 'alice', role: 'admin', source: 'oidc' },
+        returnTo: '/settings'
+    });
+
+    const tokenRequest = idp.requests.filter(request => request.url === '/token').pop();
+    const form = new URLSearchParams(tokenRequest.body);
+    assert.ok(form.get('code_verifier'));
+    assert.strictEqual(form.get('client_secret'), null);
+});
+
+test('token exchange fails when the PKCE verifier does not match', async () => {
+    await assert.rejects(
+        login({ codeChallenge: crypto.createHash('sha256').update('other-verifier').digest('base64url') }),
+        /Token exchange failed: PKCE verification failed/
+    );
+});
+
+test('ID tokens with a wrong nonce or signature are rejected', async () => {
+    await assert.rejects(login({ nonce: 'replayed-nonce' }), /nonce mismatch/);
+
+    const otherKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    await assert.rejects(login({ signWith: otherKey.privateKey }), /Invalid ID token signature/);
+});
+
+test('ID tokens for another client or an expired one are rejected', async () => {
+    await assert.rejects(login({ claims: { aud: 'another-client' } }), /not issued for this client/);
+    await assert.rejects(login({ claims: { exp: Math.floor(Date.now() / 1000) - 3600 } }), /expired/);
+});
+
+test('rotated signing keys are fetched again', async () => {
+    await oidc.discover(true);
+    idp.signingKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    idp.kid = 'key-2';
+
+    const result = await login({ claims: { userinfoGroups: ['pulse-operators'] } });
+    assert.strictEqual(result.user.role, 'operator');
+});
+
+test('a state can only be used once', async () => {
+    const { url } = await oidc.createAuthorizationRequest(REDIRECT_URI, '/');
+    const { code, state } = idp.issueCode(url, { claims: { userinfoGroups: ['pulse-viewers'] } });
+    await oidc.handleAuthorizationResponse({ code, state });
+    await assert.rejects(oidc.handleAuthorizationResponse({ code, state }), /expired or unknown/);
+});
+
+test('users without a mapped role are refused unless a default role is set', async () => {
+    await assert.rejects(login({ claims: { userinfoGroups: ['staff'] } }), /has no Pulse role/);
+
+    process.env.OIDC_DEFAULT_ROLE = 'viewer';
+    const result = await login({ claims: { userinfoGroups: ['staff'] } });
+    assert.strictEqual(result.user.role, 'viewer');
+});
+
+test('claims map to the highest matching role', () => {
+    assert.strictEqual(oidc.mapClaimsToRole({ groups: ['pulse-viewers', 'pulse-operators'] }), 'operator');
+    assert.strictEqual(oidc.mapClaimsToRole({ groups: 'pulse-admins' }), 'admin');
+    assert.strictEqual(oidc.mapClaimsToRole({ groups: [] }), null);
+
+    process.env.OIDC_ROLE_CLAIM = 'realm_access.roles';
+    assert.strictEqual(oidc.mapClaimsToRole({ realm_access: { roles: ['pulse-viewers'] } }), 'viewer');
+
+    process.env.OIDC_DEFAULT_ROLE = 'superuser';
+    assert.strictEqual(oidc.mapClaimsToRole({ realm_access: { roles: [] } }), null);
+});